@@ -0,0 +1,280 @@
+import { roundToCents, calculateDeviation, rebalancePortfolio } from './rebalancer.js';
+
+/**
+ * Separator used to build node paths
+ */
+const PATH_SEPARATOR = ' / ';
+
+/**
+ * Checks whether a tree node is a leaf (a holding) rather than a group
+ * @param {Object} node - Tree node
+ * @returns {boolean} True if the node has no children
+ */
+function isLeaf(node) {
+  return !Array.isArray(node.children);
+}
+
+/**
+ * Validates one level of the tree and everything below it
+ * @param {Array} nodes - Sibling nodes
+ * @param {string} parentPath - Path of the parent node ('' at the root)
+ */
+function validateLevel(nodes, parentPath) {
+  const where = parentPath || 'the root';
+
+  if (nodes.length === 0) {
+    throw new Error(`Group ${where} must have at least one child`);
+  }
+
+  const totalTargetPercent = nodes.reduce((sum, node) => sum + node.targetPercent, 0);
+  if (!(Math.abs(totalTargetPercent - 100) <= 0.01)) {
+    throw new Error(`Target percentages under ${where} must sum to 100%`);
+  }
+
+  for (const node of nodes) {
+    const path = parentPath ? parentPath + PATH_SEPARATOR + node.name : node.name;
+
+    if (isLeaf(node)) {
+      if (typeof node.currentValue !== 'number') {
+        throw new Error(`Node ${path} must have children or a currentValue`);
+      }
+    } else {
+      validateLevel(node.children, path);
+    }
+  }
+}
+
+/**
+ * Flattens an allocation tree into the leaf holdings rebalancePortfolio works on.
+ * Each leaf's target is the product of the target percentages along its path.
+ * @param {Array} tree - Top-level nodes; see rebalanceAllocationTree
+ * @returns {Array} Asset objects with targetPercent of the whole portfolio and a path
+ */
+export function flattenAllocationTree(tree) {
+  if (!Array.isArray(tree) || tree.length === 0) {
+    throw new Error('tree must be a non-empty array');
+  }
+
+  validateLevel(tree, '');
+
+  const leaves = [];
+
+  const walk = (nodes, parentPath, parentShare) => {
+    for (const node of nodes) {
+      const path = parentPath ? parentPath + PATH_SEPARATOR + node.name : node.name;
+      const share = parentShare * (node.targetPercent / 100);
+
+      if (isLeaf(node)) {
+        leaves.push({ ...node, targetPercent: share * 100, path });
+      } else {
+        walk(node.children, path, share);
+      }
+    }
+  };
+
+  walk(tree, '', 1);
+  return leaves;
+}
+
+/**
+ * Sums the current value of every leaf under a node
+ * @param {Object} node - Tree node
+ * @returns {number} Current value of the node
+ */
+function nodeValue(node) {
+  if (isLeaf(node)) return node.currentValue;
+  return node.children.reduce((sum, child) => sum + nodeValue(child), 0);
+}
+
+/**
+ * Checks whether anything under a node can be sold
+ * @param {Object} node - Tree node
+ * @returns {boolean} True if any leaf under the node is sellable
+ */
+function nodeSellable(node) {
+  if (isLeaf(node)) return node.sell === true;
+  return node.children.some(nodeSellable);
+}
+
+/**
+ * Sums the value under a node that rebalancing may not sell: leaves that are not
+ * sellable (or only bought), and the minimum holdings of those that are
+ * @param {Object} node - Tree node
+ * @returns {number} Value of the node that has to stay
+ */
+function nodeLockedValue(node) {
+  if (isLeaf(node)) {
+    if (node.sell !== true || node.mode === 'buyOnly') return node.currentValue;
+    return Math.min(node.currentValue, node.minHolding || 0);
+  }
+  return node.children.reduce((sum, child) => sum + nodeLockedValue(child), 0);
+}
+
+/**
+ * Rebalances one level of the tree, then hands each group's trade down to its children
+ * @param {number} amount - Amount flowing into (or out of) this level
+ * @param {Array} nodes - Sibling nodes
+ * @param {string} parentPath - Path of the parent node ('' at the root)
+ * @param {Object} options - Options passed through to rebalancePortfolio
+ * @param {Object} nestedOptions - Options for the levels below this one
+ * @param {Object} collected - Leaf transactions by path and the summary of every run
+ */
+function rebalanceLevel(amount, nodes, parentPath, options, nestedOptions, collected) {
+  // Groups take part as a single asset holding everything beneath them. A group with
+  // locked holdings may only be sold down to what is locked
+  const assetClasses = nodes.map(node => {
+    if (isLeaf(node)) return node;
+
+    const group = { name: node.name, targetPercent: node.targetPercent, currentValue: nodeValue(node), sell: nodeSellable(node) };
+    const locked = nodeLockedValue(node);
+    if (group.sell && locked > 0) group.minHolding = locked;
+    return group;
+  });
+
+  let result = rebalancePortfolio(amount, assetClasses, options);
+
+  // A withdrawal is taken before the minimum holdings apply. A group it sells past its
+  // sellable holdings while buying something else is treated as locked instead
+  if (amount < 0 && result.transactions.some(t => t.amount > 0)) {
+    const oversold = assetClasses.filter((asset, i) =>
+      asset.minHolding !== undefined && !isLeaf(nodes[i]) &&
+      result.transactions[i].finalValue < asset.minHolding - 0.005
+    );
+
+    if (oversold.length > 0) {
+      for (const group of oversold) {
+        group.sell = false;
+        delete group.minHolding;
+      }
+      result = rebalancePortfolio(amount, assetClasses, options);
+    }
+  }
+
+  collected.summaries.push(result.summary);
+
+  nodes.forEach((node, index) => {
+    const path = parentPath ? parentPath + PATH_SEPARATOR + node.name : node.name;
+    const transaction = result.transactions[index];
+
+    if (isLeaf(node)) {
+      collected.transactions[path] = transaction;
+    } else {
+      rebalanceLevel(transaction.amount, node.children, path, nestedOptions, nestedOptions, collected);
+    }
+  });
+}
+
+/**
+ * Rebalances a nested allocation tree, e.g. equity split into US and international,
+ * with US split across several funds.
+ *
+ * Works top-down: the top level is rebalanced first, treating each group as one asset,
+ * and the trade each group receives is then rebalanced among its children. This keeps
+ * every group as close to its own target as the level above it allows.
+ * @param {number} amount - Amount to contribute (positive) or withdraw (negative)
+ * @param {Array} tree - Array of top-level nodes with properties:
+ *   - name: string
+ *   - targetPercent: number (0-100, share of the parent; siblings must sum to 100)
+ *   - children: Array of nodes (for groups), or
+ *   - currentValue, sell and any other asset fields accepted by rebalancePortfolio (for leaves)
+ * @param {Object} options - Options passed through to rebalancePortfolio at every level
+ * @returns {Object} Leaf transactions, a report for every node of the tree, and summary
+ */
+export function rebalanceAllocationTree(amount, tree, options = {}) {
+  const leaves = flattenAllocationTree(tree);
+  const totalBefore = leaves.reduce((sum, leaf) => sum + leaf.currentValue, 0);
+
+  if (totalBefore + amount < 0) {
+    throw new Error('Withdrawal amount exceeds total portfolio value');
+  }
+
+  // A group's sale is handed down as a withdrawal, which comes out of its sellable
+  // holdings first unless the portfolio is withdrawing with a strategy of its own
+  const ownStrategy = amount < 0 && options.withdrawalStrategy !== undefined;
+  const nestedOptions = ownStrategy || options.solver === 'exact'
+    ? options
+    : { ...options, withdrawalStrategy: 'sellableFirst' };
+
+  const collected = { transactions: {}, summaries: [] };
+  rebalanceLevel(amount, tree, '', options, nestedOptions, collected);
+
+  // Merge the summaries of every level; nested runs only move money the level above handed them
+  const summaries = collected.summaries;
+  const sumOf = field => roundToCents(summaries.reduce((sum, summary) => sum + (summary[field] || 0), 0));
+  const hasField = field => summaries.some(summary => summary[field] !== undefined);
+
+  const totalFees = sumOf('totalFees');
+  const totalAfter = roundToCents(totalBefore + amount - totalFees);
+
+  const summary = {
+    totalBefore: roundToCents(totalBefore),
+    totalAfter,
+    contribution: roundToCents(amount)
+  };
+
+  if (hasField('unallocatedCash')) summary.unallocatedCash = sumOf('unallocatedCash');
+  if (hasField('totalFees')) summary.totalFees = totalFees;
+  if (hasField('bindingConstraints')) {
+    summary.bindingConstraints = summaries.flatMap(entry => entry.bindingConstraints || []);
+  }
+  if (hasField('realizedGains')) {
+    const gains = term => roundToCents(summaries.reduce((sum, entry) => sum + (entry.realizedGains ? entry.realizedGains[term] : 0), 0));
+    summary.realizedGains = { shortTerm: gains('shortTerm'), longTerm: gains('longTerm'), total: gains('total') };
+  }
+
+  // Leaf percentages are restated against the whole portfolio
+  const transactions = leaves.map(leaf => {
+    const transaction = collected.transactions[leaf.path];
+
+    return {
+      ...transaction,
+      targetPercent: roundToCents(leaf.targetPercent),
+      currentPercent: totalBefore > 0 ? Math.round((transaction.currentValue / totalBefore) * 100 * 100) / 100 : 0,
+      finalPercent: totalAfter > 0 ? Math.round((transaction.finalValue / totalAfter) * 100 * 100) / 100 : 0,
+      path: leaf.path
+    };
+  });
+
+  // Roll the leaf results up the tree; percentages are relative to the parent node
+  const report = (nodes, parentPath, parentShare) => {
+    const reports = nodes.map(node => {
+      const path = parentPath ? parentPath + PATH_SEPARATOR + node.name : node.name;
+      const share = parentShare * (node.targetPercent / 100);
+      const entry = { name: node.name, path };
+
+      if (isLeaf(node)) {
+        const transaction = collected.transactions[path];
+        entry.amount = transaction.amount;
+        entry.currentValue = transaction.currentValue;
+        entry.finalValue = transaction.finalValue;
+      } else {
+        const children = report(node.children, path, share);
+        entry.amount = roundToCents(children.reduce((sum, child) => sum + child.amount, 0));
+        entry.currentValue = roundToCents(children.reduce((sum, child) => sum + child.currentValue, 0));
+        entry.finalValue = roundToCents(children.reduce((sum, child) => sum + child.finalValue, 0));
+        entry.children = children;
+      }
+
+      entry.targetPercent = roundToCents(node.targetPercent);
+      entry.portfolioTargetPercent = roundToCents(share * 100);
+      return entry;
+    });
+
+    const parentBefore = reports.reduce((sum, entry) => sum + entry.currentValue, 0);
+    const parentAfter = reports.reduce((sum, entry) => sum + entry.finalValue, 0);
+
+    for (const entry of reports) {
+      entry.currentPercent = parentBefore > 0 ? Math.round((entry.currentValue / parentBefore) * 100 * 100) / 100 : 0;
+      entry.finalPercent = parentAfter > 0 ? Math.round((entry.finalValue / parentAfter) * 100 * 100) / 100 : 0;
+      entry.deviation = calculateDeviation(entry.finalPercent, entry.targetPercent);
+    }
+
+    return reports;
+  };
+
+  return {
+    transactions,
+    tree: report(tree, '', 1),
+    summary
+  };
+}
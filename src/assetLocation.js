@@ -0,0 +1,351 @@
+import { roundToCents, rebalancePortfolio } from './rebalancer.js';
+import { rollUpAllocation } from './household.js';
+
+/**
+ * Tax treatments an account can have
+ */
+export const TAX_TREATMENTS = ['taxable', 'taxDeferred', 'roth'];
+
+/**
+ * Score bonus per dollar for leaving money where it already is, so that placements
+ * that score the same are settled in favour of fewer trades
+ */
+const STAY_BONUS = 0.000001;
+
+/**
+ * Validates the accounts and targets
+ * @param {Array} accounts - Account objects
+ * @param {Array} targets - Household targets with scores
+ */
+function validateLocation(accounts, targets) {
+  if (!Array.isArray(accounts) || accounts.length === 0) {
+    throw new Error('accounts must be a non-empty array');
+  }
+
+  if (!Array.isArray(targets) || targets.length === 0) {
+    throw new Error('targets must be a non-empty array');
+  }
+
+  const totalTargetPercent = targets.reduce((sum, target) => sum + target.targetPercent, 0);
+  if (Math.abs(totalTargetPercent - 100) > 0.01) {
+    throw new Error('Target percentages must sum to 100%');
+  }
+
+  for (const target of targets) {
+    for (const [treatment, score] of Object.entries(target.scores || {})) {
+      if (!TAX_TREATMENTS.includes(treatment)) {
+        throw new Error(`Unknown tax treatment in the scores for ${target.name}: ${treatment}`);
+      }
+      if (typeof score !== 'number' || !Number.isFinite(score)) {
+        throw new Error(`Score for ${target.name} in ${treatment} accounts must be a number`);
+      }
+    }
+  }
+
+  const targetNames = new Set(targets.map(target => target.name));
+  for (const account of accounts) {
+    if (!TAX_TREATMENTS.includes(account.taxTreatment)) {
+      throw new Error(`Unknown tax treatment for account ${account.name}: ${account.taxTreatment}`);
+    }
+
+    for (const holding of account.assetClasses || []) {
+      if (!targetNames.has(holding.name)) {
+        throw new Error(`Asset class ${holding.name} in account ${account.name} has no household target`);
+      }
+    }
+  }
+}
+
+/**
+ * Finds the flow of least cost from the source to the sink by successive shortest
+ * paths. Costs may be negative; the graph starts without negative cycles.
+ * @param {number} nodeCount - Number of nodes; node 0 is the source, the last the sink
+ * @param {Array} edges - Edges with from, to, capacity and cost
+ * @returns {Array} Flow along each edge
+ */
+function minCostFlow(nodeCount, edges) {
+  const source = 0;
+  const sink = nodeCount - 1;
+
+  // Each edge gets a reverse edge that can undo its flow
+  const residual = [];
+  edges.forEach(edge => {
+    residual.push({ from: edge.from, to: edge.to, capacity: edge.capacity, cost: edge.cost, flow: 0 });
+    residual.push({ from: edge.to, to: edge.from, capacity: 0, cost: -edge.cost, flow: 0 });
+  });
+  const room = (edge, i) => (i % 2 === 0 ? edge.capacity - edge.flow : residual[i - 1].flow);
+
+  for (let round = 0; round < 10000; round++) {
+    // Bellman-Ford from the source over edges with room left
+    const distance = Array(nodeCount).fill(Infinity);
+    const via = Array(nodeCount).fill(-1);
+    distance[source] = 0;
+
+    for (let pass = 0; pass < nodeCount; pass++) {
+      let changed = false;
+      residual.forEach((edge, i) => {
+        if (room(edge, i) <= 1e-9 || distance[edge.from] === Infinity) return;
+        if (distance[edge.from] + edge.cost < distance[edge.to] - 1e-12) {
+          distance[edge.to] = distance[edge.from] + edge.cost;
+          via[edge.to] = i;
+          changed = true;
+        }
+      });
+      if (!changed) break;
+    }
+
+    if (distance[sink] === Infinity) break;
+
+    let push = Infinity;
+    for (let node = sink; node !== source; node = residual[via[node]].from) {
+      push = Math.min(push, room(residual[via[node]], via[node]));
+    }
+    if (push <= 1e-9) break;
+
+    for (let node = sink; node !== source; node = residual[via[node]].from) {
+      const i = via[node];
+      if (i % 2 === 0) residual[i].flow += push;
+      else residual[i - 1].flow -= push;
+    }
+  }
+
+  return edges.map((edge, i) => residual[2 * i].flow);
+}
+
+/**
+ * Proposes which account each asset class should be held in: the placement that meets
+ * the household targets and each account's total with the highest total score.
+ * Holdings that cannot be sold stay where they are.
+ * @param {Array} accounts - Normalized account objects with totalAfter
+ * @param {Array} targets - Household targets with scores
+ * @param {number} totalAfter - Household value after contributions and withdrawals
+ * @returns {Array} Per account, the target value of each asset class (aligned with targets)
+ */
+function proposePlacement(accounts, targets, totalAfter) {
+  const held = (account, target) => account.assetClasses
+    .filter(holding => holding.name === target.name)
+    .reduce((sum, holding) => sum + holding.currentValue, 0);
+  const locked = (account, target) => (account.amount >= 0
+    ? account.assetClasses
+      .filter(holding => holding.name === target.name && holding.sell === false)
+      .reduce((sum, holding) => sum + holding.currentValue, 0)
+    : 0);
+
+  const lockedCells = accounts.map(account => targets.map(target => locked(account, target)));
+
+  // What is left to place once the locked holdings are counted. When a locked holding
+  // is already above its class target, the other classes give up room in proportion
+  const classRoom = targets.map((target, t) => {
+    const lockedValue = lockedCells.reduce((sum, row) => sum + row[t], 0);
+    return Math.max(0, (target.targetPercent / 100) * totalAfter - lockedValue);
+  });
+  const accountRoom = accounts.map((account, a) => account.totalAfter - lockedCells[a].reduce((sum, value) => sum + value, 0));
+  const supply = classRoom.reduce((sum, value) => sum + value, 0);
+  const demand = accountRoom.reduce((sum, value) => sum + value, 0);
+  const scale = supply > 0 ? Math.min(1, demand / supply) : 0;
+
+  // Source -> asset class -> account -> sink; each class-account pair has a second,
+  // slightly cheaper edge for the money already held there
+  const classNode = t => 1 + t;
+  const accountNode = a => 1 + targets.length + a;
+  const sink = 1 + targets.length + accounts.length;
+  const edges = [];
+  const cellEdges = [];
+
+  targets.forEach((target, t) => {
+    edges.push({ from: 0, to: classNode(t), capacity: classRoom[t] * scale, cost: 0 });
+  });
+  accounts.forEach((account, a) => {
+    edges.push({ from: accountNode(a), to: sink, capacity: Math.max(0, accountRoom[a]), cost: 0 });
+    targets.forEach((target, t) => {
+      const score = (target.scores || {})[account.taxTreatment] || 0;
+      const stay = held(account, target) - lockedCells[a][t];
+      cellEdges.push({ a, t, index: edges.length });
+      edges.push({ from: classNode(t), to: accountNode(a), capacity: Math.max(0, stay), cost: -(score + STAY_BONUS) });
+      cellEdges.push({ a, t, index: edges.length });
+      edges.push({ from: classNode(t), to: accountNode(a), capacity: Infinity, cost: -score });
+    });
+  });
+
+  const flow = minCostFlow(sink + 1, edges);
+  const cells = lockedCells.map(row => row.slice());
+  cellEdges.forEach(({ a, t, index }) => {
+    cells[a][t] += flow[index];
+  });
+
+  return cells;
+}
+
+/**
+ * Weighted average score of a placement
+ * @param {Array} accounts - Account objects with taxTreatment
+ * @param {Array} targets - Household targets with scores
+ * @param {Array} cells - Per account, the value of each asset class
+ * @returns {number} Sum of score times value, divided by the total value
+ */
+function locationScore(accounts, targets, cells) {
+  let weighted = 0;
+  let total = 0;
+  accounts.forEach((account, a) => {
+    targets.forEach((target, t) => {
+      weighted += ((target.scores || {})[account.taxTreatment] || 0) * cells[a][t];
+      total += cells[a][t];
+    });
+  });
+  return total > 0 ? weighted / total : 0;
+}
+
+/**
+ * Rebalances one account toward its placement. rebalancePortfolio never sells an asset
+ * for being over a 0% target, so holdings the placement empties are sold out first and
+ * the proceeds are rebalanced into the rest along with the account's own contribution.
+ * @param {Object} account - Normalized account with amount, totalBefore and totalAfter
+ * @param {Array} assetClasses - The account's assets, with targets from the placement
+ * @param {Object} [rebalanceOptions] - Options for rebalancePortfolio
+ * @returns {Object} transactions and summary in the format of rebalancePortfolio
+ */
+function rebalanceAccount(account, assetClasses, rebalanceOptions) {
+  const options = { normalizeTargets: true, ...rebalanceOptions };
+  const emptied = assetClasses.filter(asset =>
+    (asset.targetPercent / 100) * account.totalAfter < 0.005 && asset.currentValue > 0 && asset.mode !== 'buyOnly'
+  );
+  if (emptied.length === 0 || account.totalAfter <= 0) {
+    return rebalancePortfolio(account.amount, assetClasses, options);
+  }
+
+  const proceeds = emptied.reduce((sum, asset) => sum + asset.currentValue, 0);
+  const kept = assetClasses.filter(asset => !emptied.includes(asset));
+  const result = rebalancePortfolio(roundToCents(account.amount + proceeds), kept, options);
+  const percentOf = (value, total) => (total > 0 ? Math.round((value / total) * 100 * 100) / 100 : 0);
+
+  const transactions = assetClasses.map(asset => {
+    if (emptied.includes(asset)) {
+      return {
+        name: asset.name,
+        amount: roundToCents(-asset.currentValue),
+        currentValue: roundToCents(asset.currentValue),
+        finalValue: 0,
+        targetPercent: 0,
+        currentPercent: percentOf(asset.currentValue, account.totalBefore),
+        finalPercent: 0
+      };
+    }
+    const transaction = result.transactions.find(t => t.name === asset.name);
+    return { ...transaction, currentPercent: percentOf(transaction.currentValue, account.totalBefore) };
+  });
+
+  return {
+    transactions,
+    summary: {
+      ...result.summary,
+      totalBefore: roundToCents(account.totalBefore),
+      contribution: roundToCents(account.amount)
+    }
+  };
+}
+
+/**
+ * Proposes where each asset class should be held across accounts with different tax
+ * treatment, and the trades inside each account that get there. The placement meets
+ * the household targets with the highest total score: each dollar of an asset class
+ * earns that class's score for the account's tax treatment (for example bonds score
+ * high in taxDeferred, international stocks in taxable for the foreign tax credit and
+ * high-growth assets in roth). Money never moves between accounts.
+ * @param {Array} accounts - Array of account objects with properties:
+ *   - name: string
+ *   - taxTreatment: string (one of TAX_TREATMENTS)
+ *   - amount: number (contribution (positive) or withdrawal (negative), default 0)
+ *   - assetClasses: Array of holdings with name, currentValue and sell, as for
+ *     rebalanceHousehold (holdings with sell: false stay put)
+ * @param {Array} targets - Array of household targets with properties:
+ *   - name: string
+ *   - targetPercent: number (0-100)
+ *   - scores: Object (tax treatment -> how well the asset class suits that kind of
+ *     account; higher is better, missing treatments score 0)
+ * @param {Object} [options] - Optional settings:
+ *   - rebalanceOptions: Object (options passed to rebalancePortfolio for every account)
+ * @returns {Object} The proposed placement, per-account trades, the household allocation,
+ *   the current and proposed location scores, and a summary
+ */
+export function optimizeAssetLocation(accounts, targets, options = {}) {
+  validateLocation(accounts, targets);
+
+  const normalizedAccounts = accounts.map(account => {
+    const assetClasses = account.assetClasses || [];
+    const amount = account.amount || 0;
+    const totalBefore = assetClasses.reduce((sum, holding) => sum + holding.currentValue, 0);
+    const totalAfter = totalBefore + amount;
+
+    if (totalAfter < 0) {
+      throw new Error(`Withdrawal amount exceeds total value of account ${account.name}`);
+    }
+
+    return { ...account, assetClasses, amount, totalBefore, totalAfter };
+  });
+
+  const totalBefore = normalizedAccounts.reduce((sum, account) => sum + account.totalBefore, 0);
+  const totalAfter = normalizedAccounts.reduce((sum, account) => sum + account.totalAfter, 0);
+  const contribution = normalizedAccounts.reduce((sum, account) => sum + account.amount, 0);
+
+  const cells = proposePlacement(normalizedAccounts, targets, totalAfter);
+  const currentCells = normalizedAccounts.map(account => targets.map(target => account.assetClasses
+    .filter(holding => holding.name === target.name)
+    .reduce((sum, holding) => sum + holding.currentValue, 0)));
+
+  const placement = normalizedAccounts.map((account, a) => ({
+    name: account.name,
+    taxTreatment: account.taxTreatment,
+    holdings: targets
+      .map((target, t) => ({
+        name: target.name,
+        currentValue: roundToCents(currentCells[a][t]),
+        targetValue: roundToCents(cells[a][t])
+      }))
+      .filter(holding => holding.currentValue > 0 || holding.targetValue > 0)
+  }));
+
+  // Each account is rebalanced toward its placement on its own. Holdings that cannot be
+  // sold are bought only, so proceeds from the rest can still reach them
+  const accountResults = normalizedAccounts.map((account, a) => {
+    const names = targets
+      .map(target => target.name)
+      .filter((name, t) => cells[a][t] >= 0.005 || account.assetClasses.some(holding => holding.name === name));
+
+    const assetClasses = names.map(name => {
+      const t = targets.findIndex(target => target.name === name);
+      const holding = account.assetClasses.find(h => h.name === name);
+      const asset = {
+        name,
+        targetPercent: account.totalAfter > 0 ? (cells[a][t] / account.totalAfter) * 100 : 100 / names.length,
+        currentValue: currentCells[a][t],
+        sell: true
+      };
+      if (holding && holding.sell === false) asset.mode = 'buyOnly';
+      return asset;
+    });
+
+    const result = rebalanceAccount(account, assetClasses, options.rebalanceOptions);
+
+    return {
+      name: account.name,
+      taxTreatment: account.taxTreatment,
+      transactions: result.transactions,
+      summary: result.summary
+    };
+  });
+
+  return {
+    placement,
+    accounts: accountResults,
+    allocation: rollUpAllocation(targets, accountResults, totalBefore, totalAfter),
+    score: {
+      current: locationScore(normalizedAccounts, targets, currentCells),
+      proposed: locationScore(normalizedAccounts, targets, cells)
+    },
+    summary: {
+      totalBefore: roundToCents(totalBefore),
+      totalAfter: roundToCents(totalAfter),
+      contribution: roundToCents(contribution)
+    }
+  };
+}
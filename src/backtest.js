@@ -0,0 +1,258 @@
+import { roundToCents } from './utils.js';
+import { parseCsv } from './csv.js';
+import { parseAmount } from './importers.js';
+import { rebalancePortfolio } from './rebalancer.js';
+import { describeTurnover } from './turnover.js';
+
+/**
+ * Rebalancing policies a backtest can follow:
+ * - contributionsOnly: contributions go to under-weighted assets, nothing is sold
+ * - calendar: a full rebalance (selling allowed) every `every` periods, contributions only in between
+ * - threshold: selling is allowed, but only assets outside their bands are rebalanced
+ * - internal: every period rebalances with the assets' own sell flags
+ */
+export const BACKTEST_POLICIES = ['contributionsOnly', 'calendar', 'threshold', 'internal'];
+
+/**
+ * Column names recognized in a series file, lower-cased
+ */
+const PRICE_COLUMNS = ['price', 'close', 'adj close', 'adjusted close', 'nav', 'value'];
+const RETURN_COLUMNS = ['return', 'returns'];
+
+/**
+ * Parses a price or return series from CSV text with a date column and either a price
+ * column (price, close, adj close, nav or value) or a return column (fractional returns)
+ * @param {string} text - CSV text, oldest row first
+ * @param {string} [name] - Series name, for error messages
+ * @returns {Array} One entry per period with date and return; a price series yields one
+ *   entry fewer than it has rows, since the first price only sets the starting point
+ */
+export function parseSeries(text, name = 'series') {
+  const records = parseCsv(text);
+  if (records.length === 0) {
+    throw new Error(`Series ${name} has no rows`);
+  }
+
+  const columns = Object.keys(records[0]);
+  const find = names => columns.find(column => names.includes(column.trim().toLowerCase()));
+  const dateColumn = find(['date']);
+  const priceColumn = find(PRICE_COLUMNS);
+  const returnColumn = find(RETURN_COLUMNS);
+
+  if (!dateColumn || (!priceColumn && !returnColumn)) {
+    throw new Error(`Series ${name} needs a date column and a price or return column`);
+  }
+
+  const read = (record, column, line) => {
+    const value = parseAmount(record[column]);
+    if (value === null) {
+      throw new Error(`Series ${name}, line ${line}: ${column} must be a number, got ${record[column]}`);
+    }
+    return value;
+  };
+
+  if (returnColumn) {
+    return records.map((record, i) => ({ date: record[dateColumn].trim(), return: read(record, returnColumn, i + 2) }));
+  }
+
+  const prices = records.map((record, i) => read(record, priceColumn, i + 2));
+  prices.forEach((price, i) => {
+    if (!(price > 0)) throw new Error(`Series ${name}, line ${i + 2}: price must be positive`);
+  });
+
+  return records.slice(1).map((record, i) => ({
+    date: record[dateColumn].trim(),
+    return: prices[i + 1] / prices[i] - 1
+  }));
+}
+
+/**
+ * Lines up the series of every asset by date
+ * @param {Array} assetClasses - Asset objects
+ * @param {Object} series - Asset name -> CSV text or an array of { date, return }
+ * @returns {Array} Periods, each with date and returns (asset name -> return)
+ */
+function alignSeries(assetClasses, series) {
+  const parsed = assetClasses.map(asset => {
+    const data = series[asset.name];
+    if (data === undefined) {
+      throw new Error(`No series for ${asset.name}`);
+    }
+    return typeof data === 'string' ? parseSeries(data, asset.name) : data;
+  });
+
+  const dates = parsed[0].map(entry => entry.date);
+  parsed.forEach((entries, index) => {
+    const same = entries.length === dates.length && entries.every((entry, i) => entry.date === dates[i]);
+    if (!same) {
+      throw new Error(`Series for ${assetClasses[index].name} does not cover the same dates as ${assetClasses[0].name}`);
+    }
+  });
+
+  if (dates.length === 0) {
+    throw new Error('The series have no periods');
+  }
+
+  return dates.map((date, i) => ({
+    date,
+    returns: Object.fromEntries(assetClasses.map((asset, index) => [asset.name, parsed[index][i].return]))
+  }));
+}
+
+/**
+ * Sample standard deviation
+ * @param {Array} values - Numbers
+ * @returns {number} The standard deviation (0 for fewer than two values)
+ */
+function standardDeviation(values) {
+  if (values.length < 2) return 0;
+  const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+  return Math.sqrt(values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / (values.length - 1));
+}
+
+/**
+ * Picks the assets and options for one period of a policy
+ * @param {string} policy - One of BACKTEST_POLICIES
+ * @param {Array} assets - Asset objects for the period
+ * @param {number} period - Period number, starting at 1
+ * @param {Object} options - Backtest options
+ * @returns {Object} assetClasses and options for rebalancePortfolio
+ */
+function policyStep(policy, assets, period, options) {
+  const rebalanceOptions = options.rebalanceOptions || {};
+  const withSell = sell => assets.map(asset => ({ ...asset, sell }));
+
+  if (policy === 'contributionsOnly') {
+    return { assetClasses: withSell(false), options: rebalanceOptions };
+  }
+
+  if (policy === 'calendar') {
+    const every = options.every || 12;
+    return { assetClasses: withSell(period % every === 0), options: rebalanceOptions };
+  }
+
+  if (policy === 'threshold') {
+    return {
+      assetClasses: withSell(true),
+      options: { ...rebalanceOptions, bands: options.bands || { absolute: 5 } }
+    };
+  }
+
+  return { assetClasses: assets, options: rebalanceOptions };
+}
+
+/**
+ * Backtests a rebalancing policy on historical returns. Each period applies the assets'
+ * returns, then trades according to the policy, with the period's contribution.
+ * @param {Array} assetClasses - Asset objects, as for rebalancePortfolio, holding the
+ *   starting values (tax lots are left out)
+ * @param {Object} series - Asset name -> CSV text (see parseSeries) or an array of
+ *   { date, return }; every series must cover the same dates
+ * @param {string} policy - One of BACKTEST_POLICIES
+ * @param {Object} [options] - Optional settings:
+ *   - contribution: number (added, or withdrawn when negative, every period; default 0)
+ *   - every: number (periods between rebalances for the calendar policy, default 12)
+ *   - bands: Object (bands for the threshold policy, default { absolute: 5 })
+ *   - periodsPerYear: number (to annualize volatility and tracking error, default 12)
+ *   - rebalanceOptions: Object (options passed to rebalancePortfolio every period)
+ * @returns {Object} The policy, each period's value and returns, and the summary statistics;
+ *   traded and turnover count only what was sold to buy other assets, as in describeTurnover
+ */
+export function runBacktest(assetClasses, series, policy, options = {}) {
+  if (!BACKTEST_POLICIES.includes(policy)) {
+    throw new Error(`Unknown backtest policy: ${policy}`);
+  }
+  if (!Array.isArray(assetClasses) || assetClasses.length === 0) {
+    throw new Error('assetClasses must be a non-empty array');
+  }
+
+  const periods = alignSeries(assetClasses, series || {});
+  const contribution = options.contribution || 0;
+  const periodsPerYear = options.periodsPerYear || 12;
+
+  let assets = assetClasses.map(({ lots, ...asset }) => ({ ...asset }));
+  const totalOf = list => list.reduce((sum, asset) => sum + asset.currentValue, 0);
+  const startValue = totalOf(assets);
+
+  let wealth = 1;
+  let peak = 1;
+  let maxDrawdown = 0;
+  let totalTraded = 0;
+  let tradeCount = 0;
+  let valueSum = 0;
+  const portfolioReturns = [];
+  const activeReturns = [];
+
+  const history = periods.map(({ date, returns }, i) => {
+    const before = totalOf(assets);
+    assets = assets.map(asset => ({
+      ...asset,
+      currentValue: roundToCents(asset.currentValue * (1 + returns[asset.name]))
+    }));
+    const grown = totalOf(assets);
+
+    // Returns are measured before the contribution so new money does not count as growth
+    const portfolioReturn = before > 0 ? grown / before - 1 : 0;
+    const targetReturn = assetClasses.reduce((sum, asset) => sum + (asset.targetPercent / 100) * returns[asset.name], 0);
+    portfolioReturns.push(portfolioReturn);
+    activeReturns.push(portfolioReturn - targetReturn);
+
+    wealth *= 1 + portfolioReturn;
+    peak = Math.max(peak, wealth);
+    maxDrawdown = Math.max(maxDrawdown, 1 - wealth / peak);
+
+    const step = policyStep(policy, assets, i + 1, options);
+    let result;
+    try {
+      result = rebalancePortfolio(contribution, step.assetClasses, step.options);
+    } catch (error) {
+      error.message = `${date}: ${error.message}`;
+      throw error;
+    }
+
+    // Only what was sold to buy other assets counts, not the contribution itself
+    const { used: traded } = describeTurnover(0, result.summary.totalBefore, result.transactions.map(t => ({
+      transaction: t.amount,
+      workingValue: t.finalValue,
+      targetPercent: t.targetPercent
+    })), result.summary.totalAfter);
+    const trades = result.transactions.filter(t => Math.abs(t.amount) >= 0.01).length;
+    totalTraded += traded;
+    tradeCount += trades;
+
+    assets = assets.map((asset, index) => ({ ...asset, currentValue: result.transactions[index].finalValue }));
+    const value = roundToCents(totalOf(assets));
+    valueSum += value;
+
+    return { date, value, portfolioReturn, targetReturn, traded: roundToCents(traded), trades };
+  });
+
+  const averageValue = valueSum / history.length;
+
+  return {
+    policy,
+    periods: history,
+    startValue: roundToCents(startValue),
+    endingValue: history[history.length - 1].value,
+    totalContributions: roundToCents(history.length * contribution),
+    volatility: standardDeviation(portfolioReturns) * Math.sqrt(periodsPerYear),
+    maxDrawdown,
+    totalTraded: roundToCents(totalTraded),
+    turnover: averageValue > 0 ? totalTraded / averageValue : 0,
+    tradeCount,
+    trackingError: standardDeviation(activeReturns) * Math.sqrt(periodsPerYear),
+    finalAssetClasses: assets
+  };
+}
+
+/**
+ * Backtests several policies on the same data
+ * @param {Array} assetClasses - Asset objects, as for runBacktest
+ * @param {Object} series - Series, as for runBacktest
+ * @param {Array} [policies] - Policies to compare (default all of BACKTEST_POLICIES)
+ * @param {Object} [options] - Options, as for runBacktest
+ * @returns {Array} One backtest result per policy
+ */
+export function compareBacktests(assetClasses, series, policies = BACKTEST_POLICIES, options = {}) {
+  return policies.map(policy => runBacktest(assetClasses, series, policy, options));
+}
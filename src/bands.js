@@ -0,0 +1,75 @@
+import { calculateDeviation } from './utils.js';
+import { ValidationError, numberCode } from './validation.js';
+
+/**
+ * Where an out-of-band asset is traded back to
+ */
+export const REBALANCE_TO = ['target', 'edge'];
+
+/**
+ * Resolves the tolerance band for an asset, letting the asset override the defaults
+ * @param {Object} asset - Asset object with an optional band
+ * @param {Object} bands - Default band settings (absolute, relative, rebalanceTo)
+ * @returns {Object} Band with absolute (percentage points) and relative (percent of target)
+ */
+export function resolveBand(asset, bands) {
+  const band = { ...bands, ...asset.band };
+  return { absolute: band.absolute, relative: band.relative };
+}
+
+/**
+ * Validates band settings
+ * @param {Object} bands - Default band settings
+ * @param {Array} assetClasses - Asset objects with optional band overrides
+ * @throws {ValidationError} With the asset's index when one of its overrides is invalid
+ */
+export function validateBands(bands, assetClasses) {
+  if (bands.rebalanceTo !== undefined && !REBALANCE_TO.includes(bands.rebalanceTo)) {
+    throw new ValidationError(`Unknown rebalanceTo: ${bands.rebalanceTo}`, { code: 'UNKNOWN_VALUE', field: 'bands' });
+  }
+
+  const overrides = assetClasses.map((asset, index) => ({ band: asset.band || {}, index, field: 'band' }));
+  for (const { band, index, field } of [{ band: bands, field: 'bands' }, ...overrides]) {
+    for (const threshold of ['absolute', 'relative']) {
+      if (band[threshold] !== undefined && !(band[threshold] >= 0)) {
+        throw new ValidationError(`Band ${threshold} threshold must be a non-negative number`, {
+          code: numberCode(band[threshold]), index, field
+        });
+      }
+    }
+  }
+}
+
+/**
+ * Calculates how far an asset may drift from target, in percentage points.
+ * When both thresholds are set, the tighter one applies.
+ * @param {number} targetPercent - Target percentage
+ * @param {Object} band - Band with absolute and/or relative thresholds
+ * @returns {number} Band half-width in percentage points
+ */
+export function bandWidth(targetPercent, band) {
+  const widths = [];
+  if (band.absolute !== undefined) widths.push(band.absolute);
+  if (band.relative !== undefined && targetPercent > 0) widths.push((band.relative / 100) * targetPercent);
+  return widths.length > 0 ? Math.min(...widths) : 0;
+}
+
+/**
+ * Checks whether an asset has drifted outside its tolerance band
+ * @param {number} actualPercent - Current percentage of portfolio
+ * @param {number} targetPercent - Target percentage
+ * @param {Object} band - Band with absolute and/or relative thresholds
+ * @returns {boolean} True if either threshold is exceeded
+ */
+export function isOutsideBand(actualPercent, targetPercent, band) {
+  if (band.absolute !== undefined && Math.abs(actualPercent - targetPercent) > band.absolute) {
+    return true;
+  }
+
+  if (band.relative !== undefined &&
+      Math.abs(calculateDeviation(actualPercent, targetPercent)) > band.relative / 100) {
+    return true;
+  }
+
+  return false;
+}
@@ -0,0 +1,155 @@
+import { roundToCents } from './utils.js';
+import { ValidationError, numberCode } from './validation.js';
+
+/**
+ * Finds the cash asset, if any
+ * @param {Array} assetClasses - Asset objects
+ * @returns {Object|undefined} The asset marked with cash: true
+ */
+export function findCashAsset(assetClasses) {
+  return assetClasses.find(asset => asset.cash === true);
+}
+
+/**
+ * Validates the cash asset and its buffer amounts
+ * @param {Array} assetClasses - Asset objects
+ * @throws {ValidationError} With the index of the cash asset at fault
+ */
+export function validateCash(assetClasses) {
+  const cashAssets = assetClasses.filter(asset => asset.cash === true);
+  if (cashAssets.length > 1) {
+    throw new ValidationError('Only one asset can be marked as cash', {
+      code: 'CONFLICTING_VALUES', index: assetClasses.indexOf(cashAssets[1]), field: 'cash'
+    });
+  }
+
+  const cash = cashAssets[0];
+  if (!cash) return;
+
+  const index = assetClasses.indexOf(cash);
+  for (const field of ['minBuffer', 'maxBuffer']) {
+    if (cash[field] !== undefined && !(cash[field] >= 0)) {
+      throw new ValidationError(`${field} for ${cash.name} must be a non-negative number`, {
+        code: numberCode(cash[field]), index, field
+      });
+    }
+  }
+
+  if (cash.minBuffer !== undefined && cash.maxBuffer !== undefined && cash.minBuffer > cash.maxBuffer) {
+    throw new ValidationError(`minBuffer for ${cash.name} cannot exceed maxBuffer`, {
+      code: 'CONFLICTING_VALUES', index, field: 'minBuffer'
+    });
+  }
+}
+
+/**
+ * Calculates the cash target: the cash asset's target value, kept within its buffer
+ * @param {Object} cash - Cash asset
+ * @param {number} totalAfter - Portfolio value after the contribution or withdrawal
+ * @returns {number} Target value for cash
+ */
+export function cashTargetValue(cash, totalAfter) {
+  const target = (cash.targetPercent / 100) * totalAfter;
+  const maxBuffer = cash.maxBuffer === undefined ? Infinity : cash.maxBuffer;
+  return Math.min(maxBuffer, Math.max(cash.minBuffer || 0, target));
+}
+
+/**
+ * Adjusts target percentages for the cash buffer. When the buffer pushes cash off its
+ * own target, the other assets share what is left in proportion to their targets.
+ * @param {Array} assetClasses - Asset objects, one of which may be cash
+ * @param {number} totalAfter - Portfolio value after the contribution or withdrawal
+ * @returns {Array} Asset objects with effective target percentages (unchanged without cash)
+ */
+export function applyCashTarget(assetClasses, totalAfter) {
+  const cash = findCashAsset(assetClasses);
+  if (!cash || totalAfter <= 0) return assetClasses;
+
+  const cashPercent = Math.min(100, (cashTargetValue(cash, totalAfter) / totalAfter) * 100);
+  const investedPercent = 100 - cash.targetPercent;
+  if (investedPercent <= 0) return assetClasses;
+
+  const scale = (100 - cashPercent) / investedPercent;
+  return assetClasses.map(asset => ({
+    ...asset,
+    targetPercent: asset === cash ? cashPercent : asset.targetPercent * scale
+  }));
+}
+
+/**
+ * Moves money in or out of the cash buffer before anything is bought or sold, in place:
+ * contributions top up the buffer to its minimum, withdrawals come out of cash above
+ * the minimum, and otherwise cash above the maximum is released for investing when
+ * cash may be sold. A withdrawal only ever takes from cash what it needs.
+ * The cash asset also gets minHolding and maxBuy limits so the rest of the allocation
+ * never invests the minimum buffer or fills cash past its maximum.
+ * @param {Object} cash - Working cash asset
+ * @param {number} amount - Amount to contribute (positive) or withdraw (negative)
+ * @returns {number} Amount left to allocate among the other assets
+ */
+export function fundCashBuffer(cash, amount) {
+  const minBuffer = cash.minBuffer || 0;
+  let move = 0;
+
+  if (amount > 0) {
+    move = Math.min(amount, Math.max(0, minBuffer - cash.workingValue));
+  } else if (amount < 0) {
+    move = -Math.min(-amount, Math.max(0, cash.workingValue - minBuffer));
+  }
+
+  if (amount >= 0 && cash.sell === true && cash.maxBuffer !== undefined && cash.workingValue + move > cash.maxBuffer) {
+    move = cash.maxBuffer - cash.workingValue;
+  }
+
+  move = roundToCents(move);
+  cash.workingValue = roundToCents(cash.workingValue + move);
+  cash.transaction = roundToCents(cash.transaction + move);
+
+  cash.minHolding = Math.max(cash.minHolding || 0, Math.min(minBuffer, cash.workingValue));
+  if (cash.maxBuffer !== undefined) {
+    const room = Math.max(0, cash.maxBuffer - cash.currentValue);
+    cash.maxBuy = cash.maxBuy === undefined ? room : Math.min(cash.maxBuy, room);
+  }
+
+  return roundToCents(amount - move);
+}
+
+/**
+ * Calculates the smallest contribution that balances a portfolio holding a cash buffer.
+ * The cash target moves with the portfolio total (it is clamped to the buffer), so the
+ * total is found by bisection: balanced means no invested asset is above its share of
+ * what cash leaves over, and cash (up to its maximum buffer) is not above its target.
+ * @param {Array} assetClasses - Asset objects with one cash asset
+ * @returns {number} The contribution amount, rounded up to cents
+ */
+export function cashBalancingContribution(assetClasses) {
+  const cash = findCashAsset(assetClasses);
+  const invested = assetClasses.filter(asset => asset !== cash && asset.targetPercent > 0);
+  const investedPercent = invested.reduce((sum, asset) => sum + asset.targetPercent, 0);
+  const totalBefore = assetClasses.reduce((sum, asset) => sum + asset.currentValue, 0);
+
+  // Cash without a target, like any asset without one, is left out of the balance check
+  const isBalanced = total => {
+    const cashTarget = cashTargetValue(cash, total);
+    const maxBuffer = cash.maxBuffer === undefined ? Infinity : cash.maxBuffer;
+    if (cash.targetPercent > 0 && Math.min(cash.currentValue, maxBuffer) > cashTarget + 0.005) return false;
+
+    return invested.every(asset =>
+      asset.currentValue <= (asset.targetPercent / investedPercent) * (total - cashTarget) + 0.005
+    );
+  };
+
+  if (isBalanced(totalBefore)) return 0;
+
+  let low = totalBefore;
+  let high = Math.max(totalBefore, 1) * 2;
+  for (let i = 0; i < 100 && !isBalanced(high); i++) high *= 2;
+
+  for (let i = 0; i < 100 && high - low > 0.001; i++) {
+    const middle = (low + high) / 2;
+    if (isBalanced(middle)) high = middle;
+    else low = middle;
+  }
+
+  return Math.ceil((high - totalBefore) * 100 - 1e-6) / 100;
+}
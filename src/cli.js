@@ -0,0 +1,442 @@
+import { readFileSync } from 'fs';
+import { rebalancePortfolio, calculateBalancingContribution } from './rebalancer.js';
+import { parseCsv } from './csv.js';
+import { compareBacktests, BACKTEST_POLICIES } from './backtest.js';
+import { minorUnitDecimals } from './money.js';
+
+/**
+ * Usage text printed by --help and after usage errors
+ */
+export const USAGE = `Usage: rebalance <holdings.csv|holdings.json> [options]
+
+Options:
+  --amount <n>            Contribute (positive) or withdraw (negative) this amount (default 0)
+  --balance               Print the contribution needed to balance the portfolio
+  --json                  Print the result as JSON
+  --explain               Print every step of the allocation after the result
+  --solver <name>         greedy (default) or exact
+  --objective <name>      minimaxRelative (default) or sumSquares
+  --lot-method <name>     FIFO (default), HIFO or LOSS_FIRST
+  --min-trade-size <n>    Drop trades smaller than this amount
+  --band-absolute <n>     Only rebalance assets more than n percentage points off target
+  --band-relative <n>     Only rebalance assets more than n percent of their target off target
+  --rebalance-to <name>   target (default) or edge
+  --withdrawal-strategy <name>
+                          auto (default), perfectBalance, sellableFirst, overweightedOnly,
+                          proportional, proRata, largestOverweightFirst, taxEfficient or priority
+  --withdrawal-priority <names>
+                          Comma-separated asset names, sold in this order by the priority strategy
+  --max-turnover <n>      Sell at most n percent of the portfolio value to buy other assets
+  --max-sell <n>          Sell at most this amount to buy other assets
+  --base-currency <code>  Currency the amounts are in, when holdings set a currency column
+  --fx-rate <code=rate>   Value of one unit of a holdings currency in the base currency
+                          (repeat per currency)
+  --fx-cost <n>           Cost of converting currency, as a percent of the amount converted
+  --series <name=file>    Backtest with this asset's price or return series (repeat per asset);
+                          --amount is then contributed every period
+  --policy <name>         Backtest only this policy: contributionsOnly, calendar, threshold or
+                          internal (default: compare all of them)
+  --every <n>             Periods between rebalances for the calendar policy (default 12)
+  -h, --help              Show this help
+
+CSV files need a header row with name, targetPercent and currentValue columns.
+Optional columns: sell (default false), ticker, price, fractionalShares, minBuy, maxBuy,
+minHolding, mode, cash, minBuffer, maxBuffer, currency.
+Series files need a date column and a price (price, close, adj close, nav or value) or
+return column, oldest row first. The band options set the threshold policy's bands.`;
+
+/**
+ * Holdings columns read as numbers and booleans; anything else stays a string
+ */
+const NUMBER_COLUMNS = ['targetPercent', 'currentValue', 'price', 'minBuy', 'maxBuy', 'minHolding', 'minBuffer', 'maxBuffer'];
+const BOOLEAN_COLUMNS = ['sell', 'fractionalShares', 'cash'];
+
+/**
+ * Options that take a value, and the rebalancePortfolio option each one sets
+ */
+const VALUE_FLAGS = {
+  '--amount': 'amount',
+  '--solver': 'solver',
+  '--objective': 'objective',
+  '--lot-method': 'lotMethod',
+  '--min-trade-size': 'minTradeSize',
+  '--band-absolute': 'bandAbsolute',
+  '--band-relative': 'bandRelative',
+  '--rebalance-to': 'rebalanceTo',
+  '--withdrawal-strategy': 'withdrawalStrategy',
+  '--withdrawal-priority': 'withdrawalPriority',
+  '--max-turnover': 'maxTurnoverPercent',
+  '--max-sell': 'maxSellAmount',
+  '--base-currency': 'baseCurrency',
+  '--fx-rate': 'fxRates',
+  '--fx-cost': 'fxCostPercent',
+  '--series': 'series',
+  '--policy': 'policy',
+  '--every': 'every'
+};
+
+const NUMERIC_FLAGS = [
+  'amount',
+  'minTradeSize',
+  'bandAbsolute',
+  'bandRelative',
+  'every',
+  'maxTurnoverPercent',
+  'maxSellAmount',
+  'fxCostPercent'
+];
+
+/**
+ * Parses command-line arguments
+ * @param {Array} argv - Arguments after the command name
+ * @returns {Object} Parsed arguments: file, amount, balance, json, help, rebalance options
+ *   (with any FX rates), and the backtest series files, policy and every
+ */
+export function parseArgs(argv) {
+  const args = { file: undefined, amount: 0, balance: false, json: false, help: false, options: {}, series: {} };
+  const values = {};
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+
+    if (arg === '--json') {
+      args.json = true;
+    } else if (arg === '--balance') {
+      args.balance = true;
+    } else if (arg === '--explain') {
+      args.options.explain = true;
+    } else if (arg === '-h' || arg === '--help') {
+      args.help = true;
+    } else if (VALUE_FLAGS[arg.split('=')[0]]) {
+      const [flag, inline] = arg.split(/=(.*)/);
+      const value = inline !== undefined ? inline : argv[++i];
+      if (value === undefined) throw new Error(`${flag} needs a value`);
+      if (flag === '--series') {
+        const [name, file] = value.split(/=(.*)/);
+        if (!name || !file) throw new Error(`--series needs name=file, got ${value}`);
+        args.series[name] = file;
+      } else if (flag === '--fx-rate') {
+        const [currency, rate] = value.split(/=(.*)/);
+        const number = Number(rate);
+        if (!currency || rate === undefined || rate.trim() === '' || !Number.isFinite(number)) {
+          throw new Error(`--fx-rate needs code=rate, got ${value}`);
+        }
+        args.options.fxRates = { ...args.options.fxRates, [currency]: number };
+      } else {
+        values[VALUE_FLAGS[flag]] = value;
+      }
+    } else if (arg.startsWith('-') && !/^-\d/.test(arg)) {
+      throw new Error(`Unknown option: ${arg}`);
+    } else if (args.file === undefined) {
+      args.file = arg;
+    } else {
+      throw new Error(`Unexpected argument: ${arg}`);
+    }
+  }
+
+  for (const key of NUMERIC_FLAGS) {
+    if (values[key] === undefined) continue;
+    const number = Number(values[key]);
+    if (values[key].trim() === '' || !Number.isFinite(number)) {
+      throw new Error(`${key} must be a number, got ${values[key]}`);
+    }
+    values[key] = number;
+  }
+
+  if (values.amount !== undefined) args.amount = values.amount;
+  if (values.every !== undefined) args.every = values.every;
+  if (values.policy !== undefined) {
+    if (!BACKTEST_POLICIES.includes(values.policy)) throw new Error(`Unknown backtest policy: ${values.policy}`);
+    args.policy = values.policy;
+  }
+  const passedThrough = [
+    'solver',
+    'objective',
+    'lotMethod',
+    'minTradeSize',
+    'withdrawalStrategy',
+    'maxTurnoverPercent',
+    'maxSellAmount',
+    'baseCurrency',
+    'fxCostPercent'
+  ];
+  for (const key of passedThrough) {
+    if (values[key] !== undefined) args.options[key] = values[key];
+  }
+
+  if (values.withdrawalPriority !== undefined) {
+    args.options.withdrawalPriority = values.withdrawalPriority.split(',').map(name => name.trim());
+  }
+
+  if (values.bandAbsolute !== undefined || values.bandRelative !== undefined || values.rebalanceTo !== undefined) {
+    args.options.bands = {};
+    if (values.bandAbsolute !== undefined) args.options.bands.absolute = values.bandAbsolute;
+    if (values.bandRelative !== undefined) args.options.bands.relative = values.bandRelative;
+    if (values.rebalanceTo !== undefined) args.options.bands.rebalanceTo = values.rebalanceTo;
+  }
+
+  return args;
+}
+
+/**
+ * Converts one CSV record into an asset object
+ * @param {Object} record - CSV record keyed by column name
+ * @param {number} line - Line number in the file, for error messages
+ * @returns {Object} Asset object
+ */
+function recordToAsset(record, line) {
+  const asset = {};
+
+  for (const [key, value] of Object.entries(record)) {
+    if (value === '') continue;
+
+    if (NUMBER_COLUMNS.includes(key)) {
+      const number = Number(value.replace(/[$,]/g, ''));
+      if (!Number.isFinite(number)) {
+        throw new Error(`Line ${line}: ${key} must be a number, got ${value}`);
+      }
+      asset[key] = number;
+    } else if (BOOLEAN_COLUMNS.includes(key)) {
+      const normalized = value.toLowerCase();
+      if (['true', 'yes', 'y', '1'].includes(normalized)) asset[key] = true;
+      else if (['false', 'no', 'n', '0'].includes(normalized)) asset[key] = false;
+      else throw new Error(`Line ${line}: ${key} must be true or false, got ${value}`);
+    } else {
+      asset[key] = value;
+    }
+  }
+
+  return asset;
+}
+
+/**
+ * Reads holdings from CSV or JSON text
+ * @param {string} text - File contents
+ * @param {string} file - File name; a .json extension selects JSON
+ * @returns {Array} Asset objects
+ */
+export function parseHoldings(text, file) {
+  if (/\.json$/i.test(file)) {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (error) {
+      throw new Error(`${file} is not valid JSON: ${error.message}`);
+    }
+
+    const assets = Array.isArray(data) ? data : data.assetClasses;
+    if (!Array.isArray(assets)) {
+      throw new Error(`${file} must hold an array of assets or an object with an assetClasses array`);
+    }
+    return assets;
+  }
+
+  const records = parseCsv(text);
+  for (const column of ['name', 'targetPercent', 'currentValue']) {
+    if (records.length > 0 && !(column in records[0])) {
+      throw new Error(`${file} is missing the ${column} column`);
+    }
+  }
+
+  return records.map((record, index) => {
+    const asset = recordToAsset(record, index + 2);
+    if (asset.sell === undefined) asset.sell = false;
+    return asset;
+  });
+}
+
+/**
+ * Formats a number as currency with thousands separators
+ * @param {number} value - Amount
+ * @param {number} [decimals] - Decimal places to show (default 2)
+ * @returns {string} Formatted amount, e.g. -1,234.50
+ */
+function formatMoney(value, decimals = 2) {
+  return value.toLocaleString('en-US', { minimumFractionDigits: decimals, maximumFractionDigits: decimals });
+}
+
+/**
+ * Lays out rows as a text table with right-aligned numeric columns
+ * @param {Array} header - Column titles
+ * @param {Array} rows - Rows of cell strings
+ * @returns {string} The table
+ */
+function formatTable(header, rows) {
+  const widths = header.map((title, i) => Math.max(title.length, ...rows.map(row => row[i].length)));
+  const line = cells => cells
+    .map((cell, i) => (i === 0 ? cell.padEnd(widths[i]) : cell.padStart(widths[i])))
+    .join('  ')
+    .trimEnd();
+
+  return [line(header), widths.map(width => '-'.repeat(width)).join('  '), ...rows.map(line)].join('\n');
+}
+
+/**
+ * Formats a rebalancing result as a trade table followed by the summary
+ * @param {Object} result - Result of rebalancePortfolio
+ * @returns {string} Human-readable report
+ */
+export function formatResult(result) {
+  const withShares = result.transactions.some(t => t.shares !== undefined);
+  const header = ['Asset', 'Trade', 'Current', 'Final', 'Target %', 'Current %', 'Final %'];
+  if (withShares) header.splice(2, 0, 'Shares');
+
+  const rows = result.transactions.map(t => {
+    const action = t.amount > 0 ? 'BUY ' : t.amount < 0 ? 'SELL ' : '';
+    const row = [
+      t.ticker ? `${t.name} (${t.ticker})` : t.name,
+      action + formatMoney(Math.abs(t.amount)),
+      formatMoney(t.currentValue),
+      formatMoney(t.finalValue),
+      t.targetPercent.toFixed(2),
+      t.currentPercent.toFixed(2),
+      t.finalPercent.toFixed(2)
+    ];
+    if (withShares) row.splice(2, 0, t.shares === undefined ? '' : String(t.shares));
+    return row;
+  });
+
+  const { summary } = result;
+  const lines = [
+    formatTable(header, rows),
+    '',
+    `Total before:  ${formatMoney(summary.totalBefore)}`,
+    `Contribution:  ${formatMoney(summary.contribution)}`,
+    `Total after:   ${formatMoney(summary.totalAfter)}`
+  ];
+
+  if (summary.unallocatedCash !== undefined) lines.push(`Unallocated:   ${formatMoney(summary.unallocatedCash)}`);
+  if (summary.totalFees !== undefined) lines.push(`Fees:          ${formatMoney(summary.totalFees)}`);
+  if (summary.realizedGains !== undefined) lines.push(`Realized gain: ${formatMoney(summary.realizedGains.total)}`);
+  if (result.fxTrades !== undefined) {
+    for (const trade of result.fxTrades) {
+      const base = `${formatMoney(trade.baseAmount)} ${summary.fx.baseCurrency}`;
+      const local = `${formatMoney(trade.localAmount, minorUnitDecimals(trade.currency))} ${trade.currency}`;
+      lines.push(`FX:            ${trade.side} ${local} for ${base} (cost ${formatMoney(trade.cost)})`);
+    }
+  }
+  if (summary.withdrawal !== undefined) lines.push(`Withdrawal:    ${summary.withdrawal.strategy} (${summary.withdrawal.reason})`);
+  if (summary.turnover !== undefined) {
+    const { used, budget, turnoverPercent } = summary.turnover;
+    lines.push(`Turnover:      ${formatMoney(used)} of ${formatMoney(budget)} (${turnoverPercent.toFixed(2)}% of value)`);
+  }
+  if (result.explanation !== undefined) lines.push('', 'Steps:', result.explanation.narrative);
+
+  return lines.join('\n');
+}
+
+/**
+ * Formats backtest results as a table with one row per policy
+ * @param {Array} results - Results of runBacktest
+ * @returns {string} Human-readable report
+ */
+export function formatBacktests(results) {
+  const percent = value => (value * 100).toFixed(2);
+  const header = ['Policy', 'Ending value', 'Volatility %', 'Max drawdown %', 'Turnover %', 'Trades', 'Tracking error %'];
+  const rows = results.map(result => [
+    result.policy,
+    formatMoney(result.endingValue),
+    percent(result.volatility),
+    percent(result.maxDrawdown),
+    percent(result.turnover),
+    String(result.tradeCount),
+    percent(result.trackingError)
+  ]);
+
+  const { periods, startValue, totalContributions } = results[0];
+  return [
+    `${periods.length} periods from ${periods[0].date} to ${periods[periods.length - 1].date}`,
+    `Start value:   ${formatMoney(startValue)}`,
+    `Contributions: ${formatMoney(totalContributions)}`,
+    '',
+    formatTable(header, rows)
+  ].join('\n');
+}
+
+/**
+ * Reads a file, naming it in the error when it cannot be read
+ * @param {Function} readFile - Returns the contents of a file
+ * @param {string} file - File name
+ * @returns {string} File contents
+ */
+function readInput(readFile, file) {
+  try {
+    return readFile(file);
+  } catch (error) {
+    throw new Error(`Cannot read ${file}: ${error.code || error.message}`);
+  }
+}
+
+/**
+ * Runs the command-line interface
+ * @param {Array} argv - Arguments after the command name
+ * @param {Object} [io] - Output and file access, replaceable for testing:
+ *   - stdout: function (writes a line of normal output)
+ *   - stderr: function (writes a line of error output)
+ *   - readFile: function (returns the contents of a file)
+ * @returns {number} Exit code: 0 on success, 1 for invalid input, 2 for bad usage
+ */
+export function runCli(argv, io = {}) {
+  const stdout = io.stdout || (text => process.stdout.write(text + '\n'));
+  const stderr = io.stderr || (text => process.stderr.write(text + '\n'));
+  const readFile = io.readFile || (file => readFileSync(file, 'utf8'));
+
+  let args;
+  try {
+    args = parseArgs(argv);
+  } catch (error) {
+    stderr(`Error: ${error.message}`);
+    stderr(USAGE);
+    return 2;
+  }
+
+  if (args.help) {
+    stdout(USAGE);
+    return 0;
+  }
+
+  if (args.file === undefined) {
+    stderr('Error: a holdings file is required');
+    stderr(USAGE);
+    return 2;
+  }
+
+  try {
+    const assetClasses = parseHoldings(readInput(readFile, args.file), args.file);
+
+    if (Object.keys(args.series).length > 0) {
+      const series = {};
+      for (const [name, file] of Object.entries(args.series)) {
+        series[name] = readInput(readFile, file);
+      }
+
+      // The band options belong to the threshold policy, not to every rebalance
+      const { bands, ...rebalanceOptions } = args.options;
+      const results = compareBacktests(assetClasses, series, args.policy ? [args.policy] : BACKTEST_POLICIES, {
+        contribution: args.amount,
+        every: args.every,
+        bands,
+        rebalanceOptions
+      });
+      stdout(args.json ? JSON.stringify(results, null, 2) : formatBacktests(results));
+      return 0;
+    }
+
+    if (args.balance) {
+      const contribution = calculateBalancingContribution(assetClasses);
+      stdout(args.json
+        ? JSON.stringify({ contribution }, null, 2)
+        : `Contribute ${formatMoney(contribution)} to balance the portfolio`);
+      return 0;
+    }
+
+    const result = rebalancePortfolio(args.amount, assetClasses, args.options);
+    stdout(args.json ? JSON.stringify(result, null, 2) : formatResult(result));
+    return 0;
+  } catch (error) {
+    // A validation error lists every problem; print one per line
+    const messages = error.errors ? error.errors.map(e => e.message) : [error.message];
+    messages.forEach(message => stderr(`Error: ${message}`));
+    return 1;
+  }
+}
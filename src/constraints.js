@@ -0,0 +1,213 @@
+import { roundToCents, calculateDeviation } from './utils.js';
+import { ValidationError, numberCode } from './validation.js';
+
+/**
+ * Trading modes an asset can be restricted to
+ */
+export const TRADE_MODES = ['buyOnly', 'sellOnly'];
+
+/**
+ * Per-asset constraint fields
+ */
+const CONSTRAINT_FIELDS = ['minBuy', 'maxBuy', 'minHolding'];
+
+/**
+ * Checks whether any trade constraint is configured
+ * @param {Array} assetClasses - Asset objects
+ * @param {Object} options - Rebalancing options
+ * @returns {boolean} True if a minimum trade size or per-asset constraint is set
+ */
+export function hasConstraints(assetClasses, options) {
+  return options.minTradeSize !== undefined ||
+    assetClasses.some(asset => asset.mode !== undefined ||
+      CONSTRAINT_FIELDS.some(field => asset[field] !== undefined));
+}
+
+/**
+ * Validates the minimum trade size and per-asset constraints
+ * @param {Array} assetClasses - Asset objects with optional constraints
+ * @param {Object} options - Rebalancing options
+ * @throws {ValidationError} With the asset's index and the field at fault
+ */
+export function validateConstraints(assetClasses, options) {
+  if (options.minTradeSize !== undefined && !(options.minTradeSize >= 0)) {
+    throw new ValidationError('minTradeSize must be a non-negative number', {
+      code: numberCode(options.minTradeSize), field: 'minTradeSize'
+    });
+  }
+
+  assetClasses.forEach((asset, index) => {
+    for (const field of CONSTRAINT_FIELDS) {
+      if (asset[field] !== undefined && !(asset[field] >= 0)) {
+        throw new ValidationError(`${field} for ${asset.name} must be a non-negative number`, {
+          code: numberCode(asset[field]), index, field
+        });
+      }
+    }
+
+    if (asset.minBuy !== undefined && asset.maxBuy !== undefined && asset.minBuy > asset.maxBuy) {
+      throw new ValidationError(`minBuy for ${asset.name} cannot exceed maxBuy`, {
+        code: 'CONFLICTING_VALUES', index, field: 'minBuy'
+      });
+    }
+
+    if (asset.mode !== undefined && !TRADE_MODES.includes(asset.mode)) {
+      throw new ValidationError(`Unknown mode for ${asset.name}: ${asset.mode}`, { code: 'UNKNOWN_VALUE', index, field: 'mode' });
+    }
+  });
+}
+
+/**
+ * Checks whether an asset may be sold during internal rebalancing
+ * @param {Object} asset - Working asset object
+ * @returns {boolean} True if the asset is sellable and not restricted to buying
+ */
+export function canSell(asset) {
+  return asset.sell === true && asset.mode !== 'buyOnly' && !asset.frozen;
+}
+
+/**
+ * Checks whether an asset may be bought
+ * @param {Object} asset - Working asset object
+ * @returns {boolean} True if the asset is not restricted to selling
+ */
+export function canBuy(asset) {
+  return asset.mode !== 'sellOnly' && !asset.frozen;
+}
+
+/**
+ * Calculates how much more of an asset may be bought
+ * @param {Object} asset - Working asset object
+ * @returns {number} Remaining room under maxBuy (Infinity when uncapped)
+ */
+export function buyRoom(asset) {
+  if (!canBuy(asset)) return 0;
+  if (asset.maxBuy === undefined) return Infinity;
+  return Math.max(0, asset.maxBuy - Math.max(0, asset.transaction));
+}
+
+/**
+ * Calculates how much of an asset may be sold without dropping below its minimum holding
+ * @param {Object} asset - Working asset object
+ * @returns {number} Dollar amount that may still be sold
+ */
+export function sellRoom(asset) {
+  if (!canSell(asset)) return 0;
+  return Math.max(0, asset.workingValue - (asset.minHolding || 0));
+}
+
+/**
+ * How much more of an asset a withdrawal can sell from it: down to its minimum holding
+ * when it may be sold, and all of it when the withdrawal is already selling an asset
+ * that may not be
+ * @param {Object} asset - Working asset object
+ * @returns {number} Dollar amount
+ */
+export function withdrawalRoom(asset) {
+  return canSell(asset) ? sellRoom(asset) : Math.max(0, asset.workingValue);
+}
+
+/**
+ * Finds the smallest trade that is below the minimum size for its asset
+ * @param {Array} assets - Working asset objects
+ * @param {number} minTradeSize - Global minimum trade size
+ * @returns {Object|null} The offending asset and the rule it breaks, or null
+ */
+export function findUndersizedTrade(assets, minTradeSize) {
+  let smallest = null;
+
+  for (const asset of assets) {
+    const size = Math.abs(asset.transaction);
+    if (size < 0.01) continue;
+
+    const minBuy = asset.transaction > 0 ? asset.minBuy || 0 : 0;
+    const minimum = Math.max(minTradeSize, minBuy);
+    if (size >= minimum) continue;
+
+    if (!smallest || size < Math.abs(smallest.asset.transaction)) {
+      smallest = { asset, constraint: minBuy > minTradeSize ? 'minBuy' : 'minTradeSize', limit: minimum };
+    }
+  }
+
+  return smallest;
+}
+
+/**
+ * Applies the minimum trade sizes to a withdrawal, in place. A withdrawal is not redone
+ * without the offending trade the way a contribution is, since the trade may be needed
+ * to raise the money; instead each trade below its minimum, smallest first, is undone
+ * and folded into the largest sale that stays large enough and has room to sell more.
+ * A trade that no sale can take on is kept.
+ * @param {Array} assets - Working asset objects after the withdrawal
+ * @param {number} minTradeSize - Global minimum trade size
+ * @param {Function} [sellCapacity] - How much more of an asset can be sold (default withdrawalRoom)
+ * @returns {Array} The folded trades, each with asset, constraint, limit and the asset
+ *   it was folded into
+ */
+export function foldUndersizedTrades(assets, minTradeSize, sellCapacity = withdrawalRoom) {
+  const folded = [];
+  const kept = new Set();
+
+  for (;;) {
+    const undersized = findUndersizedTrade(assets.filter(asset => !kept.has(asset)), minTradeSize);
+    if (!undersized) return folded;
+
+    const trade = undersized.asset.transaction;
+    const absorber = assets
+      .filter(other => other !== undersized.asset && other.transaction <= -0.01)
+      .filter(other => -(other.transaction + trade) >= minTradeSize && sellCapacity(other) + trade >= -0.005)
+      .sort((a, b) => a.transaction - b.transaction)[0];
+
+    if (!absorber) {
+      kept.add(undersized.asset);
+      continue;
+    }
+
+    for (const [asset, amount] of [[undersized.asset, -trade], [absorber, trade]]) {
+      asset.workingValue = roundToCents(asset.workingValue + amount);
+      asset.transaction = roundToCents(asset.transaction + amount);
+    }
+    undersized.asset.frozen = true;
+    undersized.asset.frozenBy = { constraint: undersized.constraint, limit: undersized.limit };
+    folded.push({ ...undersized, into: absorber });
+  }
+}
+
+/**
+ * Lists the constraints that kept the allocation from getting closer to target
+ * @param {Array} assets - Working asset objects after allocation
+ * @param {number} totalAfter - Portfolio value after the contribution or withdrawal
+ * @returns {Array} Binding constraints with name, constraint and limit
+ */
+export function findBindingConstraints(assets, totalAfter) {
+  const binding = [];
+
+  for (const asset of assets) {
+    if (asset.frozenBy) {
+      binding.push({ name: asset.name, constraint: asset.frozenBy.constraint, limit: asset.frozenBy.limit });
+      continue;
+    }
+
+    const currentPercent = totalAfter > 0 ? (asset.workingValue / totalAfter) * 100 : 0;
+    const deviation = calculateDeviation(currentPercent, asset.targetPercent);
+
+    if (asset.maxBuy !== undefined && asset.transaction >= asset.maxBuy - 0.01 && deviation < 0) {
+      binding.push({ name: asset.name, constraint: 'maxBuy', limit: asset.maxBuy });
+    }
+
+    if (asset.minHolding !== undefined && asset.transaction < 0 &&
+        asset.workingValue <= asset.minHolding + 0.01 && deviation > 0) {
+      binding.push({ name: asset.name, constraint: 'minHolding', limit: asset.minHolding });
+    }
+
+    if (asset.mode === 'buyOnly' && asset.sell === true && deviation > 0.0001) {
+      binding.push({ name: asset.name, constraint: 'buyOnly' });
+    }
+
+    if (asset.mode === 'sellOnly' && deviation < -0.0001) {
+      binding.push({ name: asset.name, constraint: 'sellOnly' });
+    }
+  }
+
+  return binding;
+}
@@ -0,0 +1,80 @@
+/**
+ * Splits CSV text into rows of fields. Handles quoted fields, escaped quotes ("")
+ * and commas or line breaks inside quotes.
+ * @param {string} text - CSV text
+ * @returns {Array} Rows, each an array of field strings (blank lines are skipped)
+ */
+export function parseCsvRows(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter(fields => fields.some(value => value.trim() !== ''));
+}
+
+/**
+ * Parses CSV text with a header row into records
+ * @param {string} text - CSV text
+ * @returns {Array} One object per data row, keyed by the trimmed header names
+ */
+export function parseCsv(text) {
+  const [header, ...rows] = parseCsvRows(text);
+  if (!header) return [];
+
+  const keys = header.map(key => key.trim());
+  return rows.map(fields => {
+    const record = {};
+    keys.forEach((key, i) => {
+      record[key] = fields[i] === undefined ? '' : fields[i].trim();
+    });
+    return record;
+  });
+}
+
+/**
+ * Formats rows as CSV text, quoting fields that need it
+ * @param {Array} rows - Rows, each an array of values
+ * @returns {string} CSV text ending with a newline
+ */
+export function formatCsv(rows) {
+  const quote = value => {
+    const text = value === undefined || value === null ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+
+  return rows.map(row => row.map(quote).join(',')).join('\n') + '\n';
+}
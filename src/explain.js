@@ -0,0 +1,99 @@
+import { roundToCents } from './utils.js';
+
+/**
+ * Records a step of the allocation when explain mode is on
+ * @param {Object} context - Allocation context; steps are collected in context.report.steps
+ * @param {Object} step - The step, with a phase and the details of that phase
+ */
+export function recordStep(context, step) {
+  if (context.report && context.report.steps) context.report.steps.push(step);
+}
+
+/**
+ * Lists the trades made between two snapshots of the working assets
+ * @param {Array} assets - Working asset objects
+ * @param {Array} before - Each asset's transaction at the first snapshot
+ * @returns {Array} Trades with name and amount, leaving out assets that did not move
+ */
+export function tradesSince(assets, before) {
+  return assets
+    .map((asset, i) => ({ name: asset.name, amount: roundToCents(asset.transaction - before[i]) }))
+    .filter(trade => Math.abs(trade.amount) >= 0.01);
+}
+
+/**
+ * Formats a money amount for the narrative
+ * @param {number} value - Amount
+ * @param {number} [decimals] - Decimal places of the currency (default 2)
+ * @returns {string} The absolute amount with the currency's decimals
+ */
+function money(value, decimals = 2) {
+  return Math.abs(value).toFixed(decimals);
+}
+
+/**
+ * Formats a fractional deviation as a signed percentage
+ * @param {number} deviation - Fractional deviation, as from calculateDeviation
+ * @returns {string} e.g. +12.50% or -3.20%
+ */
+function percent(deviation) {
+  const value = deviation * 100;
+  return `${value >= 0 ? '+' : '-'}${Math.abs(value).toFixed(2)}%`;
+}
+
+/**
+ * Describes a list of trades, e.g. "sell 100.00 of Stocks, buy 100.00 of Bonds"
+ * @param {Array} trades - Trades with name and amount
+ * @param {number} [decimals] - Decimal places of the currency (default 2)
+ * @returns {string} The description
+ */
+function describeTrades(trades, decimals = 2) {
+  if (trades.length === 0) return 'no trades';
+  return trades.map(trade => `${trade.amount < 0 ? 'sell' : 'buy'} ${money(trade.amount, decimals)} of ${trade.name}`).join(', ');
+}
+
+/**
+ * Describes one step in plain words
+ * @param {Object} step - A recorded step
+ * @param {number} [decimals] - Decimal places of the currency (default 2)
+ * @returns {string} One line of the narrative
+ */
+export function describeStep(step, decimals = 2) {
+  switch (step.phase) {
+    case 'cashBuffer':
+      return step.amount >= 0
+        ? `Cash buffer: move ${money(step.amount, decimals)} into ${step.asset} before anything else`
+        : `Cash buffer: take ${money(step.amount, decimals)} of excess cash from ${step.asset}`;
+    case 'internalRebalancing':
+      return `Internal rebalancing: sell ${money(step.amount, decimals)} of ${step.seller} (deviation ${percent(step.sellerDeviation)}) ` +
+        `to buy ${step.buyer} (deviation ${percent(step.buyerDeviation)})`;
+    case 'withdrawal':
+      return `Withdrawal: ${step.strategy} strategy (${step.reason}): ${describeTrades(step.trades, decimals)}`;
+    case 'contribution':
+      return `Contribution: buy ${money(step.amount, decimals)} of ${step.buyer}, the most under-weighted asset (deviation ${percent(step.deviation)})`;
+    case 'remainder':
+      return step.amount >= 0
+        ? `Leftover remainder: buy ${money(step.amount, decimals)} of ${step.asset}, the most under-weighted asset that can still be bought (deviation ${percent(step.deviation)})`
+        : `Leftover remainder: sell ${money(step.amount, decimals)} of ${step.asset}, the most over-weighted asset (deviation ${percent(step.deviation)})`;
+    case 'exactSolver':
+      return `Exact solver (${step.objective}): ${describeTrades(step.trades, decimals)}`;
+    case 'dropTrade':
+      return `Dropped the trade in ${step.asset} (${step.constraint}${step.limit === undefined ? '' : ` ${step.limit}`}) ` +
+        'and allocated again without it';
+    case 'foldTrade':
+      return `Folded the trade in ${step.asset} (${step.constraint} ${step.limit}) into the sale of ${step.into}`;
+    default:
+      return step.phase;
+  }
+}
+
+/**
+ * Turns recorded steps into a numbered, human-readable narrative
+ * @param {Array} steps - Recorded steps
+ * @param {number} [decimals] - Decimal places of the currency (default 2)
+ * @returns {string} One numbered line per step
+ */
+export function narrate(steps, decimals = 2) {
+  if (steps.length === 0) return 'No trades were needed.';
+  return steps.map((step, i) => `${i + 1}. ${describeStep(step, decimals)}`).join('\n');
+}
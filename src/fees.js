@@ -0,0 +1,155 @@
+import { roundToCents } from './utils.js';
+import { roundShares } from './shares.js';
+import { ValidationError, numberCode } from './validation.js';
+
+/**
+ * Fee schedule types
+ */
+export const FEE_TYPES = ['flat', 'percent', 'tiered'];
+
+/**
+ * Returns the fee schedules that apply to one side of a trade
+ * @param {Object} asset - Asset object with optional fees
+ * @param {string} side - 'buy' or 'sell'
+ * @returns {Array} Fee schedules
+ */
+function feeSchedules(asset, side) {
+  if (!asset.fees || asset.fees[side] === undefined) return [];
+  return Array.isArray(asset.fees[side]) ? asset.fees[side] : [asset.fees[side]];
+}
+
+/**
+ * Validates the fee model of an asset
+ * @param {Object} asset - Asset object with optional fees
+ * @param {number} [index] - Position of the asset, reported on the error
+ * @throws {ValidationError} On the fees field
+ */
+export function validateFees(asset, index) {
+  if (asset.fees === undefined) return;
+
+  const fail = (message, code) => new ValidationError(message, { code, index, field: 'fees' });
+  for (const side of ['buy', 'sell']) {
+    for (const schedule of feeSchedules(asset, side)) {
+      if (!FEE_TYPES.includes(schedule.type)) {
+        throw fail(`Unknown fee type for ${asset.name}: ${schedule.type}`, 'UNKNOWN_VALUE');
+      }
+
+      if (schedule.type === 'flat' && !(schedule.amount >= 0)) {
+        throw fail(`Flat fee for ${asset.name} must have a non-negative amount`, numberCode(schedule.amount));
+      }
+
+      if (schedule.type === 'percent' && !(schedule.rate >= 0)) {
+        throw fail(`Percent fee for ${asset.name} must have a non-negative rate`, numberCode(schedule.rate));
+      }
+
+      if (schedule.type === 'tiered' &&
+          (!Array.isArray(schedule.tiers) || schedule.tiers.length === 0 ||
+           schedule.tiers.some(tier => !(tier.rate >= 0)))) {
+        throw fail(`Tiered fee for ${asset.name} must have tiers with non-negative rates`, 'INVALID_VALUE');
+      }
+    }
+  }
+}
+
+/**
+ * Calculates the fee charged by one schedule on a trade
+ * @param {Object} schedule - Fee schedule:
+ *   - { type: 'flat', amount } charges a fixed amount per trade
+ *   - { type: 'percent', rate } charges rate percent of the trade (fees, spreads)
+ *   - { type: 'tiered', tiers: [{ upTo, rate }] } charges marginal rates per tier;
+ *     the last tier may leave out upTo
+ * @param {number} size - Trade size in dollars (positive)
+ * @returns {number} The fee
+ */
+export function calculateFee(schedule, size) {
+  if (size < 0.01) return 0;
+
+  if (schedule.type === 'flat') return schedule.amount;
+  if (schedule.type === 'percent') return (schedule.rate / 100) * size;
+
+  let fee = 0;
+  let lower = 0;
+  for (const tier of schedule.tiers) {
+    const upper = tier.upTo === undefined ? Infinity : tier.upTo;
+    if (size <= lower) break;
+    fee += (tier.rate / 100) * (Math.min(size, upper) - lower);
+    lower = upper;
+  }
+  return fee;
+}
+
+/**
+ * Calculates the total fee for a trade in an asset
+ * @param {Object} asset - Asset object with optional fees
+ * @param {number} transaction - Trade amount (positive to buy, negative to sell)
+ * @returns {number} The fee, rounded to cents
+ */
+export function tradeFee(asset, transaction) {
+  const side = transaction > 0 ? 'buy' : 'sell';
+  const size = Math.abs(transaction);
+  return roundToCents(feeSchedules(asset, side).reduce((sum, schedule) => sum + calculateFee(schedule, size), 0));
+}
+
+/**
+ * Sums the fees for every trade
+ * @param {Array} assets - Working asset objects
+ * @returns {number} Total fees, rounded to cents
+ */
+export function totalTradeFees(assets) {
+  return roundToCents(assets.reduce((sum, asset) => sum + tradeFee(asset, asset.transaction), 0));
+}
+
+/**
+ * Finds the smallest trade that would cost at least as much in fees as it moves
+ * @param {Array} assets - Working asset objects
+ * @returns {Object|null} The offending asset and its fee, or null
+ */
+export function findUneconomicTrade(assets) {
+  let smallest = null;
+
+  for (const asset of assets) {
+    const size = Math.abs(asset.transaction);
+    if (size < 0.01) continue;
+
+    const fee = tradeFee(asset, asset.transaction);
+    if (fee < size) continue;
+
+    if (!smallest || size < Math.abs(smallest.asset.transaction)) {
+      smallest = { asset, constraint: 'fee', limit: fee };
+    }
+  }
+
+  return smallest;
+}
+
+/**
+ * Scales purchases down, in place, to free up cash for fees
+ * @param {Array} assets - Working asset objects
+ * @param {number} shortfall - Cash needed
+ * @returns {number} Cash freed beyond the shortfall by whole-share rounding
+ */
+export function trimPurchases(assets, shortfall) {
+  const buys = assets.filter(asset => asset.transaction > 0);
+  const totalBuys = buys.reduce((sum, asset) => sum + asset.transaction, 0);
+  if (totalBuys <= 0) return 0;
+
+  let freed = 0;
+  for (const asset of buys) {
+    let cut = Math.min(asset.transaction, (asset.transaction / totalBuys) * shortfall);
+
+    // Whole-share assets can only give back whole shares
+    if (asset.price !== undefined && asset.fractionalShares === false) {
+      cut = Math.min(asset.transaction, Math.ceil(cut / asset.price - 1e-9) * asset.price);
+    }
+
+    cut = roundToCents(cut);
+    asset.transaction = roundToCents(asset.transaction - cut);
+    asset.workingValue = roundToCents(asset.workingValue - cut);
+    if (asset.price !== undefined) {
+      asset.shares = roundShares(asset.transaction / asset.price);
+    }
+    freed += cut;
+  }
+
+  return roundToCents(Math.max(0, freed - shortfall));
+}
@@ -0,0 +1,122 @@
+import { DEFAULT_CURRENCY_DECIMALS, minorUnitDecimals, roundMoney, scaleMoneyInputs } from './money.js';
+import { ValidationError, numberCode } from './validation.js';
+
+/**
+ * Checks whether any asset declares its own currency
+ * @param {Array} assetClasses - Asset objects
+ * @returns {boolean} True if any asset has a currency
+ */
+export function hasCurrencies(assetClasses) {
+  return Array.isArray(assetClasses) && assetClasses.some(asset => asset && asset.currency !== undefined);
+}
+
+/**
+ * Validates the base currency, the FX rates every asset currency needs and the FX cost
+ * @param {Array} assetClasses - Asset objects with optional currency
+ * @param {Object} options - Rebalancing options with baseCurrency, fxRates and fxCostPercent
+ * @throws {ValidationError} On the option at fault, or with the index of the asset whose
+ *   currency is invalid or has no rate
+ */
+export function validateFx(assetClasses, options) {
+  if (typeof options.baseCurrency !== 'string' || options.baseCurrency === '') {
+    throw new ValidationError('baseCurrency must be set when assets declare a currency', {
+      code: 'MISSING_FIELD', field: 'baseCurrency'
+    });
+  }
+
+  const rates = options.fxRates || {};
+  assetClasses.forEach((asset, index) => {
+    const currency = asset.currency;
+    if (currency === undefined || currency === options.baseCurrency) return;
+
+    if (typeof currency !== 'string' || currency === '') {
+      throw new ValidationError(`Currency for ${asset.name} must be a currency code`, { code: 'INVALID_VALUE', index, field: 'currency' });
+    }
+    if (!(typeof rates[currency] === 'number' && rates[currency] > 0)) {
+      throw new ValidationError(`No FX rate for ${currency} (used by ${asset.name})`, { code: 'MISSING_FIELD', index, field: 'fxRates' });
+    }
+  });
+
+  if (options.fxCostPercent !== undefined && !(typeof options.fxCostPercent === 'number' && options.fxCostPercent >= 0)) {
+    throw new ValidationError('fxCostPercent must be a non-negative number', {
+      code: numberCode(options.fxCostPercent), field: 'fxCostPercent'
+    });
+  }
+}
+
+/**
+ * Value of one unit of a currency in the base currency
+ * @param {string} currency - Currency code, or undefined for the base currency
+ * @param {Object} options - Rebalancing options with baseCurrency and fxRates
+ * @returns {number} The rate (1 for the base currency)
+ */
+export function fxRate(currency, options) {
+  if (currency === undefined || currency === options.baseCurrency) return 1;
+  return options.fxRates[currency];
+}
+
+/**
+ * Decimal places amounts in a currency are rounded to: options.currencyDecimals for the
+ * base currency, and the currency's own minor unit for the others
+ * @param {string} currency - Currency code, or undefined for the base currency
+ * @param {Object} options - Rebalancing options with baseCurrency and currencyDecimals
+ * @returns {number} Decimal places of the minor unit
+ */
+export function currencyDecimals(currency, options) {
+  if (currency === undefined || currency === options.baseCurrency) {
+    return options.currencyDecimals === undefined ? DEFAULT_CURRENCY_DECIMALS : options.currencyDecimals;
+  }
+  return minorUnitDecimals(currency);
+}
+
+/**
+ * Converts each asset's money (value, price, lots, limits and fees) into the base
+ * currency at today's rates. The copies no longer carry a currency.
+ * @param {Array} assetClasses - Asset objects with optional currency
+ * @param {Object} options - Rebalancing options with baseCurrency and fxRates
+ * @returns {Array} Asset objects in the base currency
+ */
+export function toBaseCurrency(assetClasses, options) {
+  return assetClasses.map(asset => {
+    const rate = fxRate(asset.currency, options);
+    const [converted] = scaleMoneyInputs([asset], {}, value => value * rate).assetClasses;
+    delete converted.currency;
+    return converted;
+  });
+}
+
+/**
+ * Works out the currency conversions a set of trades needs. Trades in the same currency
+ * are netted first, so selling one euro fund to buy another converts nothing.
+ * @param {Array} transactions - Transactions in the base currency, from rebalancePortfolio
+ * @param {Array} assetClasses - Asset objects with optional currency
+ * @param {Object} options - Rebalancing options with baseCurrency, fxRates and fxCostPercent
+ * @returns {Array} One conversion per foreign currency with a net trade: currency, side
+ *   ('BUY' when the currency is bought with the base currency), rate, baseAmount,
+ *   localAmount (in the currency's minor unit) and cost (in the base currency)
+ */
+export function fxConversions(transactions, assetClasses, options) {
+  const currencies = new Map(assetClasses.map(asset => [asset.name, asset.currency]));
+  const net = new Map();
+  for (const t of transactions) {
+    const currency = currencies.get(t.name);
+    if (currency === undefined || currency === options.baseCurrency) continue;
+    net.set(currency, (net.get(currency) || 0) + t.amount);
+  }
+
+  const decimals = currencyDecimals(undefined, options);
+  const costRate = (options.fxCostPercent || 0) / 100;
+  return [...net.entries()]
+    .filter(([, amount]) => roundMoney(amount, decimals) !== 0)
+    .map(([currency, amount]) => {
+      const rate = fxRate(currency, options);
+      return {
+        currency,
+        side: amount > 0 ? 'BUY' : 'SELL',
+        rate,
+        baseAmount: roundMoney(Math.abs(amount), decimals),
+        localAmount: roundMoney(Math.abs(amount) / rate, currencyDecimals(currency, options)),
+        cost: roundMoney(Math.abs(amount) * costRate, decimals)
+      };
+    });
+}
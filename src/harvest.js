@@ -0,0 +1,193 @@
+import { roundToCents } from './utils.js';
+import { validateLots, lotPrice, sellFromLots } from './taxLots.js';
+import { assertValidPortfolio } from './validation.js';
+import { checkWashSales } from './washSale.js';
+
+/**
+ * Tax rates used when none are given: short-term losses offset ordinary income,
+ * long-term losses offset long-term gains
+ */
+const DEFAULT_TAX_RATE = 0.24;
+const DEFAULT_LONG_TERM_TAX_RATE = 0.15;
+
+/**
+ * Validates the harvesting thresholds and tax rates
+ * @param {Object} options - Harvesting options
+ */
+function validateHarvestOptions(options) {
+  for (const field of ['minLoss', 'minLossPercent']) {
+    if (options[field] !== undefined && !(typeof options[field] === 'number' && options[field] >= 0)) {
+      throw new Error(`${field} must be a non-negative number`);
+    }
+  }
+
+  for (const field of ['taxRate', 'longTermTaxRate']) {
+    if (options[field] !== undefined && !(typeof options[field] === 'number' && options[field] >= 0 && options[field] <= 1)) {
+      throw new Error(`${field} must be between 0 and 1`);
+    }
+  }
+}
+
+/**
+ * Percent of the portfolio a value makes up, rounded like rebalancePortfolio's
+ * @param {number} value - Dollar value
+ * @param {number} total - Portfolio value
+ * @returns {number} Percentage with two decimals
+ */
+function percentOf(value, total) {
+  return total > 0 ? Math.round((value / total) * 100 * 100) / 100 : 0;
+}
+
+/**
+ * Builds the harvest-and-replace pair for one asset in the transaction format of
+ * rebalancePortfolio. The sale and the purchase are the same size, so the asset class
+ * keeps its value; its targetPercent is split between the two securities by value.
+ * @param {Object} asset - Asset object with lots
+ * @param {Object} sale - Lots sold, from sellFromLots
+ * @param {number} amount - Value of the lots sold
+ * @param {string} replacement - Symbol bought instead
+ * @param {number} total - Portfolio value
+ * @returns {Array} The sell and buy transactions
+ */
+function harvestPair(asset, sale, amount, replacement, total) {
+  const keptValue = roundToCents(asset.currentValue - amount);
+  const share = value => (asset.currentValue > 0 ? (asset.targetPercent * value) / asset.currentValue : 0);
+
+  const sell = {
+    name: asset.name,
+    amount: roundToCents(-amount),
+    currentValue: roundToCents(asset.currentValue),
+    finalValue: keptValue,
+    targetPercent: roundToCents(share(keptValue)),
+    currentPercent: percentOf(asset.currentValue, total),
+    finalPercent: percentOf(keptValue, total)
+  };
+  if (asset.ticker !== undefined) sell.ticker = asset.ticker;
+  if (asset.price !== undefined) {
+    sell.price = asset.price;
+    sell.shares = -sale.lots.reduce((sum, lot) => sum + lot.quantity, 0);
+  }
+  sell.lotsSold = sale.lots;
+  sell.realizedGains = { shortTerm: sale.shortTerm, longTerm: sale.longTerm };
+
+  const buy = {
+    name: asset.name,
+    amount: roundToCents(amount),
+    currentValue: 0,
+    finalValue: roundToCents(amount),
+    targetPercent: roundToCents(share(amount)),
+    currentPercent: 0,
+    finalPercent: percentOf(amount, total),
+    ticker: replacement
+  };
+
+  return [sell, buy];
+}
+
+/**
+ * Scans holdings with tax lots for losses worth harvesting. For each sellable asset, the
+ * lots priced below their cost are sold together and the proceeds buy a replacement
+ * security in the same asset class, so the allocation stays on its targetPercent.
+ * A replacement is taken from options.replacements in order, skipping any that would
+ * make the sale a wash sale (see checkWashSales); assets whose loss is below the
+ * thresholds are left out, and those without a usable replacement are reported as skipped.
+ * @param {Array} assetClasses - Asset objects, as for rebalancePortfolio; only those with
+ *   lots and sell: true are scanned
+ * @param {Object} [options] - Optional settings:
+ *   - minLoss: number (smallest unrealized loss worth harvesting, in dollars, default 0)
+ *   - minLossPercent: number (smallest loss as a percent of the cost of the lots, default 0)
+ *   - taxRate: number (rate saved on short-term losses, default 0.24)
+ *   - longTermTaxRate: number (rate saved on long-term losses, default 0.15)
+ *   - replacements: Object (symbol -> symbols that may be bought instead, in order of preference)
+ *   - history, groups, windowDays: wash-sale settings, as for checkWashSales
+ *   - asOf: string|Date (date of the sale, default today)
+ * @returns {Object} opportunities (largest tax saving first, each with name, symbol,
+ *   replacement, loss, lossPercent, estimatedTaxSavings and transactions and summary in
+ *   the format of rebalancePortfolio), skipped (name, symbol, loss and reason) and a
+ *   summary of the total loss and tax savings
+ */
+export function scanHarvestOpportunities(assetClasses, options = {}) {
+  assetClasses = assertValidPortfolio(assetClasses, options).assetClasses;
+  validateHarvestOptions(options);
+
+  const asOf = options.asOf || new Date();
+  const taxRate = options.taxRate === undefined ? DEFAULT_TAX_RATE : options.taxRate;
+  const longTermTaxRate = options.longTermTaxRate === undefined ? DEFAULT_LONG_TERM_TAX_RATE : options.longTermTaxRate;
+  const washSales = {
+    history: options.history,
+    groups: options.groups,
+    windowDays: options.windowDays,
+    asOf
+  };
+
+  const total = assetClasses.reduce((sum, asset) => sum + asset.currentValue, 0);
+  const opportunities = [];
+  const skipped = [];
+
+  for (const asset of assetClasses) {
+    if (!asset.lots || asset.sell !== true) continue;
+    validateLots(asset, 'LOSS_FIRST');
+
+    const price = lotPrice(asset);
+    const losing = asset.lots.filter(lot => lot.quantity * price < lot.costBasis);
+    const amount = roundToCents(losing.reduce((sum, lot) => sum + lot.quantity * price, 0));
+    const cost = losing.reduce((sum, lot) => sum + lot.costBasis, 0);
+    const loss = roundToCents(cost - amount);
+    const lossPercent = cost > 0 ? roundToCents((loss / cost) * 100) : 0;
+
+    if (!(loss > 0) || loss < (options.minLoss || 0) || lossPercent < (options.minLossPercent || 0)) continue;
+
+    const symbol = asset.ticker || asset.name;
+    const sale = sellFromLots(asset, amount, 'LOSS_FIRST', asOf);
+    const candidates = (options.replacements || {})[symbol] || [];
+
+    let found = null;
+    let reason = `No replacement is configured for ${symbol}`;
+    for (const replacement of candidates) {
+      const transactions = harvestPair(asset, sale, amount, replacement, total);
+      const conflicts = checkWashSales({ transactions }, washSales);
+      if (conflicts.length === 0) {
+        found = { replacement, transactions };
+        break;
+      }
+      reason = conflicts[0].message;
+    }
+
+    if (!found) {
+      skipped.push({ name: asset.name, symbol, loss, reason });
+      continue;
+    }
+
+    const estimatedTaxSavings = roundToCents(-sale.shortTerm * taxRate - sale.longTerm * longTermTaxRate);
+    opportunities.push({
+      name: asset.name,
+      symbol,
+      replacement: found.replacement,
+      loss,
+      lossPercent,
+      estimatedTaxSavings,
+      transactions: found.transactions,
+      summary: {
+        totalBefore: roundToCents(total),
+        totalAfter: roundToCents(total),
+        contribution: 0,
+        realizedGains: {
+          shortTerm: sale.shortTerm,
+          longTerm: sale.longTerm,
+          total: roundToCents(sale.shortTerm + sale.longTerm)
+        }
+      }
+    });
+  }
+
+  opportunities.sort((a, b) => b.estimatedTaxSavings - a.estimatedTaxSavings);
+
+  return {
+    opportunities,
+    skipped,
+    summary: {
+      totalLoss: roundToCents(opportunities.reduce((sum, o) => sum + o.loss, 0)),
+      estimatedTaxSavings: roundToCents(opportunities.reduce((sum, o) => sum + o.estimatedTaxSavings, 0))
+    }
+  };
+}
@@ -0,0 +1,261 @@
+import { roundToCents, calculateDeviation, rebalancePortfolio } from './rebalancer.js';
+import { ValidationError } from './validation.js';
+
+/**
+ * Splits the household target allocation into per-account target values.
+ *
+ * Uses iterative proportional fitting: starting from the current holdings, the
+ * matrix of account x asset class values is alternately scaled so that each
+ * account sums to its own post-trade total and each asset class sums to its
+ * household target. Holdings that cannot be sold are never asked to shrink
+ * below their current value, so other accounts pick up the slack instead.
+ * @param {Array} accounts - Normalized account objects
+ * @param {Object} classTargets - Map of asset class name to household target value
+ * @returns {Array} Per-account arrays of target values, aligned with account holdings
+ */
+function fitAccountTargets(accounts, classTargets) {
+  // Seed with current values; the placeholder lets empty positions receive money
+  const seeds = accounts.map(account =>
+    account.assetClasses.map(holding => holding.currentValue || 0.01)
+  );
+
+  const cells = fitProportionally(accounts, classTargets, seeds);
+
+  // Empty positions that only picked up dust would become pointless trades,
+  // so drop them and fit again without them
+  let pruned = false;
+  accounts.forEach((account, a) => {
+    account.assetClasses.forEach((holding, h) => {
+      if (!holding.currentValue && cells[a][h] < 1) {
+        seeds[a][h] = 0;
+        pruned = true;
+      }
+    });
+  });
+
+  return pruned ? fitProportionally(accounts, classTargets, seeds) : cells;
+}
+
+/**
+ * Runs iterative proportional fitting from the given seed matrix
+ * @param {Array} accounts - Normalized account objects
+ * @param {Object} classTargets - Map of asset class name to household target value
+ * @param {Array} seeds - Per-account arrays of starting values
+ * @returns {Array} Per-account arrays of fitted target values
+ */
+function fitProportionally(accounts, classTargets, seeds) {
+  const maxIterations = 1000;
+  const cells = seeds.map(row => row.slice());
+
+  const isLocked = (account, holding) => holding.sell !== true && account.amount >= 0;
+
+  const scaleRows = () => {
+    accounts.forEach((account, a) => {
+      const lockedSum = account.assetClasses.reduce(
+        (sum, holding, h) => sum + (isLocked(account, holding) ? cells[a][h] : 0), 0
+      );
+      const freeSum = account.assetClasses.reduce(
+        (sum, holding, h) => sum + (isLocked(account, holding) ? 0 : cells[a][h]), 0
+      );
+      const freeTotal = account.totalAfter - lockedSum;
+
+      if (freeSum > 0 && freeTotal >= 0) {
+        account.assetClasses.forEach((holding, h) => {
+          if (!isLocked(account, holding)) cells[a][h] *= freeTotal / freeSum;
+        });
+      } else {
+        // Locked holdings alone overshoot the account total (or nothing is free),
+        // so scale the whole account proportionally
+        const rowSum = lockedSum + freeSum;
+        account.assetClasses.forEach((holding, h) => {
+          cells[a][h] = rowSum > 0
+            ? (cells[a][h] / rowSum) * account.totalAfter
+            : account.totalAfter / account.assetClasses.length;
+        });
+      }
+    });
+  };
+
+  const scaleColumns = () => {
+    for (const [className, targetValue] of Object.entries(classTargets)) {
+      let columnSum = 0;
+      accounts.forEach((account, a) => {
+        account.assetClasses.forEach((holding, h) => {
+          if (holding.name === className) columnSum += cells[a][h];
+        });
+      });
+      if (columnSum <= 0) continue;
+
+      accounts.forEach((account, a) => {
+        account.assetClasses.forEach((holding, h) => {
+          if (holding.name !== className) return;
+          cells[a][h] *= targetValue / columnSum;
+          if (isLocked(account, holding)) {
+            cells[a][h] = Math.max(cells[a][h], holding.currentValue);
+          }
+        });
+      });
+    }
+  };
+
+  for (let iteration = 0; iteration < maxIterations; iteration++) {
+    scaleRows();
+    const before = cells.map(row => row.slice());
+    scaleColumns();
+
+    const maxChange = Math.max(0, ...cells.flatMap((row, a) =>
+      row.map((value, h) => Math.abs(value - before[a][h]))
+    ));
+    if (maxChange < 0.000001) break;
+  }
+
+  // Finish on a row pass so every account's targets add up to its own total
+  scaleRows();
+
+  return cells;
+}
+
+/**
+ * Rolls per-account results back up to the household level
+ * @param {Array} targets - Household targets with name and targetPercent
+ * @param {Array} accountResults - Per-account results with transactions, as from rebalancePortfolio
+ * @param {number} totalBefore - Household value before the trades
+ * @param {number} totalAfter - Household value after the trades
+ * @returns {Array} Per asset class name, targetPercent, current and final values and
+ *   percentages, and the deviation of the final allocation
+ */
+export function rollUpAllocation(targets, accountResults, totalBefore, totalAfter) {
+  return targets.map(target => {
+    let currentValue = 0;
+    let finalValue = 0;
+
+    for (const account of accountResults) {
+      for (const transaction of account.transactions) {
+        if (transaction.name === target.name) {
+          currentValue += transaction.currentValue;
+          finalValue += transaction.finalValue;
+        }
+      }
+    }
+
+    const currentPercent = totalBefore > 0 ? Math.round((currentValue / totalBefore) * 100 * 100) / 100 : 0;
+    const finalPercent = totalAfter > 0 ? Math.round((finalValue / totalAfter) * 100 * 100) / 100 : 0;
+
+    return {
+      name: target.name,
+      targetPercent: roundToCents(target.targetPercent),
+      currentValue: roundToCents(currentValue),
+      finalValue: roundToCents(finalValue),
+      currentPercent,
+      finalPercent,
+      deviation: calculateDeviation(finalPercent, target.targetPercent)
+    };
+  });
+}
+
+/**
+ * Rebalances a household made up of several accounts toward one shared allocation
+ * @param {Array} accounts - Array of account objects with properties:
+ *   - name: string
+ *   - amount: number (contribution (positive) or withdrawal (negative) for this account, default 0)
+ *   - assetClasses: Array of holdings with properties:
+ *     - name: string (must match a household target)
+ *     - currentValue: number
+ *     - sell: boolean (whether the holding can be sold, default false)
+ * @param {Array} targets - Array of household targets with properties:
+ *   - name: string
+ *   - targetPercent: number (0-100)
+ * @returns {Object} Per-account rebalancing results, household allocation and summary
+ * @throws {ValidationError} On the invalid input, with the index of the account at fault
+ */
+export function rebalanceHousehold(accounts, targets) {
+  // Validate inputs
+  if (!Array.isArray(accounts) || accounts.length === 0) {
+    throw new ValidationError('accounts must be a non-empty array', { code: 'EMPTY_PORTFOLIO', field: 'accounts' });
+  }
+
+  if (!Array.isArray(targets) || targets.length === 0) {
+    throw new ValidationError('targets must be a non-empty array', { code: 'EMPTY_PORTFOLIO', field: 'targets' });
+  }
+
+  const totalTargetPercent = targets.reduce((sum, target) => sum + target.targetPercent, 0);
+  if (Math.abs(totalTargetPercent - 100) > 0.01) {
+    throw new ValidationError('Target percentages must sum to 100%', { code: 'TARGET_SUM', field: 'targetPercent' });
+  }
+
+  const targetNames = new Set(targets.map(target => target.name));
+
+  const normalizedAccounts = accounts.map((account, index) => {
+    if (!Array.isArray(account.assetClasses) || account.assetClasses.length === 0) {
+      throw new ValidationError(`Account ${account.name} must hold a non-empty assetClasses array`, {
+        code: 'EMPTY_PORTFOLIO', index, field: 'assetClasses'
+      });
+    }
+
+    for (const holding of account.assetClasses) {
+      if (!targetNames.has(holding.name)) {
+        throw new ValidationError(`Asset class ${holding.name} in account ${account.name} has no household target`, {
+          code: 'UNKNOWN_VALUE', index, field: 'assetClasses'
+        });
+      }
+    }
+
+    const amount = account.amount || 0;
+    const totalBefore = account.assetClasses.reduce((sum, holding) => sum + holding.currentValue, 0);
+    const totalAfter = totalBefore + amount;
+
+    if (totalAfter < 0) {
+      throw new ValidationError(`Withdrawal amount exceeds total value of account ${account.name}`, {
+        code: 'WITHDRAWAL_EXCEEDS_VALUE', index, field: 'amount'
+      });
+    }
+
+    return { ...account, amount, totalBefore, totalAfter };
+  });
+
+  const totalBefore = normalizedAccounts.reduce((sum, account) => sum + account.totalBefore, 0);
+  const totalAfter = normalizedAccounts.reduce((sum, account) => sum + account.totalAfter, 0);
+  const contribution = normalizedAccounts.reduce((sum, account) => sum + account.amount, 0);
+
+  const classTargets = {};
+  for (const target of targets) {
+    classTargets[target.name] = (target.targetPercent / 100) * totalAfter;
+  }
+
+  const accountTargets = fitAccountTargets(normalizedAccounts, classTargets);
+
+  // Rebalance each account on its own so money never leaves the account it sits in
+  const accountResults = normalizedAccounts.map((account, a) => {
+    const targetValues = accountTargets[a];
+    const targetSum = targetValues.reduce((sum, value) => sum + value, 0);
+
+    const assetClasses = account.assetClasses.map((holding, h) => ({
+      name: holding.name,
+      targetPercent: targetSum > 0
+        ? (targetValues[h] / targetSum) * 100
+        : 100 / account.assetClasses.length,
+      currentValue: holding.currentValue,
+      sell: holding.sell === true
+    }));
+
+    const result = rebalancePortfolio(account.amount, assetClasses);
+
+    return {
+      name: account.name,
+      transactions: result.transactions,
+      summary: result.summary
+    };
+  });
+
+  const allocation = rollUpAllocation(targets, accountResults, totalBefore, totalAfter);
+
+  return {
+    accounts: accountResults,
+    allocation,
+    summary: {
+      totalBefore: roundToCents(totalBefore),
+      totalAfter: roundToCents(totalAfter),
+      contribution: roundToCents(contribution)
+    }
+  };
+}
@@ -0,0 +1,175 @@
+import { roundToCents } from './utils.js';
+import { parseCsvRows } from './csv.js';
+
+/**
+ * Column mapping profiles for common brokerage position exports. Each profile names
+ * the columns holding the symbol, description and market value, and how cash or
+ * sweep lines and total lines are recognized.
+ */
+export const IMPORT_PROFILES = {
+  fidelity: {
+    columns: { symbol: 'Symbol', description: 'Description', value: 'Current Value', quantity: 'Quantity', price: 'Last Price' },
+    cashSymbols: [/^(SPAXX|FDRXX|FCASH|FZFXX|CORE)\**$/i, /^Pending Activity$/i],
+    totalPattern: /^(Account )?Total/i
+  },
+  schwab: {
+    columns: { symbol: 'Symbol', description: 'Description', value: 'Market Value', quantity: 'Quantity', price: 'Price' },
+    cashSymbols: [/^Cash & Cash Investments$/i],
+    totalPattern: /^Account Total$/i
+  },
+  vanguard: {
+    columns: { symbol: 'Symbol', description: 'Investment Name', value: 'Total Value', quantity: 'Shares', price: 'Share Price' },
+    cashSymbols: [/^VMFXX$/i, /^VMMXX$/i],
+    totalPattern: /^Total/i
+  }
+};
+
+/**
+ * Parses a money or number cell from an export, e.g. "$1,234.56", "(12.00)" or "--"
+ * @param {string} text - Cell text
+ * @returns {number|null} The number, or null when the cell holds none
+ */
+export function parseAmount(text) {
+  if (text === undefined) return null;
+
+  let cleaned = text.trim().replace(/[$,\s]/g, '');
+  let sign = 1;
+  if (/^\(.*\)$/.test(cleaned)) {
+    sign = -1;
+    cleaned = cleaned.slice(1, -1);
+  }
+
+  if (cleaned === '' || !/^[-+]?\d*\.?\d+$/.test(cleaned)) return null;
+  return sign * Number(cleaned);
+}
+
+/**
+ * Resolves a profile given by name or as a custom profile object
+ * @param {string|Object} profile - Profile name or { columns, cashSymbols, totalPattern }
+ * @returns {Object} The profile
+ */
+function resolveProfile(profile) {
+  if (typeof profile === 'string') {
+    if (!IMPORT_PROFILES[profile]) {
+      throw new Error(`Unknown import profile: ${profile}`);
+    }
+    return IMPORT_PROFILES[profile];
+  }
+
+  if (!profile || !profile.columns || !profile.columns.symbol || !profile.columns.value) {
+    throw new Error('A custom import profile needs symbol and value columns');
+  }
+
+  return { cashSymbols: [], ...profile };
+}
+
+/**
+ * Reads the position rows of an export, skipping any preamble before the header row
+ * and stopping at a repeated header (the start of another section)
+ * @param {string} text - CSV export
+ * @param {Object} profile - Resolved profile
+ * @returns {Object} Column indexes by field and the data rows with their row numbers
+ *   (counted without blank lines)
+ */
+function readPositionRows(text, profile) {
+  const rows = parseCsvRows(text);
+  const headerIndex = rows.findIndex(row => {
+    const cells = row.map(cell => cell.trim());
+    return cells.includes(profile.columns.symbol) && cells.includes(profile.columns.value);
+  });
+
+  if (headerIndex === -1) {
+    throw new Error(`Could not find the ${profile.columns.symbol} and ${profile.columns.value} columns`);
+  }
+
+  const header = rows[headerIndex].map(cell => cell.trim());
+  const indexes = {};
+  for (const [field, title] of Object.entries(profile.columns)) {
+    indexes[field] = header.indexOf(title);
+  }
+
+  const data = [];
+  for (let i = headerIndex + 1; i < rows.length; i++) {
+    if (rows[i][0].trim() === header[0]) break;
+    data.push({ row: i + 1, cells: rows[i].map(cell => cell.trim()) });
+  }
+
+  return { indexes, data };
+}
+
+/**
+ * Imports a brokerage position export into the assetClasses array rebalancePortfolio expects
+ * @param {string} text - CSV export of positions
+ * @param {Object} config - Import settings:
+ *   - profile: string|Object (fidelity, schwab, vanguard, or a custom profile with columns
+ *     { symbol, value, description?, quantity?, price? }, cashSymbols (regular expressions)
+ *     and totalPattern)
+ *   - mapping: Object (ticker -> asset class name; several tickers may share a class)
+ *   - targets: Object (optional, asset class name -> targetPercent; classes without
+ *     positions are added with a currentValue of 0)
+ *   - cashClass: string (asset class for cash and sweep lines, default 'Cash')
+ *   - sell: boolean|Object (sell flag for every class, or by class name; default false)
+ * @returns {Object} assetClasses, the positions behind each class, and unmapped rows
+ */
+export function importPositions(text, config = {}) {
+  const profile = resolveProfile(config.profile);
+  const mapping = config.mapping || {};
+  const cashClass = config.cashClass || 'Cash';
+  const { indexes, data } = readPositionRows(text, profile);
+
+  const cell = (cells, field) => (indexes[field] === undefined || indexes[field] < 0 ? '' : cells[indexes[field]] || '');
+
+  const positions = [];
+  const unmapped = [];
+
+  for (const { row, cells } of data) {
+    const symbol = cell(cells, 'symbol');
+    const description = cell(cells, 'description');
+    const value = parseAmount(cell(cells, 'value'));
+
+    // Footnotes, disclaimers and total lines carry no position
+    if (symbol === '' && value === null) continue;
+    if (profile.totalPattern && profile.totalPattern.test(symbol)) continue;
+
+    if (value === null) {
+      unmapped.push({ row, symbol, description, reason: 'No market value' });
+      continue;
+    }
+
+    const isCash = profile.cashSymbols.some(pattern => pattern.test(symbol));
+    const assetClass = mapping[symbol.replace(/\*+$/, '')] || (isCash ? cashClass : undefined);
+
+    if (!assetClass) {
+      unmapped.push({ row, symbol, description, value, reason: 'No asset class for this symbol' });
+      continue;
+    }
+
+    const position = { symbol, description, value, assetClass, cash: isCash };
+    const quantity = parseAmount(cell(cells, 'quantity'));
+    const price = parseAmount(cell(cells, 'price'));
+    if (quantity !== null) position.quantity = quantity;
+    if (price !== null) position.price = price;
+    positions.push(position);
+  }
+
+  // Merge positions into asset classes, in order of first appearance (then the targets)
+  const classNames = [...new Set([
+    ...positions.map(position => position.assetClass),
+    ...Object.keys(config.targets || {})
+  ])];
+
+  const sellFlag = name => (typeof config.sell === 'object' ? config.sell[name] === true : config.sell === true);
+
+  const assetClasses = classNames.map(name => {
+    const asset = { name };
+    if (config.targets) asset.targetPercent = config.targets[name] || 0;
+
+    asset.currentValue = roundToCents(positions
+      .filter(position => position.assetClass === name)
+      .reduce((sum, position) => sum + position.value, 0));
+    asset.sell = sellFlag(name);
+    return asset;
+  });
+
+  return { assetClasses, positions, unmapped };
+}
@@ -0,0 +1,226 @@
+import { roundToCents, calculateDeviation, rebalancePortfolio } from './rebalancer.js';
+import { hasCurrencies, validateFx, toBaseCurrency } from './fx.js';
+
+/**
+ * Validates the holdings and targets and works out each holding's exposure to the
+ * target asset classes. A holding with a composition is split across the classes it
+ * names; one without is entirely in the class of the same name.
+ * @param {Array} holdings - Holding objects; see rebalanceLookThrough
+ * @param {Array} targets - Asset class targets with name and targetPercent
+ * @returns {Array} Per holding, the fraction of its value in each target, aligned with targets
+ */
+function exposureWeights(holdings, targets) {
+  if (!Array.isArray(holdings) || holdings.length === 0) {
+    throw new Error('holdings must be a non-empty array');
+  }
+
+  if (!Array.isArray(targets) || targets.length === 0) {
+    throw new Error('targets must be a non-empty array');
+  }
+
+  const totalTargetPercent = targets.reduce((sum, target) => sum + target.targetPercent, 0);
+  if (Math.abs(totalTargetPercent - 100) > 0.01) {
+    throw new Error('Target percentages must sum to 100%');
+  }
+
+  const classes = targets.map(target => target.name);
+
+  return holdings.map((holding, index) => {
+    if (holding === null || typeof holding !== 'object') {
+      throw new Error(`Holding at index ${index} must be an object`);
+    }
+
+    const name = holding.name;
+    if (holding.composition === undefined) {
+      if (!classes.includes(name)) {
+        throw new Error(`Holding ${name} has no composition and no target of the same name`);
+      }
+      return classes.map(className => (className === name ? 1 : 0));
+    }
+
+    const composition = holding.composition;
+    if (composition === null || typeof composition !== 'object' || Array.isArray(composition)) {
+      throw new Error(`Composition of ${name} must map asset classes to percentages`);
+    }
+
+    for (const [className, percent] of Object.entries(composition)) {
+      if (!classes.includes(className)) {
+        throw new Error(`Asset class ${className} in the composition of ${name} has no target`);
+      }
+      if (!(typeof percent === 'number' && percent >= 0)) {
+        throw new Error(`Composition of ${name} must give a non-negative percentage for ${className}`);
+      }
+    }
+
+    const totalPercent = Object.values(composition).reduce((sum, percent) => sum + percent, 0);
+    if (Math.abs(totalPercent - 100) > 0.01) {
+      throw new Error(`Composition of ${name} must sum to 100%`);
+    }
+
+    return classes.map(className => (composition[className] || 0) / totalPercent);
+  });
+}
+
+/**
+ * Adds up the look-through value of each asset class
+ * @param {Array} weights - Per holding, the fraction of its value in each class
+ * @param {Array} values - Value of each holding
+ * @returns {Array} Value of each class
+ */
+function classValues(weights, values) {
+  return weights[0].map((_, c) => weights.reduce((sum, row, f) => sum + row[c] * values[f], 0));
+}
+
+/**
+ * Finds the value each holding should end at so the look-through allocation comes as
+ * close to target as possible: the sum of squared differences between each class's
+ * value and its target value is minimized, with the holdings adding up to totalAfter.
+ * Holdings with sell: false are never asked to shrink (unless a withdrawal cannot be
+ * covered otherwise), and a withdrawal only buys when something can be sold to pay for it.
+ *
+ * Starting from the current values, with a contribution placed in the holding that
+ * helps most or a withdrawal taken pro rata from what may be sold, money is moved
+ * between the pair of holdings that improves the fit most, by the best amount, until
+ * no move is worth a fraction of a cent. Only moves that improve the fit are made, so
+ * holdings that already give the right exposure are left alone.
+ * @param {Array} weights - Per holding, the fraction of its value in each class
+ * @param {Array} holdings - Holding objects with currentValue (in the base currency) and sell
+ * @param {Array} classTargets - Target value of each class
+ * @param {number} amount - Contribution (positive) or withdrawal (negative)
+ * @returns {Array} Target value of each holding
+ */
+function fitHoldingTargets(weights, holdings, classTargets, amount) {
+  const maxIterations = 10000;
+  const values = holdings.map(holding => holding.currentValue);
+  const totalAfter = values.reduce((sum, value) => sum + value, 0) + amount;
+
+  const floors = holdings.map(holding => (holding.sell === true ? 0 : holding.currentValue));
+  if (floors.reduce((sum, floor) => sum + floor, 0) > totalAfter) floors.fill(0);
+  const ceilings = holdings.map(holding =>
+    (amount < 0 && !holdings.some(other => other.sell === true) ? holding.currentValue : Infinity)
+  );
+
+  const gradient = () => {
+    const gaps = classValues(weights, values).map((value, c) => value - classTargets[c]);
+    return weights.map(row => row.reduce((sum, weight, c) => sum + weight * gaps[c], 0));
+  };
+
+  if (amount >= 0) {
+    const slopes = gradient();
+    const best = slopes.indexOf(Math.min(...slopes));
+    values[best] += amount;
+  } else {
+    // A withdrawal too small to register against the total can leave no room above
+    // the floors; it is then taken from every holding
+    let room = values.map((value, f) => value - floors[f]);
+    let totalRoom = room.reduce((sum, value) => sum + value, 0);
+    if (!(totalRoom > 0)) {
+      floors.fill(0);
+      room = [...values];
+      totalRoom = room.reduce((sum, value) => sum + value, 0);
+    }
+    values.forEach((value, f) => { values[f] = value + (amount * room[f]) / totalRoom; });
+  }
+
+  for (let iteration = 0; iteration < maxIterations; iteration++) {
+    const slopes = gradient();
+    let move = null;
+
+    for (let from = 0; from < values.length; from++) {
+      const room = values[from] - floors[from];
+      if (room <= 0) continue;
+
+      for (let to = 0; to < values.length; to++) {
+        const headroom = ceilings[to] - values[to];
+        const slope = slopes[from] - slopes[to];
+        const curvature = weights[from].reduce((sum, weight, c) => sum + (weight - weights[to][c]) ** 2, 0);
+        if (slope <= 0 || curvature === 0 || headroom <= 0) continue;
+
+        const size = Math.min(room, headroom, slope / curvature);
+        const gain = size * slope - (size * size * curvature) / 2;
+        if (!move || gain > move.gain) move = { from, to, size, gain };
+      }
+    }
+
+    if (!move || move.size < 0.0001) break;
+    values[move.from] -= move.size;
+    values[move.to] += move.size;
+  }
+
+  return values;
+}
+
+/**
+ * Rebalances funds that hold several asset classes, such as target-date or balanced
+ * funds, toward asset class targets on a look-through basis: a fund that is 60% stocks
+ * and 40% bonds counts toward both. The funds themselves are traded.
+ * @param {number} amount - Amount to contribute (positive) or withdraw (negative)
+ * @param {Array} holdings - Array of holding objects with properties:
+ *   - name: string
+ *   - currentValue: number
+ *   - sell: boolean (whether the holding can be sold)
+ *   - composition: Object (optional, asset class name -> percent of the fund in that
+ *     class, summing to 100; without one the holding is entirely in the class of
+ *     the same name)
+ *   - ticker, price, lots, fees and the other asset properties of rebalancePortfolio
+ * @param {Array} targets - Array of asset class targets with properties:
+ *   - name: string
+ *   - targetPercent: number (0-100)
+ * @param {Object} [options] - Options for rebalancePortfolio, used for the fund trades
+ * @returns {Object} Fund transactions and summary in the format of rebalancePortfolio,
+ *   and the look-through allocation per asset class
+ */
+export function rebalanceLookThrough(amount, holdings, targets, options = {}) {
+  const weights = exposureWeights(holdings, targets);
+
+  // Exposures are measured in the base currency when funds are held in several
+  let baseHoldings = holdings;
+  if (hasCurrencies(holdings)) {
+    validateFx(holdings, options);
+    baseHoldings = toBaseCurrency(holdings, options);
+  }
+
+  const totalBefore = baseHoldings.reduce((sum, holding) => sum + holding.currentValue, 0);
+  const totalAfter = totalBefore + amount;
+  const classTargets = targets.map(target => (target.targetPercent / 100) * totalAfter);
+  const holdingTargets = totalAfter > 0
+    ? fitHoldingTargets(weights, baseHoldings, classTargets, amount)
+    : holdings.map(() => 0);
+
+  const assetClasses = holdings.map((holding, f) => {
+    const { composition, ...asset } = holding;
+    return {
+      ...asset,
+      targetPercent: totalAfter > 0 ? (holdingTargets[f] / totalAfter) * 100 : 100 / holdings.length
+    };
+  });
+
+  const result = rebalancePortfolio(amount, assetClasses, options);
+
+  // Report the allocation by asset class, looking through each fund
+  const finalValues = result.transactions.map(t => t.finalValue);
+  const currentByClass = classValues(weights, result.transactions.map(t => t.currentValue));
+  const finalByClass = classValues(weights, finalValues);
+  const { totalBefore: reportedBefore, totalAfter: reportedAfter } = result.summary;
+
+  const allocation = targets.map((target, c) => {
+    const currentPercent = reportedBefore > 0 ? Math.round((currentByClass[c] / reportedBefore) * 100 * 100) / 100 : 0;
+    const finalPercent = reportedAfter > 0 ? Math.round((finalByClass[c] / reportedAfter) * 100 * 100) / 100 : 0;
+
+    return {
+      name: target.name,
+      targetPercent: roundToCents(target.targetPercent),
+      currentValue: roundToCents(currentByClass[c]),
+      finalValue: roundToCents(finalByClass[c]),
+      currentPercent,
+      finalPercent,
+      deviation: calculateDeviation(finalPercent, target.targetPercent)
+    };
+  });
+
+  return {
+    transactions: result.transactions,
+    allocation,
+    summary: result.summary
+  };
+}
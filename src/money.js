@@ -0,0 +1,206 @@
+/**
+ * Decimal places of the minor unit of most currencies (cents)
+ */
+export const DEFAULT_CURRENCY_DECIMALS = 2;
+
+/**
+ * Decimal places of a currency's minor unit, from its ISO 4217 code: 0 for JPY, 3 for
+ * KWD and 2 for most others (and for codes the runtime does not know)
+ * @param {string} currency - Currency code
+ * @returns {number} Decimal places of the minor unit
+ */
+export function minorUnitDecimals(currency) {
+  try {
+    return new Intl.NumberFormat('en-US', { style: 'currency', currency }).resolvedOptions().maximumFractionDigits;
+  } catch (error) {
+    return DEFAULT_CURRENCY_DECIMALS;
+  }
+}
+
+/**
+ * Validates the number of decimal places of a currency
+ * @param {number} decimals - Decimal places of the minor unit (0 for JPY, 3 for KWD)
+ */
+export function validateCurrencyDecimals(decimals) {
+  if (!Number.isInteger(decimals) || decimals < 0 || decimals > 4) {
+    throw new Error(`currencyDecimals must be a whole number from 0 to 4, got ${decimals}`);
+  }
+}
+
+/**
+ * Converts an amount to a whole number of minor units (cents, or yen for a currency
+ * without decimals). Halves round up, as Math.round does; amounts such as 1.005 that
+ * floats store just below the half are nudged up first so they round the way they read.
+ * @param {number} value - Amount in major units
+ * @param {number} [decimals] - Decimal places of the minor unit (default 2)
+ * @returns {number} Integer number of minor units
+ */
+export function toMinorUnits(value, decimals = DEFAULT_CURRENCY_DECIMALS) {
+  const scaled = value * 10 ** decimals;
+  return Math.round(scaled + Math.abs(scaled) * Number.EPSILON * 8) || 0;
+}
+
+/**
+ * Converts a whole number of minor units back to an amount
+ * @param {number} units - Integer number of minor units
+ * @param {number} [decimals] - Decimal places of the minor unit (default 2)
+ * @returns {number} Amount in major units
+ */
+export function fromMinorUnits(units, decimals = DEFAULT_CURRENCY_DECIMALS) {
+  return units / 10 ** decimals;
+}
+
+/**
+ * Rounds an amount to the minor unit
+ * @param {number} value - Amount in major units
+ * @param {number} [decimals] - Decimal places of the minor unit (default 2)
+ * @returns {number} The rounded amount
+ */
+export function roundMoney(value, decimals = DEFAULT_CURRENCY_DECIMALS) {
+  return fromMinorUnits(toMinorUnits(value, decimals), decimals);
+}
+
+/**
+ * Adds amounts exactly: each is rounded to the minor unit and the units are summed as
+ * integers, so the total never picks up float error however many amounts there are
+ * @param {Array} values - Amounts in major units
+ * @param {number} [decimals] - Decimal places of the minor unit (default 2)
+ * @returns {number} The total
+ */
+export function sumMoney(values, decimals = DEFAULT_CURRENCY_DECIMALS) {
+  return fromMinorUnits(values.reduce((sum, value) => sum + toMinorUnits(value, decimals), 0), decimals);
+}
+
+/**
+ * Splits a total into parts rounded to the minor unit that add up to exactly the
+ * rounded total. Each part is rounded down, and the units left over go to the parts
+ * with the largest remainders (or, when the parts add up to more than the total, are
+ * taken from those with the smallest).
+ * @param {number} total - Amount to split
+ * @param {Array} parts - Exact, non-negative shares of the total
+ * @param {number} [decimals] - Decimal places of the minor unit (default 2)
+ * @returns {Array} Rounded parts, in the same order
+ */
+export function apportion(total, parts, decimals = DEFAULT_CURRENCY_DECIMALS) {
+  if (!Number.isFinite(total) || !parts.every(part => Number.isFinite(part))) {
+    throw new Error('apportion needs a finite total and finite parts');
+  }
+
+  const factor = 10 ** decimals;
+  const exact = parts.map(part => part * factor);
+  const units = exact.map(value => Math.floor(value + Math.abs(value) * Number.EPSILON * 8));
+  let leftover = toMinorUnits(total, decimals) - units.reduce((sum, unit) => sum + unit, 0);
+
+  const order = exact
+    .map((value, i) => ({ i, remainder: value - units[i] }))
+    .sort((a, b) => (leftover > 0 ? b.remainder - a.remainder : a.remainder - b.remainder));
+
+  for (let k = 0; leftover !== 0 && order.length > 0; k = (k + 1) % order.length) {
+    const { i } = order[k];
+    if (leftover > 0) {
+      units[i] += 1;
+      leftover--;
+    } else if (units[i] > 0) {
+      units[i] -= 1;
+      leftover++;
+    } else if (units.every(unit => unit <= 0)) {
+      break;
+    }
+  }
+
+  return units.map(unit => fromMinorUnits(unit, decimals));
+}
+
+/**
+ * Asset fields and rebalancing options that hold amounts of money
+ */
+const ASSET_MONEY_FIELDS = ['currentValue', 'price', 'minBuy', 'maxBuy', 'minHolding', 'minBuffer', 'maxBuffer'];
+const OPTION_MONEY_FIELDS = ['minTradeSize', 'maxSellAmount', 'maxRealizedGain'];
+
+/**
+ * Converts the listed fields of an object that are numbers, leaving the rest as they are
+ * @param {Object} object - Object to copy
+ * @param {Array} fields - Fields holding money
+ * @param {Function} scale - Converts one amount
+ * @returns {Object} A copy with the fields converted
+ */
+function scaleFields(object, fields, scale) {
+  const copy = { ...object };
+  for (const field of fields) {
+    if (typeof copy[field] === 'number') copy[field] = scale(copy[field]);
+  }
+  return copy;
+}
+
+/**
+ * Converts the money in asset objects and rebalancing options, e.g. from yen to the
+ * cent-based units the rebalancer works in
+ * @param {Array} assetClasses - Asset objects
+ * @param {Object} options - Rebalancing options
+ * @param {Function} scale - Converts one amount
+ * @returns {Object} Converted assetClasses and options
+ */
+export function scaleMoneyInputs(assetClasses, options, scale) {
+  const scaleSchedule = schedule => {
+    if (schedule.type === 'flat') return { ...schedule, amount: scale(schedule.amount) };
+    if (schedule.type === 'tiered' && Array.isArray(schedule.tiers)) {
+      return { ...schedule, tiers: schedule.tiers.map(tier => scaleFields(tier, ['upTo'], scale)) };
+    }
+    return schedule;
+  };
+  const scaleFees = fees => {
+    const copy = { ...fees };
+    for (const side of ['buy', 'sell']) {
+      if (copy[side] === undefined) continue;
+      copy[side] = Array.isArray(copy[side]) ? copy[side].map(scaleSchedule) : scaleSchedule(copy[side]);
+    }
+    return copy;
+  };
+
+  return {
+    assetClasses: assetClasses.map(asset => {
+      if (asset === null || typeof asset !== 'object') return asset;
+
+      const copy = scaleFields(asset, ASSET_MONEY_FIELDS, scale);
+      if (Array.isArray(asset.lots)) copy.lots = asset.lots.map(lot => scaleFields(lot, ['costBasis'], scale));
+      if (asset.fees && typeof asset.fees === 'object') copy.fees = scaleFees(asset.fees);
+      return copy;
+    }),
+    options: scaleFields(options, OPTION_MONEY_FIELDS, scale)
+  };
+}
+
+/**
+ * Converts the money in a rebalance result back, e.g. from cent-based units to yen
+ * @param {Object} result - Result of rebalancePortfolio
+ * @param {Function} scale - Converts one amount
+ * @returns {Object} A copy of the result with every amount converted
+ */
+export function scaleMoneyResult(result, scale) {
+  const transactions = result.transactions.map(t => {
+    const copy = scaleFields(t, ['amount', 'currentValue', 'finalValue', 'fee', 'price'], scale);
+    if (t.lotsSold) copy.lotsSold = t.lotsSold.map(lot => scaleFields(lot, ['costBasis', 'proceeds', 'gain'], scale));
+    if (t.realizedGains) copy.realizedGains = scaleFields(t.realizedGains, ['shortTerm', 'longTerm'], scale);
+    return copy;
+  });
+
+  const summary = scaleFields(result.summary, ['totalBefore', 'totalAfter', 'contribution', 'unallocatedCash', 'totalFees'], scale);
+  if (summary.cash) summary.cash = scaleFields(summary.cash, ['minBuffer', 'maxBuffer', 'targetValue', 'finalValue'], scale);
+  if (summary.turnover) summary.turnover = scaleFields(summary.turnover, ['budget', 'used', 'unused'], scale);
+  if (summary.realizedGains) summary.realizedGains = scaleFields(summary.realizedGains, ['shortTerm', 'longTerm', 'total'], scale);
+  if (summary.bindingConstraints) {
+    summary.bindingConstraints = summary.bindingConstraints.map(binding => scaleFields(binding, ['limit'], scale));
+  }
+
+  const converted = { ...result, transactions, summary };
+  if (result.explanation) {
+    const steps = result.explanation.steps.map(step => {
+      const copy = scaleFields(step, ['amount', 'limit'], scale);
+      if (step.trades) copy.trades = step.trades.map(trade => scaleFields(trade, ['amount'], scale));
+      return copy;
+    });
+    converted.explanation = { ...result.explanation, steps };
+  }
+
+  return converted;
+}
@@ -0,0 +1,137 @@
+import { roundToCents } from './utils.js';
+import { formatCsv } from './csv.js';
+
+/**
+ * Order types an order ticket can carry
+ */
+export const ORDER_TYPES = ['MARKET', 'LIMIT'];
+
+/**
+ * FIX 4.2 codes for side (tag 54) and order type (tag 40)
+ */
+const FIX_SIDES = { BUY: '1', SELL: '2' };
+const FIX_ORDER_TYPES = { MARKET: '1', LIMIT: '2' };
+
+/**
+ * Turns a rebalance result into order tickets. Sells come first so their proceeds are
+ * available for the buys; trades of zero are left out.
+ * @param {Object} result - Result of rebalancePortfolio (or one account of rebalanceHousehold)
+ * @param {Object} [options] - Optional settings:
+ *   - account: string (account the orders are placed in)
+ *   - orderType: string ('MARKET', the default, or 'LIMIT' at each asset's price)
+ *   - idPrefix: string (prefix for order ids, default 'ORD')
+ * @returns {Array} Orders with orderId, account, side, symbol, name, quantity or notional,
+ *   orderType and limitPrice
+ */
+export function buildOrders(result, options = {}) {
+  if (!result || !Array.isArray(result.transactions)) {
+    throw new Error('result must have a transactions array');
+  }
+
+  const orderType = options.orderType || 'MARKET';
+  if (!ORDER_TYPES.includes(orderType)) {
+    throw new Error(`Unknown order type: ${orderType}`);
+  }
+
+  const idPrefix = options.idPrefix || 'ORD';
+
+  const trades = result.transactions.filter(t =>
+    t.shares !== undefined ? t.shares !== 0 : Math.abs(t.amount) >= 0.01
+  );
+  const sells = trades.filter(t => t.amount < 0);
+  const buys = trades.filter(t => t.amount > 0);
+
+  return [...sells, ...buys].map((t, index) => {
+    const order = { orderId: `${idPrefix}-${index + 1}` };
+    if (options.account !== undefined) order.account = options.account;
+    order.side = t.amount < 0 ? 'SELL' : 'BUY';
+    order.symbol = t.ticker || t.name;
+    order.name = t.name;
+
+    // Orders are placed in shares when the price is known, otherwise as a dollar amount
+    if (t.shares !== undefined) {
+      order.quantity = Math.abs(t.shares);
+    } else {
+      order.notional = roundToCents(Math.abs(t.amount));
+    }
+
+    order.orderType = orderType;
+    if (orderType === 'LIMIT') {
+      if (t.price === undefined) {
+        throw new Error(`Limit order for ${t.name} needs a price`);
+      }
+      order.limitPrice = t.price;
+    }
+
+    return order;
+  });
+}
+
+/**
+ * Formats orders as CSV
+ * @param {Array} orders - Orders from buildOrders
+ * @returns {string} CSV text with a header row
+ */
+export function ordersToCsv(orders) {
+  const header = ['OrderId', 'Account', 'Side', 'Symbol', 'Quantity', 'Notional', 'OrderType', 'LimitPrice'];
+  const rows = orders.map(order => [
+    order.orderId,
+    order.account,
+    order.side,
+    order.symbol,
+    order.quantity,
+    order.notional,
+    order.orderType,
+    order.limitPrice
+  ]);
+
+  return formatCsv([header, ...rows]);
+}
+
+/**
+ * Formats a date as a FIX UTC timestamp (YYYYMMDD-HH:MM:SS)
+ * @param {Date} date - The date
+ * @returns {string} The timestamp
+ */
+function fixTimestamp(date) {
+  const pad = value => String(value).padStart(2, '0');
+  return `${date.getUTCFullYear()}${pad(date.getUTCMonth() + 1)}${pad(date.getUTCDate())}-` +
+    `${pad(date.getUTCHours())}:${pad(date.getUTCMinutes())}:${pad(date.getUTCSeconds())}`;
+}
+
+/**
+ * Formats orders as FIX 4.2-style New Order - Single messages (35=D), one per line
+ * @param {Array} orders - Orders from buildOrders
+ * @param {Object} [options] - Optional settings:
+ *   - delimiter: string (field separator, default the FIX SOH character '\x01'; '|' is easier to read)
+ *   - transactTime: Date|string (TransactTime, tag 60, default now)
+ * @returns {string} One message per order, separated by newlines
+ */
+export function ordersToFix(orders, options = {}) {
+  const delimiter = options.delimiter === undefined ? '\x01' : options.delimiter;
+  const transactTime = fixTimestamp(new Date(options.transactTime || Date.now()));
+
+  return orders.map(order => {
+    const fields = [['35', 'D'], ['11', order.orderId]];
+    if (order.account !== undefined) fields.push(['1', order.account]);
+    fields.push(['21', '1'], ['55', order.symbol], ['54', FIX_SIDES[order.side]], ['60', transactTime]);
+
+    if (order.quantity !== undefined) {
+      fields.push(['38', String(order.quantity)]);
+    } else {
+      fields.push(['152', order.notional.toFixed(2)]);
+    }
+
+    fields.push(['40', FIX_ORDER_TYPES[order.orderType]]);
+    if (order.limitPrice !== undefined) fields.push(['44', String(order.limitPrice)]);
+
+    // BodyLength (tag 9) counts the bytes after itself up to the checksum, and the
+    // checksum (tag 10) is the byte sum of everything before it, modulo 256
+    const encoder = new TextEncoder();
+    const body = fields.map(([tag, value]) => `${tag}=${value}${delimiter}`).join('');
+    const head = `8=FIX.4.2${delimiter}9=${encoder.encode(body).length}${delimiter}`;
+    const checksum = encoder.encode(head + body).reduce((sum, byte) => sum + byte, 0) % 256;
+
+    return `${head}${body}10=${String(checksum).padStart(3, '0')}${delimiter}`;
+  }).join('\n');
+}
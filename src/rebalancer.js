@@ -1,21 +1,63 @@
-/**
- * Rounds a number to 2 decimal places (cents)
- * @param {number} value - The value to round
- * @returns {number} The rounded value
- */
-export function roundToCents(value) {
-  return Math.round(value * 100) / 100;
-}
+import { roundToCents, calculateDeviation } from './utils.js';
+import {
+  DEFAULT_CURRENCY_DECIMALS,
+  validateCurrencyDecimals,
+  roundMoney,
+  sumMoney,
+  apportion,
+  scaleMoneyInputs,
+  scaleMoneyResult
+} from './money.js';
+import { applyShareRounding, validatePrice } from './shares.js';
+import { validateLots, sellFromLots, maxSellWithinGainBudget } from './taxLots.js';
+import { validateBands, resolveBand, bandWidth, isOutsideBand } from './bands.js';
+import {
+  hasConstraints,
+  validateConstraints,
+  canSell,
+  canBuy,
+  buyRoom,
+  sellRoom,
+  withdrawalRoom,
+  findUndersizedTrade,
+  foldUndersizedTrades,
+  findBindingConstraints
+} from './constraints.js';
+import { validateFees, tradeFee, totalTradeFees, findUneconomicTrade, trimPurchases } from './fees.js';
+import { validateSolver, solveExact, objectiveValue } from './solver.js';
+import { validateWithdrawalStrategy, withdraw } from './withdrawal.js';
+import { recordStep, tradesSince, narrate } from './explain.js';
+import { hasCurrencies, validateFx, fxRate, currencyDecimals, toBaseCurrency, fxConversions } from './fx.js';
+import {
+  validateTurnover,
+  turnoverBudget,
+  levelAmounts,
+  sellWithoutBuying,
+  describeTurnover
+} from './turnover.js';
+import { ValidationError, assertValidPortfolio } from './validation.js';
+import {
+  findCashAsset,
+  validateCash,
+  cashTargetValue,
+  applyCashTarget,
+  fundCashBuffer,
+  cashBalancingContribution
+} from './cash.js';
+
+export { roundToCents, calculateDeviation };
+
+// Deviations smaller than this are treated as on target during internal rebalancing
+const DEVIATION_EPSILON = 0.0001;
 
 /**
- * Calculates the fractional deviation of an asset
- * @param {number} actualPercent - Current percentage of portfolio
- * @param {number} targetPercent - Target percentage
- * @returns {number} Fractional deviation (actualPercent/targetPercent - 1)
+ * Checks the contribution or withdrawal amount
+ * @param {*} amount - Amount passed to rebalancePortfolio
+ * @returns {Array} ValidationError objects, to be thrown with the portfolio's problems
  */
-export function calculateDeviation(actualPercent, targetPercent) {
-  if (targetPercent === 0) return 0;
-  return (actualPercent / targetPercent) - 1;
+function validateAmount(amount) {
+  if (typeof amount === 'number' && Number.isFinite(amount)) return [];
+  return [new ValidationError(`amount must be a number, got ${amount}`, { code: 'INVALID_NUMBER', field: 'amount' })];
 }
 
 /**
@@ -25,18 +67,29 @@ export function calculateDeviation(actualPercent, targetPercent) {
  *   - targetPercent: number (0-100)
  *   - currentValue: number
  *   - sell: boolean (whether asset can be sold)
+ * @param {Object} [options] - Optional settings:
+ *   - normalizeTargets: boolean|number (rescale targets that are slightly off 100%; see validatePortfolio)
+ *   - currencyDecimals: number (decimal places of the currency's minor unit, default 2)
+ *   - baseCurrency, fxRates: string and Object (currency of the result and the rates used
+ *     to convert assets that declare a currency; see rebalancePortfolio)
  * @returns {number} The contribution amount needed to balance the portfolio
  */
-export function calculateBalancingContribution(assetClasses) {
-  // Validate inputs
-  if (!Array.isArray(assetClasses) || assetClasses.length === 0) {
-    throw new Error('assetClasses must be a non-empty array');
+export function calculateBalancingContribution(assetClasses, options = {}) {
+  // Validate inputs, reporting every problem at once
+  ({ assetClasses } = assertValidPortfolio(assetClasses, options));
+
+  if (hasCurrencies(assetClasses)) {
+    validateFx(assetClasses, options);
+    assetClasses = toBaseCurrency(assetClasses, options);
   }
 
-  // Validate target percentages sum to 100%
-  const totalTargetPercent = assetClasses.reduce((sum, asset) => sum + asset.targetPercent, 0);
-  if (Math.abs(totalTargetPercent - 100) > 0.01) {
-    throw new Error('Target percentages must sum to 100%');
+  const decimals = options.currencyDecimals === undefined ? DEFAULT_CURRENCY_DECIMALS : options.currencyDecimals;
+  validateCurrencyDecimals(decimals);
+
+  // A cash buffer moves the cash target with the portfolio total
+  validateCash(assetClasses);
+  if (findCashAsset(assetClasses)) {
+    return roundMoney(cashBalancingContribution(assetClasses), decimals);
   }
 
   // Calculate current total value
@@ -61,42 +114,34 @@ export function calculateBalancingContribution(assetClasses) {
     }
   }
 
-  return roundToCents(minContribution);
+  return roundMoney(minContribution, decimals);
 }
 
 /**
- * Rebalances a portfolio based on a contribution or withdrawal
- * @param {number} amount - Amount to contribute (positive) or withdraw (negative)
- * @param {Array} assetClasses - Array of asset objects with properties:
- *   - name: string
- *   - targetPercent: number (0-100)
- *   - currentValue: number
- *   - sell: boolean (whether asset can be sold)
- * @returns {Object} Rebalancing results with transactions and summary
+ * Creates the working copy of each asset used while allocating trades
+ * @param {Array} assetClasses - Validated asset objects
+ * @param {number} totalAfter - Portfolio value after the contribution or withdrawal
+ * @param {Object} bands - Tolerance band settings, if any
+ * @returns {Array} Working asset objects
  */
-export function rebalancePortfolio(amount, assetClasses) {
-  // Validate inputs
-  if (!Array.isArray(assetClasses) || assetClasses.length === 0) {
-    throw new Error('assetClasses must be a non-empty array');
-  }
-
-  // Calculate current total value
-  const totalBefore = assetClasses.reduce((sum, asset) => sum + asset.currentValue, 0);
-  const totalAfter = totalBefore + amount;
-
-  if (totalAfter < 0) {
-    throw new Error('Withdrawal amount exceeds total portfolio value');
-  }
-
-  // Validate target percentages sum to 100%
-  const totalTargetPercent = assetClasses.reduce((sum, asset) => sum + asset.targetPercent, 0);
-  if (Math.abs(totalTargetPercent - 100) > 0.01) {
-    throw new Error('Target percentages must sum to 100%');
-  }
-
+function createWorkingAssets(assetClasses, totalAfter, bands) {
   // Initialize working values for each asset
   const assets = assetClasses.map(asset => ({
     name: asset.name,
+    ticker: asset.ticker,
+    price: asset.price,
+    fractionalShares: asset.fractionalShares,
+    lots: asset.lots,
+    band: asset.band,
+    minBuy: asset.minBuy,
+    maxBuy: asset.maxBuy,
+    minHolding: asset.minHolding,
+    mode: asset.mode,
+    fees: asset.fees,
+    cash: asset.cash,
+    minBuffer: asset.minBuffer,
+    maxBuffer: asset.maxBuffer,
+    taxable: asset.taxable,
     targetPercent: asset.targetPercent,
     currentValue: asset.currentValue,
     sell: asset.sell,
@@ -109,6 +154,81 @@ export function rebalancePortfolio(amount, assetClasses) {
     asset.targetValue = roundToCents((asset.targetPercent / 100) * totalAfter);
   });
 
+  // Without bands every asset may be rebalanced; with bands only drift outside the band triggers a trade
+  assets.forEach(asset => {
+    const currentPercent = totalAfter > 0 ? (asset.currentValue / totalAfter) * 100 : 0;
+    asset.outsideBand = bands
+      ? isOutsideBand(currentPercent, asset.targetPercent, resolveBand(asset, bands))
+      : true;
+  });
+
+  return assets;
+}
+
+/**
+ * Net gains realized so far by selling assets that carry tax lots
+ * @param {Array} assets - Working asset objects
+ * @param {Object} context - Shared settings with lotMethod and asOf
+ * @returns {number} The net realized gain
+ */
+function realizedGainOf(assets, { lotMethod, asOf }) {
+  return assets.reduce((sum, asset) => {
+    if (!asset.lots || asset.transaction >= 0) return sum;
+    const sale = sellFromLots(asset, -asset.transaction, lotMethod, asOf);
+    return sum + sale.shortTerm + sale.longTerm;
+  }, 0);
+}
+
+/**
+ * How much more of an asset can be sold, given its minimum holding and the cap on
+ * realized gains
+ * @param {Object} asset - Working asset object
+ * @param {Array} assets - All working asset objects, for the gains realized so far
+ * @param {Object} context - Shared settings with options, lotMethod and asOf
+ * @param {number} [room] - How much could be sold without the gain cap (default sellRoom)
+ * @returns {number} The largest additional amount that can be sold
+ */
+function sellCapacityOf(asset, assets, context, room = sellRoom(asset)) {
+  const { options, lotMethod, asOf } = context;
+  if (options.maxRealizedGain === undefined || !asset.lots) return room;
+
+  const alreadySold = Math.max(0, -asset.transaction);
+  const budget = options.maxRealizedGain - realizedGainOf(assets, context);
+  return Math.min(room, maxSellWithinGainBudget(asset, alreadySold, lotMethod, asOf, budget));
+}
+
+/**
+ * Allocates a contribution or withdrawal across the working assets, in place.
+ * Runs internal rebalancing between sellable assets first, then the withdrawal
+ * paths or the greedy contribution loop, then places any leftover remainder.
+ * @param {number} amount - Amount to contribute (positive) or withdraw (negative)
+ * @param {Array} assets - Working asset objects
+ * @param {Object} context - Shared settings: totalBefore, totalAfter, options, lotMethod, asOf, bands,
+ *   sellBudget (cap on what rebalancing sells, if any), and report (collects the withdrawal
+ *   strategy that ran and, in explain mode, each step)
+ * @returns {number} Amount that could not be allocated
+ */
+function allocate(amount, assets, context) {
+  const { totalBefore, totalAfter, options, lotMethod, asOf, bands, sellBudget } = context;
+
+  if (options.solver === 'exact') {
+    const objective = options.objective || 'minimaxRelative';
+    const before = assets.map(asset => asset.transaction);
+    const unallocated = solveExact(amount, assets, totalAfter, objective);
+    recordStep(context, { phase: 'exactSolver', objective, trades: tradesSince(assets, before) });
+    return unallocated;
+  }
+
+  // Value an asset is rebalanced back to: its target, or the near edge of its band
+  // (direction is 1 when selling down and -1 when buying up)
+  const goalValue = (asset, direction) => {
+    let goalPercent = asset.targetPercent;
+    if (bands && bands.rebalanceTo === 'edge' && asset.outsideBand) {
+      goalPercent += direction * bandWidth(asset.targetPercent, resolveBand(asset, bands));
+    }
+    return (goalPercent / 100) * totalAfter;
+  };
+
   let remainingAmount = amount;
   const isContribution = amount > 0;
   const isWithdrawal = amount < 0;
@@ -126,12 +246,93 @@ export function rebalancePortfolio(amount, assetClasses) {
   // 2. Withdrawing but all assets are sellable
   const shouldDoInternalRebalancing = hasInternalRebalancing && totalAfter > 0.01 && (amount >= 0 || allAssetsSellable);
 
+  const realizedGain = () => realizedGainOf(assets, context);
+  const sellCapacity = asset => sellCapacityOf(asset, assets, context);
+
+  // Sells an asset down by an amount, in place, and returns the amount still to withdraw
+  const sellFor = (asset, sale, remaining) => {
+    asset.workingValue = roundToCents(asset.workingValue - sale);
+    asset.transaction = roundToCents(asset.transaction - sale);
+    return roundToCents(remaining + sale);
+  };
+
+  // A withdrawal is held to the realized gain cap too: what it sold from lot-tracked
+  // assets is cut back to what the cap allows, the difference is sold from assets
+  // without lots in proportion to value, and the cap's room (losses included) covers
+  // the rest. When even that falls short the withdrawal cannot be funded.
+  const sellWithinGainBudget = (remaining, before) => {
+    const taxed = assets.filter(asset => asset.lots);
+    const untaxed = assets.filter(asset => !asset.lots);
+    const withdrawn = assets.map((asset, i) => Math.max(0, before[i] - asset.transaction));
+    const gainRoom = asset => Math.min(
+      asset.workingValue,
+      maxSellWithinGainBudget(asset, Math.max(0, -asset.transaction), lotMethod, asOf, options.maxRealizedGain - realizedGain())
+    );
+
+    taxed.forEach(asset => { remaining = sellFor(asset, -withdrawn[assets.indexOf(asset)], remaining); });
+    taxed.forEach(asset => {
+      const sale = roundToCents(Math.min(withdrawn[assets.indexOf(asset)], gainRoom(asset), -remaining));
+      remaining = sellFor(asset, Math.max(0, sale), remaining);
+    });
+
+    const untaxedValue = untaxed.reduce((sum, asset) => sum + asset.workingValue, 0);
+    if (remaining < -0.005 && untaxedValue >= 0.01) {
+      const sale = Math.min(-remaining, untaxedValue);
+      const shares = apportion(sale, untaxed.map(asset => (sale * asset.workingValue) / untaxedValue));
+      untaxed.forEach((asset, i) => { remaining = sellFor(asset, Math.min(asset.workingValue, shares[i]), remaining); });
+    }
+
+    taxed.forEach(asset => {
+      if (remaining < -0.005) remaining = sellFor(asset, roundToCents(Math.min(gainRoom(asset), -remaining)), remaining);
+    });
+
+    if (remaining < -0.005) {
+      throw new ValidationError(
+        `maxRealizedGain of ${options.maxRealizedGain} leaves ${roundToCents(-remaining)} of the withdrawal unfunded`,
+        { code: 'GAIN_BUDGET_EXCEEDED', field: 'maxRealizedGain' }
+      );
+    }
+    return remaining;
+  };
+
+  // Amount internal rebalancing sells, counted against the turnover budget
+  let internallySold = 0;
+
   if (shouldDoInternalRebalancing) {
     // Calculate target values and deviations for all assets
     assets.forEach(asset => {
       const currentPercent = (asset.workingValue / totalAfter) * 100;
       asset.deviation = calculateDeviation(currentPercent, asset.targetPercent);
     });
+
+    // A turnover budget is planned up front: it is spread so the furthest assets are
+    // brought in first and all end equally far from target, rather than spent on
+    // fixing whichever pair the loop reaches first
+    const planned = sellBudget === undefined ? null : new Map();
+    if (planned) {
+      const candidate = (asset, gap, room) => ({
+        asset,
+        gap,
+        room,
+        targetValue: (asset.targetPercent / 100) * totalAfter
+      });
+      const sellers = assets
+        .filter(a => canSell(a) && a.deviation > DEVIATION_EPSILON)
+        .map(a => candidate(a, a.workingValue - goalValue(a, 1), sellCapacity(a)))
+        .filter(item => item.gap >= 0.01);
+      const buyers = assets
+        .filter(a => a.sell === true && a.deviation < -DEVIATION_EPSILON)
+        .map(a => candidate(a, goalValue(a, -1) - a.workingValue, buyRoom(a)))
+        .filter(item => item.gap >= 0.01);
+
+      const movable = side => side.reduce((sum, item) => sum + Math.min(item.gap, item.room), 0);
+      const budgeted = Math.min(sellBudget, movable(sellers), movable(buyers));
+      for (const side of [sellers, buyers]) {
+        const amounts = levelAmounts(side, budgeted);
+        side.forEach((item, i) => planned.set(item.asset, amounts[i]));
+      }
+    }
+    const plannedRoom = asset => (planned ? planned.get(asset) || 0 : Infinity);
     
     // Iteratively rebalance: sell from over-weighted sellable assets, buy under-weighted
     let maxIterations = 1000; // Prevent infinite loops
@@ -147,41 +348,54 @@ export function rebalancePortfolio(amount, assetClasses) {
       });
       
       // Find most over-weighted sellable asset (deviation > 0, sell=true, value > 0)
+      // that is still above its goal and can be sold without going over the realized gain cap
       const overWeighted = assets
-        .filter(a => a.sell === true && a.workingValue > 0.01 && a.deviation > 0.0001)
+        .filter(a => canSell(a) && a.workingValue > 0.01 && a.deviation > DEVIATION_EPSILON)
+        .filter(a => a.workingValue - goalValue(a, 1) >= 0.01)
+        .filter(a => sellCapacity(a) >= 0.01 && plannedRoom(a) >= 0.01)
         .sort((a, b) => b.deviation - a.deviation);
       
       // Find most under-weighted asset that is also sellable (deviation < 0, sell=true)
       // For internal rebalancing, only transfer between sellable assets
       const underWeighted = assets
-        .filter(a => a.sell === true && a.deviation < -0.0001)
+        .filter(a => a.sell === true && a.deviation < -DEVIATION_EPSILON)
+        .filter(a => goalValue(a, -1) - a.workingValue >= 0.01 && buyRoom(a) >= 0.01)
+        .filter(a => plannedRoom(a) >= 0.01)
         .sort((a, b) => a.deviation - b.deviation);
       
+      // At least one side of every transfer has to be outside its band
+      let seller = overWeighted.find(a => a.outsideBand);
+      let buyer = underWeighted[0];
+      if (!seller) {
+        seller = overWeighted[0];
+        buyer = underWeighted.find(a => a.outsideBand);
+      }
+      
       // If no valid pairs, we're done with internal rebalancing
-      if (overWeighted.length === 0 || underWeighted.length === 0) {
+      if (!seller || !buyer) {
         break;
       }
       
-      const seller = overWeighted[0];
-      const buyer = underWeighted[0];
-      
       // Calculate how much we can/should transfer
       // We want to move funds until either:
-      // 1. Seller reaches target (deviation = 0)
-      // 2. Buyer reaches target (deviation = 0)
+      // 1. Seller reaches its goal (target or band edge)
+      // 2. Buyer reaches its goal (target or band edge)
       // 3. Seller reaches 0 value
       
-      const sellerTarget = (seller.targetPercent / 100) * totalAfter;
-      const buyerTarget = (buyer.targetPercent / 100) * totalAfter;
-      
-      const sellerExcess = seller.workingValue - sellerTarget;
-      const buyerDeficit = buyerTarget - buyer.workingValue;
+      const sellerExcess = seller.workingValue - goalValue(seller, 1);
+      const buyerDeficit = goalValue(buyer, -1) - buyer.workingValue;
       
       // Transfer the minimum of: seller's excess, buyer's deficit, seller's total value
+      // (or what can be sold within its minimum holding and the realized gain cap),
+      // what the buyer can still take under its maximum buy, and what the turnover budget
+      // leaves for either side
       const transferAmount = Math.min(
         Math.max(0, sellerExcess),
         Math.max(0, buyerDeficit),
-        seller.workingValue
+        sellCapacity(seller),
+        buyRoom(buyer),
+        plannedRoom(seller),
+        plannedRoom(buyer)
       );
       
       if (transferAmount < 0.01) {
@@ -194,136 +408,61 @@ export function rebalancePortfolio(amount, assetClasses) {
       seller.transaction = roundToCents(seller.transaction - roundedTransfer);
       buyer.workingValue = roundToCents(buyer.workingValue + roundedTransfer);
       buyer.transaction = roundToCents(buyer.transaction + roundedTransfer);
+      internallySold = roundToCents(internallySold + roundedTransfer);
+      if (planned) {
+        planned.set(seller, roundToCents(planned.get(seller) - roundedTransfer));
+        planned.set(buyer, roundToCents(planned.get(buyer) - roundedTransfer));
+      }
+
+      recordStep(context, {
+        phase: 'internalRebalancing',
+        seller: seller.name,
+        buyer: buyer.name,
+        sellerDeviation: seller.deviation,
+        buyerDeviation: buyer.deviation,
+        amount: roundedTransfer
+      });
     }
   }
   
   // After internal rebalancing, handle any external contribution or withdrawal
   if (isWithdrawal) {
-    // Special case: withdrawing entire portfolio
-    if (Math.abs(totalAfter) < 0.01) {
-      assets.filter(a => a.workingValue > 0).forEach(asset => {
-        const adjustment = -asset.workingValue;
-        asset.workingValue = 0;
-        asset.transaction = adjustment;
+    const before = assets.map(asset => asset.transaction);
+    const values = assets.map(asset => asset.workingValue);
+    let { remaining, ...withdrawal } = withdraw(amount, assets, context);
+
+    // Strategies that buy while withdrawing are rebalancing too; when that would go over
+    // the turnover budget, the withdrawal is taken again by selling alone
+    const bought = tradesSince(assets, before).reduce((sum, trade) => sum + Math.max(0, trade.amount), 0);
+    if (sellBudget !== undefined && bought > sellBudget - internallySold + 0.005) {
+      assets.forEach((asset, i) => {
+        asset.transaction = before[i];
+        asset.workingValue = values[i];
       });
-    } else {
-      // For withdrawals, prioritize achieving perfect balance across all assets
-      // Strategy: Always try to achieve perfect balance after withdrawal first
-
-      // Calculate what perfect balance would look like after withdrawal
-      const canAchievePerfectBalance = assets.every(asset => {
-        const targetFinalValue = (asset.targetPercent / 100) * totalAfter;
-        // Can achieve if target is less than or equal to current (we're withdrawing)
-        return targetFinalValue <= asset.workingValue + 0.01; // small tolerance
-      });
-
-      if (canAchievePerfectBalance) {
-        // Withdraw in a way that achieves perfect target allocation (regardless of sell attribute)
-        const totalTargetPercent = assets.reduce((sum, a) => sum + a.targetPercent, 0);
-
-        for (const asset of assets) {
-          const targetFinalValue = (asset.targetPercent / totalTargetPercent) * totalAfter;
-          const adjustment = roundToCents(targetFinalValue - asset.workingValue);
-
-          asset.workingValue = roundToCents(asset.workingValue + adjustment);
-          asset.transaction = roundToCents(asset.transaction + adjustment);
-          remainingAmount = roundToCents(remainingAmount - adjustment);
-        }
-      } else {
-        // Cannot achieve perfect balance - use sellable asset preference logic
-        const sellableAssets = assets.filter(a => a.sell === true);
-
-        if (sellableAssets.length > 0) {
-          // We have some sellable assets, try to withdraw from them first
-          const sellableValue = sellableAssets.reduce((sum, a) => sum + a.workingValue, 0);
-
-          if (Math.abs(amount) <= sellableValue) {
-            // We can satisfy the withdrawal from sellable assets only
-            const totalSellableTargetPercent = sellableAssets.reduce((sum, a) => sum + a.targetPercent, 0);
-
-            for (const asset of sellableAssets) {
-              if (asset.workingValue > 0.01) {
-                // Calculate how much to withdraw to maintain target ratios among sellable assets
-                const sellableAfterTotal = sellableValue + amount; // amount is negative
-                const targetFinalValue = (asset.targetPercent / totalSellableTargetPercent) * sellableAfterTotal;
-                const adjustment = roundToCents(targetFinalValue - asset.workingValue);
-
-                asset.workingValue = roundToCents(asset.workingValue + adjustment);
-                asset.transaction = roundToCents(asset.transaction + adjustment);
-                remainingAmount = roundToCents(remainingAmount - adjustment);
-              }
-            }
-          } else {
-            // Need to withdraw from all assets
-            const totalTargetPercent = assets.reduce((sum, a) => sum + a.targetPercent, 0);
-
-            for (const asset of assets) {
-              if (asset.workingValue > 0.01) {
-                const targetFinalValue = (asset.targetPercent / totalTargetPercent) * totalAfter;
-                const adjustment = roundToCents(targetFinalValue - asset.workingValue);
-
-                asset.workingValue = roundToCents(asset.workingValue + adjustment);
-                asset.transaction = roundToCents(asset.transaction + adjustment);
-                remainingAmount = roundToCents(remainingAmount - adjustment);
-              }
-            }
-          }
-        } else {
-          // No sellable assets - withdraw from overweighted assets only
-          // First, identify which assets are overweighted
-          const currentPercentages = assets.map(asset => ({
-            asset,
-            currentPercent: (asset.workingValue / totalBefore) * 100
-          }));
-
-          const overweightedAssets = currentPercentages
-            .filter(ap => ap.currentPercent > ap.asset.targetPercent && ap.asset.workingValue > 0.01)
-            .map(ap => ap.asset);
-
-          if (overweightedAssets.length > 0) {
-            // Withdraw from overweighted assets to move them towards their target ratios
-            // Calculate the total target percentage for overweighted assets
-            const totalOverweightedTargetPercent = overweightedAssets.reduce((sum, a) => sum + a.targetPercent, 0);
-            const totalOverweightedValue = overweightedAssets.reduce((sum, a) => sum + a.workingValue, 0);
-
-            // Calculate the new total value after withdrawal for overweighted assets
-            const overweightedAfterTotal = totalOverweightedValue + amount; // amount is negative
-
-            for (const asset of overweightedAssets) {
-              // Calculate target final value proportional to their target percentages
-              const targetFinalValue = (asset.targetPercent / totalOverweightedTargetPercent) * overweightedAfterTotal;
-              const adjustment = roundToCents(targetFinalValue - asset.workingValue);
-
-              asset.workingValue = roundToCents(asset.workingValue + adjustment);
-              asset.transaction = roundToCents(asset.transaction + adjustment);
-              remainingAmount = roundToCents(remainingAmount - adjustment);
-            }
-          } else {
-            // No overweighted assets, withdraw from all assets proportionally to target
-            const totalTargetPercent = assets.reduce((sum, a) => sum + a.targetPercent, 0);
-
-            for (const asset of assets) {
-              if (asset.workingValue > 0.01) {
-                const targetFinalValue = (asset.targetPercent / totalTargetPercent) * totalAfter;
-                const adjustment = roundToCents(targetFinalValue - asset.workingValue);
-
-                asset.workingValue = roundToCents(asset.workingValue + adjustment);
-                asset.transaction = roundToCents(asset.transaction + adjustment);
-                remainingAmount = roundToCents(remainingAmount - adjustment);
-              }
-            }
-          }
-        }
-      }
+      remaining = sellWithoutBuying(amount, assets, totalAfter);
+      withdrawal = {
+        requested: withdrawal.requested,
+        strategy: 'sellOnly',
+        reason: 'The turnover budget leaves no room for buying during the withdrawal'
+      };
+    }
+    remainingAmount = remaining;
+    if (options.maxRealizedGain !== undefined && realizedGain() > options.maxRealizedGain + 0.005) {
+      remainingAmount = sellWithinGainBudget(remainingAmount, before);
+      withdrawal.reason = `${withdrawal.reason}; sales of lot-tracked assets were cut back to stay within maxRealizedGain`;
     }
+    if (context.report) context.report.withdrawal = withdrawal;
+    recordStep(context, { phase: 'withdrawal', ...withdrawal, trades: tradesSince(assets, before) });
   } else {
     // For contributions, use the greedy algorithm
-    while (Math.abs(remainingAmount) > 0.01) {
+    while (Math.abs(remainingAmount) >= 0.005) {
       let selectedAsset = null;
       let bestDeviation = Infinity;
 
-      // Find the most under-weighted asset
+      // Find the most under-weighted asset that can still be bought
       for (const asset of assets) {
+        if (buyRoom(asset) < 0.01) continue;
+
         const currentPercent = totalAfter > 0 ? (asset.workingValue / totalAfter) * 100 : 0;
         const deviation = calculateDeviation(currentPercent, asset.targetPercent);
 
@@ -335,16 +474,22 @@ export function rebalancePortfolio(amount, assetClasses) {
 
       if (!selectedAsset) break;
 
-      // Buy as much as needed to reach target or use remaining amount
+      // Buy as much as needed to reach target or use remaining amount, up to the maximum buy
       const neededAmount = selectedAsset.targetValue - selectedAsset.workingValue;
-      let adjustmentAmount = Math.min(remainingAmount, Math.max(0, neededAmount));
+      let adjustmentAmount = Math.min(remainingAmount, Math.max(0, neededAmount), buyRoom(selectedAsset));
       adjustmentAmount = roundToCents(adjustmentAmount);
 
       // Apply the adjustment
-      if (Math.abs(adjustmentAmount) > 0.01) {
+      if (Math.abs(adjustmentAmount) >= 0.005) {
         selectedAsset.workingValue = roundToCents(selectedAsset.workingValue + adjustmentAmount);
         selectedAsset.transaction = roundToCents(selectedAsset.transaction + adjustmentAmount);
         remainingAmount = roundToCents(remainingAmount - adjustmentAmount);
+        recordStep(context, {
+          phase: 'contribution',
+          buyer: selectedAsset.name,
+          deviation: bestDeviation,
+          amount: adjustmentAmount
+        });
       } else {
         break;
       }
@@ -353,21 +498,33 @@ export function rebalancePortfolio(amount, assetClasses) {
 
   // If there's still remaining amount (due to rounding or constraints), 
   // apply it to the most appropriate asset
-  if (Math.abs(remainingAmount) > 0.01) {
+  if (Math.abs(remainingAmount) >= 0.005) {
     if (isContribution) {
-      // Find the most under-weighted asset
-      let bestAsset = assets[0];
-      let bestDev = Infinity;
-      for (const asset of assets) {
-        const currentPercent = (asset.workingValue / totalAfter) * 100;
-        const deviation = calculateDeviation(currentPercent, asset.targetPercent);
-        if (deviation < bestDev) {
-          bestDev = deviation;
-          bestAsset = asset;
+      // Give it to the most under-weighted asset that can still be bought,
+      // moving on to the next one when an asset hits its maximum buy
+      while (remainingAmount >= 0.005) {
+        let bestAsset = null;
+        let bestDev = Infinity;
+        for (const asset of assets) {
+          if (buyRoom(asset) < 0.01) continue;
+
+          const currentPercent = (asset.workingValue / totalAfter) * 100;
+          const deviation = calculateDeviation(currentPercent, asset.targetPercent);
+          if (deviation < bestDev) {
+            bestDev = deviation;
+            bestAsset = asset;
+          }
         }
+
+        // Nothing can take the rest; it stays unallocated
+        if (!bestAsset) break;
+
+        const purchase = roundToCents(Math.min(remainingAmount, buyRoom(bestAsset)));
+        bestAsset.workingValue = roundToCents(bestAsset.workingValue + purchase);
+        bestAsset.transaction = roundToCents(bestAsset.transaction + purchase);
+        remainingAmount = roundToCents(remainingAmount - purchase);
+        recordStep(context, { phase: 'remainder', asset: bestAsset.name, deviation: bestDev, amount: purchase });
       }
-      bestAsset.workingValue = roundToCents(bestAsset.workingValue + remainingAmount);
-      bestAsset.transaction = roundToCents(bestAsset.transaction + remainingAmount);
     } else {
       // Find the most over-weighted asset
       let bestAsset = null;
@@ -385,32 +542,471 @@ export function rebalancePortfolio(amount, assetClasses) {
       if (bestAsset) {
         bestAsset.workingValue = roundToCents(bestAsset.workingValue + remainingAmount);
         bestAsset.transaction = roundToCents(bestAsset.transaction + remainingAmount);
+        recordStep(context, { phase: 'remainder', asset: bestAsset.name, deviation: bestDev, amount: remainingAmount });
+        remainingAmount = 0;
+      }
+    }
+  }
+
+  return remainingAmount;
+}
+
+/**
+ * Allocates the part of a withdrawal that excess cash could not cover, in place.
+ * The invested assets are rebalanced among themselves as if cash were not there,
+ * so the minimum cash buffer is only drawn on once they are sold out.
+ * @param {number} amount - Amount still to withdraw (negative)
+ * @param {Array} assets - Working asset objects, one of which is cash
+ * @param {Object} context - Shared settings passed through to allocate
+ * @returns {number} Amount that could not be allocated
+ */
+function allocateAroundCash(amount, assets, context) {
+  const cash = assets.find(asset => asset.cash);
+  const invested = assets.filter(asset => asset !== cash);
+  const investedValue = invested.reduce((sum, asset) => sum + asset.workingValue, 0);
+
+  if (investedValue + amount < 0 || invested.length === 0) {
+    const before = assets.map(asset => asset.transaction);
+    invested.forEach(asset => {
+      asset.transaction = roundToCents(asset.transaction - asset.workingValue);
+      asset.workingValue = 0;
+    });
+    const fromCash = roundToCents(Math.min(cash.workingValue, -(investedValue + amount)));
+    cash.transaction = roundToCents(cash.transaction - fromCash);
+    cash.workingValue = roundToCents(cash.workingValue - fromCash);
+
+    const withdrawal = {
+      requested: context.options.withdrawalStrategy || 'auto',
+      strategy: 'proRata',
+      reason: 'Every invested asset is sold before the minimum cash buffer is used'
+    };
+    if (context.report) context.report.withdrawal = withdrawal;
+    recordStep(context, { phase: 'withdrawal', ...withdrawal, trades: tradesSince(assets, before) });
+    return roundToCents(amount + investedValue + fromCash);
+  }
+
+  const targetSum = invested.reduce((sum, asset) => sum + asset.targetPercent, 0);
+  const scaled = invested.map(asset => ({
+    ...asset,
+    targetPercent: targetSum > 0 ? (asset.targetPercent * 100) / targetSum : 100 / invested.length
+  }));
+
+  const unallocated = allocate(amount, scaled, {
+    ...context,
+    totalBefore: investedValue,
+    totalAfter: investedValue + amount
+  });
+
+  scaled.forEach((copy, i) => {
+    invested[i].transaction = copy.transaction;
+    invested[i].workingValue = copy.workingValue;
+  });
+
+  return unallocated;
+}
+
+/**
+ * Rebalances a portfolio based on a contribution or withdrawal
+ * @param {number} amount - Amount to contribute (positive) or withdraw (negative)
+ * @param {Array} assetClasses - Array of asset objects with properties:
+ *   - name: string
+ *   - targetPercent: number (0-100)
+ *   - currentValue: number
+ *   - sell: boolean (whether asset can be sold)
+ *   - ticker: string (optional, echoed in the output)
+ *   - price: number (optional, price per share; enables share quantities in the output)
+ *   - fractionalShares: boolean (optional, set to false to trade whole shares only)
+ *   - lots: Array (optional, tax lots with acquired date, quantity and total costBasis)
+ *   - currency: string (optional, currency the asset is held in; see baseCurrency)
+ * @param {Object} [options] - Optional settings:
+ *   - lotMethod: string (FIFO, HIFO or LOSS_FIRST; order in which lots are sold, default FIFO)
+ *   - asOf: string|Date (sale date used to split short- and long-term gains, default today)
+ *   - maxRealizedGain: number (cap on net realized gains from internal rebalancing and
+ *     withdrawals; a withdrawal that cannot be funded within it throws)
+ *   - bands: Object (tolerance bands for internal rebalancing; absolute percentage points,
+ *     relative percent of target and rebalanceTo 'target' or 'edge'; assets may override
+ *     the thresholds with their own band property)
+ *   - minTradeSize: number (smallest buy or sell allowed; smaller trades are dropped and
+ *     their money reallocated, or in a withdrawal folded into the largest sale. Assets
+ *     may also set minBuy, maxBuy, minHolding and a mode of 'buyOnly' or 'sellOnly')
+ *   - solver: string ('greedy', the default, or 'exact'; the exact solver finds the optimal
+ *     allocation for the objective within the constraints, but does not support bands or
+ *     maxRealizedGain)
+ *   - objective: string ('minimaxRelative', the default, or 'sumSquares'; reported in the
+ *     summary whenever solver or objective is set)
+ *   - withdrawalStrategy: string (how withdrawals are taken; see WITHDRAWAL_STRATEGIES,
+ *     default 'auto'; the summary reports the strategy that ran and why)
+ *   - withdrawalPriority: Array (asset names in the order they are sold, for the
+ *     'priority' strategy)
+ *   - explain: boolean (record every step of the allocation; the result gets an
+ *     explanation with the steps and a narrative)
+ *   - normalizeTargets: boolean|number (rescale targets that sum to slightly more or less
+ *     than 100%, e.g. 99.99 from spreadsheet rounding; see validatePortfolio)
+ *   - maxTurnoverPercent: number (cap on turnover, what is sold to buy other assets, as a
+ *     percent of the portfolio value before the trades; money withdrawn does not count)
+ *   - maxSellAmount: number (the same cap in dollars; with both set the tighter one
+ *     applies. Within the budget the most off-target assets are brought in first, and the
+ *     summary reports the budget used and the remaining deviation)
+ *   - currencyDecimals: number (decimal places of the currency's minor unit, default 2;
+ *     0 for yen, 3 for dinars. Amounts are rounded to the minor unit on the way in and
+ *     the trades are kept on it, so transactions add up exactly to the contribution and
+ *     final values to totalAfter, less any fees and unallocated cash)
+ *   - baseCurrency: string (currency the portfolio is rebalanced in, e.g. 'USD'; required
+ *     when any asset sets currency. Assets without one are in the base currency)
+ *   - fxRates: Object (value of one unit of each asset currency in the base currency,
+ *     e.g. { EUR: 1.08 }. Asset values, prices, lots, limits and fees are in the asset's
+ *     currency; the contribution and option amounts are in the base currency)
+ *   - fxCostPercent: number (cost of converting currency, as a percent of the amount
+ *     converted, default 0. Trades in each currency are netted into one conversion,
+ *     reported in fxTrades; the costs are paid like fees and totalled in summary.fx)
+ *   Invalid input throws a PortfolioValidationError listing every problem found
+ *   Assets may also carry a fees model ({ buy, sell } fee schedules); fees are paid out of
+ *   the contribution and reported per trade
+ * @returns {Object} Rebalancing results with transactions and summary
+ */
+export function rebalancePortfolio(amount, assetClasses, options = {}) {
+  if (hasCurrencies(assetClasses)) {
+    return rebalanceMultiCurrency(amount, assetClasses, options);
+  }
+
+  if (options.currencyDecimals !== undefined) {
+    validateCurrencyDecimals(options.currencyDecimals);
+    if (options.currencyDecimals !== DEFAULT_CURRENCY_DECIMALS) {
+      return rebalanceInCurrency(amount, assetClasses, options);
+    }
+  }
+
+  // Validate inputs, reporting every problem at once
+  const validation = assertValidPortfolio(assetClasses, options, validateAmount(amount));
+  assetClasses = validation.assetClasses;
+
+  // Money is kept on whole cents: values are rounded to the cent on the way in and
+  // totals are added in whole cents, so the trades add up exactly
+  assetClasses = assetClasses.map(asset => ({ ...asset, currentValue: roundToCents(asset.currentValue) }));
+  amount = roundToCents(amount);
+
+  const totalBefore = sumMoney(assetClasses.map(asset => asset.currentValue));
+  let totalAfter = sumMoney([totalBefore, amount]);
+
+  if (totalAfter < 0) {
+    throw new ValidationError('Withdrawal amount exceeds total portfolio value', {
+      code: 'WITHDRAWAL_EXCEEDS_VALUE',
+      field: 'amount'
+    });
+  }
+
+  const lotMethod = options.lotMethod || 'FIFO';
+  const asOf = options.asOf || new Date();
+
+  assetClasses.forEach((asset, index) => {
+    validatePrice(asset, index);
+    validateLots(asset, lotMethod, index);
+  });
+
+  const bands = options.bands;
+  if (bands) validateBands(bands, assetClasses);
+
+  const constrained = hasConstraints(assetClasses, options);
+  validateConstraints(assetClasses, options);
+  validateSolver(options);
+  validateWithdrawalStrategy(options, assetClasses);
+  validateTurnover(options);
+  validateCash(assetClasses);
+  const cashAsset = findCashAsset(assetClasses);
+
+  const hasPrices = assetClasses.some(asset => asset.price !== undefined);
+  const hasFees = assetClasses.some(asset => asset.fees !== undefined);
+  assetClasses.forEach((asset, index) => validateFees(asset, index));
+  const sellBudget = turnoverBudget(options, totalBefore);
+
+  // Allocates a given amount, then converts the result to shares
+  const runAllocation = investAmount => {
+    const investedTotal = totalBefore + investAmount;
+    const report = options.explain ? { steps: [] } : {};
+    const context = { totalBefore, totalAfter: investedTotal, options, lotMethod, asOf, bands, sellBudget, report };
+
+    // Trades below the minimum size, or that cost as much in fees as they move, are
+    // dropped one at a time, smallest first, and the allocation is redone without
+    // them. A withdrawal instead folds its undersized trades into its largest sale.
+    const frozen = new Map();
+    let assets;
+    let unallocated;
+
+    for (let pass = 0; pass <= assetClasses.length; pass++) {
+      assets = createWorkingAssets(applyCashTarget(assetClasses, investedTotal), investedTotal, bands);
+      assets.forEach((asset, index) => {
+        asset.frozenBy = frozen.get(index);
+        asset.frozen = frozen.has(index);
+      });
+
+      // The cash buffer is funded (or drawn on) before anything is bought or sold
+      const cash = assets.find(asset => asset.cash);
+      const remaining = cash ? fundCashBuffer(cash, investAmount) : investAmount;
+      if (cash && Math.abs(cash.transaction) >= 0.01) {
+        recordStep(context, { phase: 'cashBuffer', asset: cash.name, amount: cash.transaction });
+      }
+      if (cash && investAmount < 0 && remaining >= 0 && options.solver !== 'exact') {
+        report.withdrawal = {
+          requested: options.withdrawalStrategy || 'auto',
+          strategy: 'excessCash',
+          reason: 'Cash above the minimum buffer covers the withdrawal'
+        };
+      }
+
+      unallocated = cash && remaining < 0
+        ? allocateAroundCash(remaining, assets, context)
+        : allocate(remaining, assets, context);
+
+      if (constrained && investAmount < 0) {
+        const capacity = asset => sellCapacityOf(asset, assets, context, withdrawalRoom(asset));
+        for (const { asset, constraint, limit, into } of foldUndersizedTrades(assets, options.minTradeSize || 0, capacity)) {
+          recordStep(context, { phase: 'foldTrade', asset: asset.name, constraint, limit, into: into.name });
+        }
       }
+      if (!(constrained || hasFees) || investAmount < 0) break;
+
+      const undersized = findUndersizedTrade(assets, options.minTradeSize || 0) || findUneconomicTrade(assets);
+      if (!undersized) break;
+
+      frozen.set(assets.indexOf(undersized.asset), { constraint: undersized.constraint, limit: undersized.limit });
+      recordStep(context, {
+        phase: 'dropTrade',
+        asset: undersized.asset.name,
+        constraint: undersized.constraint,
+        limit: undersized.limit
+      });
     }
+
+    // Convert dollar amounts into share quantities when prices are known
+    const unallocatedCash = hasPrices
+      ? applyShareRounding(assets, investAmount, investedTotal)
+      : roundToCents(unallocated);
+
+    return { assets, unallocatedCash, withdrawal: report.withdrawal, steps: report.steps };
+  };
+
+  // Fees are paid out of the contribution (or added to the withdrawal), which changes
+  // the trades and so the fees; repeat until they settle
+  let fees = 0;
+  let run;
+  for (let iteration = 0; iteration < 20; iteration++) {
+    const investAmount = amount >= 0
+      ? Math.max(0, amount - fees)
+      : Math.max(-totalBefore, amount - fees);
+
+    run = runAllocation(roundToCents(investAmount));
+
+    // Fees larger than the contribution are paid by buying less
+    const shortfall = amount >= 0 ? roundToCents(fees - amount) : 0;
+    if (shortfall > 0) {
+      run.unallocatedCash = roundToCents(run.unallocatedCash + trimPurchases(run.assets, shortfall));
+    }
+
+    const settledFees = totalTradeFees(run.assets);
+    if (Math.abs(settledFees - fees) < 0.005) break;
+    fees = settledFees;
   }
 
+  const { assets, unallocatedCash, withdrawal, steps } = run;
+  const totalFees = totalTradeFees(assets);
+  totalAfter = sumMoney([totalBefore, amount, -totalFees]);
+
   // Build the result object
-  const transactions = assets.map(asset => {
+  const transactions = assets.map((asset, index) => {
     const currentPercent = totalBefore > 0 ? Math.round((asset.currentValue / totalBefore) * 100 * 100) / 100 : 0;
     const finalPercent = totalAfter > 0 ? Math.round((asset.workingValue / totalAfter) * 100 * 100) / 100 : 0;
     
-    return {
+    const transaction = {
       name: asset.name,
       amount: roundToCents(asset.transaction),
-      currentValue: roundToCents(asset.currentValue),
-      finalValue: roundToCents(asset.workingValue),
-      targetPercent: roundToCents(asset.targetPercent),
+      currentValue: asset.currentValue,
+      finalValue: sumMoney([asset.currentValue, asset.transaction]),
+      targetPercent: roundToCents(assetClasses[index].targetPercent),
       currentPercent: currentPercent,
       finalPercent: finalPercent
     };
+
+    if (asset.ticker !== undefined) transaction.ticker = asset.ticker;
+    if (hasFees) transaction.fee = tradeFee(asset, asset.transaction);
+    if (bands) transaction.outsideBand = asset.outsideBand;
+    if (asset.price !== undefined) {
+      transaction.price = asset.price;
+      transaction.shares = asset.shares;
+    }
+
+    if (asset.lots) {
+      const sale = asset.transaction < 0
+        ? sellFromLots(asset, -asset.transaction, lotMethod, asOf)
+        : { lots: [], shortTerm: 0, longTerm: 0 };
+
+      transaction.lotsSold = sale.lots;
+      transaction.realizedGains = { shortTerm: sale.shortTerm, longTerm: sale.longTerm };
+    }
+
+    return transaction;
+  });
+
+  const summary = {
+    totalBefore: roundToCents(totalBefore),
+    totalAfter: roundToCents(totalAfter),
+    contribution: roundToCents(amount)
+  };
+
+  if (hasPrices || constrained || hasFees) summary.unallocatedCash = unallocatedCash;
+  if (hasFees) summary.totalFees = totalFees;
+  if (cashAsset) {
+    const cash = assets.find(asset => asset.cash);
+    const targetValue = roundToCents(cashTargetValue(cashAsset, totalAfter));
+    summary.cash = {
+      name: cash.name,
+      minBuffer: cashAsset.minBuffer || 0,
+      maxBuffer: cashAsset.maxBuffer === undefined ? null : cashAsset.maxBuffer,
+      targetValue,
+      finalValue: roundToCents(cash.workingValue)
+    };
+  }
+  if (validation.normalized) summary.targetsNormalized = true;
+  if (withdrawal) summary.withdrawal = withdrawal;
+  if (sellBudget !== undefined) {
+    summary.turnover = describeTurnover(sellBudget, totalBefore, assets, totalAfter);
+  }
+  if (constrained || hasFees) summary.bindingConstraints = findBindingConstraints(assets, totalAfter);
+
+  if (options.solver !== undefined || options.objective !== undefined) {
+    const objective = options.objective || 'minimaxRelative';
+    summary.objective = { name: objective, value: objectiveValue(assets, totalAfter, objective) };
+  }
+
+  if (assets.some(asset => asset.lots)) {
+    const shortTerm = transactions.reduce((sum, t) => sum + (t.realizedGains ? t.realizedGains.shortTerm : 0), 0);
+    const longTerm = transactions.reduce((sum, t) => sum + (t.realizedGains ? t.realizedGains.longTerm : 0), 0);
+
+    summary.realizedGains = {
+      shortTerm: roundToCents(shortTerm),
+      longTerm: roundToCents(longTerm),
+      total: roundToCents(shortTerm + longTerm)
+    };
+  }
+
+  const result = {
+    transactions,
+    summary
+  };
+
+  if (options.explain) result.explanation = { steps, narrative: narrate(steps) };
+
+  return result;
+}
+
+/**
+ * Rebalances in a currency whose minor unit is not the cent. Every amount is scaled so
+ * that one minor unit (a yen, or a thousandth of a dinar) becomes one cent, the
+ * portfolio is rebalanced as usual, and the result is scaled back.
+ * @param {number} amount - Amount to contribute (positive) or withdraw (negative)
+ * @param {Array} assetClasses - Asset objects, as for rebalancePortfolio
+ * @param {Object} options - Options, as for rebalancePortfolio, with currencyDecimals
+ * @returns {Object} Rebalancing results in the currency's own units
+ */
+function rebalanceInCurrency(amount, assetClasses, options) {
+  const decimals = options.currencyDecimals;
+  const toCents = value => value * 10 ** (decimals - DEFAULT_CURRENCY_DECIMALS);
+  const fromCents = value => roundMoney(value * 10 ** (DEFAULT_CURRENCY_DECIMALS - decimals), decimals);
+
+  const scaled = scaleMoneyInputs(Array.isArray(assetClasses) ? assetClasses : [], options, toCents);
+  const result = rebalancePortfolio(
+    typeof amount === 'number' ? toCents(amount) : amount,
+    Array.isArray(assetClasses) ? scaled.assetClasses : assetClasses,
+    { ...scaled.options, currencyDecimals: DEFAULT_CURRENCY_DECIMALS }
+  );
+
+  const converted = scaleMoneyResult(result, fromCents);
+  converted.summary.currencyDecimals = decimals;
+  if (converted.explanation) converted.explanation.narrative = narrate(converted.explanation.steps, decimals);
+  return converted;
+}
+
+/**
+ * Rebalances a portfolio whose assets are held in several currencies. Each asset is
+ * converted into the base currency at options.fxRates, the portfolio is rebalanced
+ * there, and every transaction is reported in its asset's currency as well. The trades
+ * in each foreign currency are netted into one FX conversion, whose cost is paid out of
+ * the contribution (or added to the withdrawal) like fees are.
+ * @param {number} amount - Amount to contribute (positive) or withdraw (negative), in the base currency
+ * @param {Array} assetClasses - Asset objects, as for rebalancePortfolio, with optional currency
+ * @param {Object} options - Options, as for rebalancePortfolio, with baseCurrency, fxRates and fxCostPercent
+ * @returns {Object} Rebalancing results in the base currency, with fxTrades
+ */
+function rebalanceMultiCurrency(amount, assetClasses, options) {
+  ({ assetClasses } = assertValidPortfolio(assetClasses, options, validateAmount(amount)));
+  validateFx(assetClasses, options);
+
+  const { baseCurrency, fxRates, fxCostPercent, ...baseOptions } = options;
+  const baseAssets = toBaseCurrency(assetClasses, options);
+  const totalBefore = sumMoney(baseAssets.map(asset => asset.currentValue));
+
+  // The conversions depend on the trades and their cost on the conversions; repeat
+  // until the cost settles
+  let fxCost = 0;
+  let result;
+  let fxTrades;
+  for (let iteration = 0; iteration < 20; iteration++) {
+    const investAmount = typeof amount === 'number' ? Math.max(-totalBefore, amount - fxCost) : amount;
+    result = rebalancePortfolio(investAmount, baseAssets, baseOptions);
+    fxTrades = fxConversions(result.transactions, assetClasses, options);
+
+    const settledCost = sumMoney(fxTrades.map(trade => trade.cost));
+    if (Math.abs(settledCost - fxCost) < 0.005) break;
+    fxCost = settledCost;
+  }
+
+  const byName = new Map(assetClasses.map(asset => [asset.name, asset]));
+  const transactions = result.transactions.map(t => {
+    const asset = byName.get(t.name);
+    const rate = fxRate(asset.currency, options);
+    const decimals = currencyDecimals(asset.currency, options);
+    const localAmount = roundMoney(t.amount / rate, decimals);
+    const localCurrentValue = roundMoney(asset.currentValue, decimals);
+
+    const transaction = {
+      ...t,
+      currency: asset.currency || baseCurrency,
+      fxRate: rate,
+      localAmount,
+      localCurrentValue,
+      localFinalValue: sumMoney([localCurrentValue, localAmount], decimals)
+    };
+    if (asset.price !== undefined) transaction.localPrice = asset.price;
+    return transaction;
   });
 
   return {
+    ...result,
     transactions,
+    fxTrades,
     summary: {
-      totalBefore: roundToCents(totalBefore),
-      totalAfter: roundToCents(totalAfter),
-      contribution: roundToCents(amount)
+      ...result.summary,
+      contribution: roundMoney(amount, currencyDecimals(undefined, options)),
+      fx: { baseCurrency, totalCost: sumMoney(fxTrades.map(trade => trade.cost), currencyDecimals(undefined, options)) }
     }
   };
 }
+
+/**
+ * Runs the greedy and exact solvers side by side on the same input
+ * @param {number} amount - Amount to contribute (positive) or withdraw (negative)
+ * @param {Array} assetClasses - Asset objects, as for rebalancePortfolio
+ * @param {Object} [options] - Options, as for rebalancePortfolio (solver is ignored)
+ * @returns {Object} The objective, each solver's objective value, and both results
+ */
+export function compareSolvers(amount, assetClasses, options = {}) {
+  const objective = options.objective || 'minimaxRelative';
+  const greedy = rebalancePortfolio(amount, assetClasses, { ...options, objective, solver: 'greedy' });
+  const exact = rebalancePortfolio(amount, assetClasses, { ...options, objective, solver: 'exact' });
+
+  return {
+    objective,
+    greedy: greedy.summary.objective.value,
+    exact: exact.summary.objective.value,
+    results: { greedy, exact }
+  };
+}
@@ -0,0 +1,264 @@
+import { apportion } from './money.js';
+import { findCashAsset, validateCash } from './cash.js';
+
+/**
+ * Ways to derive target weights from risk:
+ * - inverseVolatility: each asset weighted by one over its volatility
+ * - equalRiskContribution: weights at which every asset adds the same share of the
+ *   portfolio's volatility (risk parity), taking correlations into account
+ * - targetVolatility: the equal risk contribution mix, scaled against the cash asset
+ *   so the portfolio's volatility comes out at options.targetVolatility
+ */
+export const RISK_METHODS = ['inverseVolatility', 'equalRiskContribution', 'targetVolatility'];
+
+/**
+ * Builds the covariance matrix of the named assets from either a covariance table or
+ * volatilities with optional correlations. Pairs without a correlation are uncorrelated.
+ * @param {Array} names - Asset names, in order
+ * @param {Object} risk - Risk input: covariance, or volatilities and correlations
+ * @param {string} [riskless] - Name of the cash asset, whose row and column are zero
+ * @returns {Array} Covariance matrix aligned with names
+ */
+function covarianceMatrix(names, risk, riskless) {
+  if (risk === null || typeof risk !== 'object') {
+    throw new Error('risk must give volatilities or a covariance table');
+  }
+
+  const lookup = (table, a, b) => {
+    const row = table[a];
+    if (row && row[b] !== undefined) return row[b];
+    const other = table[b];
+    return other ? other[a] : undefined;
+  };
+
+  if (risk.covariance !== undefined) {
+    const matrix = names.map(a => names.map(b => (a === riskless || b === riskless ? 0 : lookup(risk.covariance, a, b))));
+    names.forEach((name, i) => {
+      if (name !== riskless && !(typeof matrix[i][i] === 'number' && matrix[i][i] > 0)) {
+        throw new Error(`Variance for ${name} must be a positive number`);
+      }
+    });
+    names.forEach((name, i) => names.forEach((other, j) => {
+      if (typeof matrix[i][j] !== 'number' || !Number.isFinite(matrix[i][j])) {
+        throw new Error(`Covariance between ${name} and ${other} must be a number`);
+      }
+    }));
+    return matrix;
+  }
+
+  const volatilities = risk.volatilities || {};
+  const correlations = risk.correlations || {};
+  for (const name of names) {
+    if (name === riskless) continue;
+    const volatility = volatilities[name];
+    if (!(typeof volatility === 'number' && volatility > 0)) {
+      throw new Error(`Volatility for ${name} must be a positive number`);
+    }
+  }
+
+  return names.map((a, i) => names.map((b, j) => {
+    if (a === riskless || b === riskless) return 0;
+    if (i === j) return volatilities[a] ** 2;
+
+    const correlation = lookup(correlations, a, b);
+    if (correlation === undefined) return 0;
+    if (!(typeof correlation === 'number' && correlation >= -1 && correlation <= 1)) {
+      throw new Error(`Correlation between ${a} and ${b} must be between -1 and 1`);
+    }
+    return correlation * volatilities[a] * volatilities[b];
+  }));
+}
+
+/**
+ * Multiplies the covariance matrix by a weight vector
+ * @param {Array} matrix - Covariance matrix
+ * @param {Array} weights - Weights, aligned with the matrix
+ * @returns {Array} The product
+ */
+function multiply(matrix, weights) {
+  return matrix.map(row => row.reduce((sum, value, j) => sum + value * weights[j], 0));
+}
+
+/**
+ * Volatility of a portfolio
+ * @param {Array} matrix - Covariance matrix
+ * @param {Array} weights - Weights (fractions of the portfolio), aligned with the matrix
+ * @returns {number} Portfolio volatility
+ */
+function portfolioVolatility(matrix, weights) {
+  const product = multiply(matrix, weights);
+  return Math.sqrt(Math.max(0, weights.reduce((sum, weight, i) => sum + weight * product[i], 0)));
+}
+
+/**
+ * Finds the equal risk contribution weights by cyclical coordinate descent: each
+ * weight in turn is set to the positive root of the first-order condition of
+ * minimizing (1/2) w'Cw - sum(ln w_i / n), whose solution, rescaled to sum to one,
+ * gives every asset the same risk contribution.
+ * @param {Array} matrix - Covariance matrix
+ * @returns {Array} Weights summing to one
+ */
+function equalRiskWeights(matrix) {
+  const maxIterations = 1000;
+  const n = matrix.length;
+  const weights = matrix.map((row, i) => 1 / Math.sqrt(row[i]) / n);
+
+  for (let iteration = 0; iteration < maxIterations; iteration++) {
+    let change = 0;
+
+    for (let i = 0; i < n; i++) {
+      const cross = matrix[i].reduce((sum, value, j) => sum + (j === i ? 0 : value * weights[j]), 0);
+      const updated = (-cross + Math.sqrt(cross * cross + (4 * matrix[i][i]) / n)) / (2 * matrix[i][i]);
+      change = Math.max(change, Math.abs(updated - weights[i]) / updated);
+      weights[i] = updated;
+    }
+
+    if (change < 1e-12) {
+      const total = weights.reduce((sum, weight) => sum + weight, 0);
+      return weights.map(weight => weight / total);
+    }
+  }
+
+  throw new Error('Equal risk contribution weights did not converge; check that the covariance is positive definite');
+}
+
+/**
+ * Describes each asset's share of portfolio risk at two sets of weights
+ * @param {Array} names - Asset names
+ * @param {Array} matrix - Covariance matrix aligned with names
+ * @param {Array} before - Weights before (fractions summing to one)
+ * @param {Array} after - Weights after
+ * @returns {Object} assets (name, volatility, percentBefore, percentAfter,
+ *   riskContributionBefore and riskContributionAfter, each in percent) and the
+ *   portfolio volatilityBefore and volatilityAfter
+ */
+function describeRisk(names, matrix, before, after) {
+  const percent = value => Math.round(value * 100 * 100) / 100;
+  const contributions = weights => {
+    const product = multiply(matrix, weights);
+    const variance = weights.reduce((sum, weight, i) => sum + weight * product[i], 0);
+    return weights.map((weight, i) => (variance > 0 ? (weight * product[i]) / variance : 0));
+  };
+  const riskBefore = contributions(before);
+  const riskAfter = contributions(after);
+
+  return {
+    assets: names.map((name, i) => ({
+      name,
+      volatility: Math.round(Math.sqrt(matrix[i][i]) * 10000) / 10000,
+      percentBefore: percent(before[i]),
+      percentAfter: percent(after[i]),
+      riskContributionBefore: percent(riskBefore[i]),
+      riskContributionAfter: percent(riskAfter[i])
+    })),
+    volatilityBefore: Math.round(portfolioVolatility(matrix, before) * 10000) / 10000,
+    volatilityAfter: Math.round(portfolioVolatility(matrix, after) * 10000) / 10000
+  };
+}
+
+/**
+ * Derives target percentages from risk instead of fixed numbers. A cash asset
+ * (cash: true) is treated as riskless: it keeps its own targetPercent under the
+ * inverseVolatility and equalRiskContribution methods, with the other assets sharing
+ * the rest, and takes whatever the risky assets leave under targetVolatility.
+ * @param {Array} assetClasses - Asset objects, as for rebalancePortfolio; targetPercent
+ *   is only needed on the cash asset
+ * @param {Object} risk - Annual risk of each asset, by name:
+ *   - volatilities: Object (name -> volatility, e.g. 0.16 for 16%)
+ *   - correlations: Object (optional, name -> name -> correlation; pairs left out are
+ *     uncorrelated, and either order may be given)
+ *   - covariance: Object (name -> name -> covariance; used instead of the two above)
+ * @param {Object} [options] - Optional settings:
+ *   - method: string (one of RISK_METHODS, default 'equalRiskContribution')
+ *   - targetVolatility: number (portfolio volatility to aim for, for the
+ *     targetVolatility method; without enough risky assets to reach it, the
+ *     portfolio is fully invested and the report shows the volatility reached)
+ * @returns {Object} assetClasses (copies with the derived targetPercent, ready for
+ *   rebalancePortfolio and calculateBalancingContribution) and a report of each
+ *   asset's weight and risk contribution at the current values (before) and at the
+ *   targets (after)
+ */
+export function deriveRiskTargets(assetClasses, risk, options = {}) {
+  if (!Array.isArray(assetClasses) || assetClasses.length === 0) {
+    throw new Error('assetClasses must be a non-empty array');
+  }
+
+  const method = options.method || 'equalRiskContribution';
+  if (!RISK_METHODS.includes(method)) {
+    throw new Error(`Unknown risk method: ${method}`);
+  }
+
+  validateCash(assetClasses);
+  const cash = findCashAsset(assetClasses);
+  const names = assetClasses.map(asset => asset.name);
+  const fullMatrix = covarianceMatrix(names, risk, cash && cash.name);
+  const riskyIndexes = names.map((_, i) => i).filter(i => assetClasses[i] !== cash);
+  const matrix = riskyIndexes.map(i => riskyIndexes.map(j => fullMatrix[i][j]));
+
+  let riskyWeights;
+  let cashWeight = 0;
+  if (method === 'inverseVolatility') {
+    const inverse = matrix.map((row, i) => 1 / Math.sqrt(row[i]));
+    const total = inverse.reduce((sum, value) => sum + value, 0);
+    riskyWeights = inverse.map(value => value / total);
+  } else {
+    riskyWeights = equalRiskWeights(matrix);
+  }
+
+  if (method === 'targetVolatility') {
+    if (!(typeof options.targetVolatility === 'number' && options.targetVolatility > 0)) {
+      throw new Error('targetVolatility must be a positive number');
+    }
+    if (!cash) {
+      throw new Error('The targetVolatility method needs an asset marked as cash');
+    }
+
+    const share = Math.min(1, options.targetVolatility / portfolioVolatility(matrix, riskyWeights));
+    cashWeight = 1 - share;
+    riskyWeights = riskyWeights.map(weight => weight * share);
+  } else if (cash) {
+    cashWeight = (cash.targetPercent || 0) / 100;
+    if (!(cashWeight >= 0 && cashWeight <= 1)) {
+      throw new Error(`targetPercent for ${cash.name} must be between 0 and 100`);
+    }
+    riskyWeights = riskyWeights.map(weight => weight * (1 - cashWeight));
+  }
+
+  // Round to two decimals so the targets add up to exactly 100
+  const weights = assetClasses.map(asset => (asset === cash ? cashWeight : 0));
+  riskyIndexes.forEach((index, k) => { weights[index] = riskyWeights[k]; });
+  const targets = apportion(100, weights.map(weight => weight * 100));
+
+  const totalValue = assetClasses.reduce((sum, asset) => sum + asset.currentValue, 0);
+  const current = assetClasses.map(asset => (totalValue > 0 ? asset.currentValue / totalValue : 0));
+
+  return {
+    assetClasses: assetClasses.map((asset, i) => ({ ...asset, targetPercent: targets[i] })),
+    report: describeRisk(names, fullMatrix, current, targets.map(target => target / 100))
+  };
+}
+
+/**
+ * Reports each asset's risk contribution before and after a rebalance
+ * @param {Object} result - Result of rebalancePortfolio
+ * @param {Object} risk - Risk of each asset, as for deriveRiskTargets; the cash asset
+ *   is riskless and may be left out
+ * @returns {Object} The report, as from deriveRiskTargets, with the weights and risk
+ *   contributions at the current values (before) and the final values (after)
+ */
+export function describeRiskContributions(result, risk) {
+  if (!result || !Array.isArray(result.transactions)) {
+    throw new Error('result must have a transactions array');
+  }
+
+  const names = result.transactions.map(t => t.name);
+  const matrix = covarianceMatrix(names, risk, result.summary.cash && result.summary.cash.name);
+  const { totalBefore, totalAfter } = result.summary;
+
+  return describeRisk(
+    names,
+    matrix,
+    result.transactions.map(t => (totalBefore > 0 ? t.currentValue / totalBefore : 0)),
+    result.transactions.map(t => (totalAfter > 0 ? t.finalValue / totalAfter : 0))
+  );
+}
@@ -0,0 +1,141 @@
+import { roundToCents, calculateDeviation } from './utils.js';
+import { buyRoom } from './constraints.js';
+import { ValidationError, numberCode } from './validation.js';
+
+/**
+ * Rounds a share quantity to the precision used for fractional orders
+ * @param {number} shares - The share quantity
+ * @returns {number} The quantity rounded to 4 decimal places
+ */
+export function roundShares(shares) {
+  return Math.round(shares * 10000) / 10000;
+}
+
+/**
+ * Validates the price of an asset, if it has one
+ * @param {Object} asset - Asset object with an optional price
+ * @param {number} [index] - Position of the asset, reported on the error
+ * @throws {ValidationError} On the price field
+ */
+export function validatePrice(asset, index) {
+  if (asset.price === undefined) return;
+
+  if (typeof asset.price !== 'number' || !(asset.price > 0)) {
+    throw new ValidationError(`Price for ${asset.name} must be a positive number`, {
+      code: numberCode(asset.price), index, field: 'price'
+    });
+  }
+}
+
+/**
+ * Converts dollar transactions into share quantities, in place.
+ *
+ * Assets that allow fractional shares keep their dollar amount. Assets that only
+ * trade whole shares are rounded down on buys and up on sells (capped at the
+ * whole shares held), and the cash this frees up is spent one share at a time on the
+ * most under-weighted asset that can absorb it. A withdrawal left short by the cap is
+ * covered from the other sales where they have shares left; if it cannot be, the
+ * cash returned is negative.
+ * @param {Array} assets - Working asset objects with transaction, workingValue and price
+ * @param {number} amount - Contribution (positive) or withdrawal (negative)
+ * @param {number} totalAfter - Portfolio value after the contribution or withdrawal
+ * @returns {number} Cash left over that could not be invested
+ */
+export function applyShareRounding(assets, amount, totalAfter) {
+  for (const asset of assets) {
+    if (asset.price === undefined || asset.fractionalShares !== false) continue;
+
+    const rawShares = asset.transaction / asset.price;
+    let shares;
+
+    if (rawShares >= 0) {
+      shares = Math.floor(rawShares + 1e-9);
+    } else {
+      const heldShares = asset.currentValue / asset.price;
+      shares = -Math.min(Math.ceil(-rawShares - 1e-9), Math.floor(heldShares + 1e-9));
+    }
+
+    asset.transaction = roundToCents(shares * asset.price);
+    asset.workingValue = roundToCents(asset.currentValue + asset.transaction);
+  }
+
+  let cash = roundToCents(amount - assets.reduce((sum, asset) => sum + asset.transaction, 0));
+
+  // A sale capped at the whole shares held can leave a withdrawal short; cover it from
+  // the other sales, most over-weighted first
+  while (amount < 0 && cash <= -0.01) {
+    let selectedAsset = null;
+    let worstDeviation = -Infinity;
+
+    for (const asset of assets) {
+      if (asset.transaction >= 0) continue;
+
+      const wholeShares = asset.price !== undefined && asset.fractionalShares === false;
+      if (asset.workingValue < (wholeShares ? asset.price - 1e-9 : 0.01)) continue;
+
+      const currentPercent = totalAfter > 0 ? (asset.workingValue / totalAfter) * 100 : 0;
+      const deviation = calculateDeviation(currentPercent, asset.targetPercent);
+
+      if (deviation > worstDeviation) {
+        worstDeviation = deviation;
+        selectedAsset = asset;
+      }
+    }
+
+    if (!selectedAsset) break;
+
+    const wholeShares = selectedAsset.price !== undefined && selectedAsset.fractionalShares === false;
+    const sale = wholeShares ? selectedAsset.price : Math.min(-cash, selectedAsset.workingValue);
+
+    selectedAsset.transaction = roundToCents(selectedAsset.transaction - sale);
+    selectedAsset.workingValue = roundToCents(selectedAsset.workingValue - sale);
+    cash = roundToCents(cash + sale);
+  }
+
+  // Spend leftover cash on whatever brings the portfolio closest to target
+  while (cash >= 0.01) {
+    let selectedAsset = null;
+    let bestDeviation = Infinity;
+
+    for (const asset of assets) {
+      // During a withdrawal, leftover cash only ever trims a sale
+      if (amount < 0 && asset.transaction >= 0) continue;
+
+      const wholeShares = asset.price !== undefined && asset.fractionalShares === false;
+      const unit = wholeShares ? asset.price : 0.01;
+      if (amount >= 0 && buyRoom(asset) < unit) continue;
+      if (wholeShares && asset.price > cash) continue;
+      if (wholeShares && amount < 0 && asset.price > -asset.transaction) continue;
+
+      const currentPercent = totalAfter > 0 ? (asset.workingValue / totalAfter) * 100 : 0;
+      const deviation = calculateDeviation(currentPercent, asset.targetPercent);
+
+      if (deviation < bestDeviation) {
+        bestDeviation = deviation;
+        selectedAsset = asset;
+      }
+    }
+
+    if (!selectedAsset) break;
+
+    const wholeShares = selectedAsset.price !== undefined && selectedAsset.fractionalShares === false;
+    let purchase = wholeShares ? selectedAsset.price : cash;
+    if (amount < 0) {
+      purchase = Math.min(purchase, -selectedAsset.transaction);
+    } else {
+      purchase = Math.min(purchase, buyRoom(selectedAsset));
+    }
+
+    selectedAsset.transaction = roundToCents(selectedAsset.transaction + purchase);
+    selectedAsset.workingValue = roundToCents(selectedAsset.workingValue + purchase);
+    cash = roundToCents(cash - purchase);
+  }
+
+  for (const asset of assets) {
+    if (asset.price === undefined) continue;
+
+    asset.shares = roundShares(asset.transaction / asset.price);
+  }
+
+  return cash;
+}
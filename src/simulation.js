@@ -0,0 +1,148 @@
+import { roundToCents, calculateDeviation } from './utils.js';
+import { rebalancePortfolio } from './rebalancer.js';
+import { validateBands, isOutsideBand } from './bands.js';
+
+/**
+ * Tolerance used when none is given: every asset within half a percentage point of target
+ */
+const DEFAULT_TOLERANCE = { absolute: 0.5 };
+
+/**
+ * Normalizes one schedule entry
+ * @param {number|Object} entry - An amount, or { amount, returns }
+ * @param {number} period - Period number, for error messages
+ * @returns {Object} amount and returns (undefined when the entry has none)
+ */
+function readPeriod(entry, period) {
+  const { amount, returns } = typeof entry === 'number' ? { amount: entry } : entry || {};
+
+  if (typeof amount !== 'number' || !Number.isFinite(amount)) {
+    throw new Error(`Period ${period}: amount must be a number`);
+  }
+
+  return { amount, returns };
+}
+
+/**
+ * Validates per-asset returns
+ * @param {Object} returns - Asset name -> fractional return for one period
+ * @param {Array} assetClasses - Asset objects
+ * @param {string} where - Where the returns came from, for error messages
+ */
+function validateReturns(returns, assetClasses, where) {
+  for (const [name, rate] of Object.entries(returns)) {
+    if (!assetClasses.some(asset => asset.name === name)) {
+      throw new Error(`${where}: returns name an unknown asset: ${name}`);
+    }
+    if (typeof rate !== 'number' || !(rate >= -1)) {
+      throw new Error(`${where}: return for ${name} must be a number of at least -1`);
+    }
+  }
+}
+
+/**
+ * Describes an allocation: each asset's value, percentage and drift from target
+ * @param {Array} assetClasses - Asset objects with currentValue and targetPercent
+ * @param {Object} tolerance - Band with absolute and/or relative thresholds
+ * @returns {Object} allocation, maxDrift (percentage points) and withinTolerance
+ */
+function describeAllocation(assetClasses, tolerance) {
+  const total = assetClasses.reduce((sum, asset) => sum + asset.currentValue, 0);
+
+  const allocation = assetClasses.map(asset => {
+    const percent = total > 0 ? (asset.currentValue / total) * 100 : 0;
+    return {
+      name: asset.name,
+      value: roundToCents(asset.currentValue),
+      percent: roundToCents(percent),
+      drift: roundToCents(percent - asset.targetPercent),
+      deviation: calculateDeviation(percent, asset.targetPercent),
+      outside: isOutsideBand(percent, asset.targetPercent, tolerance)
+    };
+  });
+
+  return {
+    allocation: allocation.map(({ outside, ...entry }) => entry),
+    maxDrift: Math.max(...allocation.map(entry => Math.abs(entry.drift))),
+    withinTolerance: allocation.every(entry => !entry.outside)
+  };
+}
+
+/**
+ * Simulates a schedule of contributions and withdrawals. Each period rebalances with
+ * that period's amount, then applies the period's asset returns; the next period starts
+ * from the grown values.
+ * @param {Array} assetClasses - Asset objects, as for rebalancePortfolio (tax lots are not
+ *   carried from one period to the next and are left out)
+ * @param {Array} schedule - One entry per period: an amount, or { amount, returns } where
+ *   returns maps asset names to fractional returns for that period (0.01 for +1%)
+ * @param {Object} [options] - Optional settings:
+ *   - returns: Object (asset name -> fractional return, applied every period that has
+ *     no returns of its own)
+ *   - tolerance: Object (absolute percentage points and/or relative percent of target,
+ *     as for bands; default { absolute: 0.5 })
+ *   - rebalanceOptions: Object (options passed to rebalancePortfolio every period)
+ * @returns {Object} The starting allocation, each period's trades and allocation, the
+ *   period the portfolio is first within tolerance, and the final asset classes
+ */
+export function simulateSchedule(assetClasses, schedule, options = {}) {
+  if (!Array.isArray(schedule) || schedule.length === 0) {
+    throw new Error('schedule must be a non-empty array');
+  }
+
+  const tolerance = options.tolerance || DEFAULT_TOLERANCE;
+  validateBands(tolerance, []);
+
+  const periods = schedule.map((entry, i) => readPeriod(entry, i + 1));
+  if (options.returns) validateReturns(options.returns, assetClasses, 'options');
+  periods.forEach((period, i) => {
+    if (period.returns) validateReturns(period.returns, assetClasses, `Period ${i + 1}`);
+  });
+
+  let current = assetClasses.map(({ lots, ...asset }) => ({ ...asset }));
+  const start = describeAllocation(current, tolerance);
+  let balancedAt = start.withinTolerance ? 0 : null;
+
+  const results = periods.map(({ amount, returns }, i) => {
+    const period = i + 1;
+
+    let result;
+    try {
+      result = rebalancePortfolio(amount, current, options.rebalanceOptions);
+    } catch (error) {
+      error.message = `Period ${period}: ${error.message}`;
+      error.period = period;
+      throw error;
+    }
+
+    // Values after the trades, which is when tolerance is checked
+    current = current.map((asset, index) => ({ ...asset, currentValue: result.transactions[index].finalValue }));
+    const afterTrades = describeAllocation(current, tolerance);
+    if (balancedAt === null && afterTrades.withinTolerance) balancedAt = period;
+
+    // Market moves over the rest of the period
+    const rates = returns || options.returns || {};
+    current = current.map(asset => {
+      const rate = rates[asset.name] || 0;
+      const grown = { ...asset, currentValue: roundToCents(asset.currentValue * (1 + rate)) };
+      if (asset.price !== undefined) grown.price = asset.price * (1 + rate);
+      return grown;
+    });
+
+    return {
+      period,
+      amount,
+      transactions: result.transactions,
+      summary: result.summary,
+      ...afterTrades,
+      valueAfterReturns: roundToCents(current.reduce((sum, asset) => sum + asset.currentValue, 0))
+    };
+  });
+
+  return {
+    start,
+    periods: results,
+    balancedAt,
+    finalAssetClasses: current
+  };
+}
@@ -0,0 +1,200 @@
+import { roundToCents, calculateDeviation } from './utils.js';
+import { canSell, buyRoom } from './constraints.js';
+import { ValidationError } from './validation.js';
+
+/**
+ * Allocation modes: the iterative greedy loops, or an exact optimization
+ */
+export const SOLVERS = ['greedy', 'exact'];
+
+/**
+ * Objectives the exact solver can minimize:
+ * - minimaxRelative: the largest relative deviation from target (as calculateDeviation)
+ * - sumSquares: the sum of squared deviations, in percentage points
+ */
+export const OBJECTIVES = ['minimaxRelative', 'sumSquares'];
+
+/**
+ * Validates the solver and objective options
+ * @param {Object} options - Rebalancing options
+ * @throws {ValidationError} On the option at fault
+ */
+export function validateSolver(options) {
+  if (options.solver !== undefined && !SOLVERS.includes(options.solver)) {
+    throw new ValidationError(`Unknown solver: ${options.solver}`, { code: 'UNKNOWN_VALUE', field: 'solver' });
+  }
+
+  if (options.objective !== undefined && !OBJECTIVES.includes(options.objective)) {
+    throw new ValidationError(`Unknown objective: ${options.objective}`, { code: 'UNKNOWN_VALUE', field: 'objective' });
+  }
+
+  if (options.solver === 'exact') {
+    const unsupported = ['bands', 'maxRealizedGain', 'withdrawalStrategy', 'maxTurnoverPercent', 'maxSellAmount'];
+    for (const field of unsupported) {
+      if (field === 'bands' ? options.bands : options[field] !== undefined) {
+        throw new ValidationError(`The exact solver does not support ${field}`, { code: 'UNSUPPORTED_OPTION', field });
+      }
+    }
+  }
+}
+
+/**
+ * Measures how far a set of final values is from target under an objective
+ * @param {Array} assets - Asset objects with targetPercent and workingValue
+ * @param {number} totalAfter - Portfolio value the percentages are taken of
+ * @param {string} objective - One of OBJECTIVES
+ * @returns {number} Objective value (lower is better)
+ */
+export function objectiveValue(assets, totalAfter, objective) {
+  const percents = assets.map(asset => (totalAfter > 0 ? (asset.workingValue / totalAfter) * 100 : 0));
+
+  if (objective === 'sumSquares') {
+    return assets.reduce((sum, asset, i) => sum + (percents[i] - asset.targetPercent) ** 2, 0);
+  }
+
+  return assets.reduce(
+    (max, asset, i) => Math.max(max, Math.abs(calculateDeviation(percents[i], asset.targetPercent))),
+    0
+  );
+}
+
+/**
+ * Finds values x_i = clamp(base_i + slope_i * p, lo_i, hi_i) that add up to total.
+ * Each x_i is piecewise linear and non-decreasing in p, so the sum is too; the
+ * solution is found exactly by walking the breakpoints and solving the linear piece
+ * that crosses the total.
+ * @param {Array} items - Objects with base, slope (>= 0), lo and hi
+ * @param {number} total - Required sum
+ * @returns {Array} Values for each item; they sum to less than total only when every item is at hi
+ */
+function waterFill(items, total) {
+  const valueAt = (item, p) => Math.min(item.hi, Math.max(item.lo, item.base + item.slope * p));
+  const sumAt = p => items.reduce((sum, item) => sum + valueAt(item, p), 0);
+
+  const breakpoints = [];
+  for (const item of items) {
+    if (item.slope > 0) {
+      breakpoints.push((item.lo - item.base) / item.slope);
+      if (item.hi !== Infinity) breakpoints.push((item.hi - item.base) / item.slope);
+    }
+  }
+  breakpoints.sort((a, b) => a - b);
+
+  if (breakpoints.length === 0 || sumAt(breakpoints[0]) >= total) {
+    return items.map(item => item.lo);
+  }
+
+  for (let i = 1; i < breakpoints.length; i++) {
+    const from = breakpoints[i - 1];
+    const to = breakpoints[i];
+    const sumTo = sumAt(to);
+    if (sumTo < total) continue;
+
+    const sumFrom = sumAt(from);
+    const p = sumTo > sumFrom ? from + ((total - sumFrom) / (sumTo - sumFrom)) * (to - from) : to;
+    return items.map(item => valueAt(item, p));
+  }
+
+  // Past the last breakpoint only uncapped items still grow
+  const last = breakpoints[breakpoints.length - 1];
+  const openSlope = items.reduce((sum, item) => sum + (item.hi === Infinity ? item.slope : 0), 0);
+  const p = openSlope > 0 ? last + (total - sumAt(last)) / openSlope : last;
+  return items.map(item => valueAt(item, p));
+}
+
+/**
+ * Works out how far each asset may move: its lowest and highest final value.
+ *
+ * Sellable assets may go down to their minimum holding and anything may be bought with
+ * the proceeds. A withdrawal the sellable assets cannot cover on their own sells them
+ * down to their floors and takes the rest from the other assets, which may then go as
+ * low as their own minimum holdings (or to zero, as a last resort) but never above
+ * their current values, since nothing is left over to buy with.
+ * @param {Array} assets - Working asset objects
+ * @param {number} totalAfter - Portfolio value after the contribution or withdrawal
+ * @returns {Array} Bounds with lo and hi for each asset
+ */
+function assetBounds(assets, totalAfter) {
+  const floorOf = asset => Math.min(asset.workingValue, asset.minHolding || 0);
+  const bounds = assets.map(asset => ({
+    lo: canSell(asset) ? floorOf(asset) : asset.workingValue,
+    hi: asset.workingValue + buyRoom(asset)
+  }));
+
+  const lowest = bounds.reduce((sum, bound) => sum + bound.lo, 0);
+  if (lowest <= totalAfter) return bounds;
+
+  // Floors for the withdrawal, tried in turn: minimum holdings first, then zero for
+  // the assets that may not be sold, then zero for everything
+  const tiers = [
+    asset => (canSell(asset) || (asset.mode !== 'buyOnly' && !asset.frozen) ? floorOf(asset) : asset.workingValue),
+    asset => (canSell(asset) ? floorOf(asset) : 0),
+    () => 0
+  ];
+  const tier = tiers.find(floor => assets.reduce((sum, asset) => sum + floor(asset), 0) <= totalAfter) ||
+    tiers[tiers.length - 1];
+  const last = tier === tiers[tiers.length - 1];
+
+  return assets.map(asset => {
+    const lo = tier(asset);
+    return { lo, hi: canSell(asset) && !last ? lo : asset.workingValue };
+  });
+}
+
+/**
+ * Allocates a contribution or withdrawal exactly, in place: finds the final values
+ * that minimize the objective within each asset's bounds, then rounds the trades to
+ * cents without changing their total.
+ *
+ * Minimizing the largest relative deviation moves every unconstrained asset to the
+ * same relative deviation (x_i = target_i * (1 + mu)); minimizing the sum of squared
+ * deviations moves them all by the same amount (x_i = target_i + lambda). Assets that
+ * hit a bound stay there, which is optimal because they cannot move any closer.
+ * @param {number} amount - Amount to contribute (positive) or withdraw (negative)
+ * @param {Array} assets - Working asset objects
+ * @param {number} totalAfter - Portfolio value after the contribution or withdrawal
+ * @param {string} objective - One of OBJECTIVES
+ * @returns {number} Amount that could not be allocated
+ */
+export function solveExact(amount, assets, totalAfter, objective) {
+  const bounds = assetBounds(assets, totalAfter);
+  const items = assets.map((asset, i) => {
+    const target = (asset.targetPercent / 100) * totalAfter;
+    return {
+      base: target,
+      slope: objective === 'sumSquares' ? 1 : target,
+      lo: bounds[i].lo,
+      hi: bounds[i].hi
+    };
+  });
+
+  let values = waterFill(items, totalAfter);
+
+  // Assets without a target only take money that has nowhere else to go
+  const placed = values.reduce((sum, value) => sum + value, 0);
+  if (totalAfter - placed >= 0.01) {
+    values = waterFill(items.map((item, i) => ({
+      base: values[i], slope: 1, lo: values[i], hi: item.hi
+    })), totalAfter);
+  }
+
+  // Round to cents, handing out the leftover cents by largest remainder
+  const exact = values.map((value, i) => value - assets[i].workingValue);
+  const allocated = Math.round(exact.reduce((sum, trade) => sum + trade, 0) * 100);
+  const cents = exact.map(trade => Math.floor(Math.round(trade * 1e6) / 1e4));
+  let leftover = allocated - cents.reduce((sum, cent) => sum + cent, 0);
+
+  const order = exact
+    .map((trade, i) => ({ i, remainder: trade * 100 - cents[i] }))
+    .sort((a, b) => b.remainder - a.remainder);
+  for (let k = 0; leftover > 0 && k < order.length; k++, leftover--) {
+    cents[order[k].i] += 1;
+  }
+
+  assets.forEach((asset, i) => {
+    asset.transaction = roundToCents(asset.transaction + cents[i] / 100);
+    asset.workingValue = roundToCents(asset.workingValue + cents[i] / 100);
+  });
+
+  return roundToCents(amount - allocated / 100);
+}
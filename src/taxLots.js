@@ -0,0 +1,201 @@
+import { roundToCents } from './utils.js';
+import { ValidationError } from './validation.js';
+
+/**
+ * Lot selection methods supported when selling
+ */
+export const LOT_METHODS = ['FIFO', 'HIFO', 'LOSS_FIRST'];
+
+/**
+ * Checks whether a lot acquired on one date is long-term on another.
+ * A lot is long-term once it has been held for more than one year.
+ * @param {string|Date} acquired - Acquisition date
+ * @param {string|Date} asOf - Sale date
+ * @returns {boolean} True if the holding period is long-term
+ */
+export function isLongTerm(acquired, asOf) {
+  const acquiredDate = new Date(acquired);
+  const anniversary = new Date(acquiredDate);
+  anniversary.setUTCFullYear(acquiredDate.getUTCFullYear() + 1);
+  return new Date(asOf) > anniversary;
+}
+
+/**
+ * Returns the per-share price used to value an asset's lots
+ * @param {Object} asset - Asset object with lots and an optional price
+ * @returns {number} Price per share
+ */
+export function lotPrice(asset) {
+  if (asset.price !== undefined) return asset.price;
+
+  const quantity = asset.lots.reduce((sum, lot) => sum + lot.quantity, 0);
+  return quantity > 0 ? asset.currentValue / quantity : 0;
+}
+
+/**
+ * Validates the lots and lot method used for tax-aware selling
+ * @param {Object} asset - Asset object with optional lots
+ * @param {string} method - Lot selection method
+ * @param {number} [index] - Position of the asset, reported on the error
+ * @throws {ValidationError} On the lotMethod option or the asset's lots
+ */
+export function validateLots(asset, method, index) {
+  if (asset.lots === undefined) return;
+
+  if (!LOT_METHODS.includes(method)) {
+    throw new ValidationError(`Unknown lot method: ${method}`, { code: 'UNKNOWN_VALUE', field: 'lotMethod' });
+  }
+
+  if (!Array.isArray(asset.lots)) {
+    throw new ValidationError(`Lots for ${asset.name} must be an array`, { code: 'INVALID_VALUE', index, field: 'lots' });
+  }
+
+  for (const lot of asset.lots) {
+    if (Number.isNaN(new Date(lot.acquired).getTime())) {
+      throw new ValidationError(`Lot for ${asset.name} has an invalid acquired date`, { code: 'INVALID_VALUE', index, field: 'lots' });
+    }
+    if (!(lot.quantity > 0) || !(lot.costBasis >= 0)) {
+      throw new ValidationError(`Lot for ${asset.name} must have a positive quantity and a non-negative costBasis`, {
+        code: 'INVALID_VALUE', index, field: 'lots'
+      });
+    }
+  }
+}
+
+/**
+ * Orders lots in the sequence they should be sold
+ * @param {Array} lots - Lots with acquired, quantity and costBasis
+ * @param {string} method - FIFO (oldest first), HIFO (highest cost per share first)
+ *   or LOSS_FIRST (short-term losses, long-term losses, long-term gains, then short-term gains)
+ * @param {number} price - Current price per share
+ * @param {string|Date} asOf - Sale date
+ * @returns {Array} A sorted copy of the lots
+ */
+export function sortLots(lots, method, price, asOf) {
+  const costPerShare = lot => lot.costBasis / lot.quantity;
+  const byHighestCost = (a, b) => costPerShare(b) - costPerShare(a);
+
+  if (method === 'FIFO') {
+    return [...lots].sort((a, b) => new Date(a.acquired) - new Date(b.acquired));
+  }
+
+  if (method === 'HIFO') {
+    return [...lots].sort(byHighestCost);
+  }
+
+  const rank = lot => {
+    const isLoss = costPerShare(lot) > price;
+    const longTerm = isLongTerm(lot.acquired, asOf);
+    if (isLoss) return longTerm ? 1 : 0;
+    return longTerm ? 2 : 3;
+  };
+
+  return [...lots].sort((a, b) => rank(a) - rank(b) || byHighestCost(a, b));
+}
+
+/**
+ * Walks the lots in sale order, calling visit for each slice of a lot that is sold
+ * @param {Object} asset - Asset object with lots
+ * @param {string} method - Lot selection method
+ * @param {string|Date} asOf - Sale date
+ * @param {number} amount - Dollar amount to sell
+ * @param {Function} visit - Called with (lot, value) for each sold slice
+ */
+function walkLots(asset, method, asOf, amount, visit) {
+  const price = lotPrice(asset);
+  let remaining = amount;
+
+  for (const lot of sortLots(asset.lots, method, price, asOf)) {
+    if (remaining <= 0) break;
+
+    const lotValue = lot.quantity * price;
+    const value = Math.min(lotValue, remaining);
+    visit(lot, value, price);
+    remaining -= value;
+  }
+}
+
+/**
+ * Determines which lots are sold and the gains realized by a sale
+ * @param {Object} asset - Asset object with lots
+ * @param {number} amount - Dollar amount to sell (positive)
+ * @param {string} method - Lot selection method
+ * @param {string|Date} asOf - Sale date
+ * @returns {Object} Sold lots with shortTerm and longTerm realized gains
+ */
+export function sellFromLots(asset, amount, method, asOf) {
+  const lots = [];
+  let shortTerm = 0;
+  let longTerm = 0;
+
+  walkLots(asset, method, asOf, amount, (lot, value, price) => {
+    const quantity = price > 0 ? value / price : 0;
+    const costBasis = lot.costBasis * (quantity / lot.quantity);
+    const gain = value - costBasis;
+    const term = isLongTerm(lot.acquired, asOf) ? 'long' : 'short';
+
+    if (term === 'long') longTerm += gain;
+    else shortTerm += gain;
+
+    lots.push({
+      acquired: lot.acquired,
+      quantity: Math.round(quantity * 10000) / 10000,
+      costBasis: roundToCents(costBasis),
+      proceeds: roundToCents(value),
+      gain: roundToCents(gain),
+      term
+    });
+  });
+
+  return {
+    lots,
+    shortTerm: roundToCents(shortTerm),
+    longTerm: roundToCents(longTerm)
+  };
+}
+
+/**
+ * Finds how much more of an asset can be sold before realized gains exceed a budget
+ * @param {Object} asset - Asset object with lots
+ * @param {number} alreadySold - Dollar amount already sold from the asset in this run
+ * @param {string} method - Lot selection method
+ * @param {string|Date} asOf - Sale date
+ * @param {number} budget - Additional realized gain allowed
+ * @returns {number} The largest additional dollar amount that can be sold
+ */
+export function maxSellWithinGainBudget(asset, alreadySold, method, asOf, budget) {
+  let skip = alreadySold;
+  let gain = 0;
+  let sellable = 0;
+  let capped = false;
+
+  walkLots(asset, method, asOf, Infinity, (lot, value, price) => {
+    if (capped) return;
+
+    // Slices sold earlier in the run have already used their share of the budget
+    const skipped = Math.min(skip, value);
+    skip -= skipped;
+    const available = value - skipped;
+    if (available <= 0) return;
+
+    const gainPerDollar = price > 0 ? 1 - (lot.costBasis / lot.quantity) / price : 0;
+
+    if (gainPerDollar <= 0) {
+      sellable += available;
+      gain += gainPerDollar * available;
+      return;
+    }
+
+    const allowed = Math.max(0, (budget - gain) / gainPerDollar);
+    if (allowed < available) {
+      sellable += allowed;
+      capped = true;
+      return;
+    }
+
+    sellable += available;
+    gain += gainPerDollar * available;
+  });
+
+  return sellable;
+}
@@ -0,0 +1,151 @@
+import { roundToCents, calculateDeviation } from './utils.js';
+import { ValidationError, numberCode } from './validation.js';
+
+/**
+ * Validates the turnover budget options
+ * @param {Object} options - Rebalancing options
+ * @throws {ValidationError} On the option at fault
+ */
+export function validateTurnover(options) {
+  for (const field of ['maxTurnoverPercent', 'maxSellAmount']) {
+    if (options[field] !== undefined && !(typeof options[field] === 'number' && options[field] >= 0)) {
+      throw new ValidationError(`${field} must be a non-negative number`, { code: numberCode(options[field]), field });
+    }
+  }
+}
+
+/**
+ * Works out how much rebalancing may sell to buy other assets
+ * @param {Object} options - Rebalancing options with maxTurnoverPercent and/or maxSellAmount
+ * @param {number} totalBefore - Portfolio value before the contribution or withdrawal
+ * @returns {number|undefined} The tighter of the two limits, or undefined when neither is set
+ */
+export function turnoverBudget(options, totalBefore) {
+  const limits = [];
+  if (options.maxTurnoverPercent !== undefined) limits.push((options.maxTurnoverPercent / 100) * totalBefore);
+  if (options.maxSellAmount !== undefined) limits.push(options.maxSellAmount);
+  return limits.length > 0 ? roundToCents(Math.min(...limits)) : undefined;
+}
+
+/**
+ * Spreads an amount over assets so the ones furthest from target move first and all
+ * end at the same relative distance from target. Each asset moves
+ * min(room, max(0, gap - level * targetValue)), and the level is found by bisection.
+ * @param {Array} items - Objects with gap (distance to its goal), targetValue and room
+ * @param {number} amount - Amount to spread; no more than the items can take in total
+ * @returns {Array} Amount for each item in cents, adding up to the amount
+ */
+export function levelAmounts(items, amount) {
+  const moveAt = (item, level) => Math.min(item.room, Math.max(0, item.gap - level * item.targetValue));
+  const sumAt = level => items.reduce((sum, item) => sum + moveAt(item, level), 0);
+
+  let low = 0;
+  let high = Math.max(0, ...items.map(item => (item.targetValue > 0 ? item.gap / item.targetValue : 0)));
+  for (let i = 0; i < 100; i++) {
+    const middle = (low + high) / 2;
+    if (sumAt(middle) > amount) low = middle;
+    else high = middle;
+  }
+
+  // Round down to cents, then hand out the leftover cents by largest remainder
+  const exact = items.map(item => moveAt(item, high) * 100);
+  const cents = exact.map(value => Math.floor(value + 1e-6));
+  let leftover = Math.floor(amount * 100 + 1e-6) - cents.reduce((sum, cent) => sum + cent, 0);
+
+  const order = exact
+    .map((value, i) => ({ i, remainder: value - cents[i] }))
+    .sort((a, b) => b.remainder - a.remainder);
+  for (const { i } of order) {
+    if (leftover <= 0) break;
+    if (cents[i] + 1 > Math.min(items[i].gap, items[i].room) * 100 + 1e-6) continue;
+    cents[i] += 1;
+    leftover--;
+  }
+
+  return cents.map(cent => cent / 100);
+}
+
+/**
+ * Moves an asset by an amount, in place
+ * @param {Object} asset - Working asset object
+ * @param {number} amount - Adjustment (negative to sell)
+ */
+function move(asset, amount) {
+  asset.workingValue = roundToCents(asset.workingValue + amount);
+  asset.transaction = roundToCents(asset.transaction + amount);
+}
+
+/**
+ * Takes a withdrawal by selling alone, in place: overweighted assets are sold down so
+ * they all end equally far above target (assets without a target go first), and what
+ * is left after every excess is sold comes out in proportion to value
+ * @param {number} amount - Amount to withdraw (negative)
+ * @param {Array} assets - Working asset objects
+ * @param {number} totalAfter - Portfolio value after the withdrawal
+ * @returns {number} Amount still to withdraw
+ */
+export function sellWithoutBuying(amount, assets, totalAfter) {
+  let remaining = amount;
+
+  for (const asset of assets.filter(a => a.targetPercent === 0 && a.workingValue > 0)) {
+    const sale = Math.min(asset.workingValue, -remaining);
+    move(asset, -sale);
+    remaining = roundToCents(remaining + sale);
+  }
+
+  const items = assets
+    .filter(asset => asset.targetPercent > 0)
+    .map(asset => {
+      const targetValue = (asset.targetPercent / 100) * totalAfter;
+      return { asset, targetValue, gap: asset.workingValue - targetValue, room: asset.workingValue };
+    })
+    .filter(item => item.gap >= 0.01);
+  const excess = items.reduce((sum, item) => sum + item.gap, 0);
+  const amounts = levelAmounts(items, Math.min(-remaining, excess));
+  items.forEach((item, i) => {
+    move(item.asset, -amounts[i]);
+    remaining = roundToCents(remaining + amounts[i]);
+  });
+
+  const value = assets.reduce((sum, asset) => sum + asset.workingValue, 0);
+  if (remaining < -0.005 && value >= 0.01) {
+    const sale = Math.min(-remaining, value);
+    for (const asset of assets) {
+      const share = roundToCents(Math.min(asset.workingValue, (sale * asset.workingValue) / value));
+      move(asset, -share);
+      remaining = roundToCents(remaining + share);
+    }
+  }
+
+  return remaining;
+}
+
+/**
+ * Summarizes how much of the turnover budget was used and how far the result is from target.
+ * Turnover is the smaller of the total sold and the total bought: what was sold to buy
+ * other assets, leaving out money that was contributed or withdrawn.
+ * @param {number} budget - Amount rebalancing was allowed to sell
+ * @param {number} totalBefore - Portfolio value before the contribution or withdrawal
+ * @param {Array} assets - Working asset objects after allocation
+ * @param {number} totalAfter - Portfolio value after the trades
+ * @returns {Object} budget, used, unused, turnoverPercent (used as a percent of the
+ *   portfolio value) and remainingDeviation (largest relative deviation from target)
+ */
+export function describeTurnover(budget, totalBefore, assets, totalAfter) {
+  const sold = assets.reduce((sum, asset) => sum + Math.max(0, -asset.transaction), 0);
+  const bought = assets.reduce((sum, asset) => sum + Math.max(0, asset.transaction), 0);
+  const used = Math.min(sold, bought);
+
+  const remainingDeviation = assets.reduce((max, asset) => {
+    const percent = totalAfter > 0 ? (asset.workingValue / totalAfter) * 100 : 0;
+    return Math.max(max, Math.abs(calculateDeviation(percent, asset.targetPercent)));
+  }, 0);
+
+  return {
+    budget,
+    used: roundToCents(used),
+    unused: roundToCents(Math.max(0, budget - used)),
+    turnoverPercent: totalBefore > 0 ? roundToCents((used / totalBefore) * 100) : 0,
+    remainingDeviation
+  };
+}
@@ -0,0 +1,22 @@
+import { roundMoney } from './money.js';
+
+/**
+ * Rounds a number to 2 decimal places (cents), through whole cents so that amounts
+ * such as 1.005 round the way they read
+ * @param {number} value - The value to round
+ * @returns {number} The rounded value
+ */
+export function roundToCents(value) {
+  return roundMoney(value, 2);
+}
+
+/**
+ * Calculates the fractional deviation of an asset
+ * @param {number} actualPercent - Current percentage of portfolio
+ * @param {number} targetPercent - Target percentage
+ * @returns {number} Fractional deviation (actualPercent/targetPercent - 1)
+ */
+export function calculateDeviation(actualPercent, targetPercent) {
+  if (targetPercent === 0) return 0;
+  return (actualPercent / targetPercent) - 1;
+}
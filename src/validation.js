@@ -0,0 +1,162 @@
+/**
+ * How far target percentages may be off 100 before they are rejected, and how far
+ * normalizeTargets: true rescales them (spreadsheet rounding such as 99.99 or 100.02)
+ */
+const TARGET_SUM_TOLERANCE = 0.01;
+const NORMALIZE_TOLERANCE = 0.05;
+
+/**
+ * A single validation problem. code says what is wrong; index and field say where,
+ * when the problem belongs to one asset.
+ */
+export class ValidationError extends Error {
+  /**
+   * @param {string} message - Human-readable description
+   * @param {Object} [details] - code, and index and field when the problem is in one asset
+   */
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'ValidationError';
+    this.code = details.code;
+    if (details.index !== undefined) this.index = details.index;
+    if (details.field !== undefined) this.field = details.field;
+  }
+}
+
+/**
+ * Every problem found in a portfolio, thrown at once. The message joins the individual
+ * messages; errors holds each one as a ValidationError.
+ */
+export class PortfolioValidationError extends ValidationError {
+  /**
+   * @param {Array} errors - ValidationError objects
+   */
+  constructor(errors) {
+    super(errors.map(error => error.message).join('; '), { code: 'INVALID_PORTFOLIO' });
+    this.name = 'PortfolioValidationError';
+    this.errors = errors;
+  }
+}
+
+/**
+ * Checks that a value is a finite number (NaN, Infinity and numeric strings are not)
+ * @param {*} value - The value
+ * @returns {boolean} True for finite numbers
+ */
+function isFiniteNumber(value) {
+  return typeof value === 'number' && Number.isFinite(value);
+}
+
+/**
+ * Code for a value that has to be a non-negative (or positive) number: INVALID_NUMBER
+ * when it is not a finite number at all, OUT_OF_RANGE when it is one but too small
+ * @param {*} value - The value
+ * @returns {string} The code
+ */
+export function numberCode(value) {
+  return isFiniteNumber(value) ? 'OUT_OF_RANGE' : 'INVALID_NUMBER';
+}
+
+/**
+ * Validates the shape of a portfolio and collects every problem instead of stopping at
+ * the first: missing or duplicate names, targets and values that are not numbers or out
+ * of range, missing sell flags, and targets that do not sum to 100%.
+ * @param {Array} assetClasses - Asset objects
+ * @param {Object} [options] - Optional settings:
+ *   - normalizeTargets: boolean|number (rescale targets that sum to within 0.05 of 100,
+ *     or within the given number of percentage points, so they sum to exactly 100)
+ * @returns {Object} valid, errors (ValidationError objects), assetClasses (copies with
+ *   rescaled targets when they were normalized, otherwise the input) and normalized
+ */
+export function validatePortfolio(assetClasses, options = {}) {
+  if (!Array.isArray(assetClasses) || assetClasses.length === 0) {
+    const error = new ValidationError('assetClasses must be a non-empty array', { code: 'EMPTY_PORTFOLIO' });
+    return { valid: false, errors: [error], assetClasses, normalized: false };
+  }
+
+  const errors = [];
+  const seen = new Set();
+
+  assetClasses.forEach((asset, index) => {
+    if (asset === null || typeof asset !== 'object') {
+      errors.push(new ValidationError(`Asset ${index} must be an object`, { code: 'INVALID_ASSET', index }));
+      return;
+    }
+
+    const validName = typeof asset.name === 'string' && asset.name.trim() !== '';
+    const label = validName ? asset.name : `at index ${index}`;
+
+    if (!validName) {
+      errors.push(new ValidationError(`Asset ${label} must have a name`, { code: 'MISSING_NAME', index, field: 'name' }));
+    } else if (seen.has(asset.name)) {
+      errors.push(new ValidationError(`Asset name ${asset.name} is used more than once`, { code: 'DUPLICATE_NAME', index, field: 'name' }));
+    } else {
+      seen.add(asset.name);
+    }
+
+    if (!isFiniteNumber(asset.targetPercent)) {
+      errors.push(new ValidationError(`targetPercent for ${label} must be a number, got ${asset.targetPercent}`, {
+        code: 'INVALID_NUMBER', index, field: 'targetPercent'
+      }));
+    } else if (asset.targetPercent < 0 || asset.targetPercent > 100) {
+      errors.push(new ValidationError(`targetPercent for ${label} must be between 0 and 100`, {
+        code: 'OUT_OF_RANGE', index, field: 'targetPercent'
+      }));
+    }
+
+    if (!isFiniteNumber(asset.currentValue)) {
+      errors.push(new ValidationError(`currentValue for ${label} must be a number, got ${asset.currentValue}`, {
+        code: 'INVALID_NUMBER', index, field: 'currentValue'
+      }));
+    } else if (asset.currentValue < 0) {
+      errors.push(new ValidationError(`currentValue for ${label} cannot be negative`, {
+        code: 'OUT_OF_RANGE', index, field: 'currentValue'
+      }));
+    }
+
+    if (typeof asset.sell !== 'boolean') {
+      errors.push(new ValidationError(`sell for ${label} must be true or false`, {
+        code: asset.sell === undefined ? 'MISSING_FIELD' : 'INVALID_BOOLEAN', index, field: 'sell'
+      }));
+    }
+  });
+
+  // The sum is only meaningful once every target is a number
+  let result = assetClasses;
+  let normalized = false;
+  const targets = assetClasses.map(asset => asset && asset.targetPercent);
+
+  if (targets.every(isFiniteNumber)) {
+    const sum = targets.reduce((total, target) => total + target, 0);
+    const tolerance = typeof options.normalizeTargets === 'number' ? options.normalizeTargets : NORMALIZE_TOLERANCE;
+
+    if (options.normalizeTargets && sum > 0 && Math.abs(sum - 100) <= tolerance && sum !== 100) {
+      result = assetClasses.map(asset => ({ ...asset, targetPercent: (asset.targetPercent * 100) / sum }));
+      normalized = true;
+    } else if (Math.abs(sum - 100) > TARGET_SUM_TOLERANCE) {
+      errors.push(new ValidationError(`Target percentages must sum to 100% (they sum to ${Math.round(sum * 100) / 100})`, {
+        code: 'TARGET_SUM', field: 'targetPercent'
+      }));
+    }
+  }
+
+  return { valid: errors.length === 0, errors, assetClasses: result, normalized };
+}
+
+/**
+ * Validates a portfolio and throws every problem at once
+ * @param {Array} assetClasses - Asset objects
+ * @param {Object} [options] - Options, as for validatePortfolio
+ * @param {Array} [otherErrors] - Problems the caller found in its other arguments,
+ *   thrown together with the portfolio's
+ * @returns {Object} assetClasses (normalized when asked for) and normalized
+ */
+export function assertValidPortfolio(assetClasses, options = {}, otherErrors = []) {
+  const validation = validatePortfolio(assetClasses, options);
+  const errors = [...validation.errors, ...otherErrors];
+  if (errors.length > 0) {
+    throw new PortfolioValidationError(errors);
+  }
+
+  return { assetClasses: validation.assetClasses, normalized: validation.normalized };
+}
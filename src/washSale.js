@@ -0,0 +1,219 @@
+import { roundToCents } from './utils.js';
+import { rebalancePortfolio } from './rebalancer.js';
+
+/**
+ * Days before and after a loss sale in which buying a substantially identical security
+ * makes it a wash sale
+ */
+export const WASH_SALE_WINDOW_DAYS = 30;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Validates the trade history, identical-security groups and replacements
+ * @param {Object} options - Wash-sale settings
+ */
+function validateWashSaleOptions(options) {
+  if (options.windowDays !== undefined && !(typeof options.windowDays === 'number' && options.windowDays >= 0)) {
+    throw new Error('windowDays must be a non-negative number');
+  }
+
+  const history = options.history || [];
+  if (!Array.isArray(history)) {
+    throw new Error('history must be an array');
+  }
+
+  history.forEach((trade, i) => {
+    if (typeof trade.symbol !== 'string' || trade.symbol === '') {
+      throw new Error(`Trade history entry ${i + 1} needs a symbol`);
+    }
+    if (Number.isNaN(new Date(trade.date).getTime())) {
+      throw new Error(`Trade history entry ${i + 1} has an invalid date`);
+    }
+    if (trade.side !== 'BUY' && trade.side !== 'SELL') {
+      throw new Error(`Trade history entry ${i + 1} has an unknown side: ${trade.side}`);
+    }
+  });
+
+  const groups = options.groups || [];
+  if (!Array.isArray(groups) || !groups.every(Array.isArray)) {
+    throw new Error('groups must be an array of symbol arrays');
+  }
+
+  const seen = new Set();
+  for (const symbol of groups.flat()) {
+    if (seen.has(symbol)) {
+      throw new Error(`${symbol} is in more than one group of substantially identical securities`);
+    }
+    seen.add(symbol);
+  }
+
+  const replacements = options.replacements || {};
+  if (typeof replacements !== 'object' || Array.isArray(replacements) ||
+    !Object.values(replacements).every(Array.isArray)) {
+    throw new Error('replacements must map symbols to arrays of symbols');
+  }
+}
+
+/**
+ * Symbol a transaction trades under, as for buildOrders
+ * @param {Object} transaction - Transaction from a rebalance result
+ * @returns {string} The ticker, or the asset name without one
+ */
+function symbolOf(transaction) {
+  return transaction.ticker || transaction.name;
+}
+
+/**
+ * Loss a proposed sale realizes, from the lots it sells
+ * @param {Object} transaction - Transaction from a rebalance result
+ * @returns {number} The loss as a positive number, 0 for gains or when there are no lots
+ */
+function saleLoss(transaction) {
+  if (transaction.amount >= 0 || !transaction.lotsSold) return 0;
+  const loss = transaction.lotsSold.reduce((sum, lot) => sum + Math.min(0, lot.gain), 0);
+  return roundToCents(-loss);
+}
+
+/**
+ * Checks the trades in a rebalance result for wash sales: a loss that would be
+ * disallowed because a substantially identical security is bought within the wash-sale
+ * window (30 days by default) of the sale. Three kinds of conflict are found:
+ * - lossSaleInRebalance: a buy while the same rebalance sells an identical security at a loss
+ * - recentLossSale: a buy within the window after an identical security was sold at a loss
+ * - recentBuy: a sale at a loss within the window after an identical security was bought
+ * A security is always identical to itself; groups adds others. Losses on proposed
+ * sales come from their lots, so sales of assets without lots are not checked.
+ * @param {Object} result - Result of rebalancePortfolio (or one account of rebalanceHousehold)
+ * @param {Object} [options] - Optional settings:
+ *   - history: Array (recent trades with symbol, date, side 'BUY' or 'SELL' and, for
+ *     sells, the realized gain; a negative gain is a loss)
+ *   - groups: Array (arrays of symbols that are substantially identical, e.g. funds
+ *     tracking the same index)
+ *   - replacements: Object (symbol -> symbols that may be bought instead; those
+ *     identical to the conflicting security are left out)
+ *   - asOf: string|Date (date of the proposed trades, default today)
+ *   - windowDays: number (how many days back the history is checked, default 30)
+ * @returns {Array} Conflicts with name, symbol, side, amount, type, message, conflictsWith
+ *   (symbol, and date and loss where known) and, for buys, replacements
+ */
+export function checkWashSales(result, options = {}) {
+  if (!result || !Array.isArray(result.transactions)) {
+    throw new Error('result must have a transactions array');
+  }
+
+  validateWashSaleOptions(options);
+
+  const groupOf = new Map();
+  (options.groups || []).forEach((group, i) => group.forEach(symbol => groupOf.set(symbol, i)));
+  const identical = (a, b) => a === b || (groupOf.has(a) && groupOf.get(a) === groupOf.get(b));
+
+  const windowDays = options.windowDays === undefined ? WASH_SALE_WINDOW_DAYS : options.windowDays;
+  const asOf = new Date(options.asOf || new Date());
+  const recent = (options.history || []).filter(trade => {
+    const days = (asOf - new Date(trade.date)) / DAY_MS;
+    return days >= 0 && days <= windowDays;
+  });
+
+  const replacementsFor = (symbol, other) => ((options.replacements || {})[symbol] || [])
+    .filter(replacement => !identical(replacement, symbol) && !identical(replacement, other));
+
+  const trades = result.transactions.filter(t => Math.abs(t.amount) >= 0.01);
+  const lossSales = trades
+    .map(t => ({ transaction: t, symbol: symbolOf(t), loss: saleLoss(t) }))
+    .filter(sale => sale.loss > 0);
+
+  const conflicts = [];
+  const conflict = (transaction, type, message, conflictsWith) => {
+    const found = {
+      name: transaction.name,
+      symbol: symbolOf(transaction),
+      side: transaction.amount < 0 ? 'SELL' : 'BUY',
+      amount: transaction.amount,
+      type,
+      message,
+      conflictsWith
+    };
+    if (found.side === 'BUY') found.replacements = replacementsFor(found.symbol, conflictsWith.symbol);
+    conflicts.push(found);
+  };
+
+  for (const t of trades.filter(trade => trade.amount > 0)) {
+    const symbol = symbolOf(t);
+
+    const sale = lossSales.find(s => identical(s.symbol, symbol));
+    if (sale) {
+      conflict(t, 'lossSaleInRebalance',
+        `Buying ${symbol} while selling ${sale.symbol} at a loss would be a wash sale`,
+        { symbol: sale.symbol, loss: sale.loss });
+      continue;
+    }
+
+    const past = recent.find(trade => trade.side === 'SELL' && trade.gain < 0 && identical(trade.symbol, symbol));
+    if (past) {
+      conflict(t, 'recentLossSale',
+        `Buying ${symbol} within ${windowDays} days of selling ${past.symbol} at a loss on ${past.date} would be a wash sale`,
+        { symbol: past.symbol, date: past.date, loss: roundToCents(-past.gain) });
+    }
+  }
+
+  for (const sale of lossSales) {
+    const past = recent.find(trade => trade.side === 'BUY' && identical(trade.symbol, sale.symbol));
+    if (past) {
+      conflict(sale.transaction, 'recentBuy',
+        `Selling ${sale.symbol} at a loss within ${windowDays} days of buying ${past.symbol} on ${past.date} would be a wash sale`,
+        { symbol: past.symbol, date: past.date });
+    }
+  }
+
+  return conflicts;
+}
+
+/**
+ * Rebalances a portfolio without trades that would be wash sales. Conflicting trades
+ * are blocked one round at a time: a blocked buy gets maxBuy 0 and a blocked sale
+ * sell: false, and the portfolio is rebalanced again until no conflicts are left.
+ * @param {number} amount - Amount to contribute (positive) or withdraw (negative)
+ * @param {Array} assetClasses - Asset objects, as for rebalancePortfolio
+ * @param {Object} [options] - Options, as for rebalancePortfolio, plus:
+ *   - washSales: Object (history, groups, replacements and windowDays, as for
+ *     checkWashSales; asOf is shared with the rebalance)
+ *   - washSaleAction: string ('block', the default, or 'flag' to keep the trades and
+ *     only report the conflicts)
+ * @returns {Object} Rebalancing results; the summary gets washSales with the blocked
+ *   trades and any conflicts left (withdrawals may still have to make them)
+ */
+export function avoidWashSales(amount, assetClasses, options = {}) {
+  const { washSales = {}, washSaleAction = 'block', ...rebalanceOptions } = options;
+  if (washSaleAction !== 'block' && washSaleAction !== 'flag') {
+    throw new Error(`Unknown wash sale action: ${washSaleAction}`);
+  }
+
+  const checkOptions = { ...washSales, asOf: rebalanceOptions.asOf };
+  let assets = assetClasses;
+  const blocked = [];
+  let result;
+  let conflicts;
+
+  for (let pass = 0; pass <= assetClasses.length; pass++) {
+    result = rebalancePortfolio(amount, assets, rebalanceOptions);
+    conflicts = checkWashSales(result, checkOptions);
+    if (washSaleAction === 'flag' || conflicts.length === 0) break;
+
+    const blocking = conflicts.filter(c => !blocked.some(b => b.name === c.name && b.side === c.side));
+    if (blocking.length === 0) break;
+
+    assets = assets.map(asset => {
+      const found = blocking.find(c => c.name === asset.name);
+      if (!found) return asset;
+      if (found.side === 'SELL') return { ...asset, sell: false };
+
+      const { minBuy, ...rest } = asset;
+      return { ...rest, maxBuy: 0 };
+    });
+    blocked.push(...blocking);
+  }
+
+  result.summary.washSales = { action: washSaleAction, blocked, conflicts };
+  return result;
+}
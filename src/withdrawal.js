@@ -0,0 +1,281 @@
+import { roundToCents, calculateDeviation } from './utils.js';
+import { apportion } from './money.js';
+import { ValidationError } from './validation.js';
+
+/**
+ * Ways a withdrawal can be taken from the portfolio:
+ * - auto: picks perfectBalance, sellableFirst, overweightedOnly or proportional (the default)
+ * - perfectBalance: sell so every asset ends on target (only when no asset has to be bought)
+ * - sellableFirst: sell only sellable assets, keeping their target ratios
+ * - overweightedOnly: sell only overweighted assets, keeping their target ratios
+ * - proportional: bring every asset to its target share of what is left
+ * - proRata: sell every asset in proportion to its current value
+ * - largestOverweightFirst: sell the most overweighted asset down to target, then the next
+ * - taxEfficient: sell tax-advantaged assets first and taxable ones (taxable: true, or with lots) last
+ * - priority: sell assets in the order of options.withdrawalPriority, then the rest
+ */
+export const WITHDRAWAL_STRATEGIES = [
+  'auto',
+  'perfectBalance',
+  'sellableFirst',
+  'overweightedOnly',
+  'proportional',
+  'proRata',
+  'largestOverweightFirst',
+  'taxEfficient',
+  'priority'
+];
+
+/**
+ * Validates the withdrawal strategy options
+ * @param {Object} options - Rebalancing options
+ * @param {Array} assetClasses - Asset objects
+ * @throws {ValidationError} On the withdrawalStrategy or withdrawalPriority option
+ */
+export function validateWithdrawalStrategy(options, assetClasses) {
+  const strategy = options.withdrawalStrategy;
+  if (strategy !== undefined && !WITHDRAWAL_STRATEGIES.includes(strategy)) {
+    throw new ValidationError(`Unknown withdrawal strategy: ${strategy}`, { code: 'UNKNOWN_VALUE', field: 'withdrawalStrategy' });
+  }
+
+  if (strategy === 'priority') {
+    const priority = options.withdrawalPriority;
+    if (!Array.isArray(priority) || priority.length === 0) {
+      throw new ValidationError('The priority withdrawal strategy needs a withdrawalPriority array of asset names', {
+        code: 'MISSING_FIELD', field: 'withdrawalPriority'
+      });
+    }
+
+    for (const name of priority) {
+      if (!assetClasses.some(asset => asset.name === name)) {
+        throw new ValidationError(`withdrawalPriority names an unknown asset: ${name}`, {
+          code: 'UNKNOWN_VALUE', field: 'withdrawalPriority'
+        });
+      }
+    }
+  }
+}
+
+/**
+ * Moves an asset to a new value, in place
+ * @param {Object} asset - Working asset object
+ * @param {number} value - New value
+ * @returns {number} The adjustment, rounded to cents
+ */
+function moveTo(asset, value) {
+  const adjustment = roundToCents(value - asset.workingValue);
+  asset.workingValue = roundToCents(asset.workingValue + adjustment);
+  asset.transaction = roundToCents(asset.transaction + adjustment);
+  return adjustment;
+}
+
+/**
+ * Brings a group of assets to their target ratios within a new group total. The target
+ * values are apportioned in cents so they add up to exactly the group total. A group
+ * whose targets are all 0% keeps the ratios of its current values (or splits evenly
+ * when it holds nothing).
+ * @param {Array} group - Working asset objects
+ * @param {number} groupTotal - Value the group ends up with
+ * @param {number} remaining - Amount still to withdraw (negative)
+ * @param {Array} [moved] - Assets of the group that are moved (default all of them)
+ * @returns {number} Amount still to withdraw
+ */
+function toTargetRatios(group, groupTotal, remaining, moved = group) {
+  const groupTargetPercent = group.reduce((sum, asset) => sum + asset.targetPercent, 0);
+  const groupValue = group.reduce((sum, asset) => sum + asset.workingValue, 0);
+  const ratio = asset => {
+    if (groupTargetPercent > 0) return asset.targetPercent / groupTargetPercent;
+    return groupValue > 0 ? asset.workingValue / groupValue : 1 / group.length;
+  };
+  const exact = moved.map(asset => ratio(asset) * groupTotal);
+  const targetFinalValues = apportion(exact.reduce((sum, value) => sum + value, 0), exact);
+
+  moved.forEach((asset, i) => {
+    remaining = roundToCents(remaining - moveTo(asset, targetFinalValues[i]));
+  });
+
+  return remaining;
+}
+
+/**
+ * Sells tier by tier: within a tier, overweighted assets are first sold down to target,
+ * most overweighted first, then the tier is sold in proportion to value until it is empty
+ * @param {Array} tiers - Groups of working asset objects, in the order they are sold
+ * @param {number} remaining - Amount still to withdraw (negative)
+ * @param {number} totalAfter - Portfolio value after the withdrawal
+ * @returns {number} Amount still to withdraw
+ */
+function sellByTier(tiers, remaining, totalAfter) {
+  const overweight = asset => {
+    if (asset.targetPercent === 0) return asset.workingValue > 0 ? Infinity : 0;
+    return calculateDeviation((asset.workingValue / totalAfter) * 100, asset.targetPercent);
+  };
+
+  for (const tier of tiers) {
+    const byOverweight = [...tier].sort((a, b) => overweight(b) - overweight(a));
+    for (const asset of byOverweight) {
+      const excess = asset.workingValue - (asset.targetPercent / 100) * totalAfter;
+      if (remaining > -0.01 || excess < 0.01) continue;
+      remaining = roundToCents(remaining - moveTo(asset, asset.workingValue - Math.min(excess, -remaining)));
+    }
+
+    remaining = sellProRata(tier, remaining);
+  }
+
+  return remaining;
+}
+
+/**
+ * Sells a group of assets in proportion to their current value, apportioning the sale
+ * in cents so the shares add up to exactly the amount sold
+ * @param {Array} group - Working asset objects
+ * @param {number} remaining - Amount still to withdraw (negative)
+ * @returns {number} Amount still to withdraw
+ */
+function sellProRata(group, remaining) {
+  const groupValue = group.reduce((sum, asset) => sum + asset.workingValue, 0);
+  if (remaining > -0.01 || groupValue < 0.01) return remaining;
+
+  const sale = Math.min(-remaining, groupValue);
+  const shares = apportion(sale, group.map(asset => (sale * asset.workingValue) / groupValue));
+  group.forEach((asset, i) => {
+    const share = Math.min(asset.workingValue, shares[i]);
+    remaining = roundToCents(remaining - moveTo(asset, asset.workingValue - share));
+  });
+
+  return remaining;
+}
+
+/**
+ * Checks the conditions the original strategies depend on
+ * @param {number} amount - Amount to withdraw (negative)
+ * @param {Array} assets - Working asset objects
+ * @param {Object} totals - totalBefore and totalAfter
+ * @returns {Object} Sellable and overweighted assets and whether perfect balance is reachable
+ */
+function assess(amount, assets, { totalBefore, totalAfter }) {
+  const sellableAssets = assets.filter(a => a.sell === true);
+
+  return {
+    // Perfect balance is reachable when no asset is below its target after the withdrawal
+    canAchievePerfectBalance: assets.every(asset =>
+      (asset.targetPercent / 100) * totalAfter <= asset.workingValue + 0.01
+    ),
+    sellableAssets,
+    sellableValue: sellableAssets.reduce((sum, a) => sum + a.workingValue, 0),
+    overweightedAssets: assets.filter(asset =>
+      (asset.workingValue / totalBefore) * 100 > asset.targetPercent && asset.workingValue > 0.01
+    )
+  };
+}
+
+/**
+ * Picks the strategy to run. The original four strategies only apply under certain
+ * conditions; when a requested one does not, it falls back the way auto would.
+ * @param {string} requested - Requested strategy
+ * @param {number} amount - Amount to withdraw (negative)
+ * @param {Object} state - Result of assess
+ * @returns {Object} strategy and reason
+ */
+function chooseStrategy(requested, amount, state) {
+  const { canAchievePerfectBalance, sellableAssets, sellableValue, overweightedAssets } = state;
+  const chosen = 'Chosen with the withdrawalStrategy option';
+
+  if (requested === 'auto' || requested === 'perfectBalance') {
+    if (canAchievePerfectBalance) {
+      return {
+        strategy: 'perfectBalance',
+        reason: requested === 'auto' ? 'Every asset can reach its target by selling alone' : chosen
+      };
+    }
+    if (requested === 'perfectBalance') {
+      return { strategy: 'proportional', reason: 'Perfect balance would require buying some assets' };
+    }
+  }
+
+  if (requested === 'sellableFirst' || (requested === 'auto' && sellableAssets.length > 0)) {
+    if (sellableAssets.length === 0) {
+      return { strategy: 'proportional', reason: 'No asset is sellable' };
+    }
+    if (Math.abs(amount) <= sellableValue) {
+      return {
+        strategy: 'sellableFirst',
+        reason: requested === 'auto' ? 'The sellable assets cover the withdrawal' : chosen
+      };
+    }
+    return { strategy: 'proportional', reason: 'The sellable assets cannot cover the withdrawal' };
+  }
+
+  if (requested === 'auto' || requested === 'overweightedOnly') {
+    if (overweightedAssets.length > 0) {
+      return {
+        strategy: 'overweightedOnly',
+        reason: requested === 'auto' ? 'No asset is sellable, so only overweighted assets are sold' : chosen
+      };
+    }
+    return {
+      strategy: 'proportional',
+      reason: requested === 'auto' ? 'No asset is sellable or overweighted' : 'No asset is overweighted'
+    };
+  }
+
+  return { strategy: requested, reason: chosen };
+}
+
+/**
+ * Takes a withdrawal out of the working assets, in place
+ * @param {number} amount - Amount to withdraw (negative)
+ * @param {Array} assets - Working asset objects
+ * @param {Object} context - totalBefore, totalAfter and options (withdrawalStrategy and
+ *   withdrawalPriority)
+ * @returns {Object} remaining (amount not yet withdrawn), and the requested strategy,
+ *   the strategy that ran and the reason it was picked
+ */
+export function withdraw(amount, assets, context) {
+  const { totalAfter, options } = context;
+  const requested = options.withdrawalStrategy || 'auto';
+  let remaining = amount;
+
+  // Withdrawing the entire portfolio sells everything, whatever the strategy
+  if (Math.abs(totalAfter) < 0.01) {
+    assets.filter(a => a.workingValue > 0).forEach(asset => {
+      remaining = roundToCents(remaining - moveTo(asset, 0));
+    });
+    return { remaining, requested, strategy: 'proRata', reason: 'The whole portfolio is withdrawn' };
+  }
+
+  const state = assess(amount, assets, context);
+  const { strategy, reason } = chooseStrategy(requested, amount, state);
+
+  if (strategy === 'perfectBalance') {
+    remaining = toTargetRatios(assets, totalAfter, remaining);
+  } else if (strategy === 'sellableFirst') {
+    // Keep target ratios among the sellable assets
+    const held = state.sellableAssets.filter(asset => asset.workingValue > 0.01);
+    remaining = toTargetRatios(state.sellableAssets, state.sellableValue + amount, remaining, held);
+  } else if (strategy === 'overweightedOnly') {
+    // Move the overweighted assets towards their target ratios
+    const overweightedValue = state.overweightedAssets.reduce((sum, a) => sum + a.workingValue, 0);
+    remaining = toTargetRatios(state.overweightedAssets, overweightedValue + amount, remaining);
+  } else if (strategy === 'proportional') {
+    const held = assets.filter(asset => asset.workingValue > 0.01);
+    remaining = toTargetRatios(assets, totalAfter, remaining, held);
+  } else if (strategy === 'proRata') {
+    remaining = sellProRata(assets, remaining);
+  } else if (strategy === 'largestOverweightFirst') {
+    remaining = sellByTier([assets], remaining, totalAfter);
+  } else if (strategy === 'taxEfficient') {
+    const isTaxable = asset => asset.taxable === true || Boolean(asset.lots);
+    remaining = sellByTier(
+      [assets.filter(asset => !isTaxable(asset)), assets.filter(isTaxable)],
+      remaining,
+      totalAfter
+    );
+  } else if (strategy === 'priority') {
+    const listed = options.withdrawalPriority.map(name => assets.filter(asset => asset.name === name));
+    const rest = assets.filter(asset => !options.withdrawalPriority.includes(asset.name));
+    remaining = sellByTier([...listed, rest], remaining, totalAfter);
+  }
+
+  return { remaining, requested, strategy, reason };
+}
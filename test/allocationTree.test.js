@@ -0,0 +1,165 @@
+import { rebalanceAllocationTree, flattenAllocationTree } from '../src/allocationTree.js';
+
+describe('Hierarchical allocation trees', () => {
+  // 60% equity split 70/30 US/international, with US split across three funds
+  const tree = [
+    {
+      name: 'Equity',
+      targetPercent: 60,
+      children: [
+        {
+          name: 'US',
+          targetPercent: 70,
+          children: [
+            { name: 'VTI', targetPercent: 50, currentValue: 20000, sell: false },
+            { name: 'VOO', targetPercent: 30, currentValue: 12000, sell: false },
+            { name: 'VB', targetPercent: 20, currentValue: 5000, sell: false }
+          ]
+        },
+        { name: 'International', targetPercent: 30, currentValue: 15000, sell: false }
+      ]
+    },
+    { name: 'Bonds', targetPercent: 40, currentValue: 48000, sell: false }
+  ];
+
+  const findNode = (nodes, path) => {
+    for (const node of nodes) {
+      if (node.path === path) return node;
+      const found = node.children && findNode(node.children, path);
+      if (found) return found;
+    }
+    return null;
+  };
+
+  describe('flattenAllocationTree', () => {
+    test('Should multiply target percentages down to the leaves', () => {
+      const leaves = flattenAllocationTree(tree);
+
+      expect(leaves.map(leaf => leaf.path)).toEqual([
+        'Equity / US / VTI', 'Equity / US / VOO', 'Equity / US / VB', 'Equity / International', 'Bonds'
+      ]);
+      expect(leaves.map(leaf => Math.round(leaf.targetPercent * 100) / 100)).toEqual([21, 12.6, 8.4, 18, 40]);
+    });
+  });
+
+  describe('rebalanceAllocationTree', () => {
+    test('Should split a contribution top-down through the groups', () => {
+      const result = rebalanceAllocationTree(10000, tree);
+
+      expect(result.transactions.map(t => t.amount)).toEqual([1700, 1020, 3680, 3600, 0]);
+      expect(result.summary).toEqual({ totalBefore: 100000, totalAfter: 110000, contribution: 10000 });
+    });
+
+    test('Should restate leaf percentages against the whole portfolio', () => {
+      const result = rebalanceAllocationTree(10000, tree);
+      const vti = result.transactions.find(t => t.name === 'VTI');
+
+      expect(vti.path).toBe('Equity / US / VTI');
+      expect(vti.targetPercent).toBe(21);
+      expect(vti.currentPercent).toBe(20);
+      expect(vti.finalPercent).toBe(19.73);
+    });
+
+    test('Should report every level of the tree against its parent', () => {
+      const result = rebalanceAllocationTree(10000, tree);
+
+      const equity = findNode(result.tree, 'Equity');
+      expect(equity.amount).toBe(10000);
+      expect(equity.currentValue).toBe(52000);
+      expect(equity.finalValue).toBe(62000);
+      expect(equity.currentPercent).toBe(52);
+      expect(equity.finalPercent).toBe(56.36);
+      expect(equity.deviation).toBeCloseTo(-0.0607, 4);
+
+      const us = findNode(result.tree, 'Equity / US');
+      expect(us.targetPercent).toBe(70);
+      expect(us.portfolioTargetPercent).toBe(42);
+      expect(us.finalPercent).toBe(70);
+      expect(us.children.map(child => child.finalPercent)).toEqual([50, 30, 20]);
+    });
+
+    test('Should rebalance inside a group when only its children are off target', () => {
+      const skewed = [
+        {
+          name: 'Equity',
+          targetPercent: 50,
+          children: [
+            { name: 'US', targetPercent: 50, currentValue: 40000, sell: true },
+            { name: 'International', targetPercent: 50, currentValue: 10000, sell: true }
+          ]
+        },
+        { name: 'Bonds', targetPercent: 50, currentValue: 50000, sell: true }
+      ];
+
+      const result = rebalanceAllocationTree(0, skewed);
+
+      expect(result.transactions.map(t => t.amount)).toEqual([-15000, 15000, 0]);
+      expect(findNode(result.tree, 'Equity').amount).toBe(0);
+    });
+
+    test('Should only sell the sellable holdings of a mixed group', () => {
+      const mixed = () => [
+        {
+          name: 'Equity',
+          targetPercent: 60,
+          children: [
+            { name: 'US', targetPercent: 50, currentValue: 100, sell: true },
+            { name: 'International', targetPercent: 50, currentValue: 9000, sell: false }
+          ]
+        },
+        { name: 'Bonds', targetPercent: 40, currentValue: 1000, sell: true }
+      ];
+
+      const rebalanced = rebalanceAllocationTree(0, mixed());
+      expect(rebalanced.transactions.map(t => t.amount)).toEqual([-100, 0, 100]);
+      expect(rebalanced.summary.bindingConstraints).toEqual([{ name: 'Equity', constraint: 'minHolding', limit: 9000 }]);
+
+      // The sellable bonds cover the withdrawal, so the locked fund is left alone
+      const withdrawn = rebalanceAllocationTree(-500, mixed());
+      expect(withdrawn.transactions.map(t => t.amount)).toEqual([0, 0, -500]);
+    });
+
+    test('Should merge the summaries of nested runs', () => {
+      const withPrices = [
+        {
+          name: 'Equity',
+          targetPercent: 60,
+          children: [
+            { name: 'US', targetPercent: 50, currentValue: 30000, sell: false, price: 300, fractionalShares: false },
+            { name: 'International', targetPercent: 50, currentValue: 25000, sell: false, price: 70, fractionalShares: false }
+          ]
+        },
+        { name: 'Bonds', targetPercent: 40, currentValue: 45000, sell: false }
+      ];
+
+      const result = rebalanceAllocationTree(1000, withPrices);
+      const invested = result.transactions.reduce((sum, t) => sum + t.amount, 0);
+
+      expect(Math.round((invested + result.summary.unallocatedCash) * 100) / 100).toBe(1000);
+    });
+  });
+
+  describe('Validation', () => {
+    test('Should throw error for an empty tree', () => {
+      expect(() => rebalanceAllocationTree(0, [])).toThrow('tree must be a non-empty array');
+    });
+
+    test('Should throw error when a level does not sum to 100%', () => {
+      const broken = [
+        { name: 'Equity', targetPercent: 60, children: [{ name: 'US', targetPercent: 90, currentValue: 100 }] },
+        { name: 'Bonds', targetPercent: 40, currentValue: 100 }
+      ];
+
+      expect(() => rebalanceAllocationTree(0, broken)).toThrow('Target percentages under Equity must sum to 100%');
+    });
+
+    test('Should throw error for a leaf without a current value', () => {
+      expect(() => rebalanceAllocationTree(0, [{ name: 'Equity', targetPercent: 100 }]))
+        .toThrow('Node Equity must have children or a currentValue');
+    });
+
+    test('Should throw error when the withdrawal exceeds the portfolio', () => {
+      expect(() => rebalanceAllocationTree(-200000, tree)).toThrow('Withdrawal amount exceeds total portfolio value');
+    });
+  });
+});
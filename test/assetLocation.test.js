@@ -0,0 +1,137 @@
+import { optimizeAssetLocation } from '../src/assetLocation.js';
+
+describe('Asset location', () => {
+  const targets = [
+    { name: 'US Stocks', targetPercent: 50, scores: { taxable: 2, taxDeferred: 1, roth: 3 } },
+    { name: 'International Stocks', targetPercent: 20, scores: { taxable: 3, taxDeferred: 1, roth: 2 } },
+    { name: 'Bonds', targetPercent: 30, scores: { taxable: 0, taxDeferred: 3, roth: 1 } }
+  ];
+
+  const accounts = () => [
+    {
+      name: 'Brokerage',
+      taxTreatment: 'taxable',
+      assetClasses: [
+        { name: 'US Stocks', currentValue: 30000, sell: true },
+        { name: 'Bonds', currentValue: 20000, sell: true }
+      ]
+    },
+    {
+      name: 'IRA',
+      taxTreatment: 'taxDeferred',
+      assetClasses: [
+        { name: 'US Stocks', currentValue: 20000, sell: true },
+        { name: 'International Stocks', currentValue: 10000, sell: true }
+      ]
+    },
+    {
+      name: 'Roth',
+      taxTreatment: 'roth',
+      amount: 5000,
+      assetClasses: [
+        { name: 'Bonds', currentValue: 5000, sell: true },
+        { name: 'International Stocks', currentValue: 10000, sell: true }
+      ]
+    }
+  ];
+
+  // Target value of each asset class in an account's placement
+  const placed = (result, account) => Object.fromEntries(
+    result.placement.find(a => a.name === account).holdings.map(h => [h.name, h.targetValue])
+  );
+
+  test('Should place each asset class where it scores best', () => {
+    const result = optimizeAssetLocation(accounts(), targets);
+
+    expect(placed(result, 'Brokerage')).toEqual({ 'US Stocks': 30000, 'International Stocks': 20000, Bonds: 0 });
+    expect(placed(result, 'IRA')).toEqual({ 'US Stocks': 0, 'International Stocks': 0, Bonds: 30000 });
+    expect(placed(result, 'Roth')).toEqual({ 'US Stocks': 20000, 'International Stocks': 0, Bonds: 0 });
+    expect(result.score.current).toBeCloseTo(115 / 95, 6);
+    expect(result.score.proposed).toBeCloseTo(2.7, 6);
+  });
+
+  test('Should produce the trades that reach the placement inside each account', () => {
+    const result = optimizeAssetLocation(accounts(), targets);
+    const trades = name => Object.fromEntries(
+      result.accounts.find(a => a.name === name).transactions.map(t => [t.name, t.amount])
+    );
+
+    expect(trades('Brokerage')).toEqual({ 'US Stocks': 0, 'International Stocks': 20000, Bonds: -20000 });
+    expect(trades('IRA')).toEqual({ 'US Stocks': -20000, 'International Stocks': -10000, Bonds: 30000 });
+    expect(trades('Roth')).toEqual({ 'US Stocks': 20000, 'International Stocks': -10000, Bonds: -5000 });
+
+    // Money stays in each account: net trades equal the account's own contribution
+    result.accounts.forEach((account, i) => {
+      const net = account.transactions.reduce((sum, t) => sum + t.amount, 0);
+      expect(net).toBeCloseTo(accounts()[i].amount || 0, 2);
+    });
+
+    // Holdings the placement empties are sold out; the account reports its own totals
+    const roth = result.accounts.find(a => a.name === 'Roth');
+    expect(roth.transactions.find(t => t.name === 'Bonds')).toMatchObject({ finalValue: 0, targetPercent: 0, currentPercent: 33.33 });
+    expect(roth.summary).toEqual({ totalBefore: 15000, totalAfter: 20000, contribution: 5000 });
+
+    expect(result.allocation.map(a => a.finalPercent)).toEqual([50, 20, 30]);
+    expect(result.summary).toEqual({ totalBefore: 95000, totalAfter: 100000, contribution: 5000 });
+  });
+
+  test('Should leave holdings that cannot be sold in place', () => {
+    const holdings = accounts();
+    holdings[0].assetClasses[1].sell = false;
+    const result = optimizeAssetLocation(holdings, targets);
+
+    // The locked bonds stay in the brokerage account, so the IRA only needs the rest
+    expect(placed(result, 'Brokerage')).toEqual({ 'US Stocks': 10000, 'International Stocks': 20000, Bonds: 20000 });
+    expect(placed(result, 'IRA')).toEqual({ 'US Stocks': 20000, 'International Stocks': 0, Bonds: 10000 });
+    expect(result.allocation.map(a => a.finalPercent)).toEqual([50, 20, 30]);
+  });
+
+  test('Should not trade when scores leave nothing to gain', () => {
+    const flat = targets.map(({ scores, ...target }) => target);
+    const holdings = [
+      {
+        name: 'Brokerage',
+        taxTreatment: 'taxable',
+        assetClasses: [
+          { name: 'US Stocks', currentValue: 50000, sell: true },
+          { name: 'International Stocks', currentValue: 20000, sell: true }
+        ]
+      },
+      { name: 'IRA', taxTreatment: 'taxDeferred', assetClasses: [{ name: 'Bonds', currentValue: 30000, sell: true }] }
+    ];
+    const result = optimizeAssetLocation(holdings, flat);
+
+    result.accounts.forEach(account => account.transactions.forEach(t => expect(t.amount).toBe(0)));
+    expect(result.score).toEqual({ current: 0, proposed: 0 });
+  });
+
+  describe('Validation', () => {
+    test('Should reject unknown tax treatments and bad scores', () => {
+      const holdings = accounts();
+      holdings[1].taxTreatment = 'hsa';
+      expect(() => optimizeAssetLocation(holdings, targets)).toThrow('Unknown tax treatment for account IRA: hsa');
+
+      expect(() => optimizeAssetLocation(accounts(), [
+        { name: 'US Stocks', targetPercent: 50, scores: { pension: 1 } },
+        { name: 'International Stocks', targetPercent: 20 },
+        { name: 'Bonds', targetPercent: 30 }
+      ])).toThrow('Unknown tax treatment in the scores for US Stocks: pension');
+
+      expect(() => optimizeAssetLocation(accounts(), [
+        { name: 'US Stocks', targetPercent: 50, scores: { roth: 'high' } },
+        { name: 'International Stocks', targetPercent: 20 },
+        { name: 'Bonds', targetPercent: 30 }
+      ])).toThrow('Score for US Stocks in roth accounts must be a number');
+    });
+
+    test('Should reject bad accounts and targets', () => {
+      expect(() => optimizeAssetLocation([], targets)).toThrow('accounts must be a non-empty array');
+      expect(() => optimizeAssetLocation(accounts(), [{ name: 'Bonds', targetPercent: 90 }]))
+        .toThrow('Target percentages must sum to 100%');
+
+      const holdings = accounts();
+      holdings[2].amount = -50000;
+      expect(() => optimizeAssetLocation(holdings, targets)).toThrow('Withdrawal amount exceeds total value of account Roth');
+    });
+  });
+});
@@ -0,0 +1,157 @@
+import { readFileSync } from 'fs';
+import { parseSeries, runBacktest, compareBacktests, BACKTEST_POLICIES } from '../src/backtest.js';
+
+const fixture = name => readFileSync(new URL(`./fixtures/${name}`, import.meta.url), 'utf8');
+
+describe('Backtesting', () => {
+  const portfolio = () => [
+    { name: 'Stocks', targetPercent: 60, currentValue: 60000, sell: true },
+    { name: 'Bonds', targetPercent: 40, currentValue: 40000, sell: true }
+  ];
+
+  const series = () => ({
+    Stocks: fixture('stocks-prices.csv'),
+    Bonds: fixture('bonds-returns.csv')
+  });
+
+  // Two periods: stocks up 50%, then down 20%; bonds flat
+  const simple = () => ({
+    Stocks: [{ date: '2024-01', return: 0.5 }, { date: '2024-02', return: -0.2 }],
+    Bonds: [{ date: '2024-01', return: 0 }, { date: '2024-02', return: 0 }]
+  });
+
+  describe('parseSeries', () => {
+    test('Should turn prices into period returns', () => {
+      const parsed = parseSeries(fixture('stocks-prices.csv'));
+
+      expect(parsed).toHaveLength(6);
+      expect(parsed[0].date).toBe('2023-02-28');
+      expect(parsed[0].return).toBeCloseTo(0.1, 10);
+      expect(parsed[2].return).toBeCloseTo(-0.2, 10);
+    });
+
+    test('Should read a return column as is', () => {
+      const parsed = parseSeries(fixture('bonds-returns.csv'));
+
+      expect(parsed).toHaveLength(6);
+      expect(parsed[2]).toEqual({ date: '2023-04-30', return: 0.02 });
+    });
+
+    test('Should reject missing columns, bad numbers and non-positive prices', () => {
+      expect(() => parseSeries('', 'Gold')).toThrow('Series Gold has no rows');
+      expect(() => parseSeries('date,volume\n2024-01-01,5', 'Gold'))
+        .toThrow('Series Gold needs a date column and a price or return column');
+      expect(() => parseSeries('date,close\n2024-01-01,10\n2024-02-01,abc', 'Gold'))
+        .toThrow('Series Gold, line 3: close must be a number, got abc');
+      expect(() => parseSeries('date,close\n2024-01-01,0\n2024-02-01,10', 'Gold'))
+        .toThrow('Series Gold, line 2: price must be positive');
+    });
+  });
+
+  describe('runBacktest', () => {
+    test('Should never sell with the contributionsOnly policy', () => {
+      const result = runBacktest(portfolio(), simple(), 'contributionsOnly', { contribution: 1000 });
+
+      // 90,000 + 40,000 + 1,000 to bonds, then stocks fall to 72,000 and bonds get 1,000 more
+      expect(result.periods.map(p => p.value)).toEqual([131000, 114000]);
+      expect(result.finalAssetClasses.map(a => a.currentValue)).toEqual([72000, 42000]);
+      expect(result.endingValue).toBe(114000);
+      expect(result.totalContributions).toBe(2000);
+      expect(result.tradeCount).toBe(2);
+      // Contributions are not turnover
+      expect(result.totalTraded).toBe(0);
+    });
+
+    test('Should rebalance fully every period with the internal policy', () => {
+      const result = runBacktest(portfolio(), simple(), 'internal');
+
+      // After the first period 130,000 is split 78,000/52,000, and the target mix is matched
+      expect(result.periods[0].traded).toBe(12000);
+      expect(result.finalAssetClasses.map(a => a.currentValue)).toEqual([68640, 45760]);
+      expect(result.trackingError).toBeCloseTo(0, 10);
+    });
+
+    test('Should only sell on the calendar rebalancing periods', () => {
+      const result = runBacktest(portfolio(), simple(), 'calendar', { every: 2 });
+
+      expect(result.periods.map(p => p.trades)).toEqual([0, 2]);
+      expect(result.finalAssetClasses.map(a => a.currentValue)).toEqual([67200, 44800]);
+    });
+
+    test('Should only trade assets outside the bands with the threshold policy', () => {
+      const wide = runBacktest(portfolio(), simple(), 'threshold', { bands: { absolute: 10 } });
+      const narrow = runBacktest(portfolio(), simple(), 'threshold', { bands: { absolute: 5 } });
+
+      // Stocks at 69.2% after the first period is inside a 10-point band but not a 5-point one
+      expect(wide.periods[0].trades).toBe(0);
+      expect(narrow.periods[0].trades).toBe(2);
+    });
+
+    test('Should report volatility, drawdown, turnover and tracking error', () => {
+      const result = runBacktest(portfolio(), simple(), 'contributionsOnly', { periodsPerYear: 1 });
+
+      // Portfolio returns are +30% and -90,000 * 0.2 / 130,000
+      const second = -18000 / 130000;
+      expect(result.periods[0].portfolioReturn).toBeCloseTo(0.3, 10);
+      expect(result.periods[1].portfolioReturn).toBeCloseTo(second, 10);
+      expect(result.periods[1].targetReturn).toBeCloseTo(-0.12, 10);
+      expect(result.volatility).toBeCloseTo(Math.abs(0.3 - second) / Math.SQRT2, 10);
+      expect(result.maxDrawdown).toBeCloseTo(-second, 10);
+      expect(result.trackingError).toBeCloseTo(Math.abs(0 - (second + 0.12)) / Math.SQRT2, 10);
+      expect(result.turnover).toBe(0);
+      expect(result.tradeCount).toBe(0);
+    });
+
+    test('Should measure drawdown without counting contributions as gains', () => {
+      const result = runBacktest(portfolio(), simple(), 'contributionsOnly', { contribution: 50000 });
+
+      // The first contribution restores 108,000/72,000, so the 20% fall in stocks costs 12%
+      expect(result.periods[1].value).toBe(208400);
+      expect(result.maxDrawdown).toBeCloseTo(0.12, 10);
+    });
+
+    test('Should backtest CSV series files', () => {
+      const result = runBacktest(portfolio(), series(), 'internal', { contribution: 1000 });
+
+      expect(result.periods.map(p => p.date)).toEqual([
+        '2023-02-28', '2023-03-31', '2023-04-30', '2023-05-31', '2023-06-30', '2023-07-31'
+      ]);
+      expect(result.startValue).toBe(100000);
+      expect(result.totalContributions).toBe(6000);
+      expect(result.tradeCount).toBe(12);
+    });
+
+    test('Should reject unknown policies and mismatched series', () => {
+      expect(() => runBacktest(portfolio(), simple(), 'monthly')).toThrow('Unknown backtest policy: monthly');
+      expect(() => runBacktest(portfolio(), { Stocks: simple().Stocks }, 'internal')).toThrow('No series for Bonds');
+
+      const shifted = simple();
+      shifted.Bonds[1].date = '2024-03';
+      expect(() => runBacktest(portfolio(), shifted, 'internal'))
+        .toThrow('Series for Bonds does not cover the same dates as Stocks');
+    });
+
+    test('Should say which date failed', () => {
+      expect(() => runBacktest(portfolio(), simple(), 'internal', { contribution: -200000 }))
+        .toThrow('2024-01: Withdrawal amount exceeds total portfolio value');
+    });
+  });
+
+  describe('compareBacktests', () => {
+    test('Should run every policy on the same data', () => {
+      const results = compareBacktests(portfolio(), series(), undefined, { contribution: 1000, every: 3 });
+
+      expect(results.map(r => r.policy)).toEqual(BACKTEST_POLICIES);
+      results.forEach(result => expect(result.totalContributions).toBe(6000));
+
+      const byPolicy = Object.fromEntries(results.map(r => [r.policy, r]));
+      expect(byPolicy.internal.trackingError).toBeLessThan(byPolicy.contributionsOnly.trackingError);
+      expect(byPolicy.internal.turnover).toBeGreaterThan(byPolicy.contributionsOnly.turnover);
+    });
+
+    test('Should run only the given policies', () => {
+      const results = compareBacktests(portfolio(), simple(), ['calendar', 'internal']);
+      expect(results.map(r => r.policy)).toEqual(['calendar', 'internal']);
+    });
+  });
+});
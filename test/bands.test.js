@@ -0,0 +1,131 @@
+import { rebalancePortfolio } from '../src/rebalancer.js';
+import { bandWidth, isOutsideBand, resolveBand } from '../src/bands.js';
+
+describe('Rebalancing bands', () => {
+  // Stocks are 8 points over target, Bonds 5 points under and Cash 30% under
+  const driftedPortfolio = [
+    { name: 'Stocks', targetPercent: 60, currentValue: 68000, sell: true },
+    { name: 'Bonds', targetPercent: 30, currentValue: 25000, sell: true },
+    { name: 'Cash', targetPercent: 10, currentValue: 7000, sell: true }
+  ];
+
+  const slightlyDriftedPortfolio = [
+    { name: 'Stocks', targetPercent: 60, currentValue: 63000, sell: true },
+    { name: 'Bonds', targetPercent: 30, currentValue: 28000, sell: true },
+    { name: 'Cash', targetPercent: 10, currentValue: 9000, sell: true }
+  ];
+
+  describe('Internal rebalancing with bands', () => {
+    test('Should not trade when every asset is inside its band', () => {
+      const result = rebalancePortfolio(0, slightlyDriftedPortfolio, { bands: { absolute: 5, relative: 25 } });
+
+      result.transactions.forEach(t => {
+        expect(t.amount).toBe(0);
+        expect(t.outsideBand).toBe(false);
+      });
+    });
+
+    test('Should still rebalance fully without bands', () => {
+      const result = rebalancePortfolio(0, slightlyDriftedPortfolio);
+
+      expect(result.transactions.map(t => t.amount)).toEqual([-3000, 2000, 1000]);
+      result.transactions.forEach(t => expect(t).not.toHaveProperty('outsideBand'));
+    });
+
+    test('Should rebalance assets outside an absolute band back to target', () => {
+      const result = rebalancePortfolio(0, driftedPortfolio, { bands: { absolute: 5 } });
+
+      const stocks = result.transactions.find(t => t.name === 'Stocks');
+      const bonds = result.transactions.find(t => t.name === 'Bonds');
+      const cash = result.transactions.find(t => t.name === 'Cash');
+
+      expect(stocks.outsideBand).toBe(true);
+      expect(bonds.outsideBand).toBe(false);
+      expect(cash.outsideBand).toBe(false);
+
+      expect(stocks.amount).toBe(-8000);
+      expect(cash.amount).toBe(3000);
+      expect(bonds.amount).toBe(5000);
+      expect(stocks.finalPercent).toBe(60);
+    });
+
+    test('Should rebalance only to the band edge when configured', () => {
+      const result = rebalancePortfolio(0, driftedPortfolio, { bands: { absolute: 5, rebalanceTo: 'edge' } });
+
+      const stocks = result.transactions.find(t => t.name === 'Stocks');
+      const bonds = result.transactions.find(t => t.name === 'Bonds');
+      const cash = result.transactions.find(t => t.name === 'Cash');
+
+      // Stocks come back to 65%, and the proceeds go to the most under-weighted asset
+      expect(stocks.amount).toBe(-3000);
+      expect(stocks.finalPercent).toBe(65);
+      expect(cash.amount).toBe(3000);
+      expect(bonds.amount).toBe(0);
+    });
+
+    test('Should apply the 5/25 rule to small targets through the relative threshold', () => {
+      const result = rebalancePortfolio(0, driftedPortfolio, {
+        bands: { absolute: 5, relative: 25, rebalanceTo: 'edge' }
+      });
+
+      const stocks = result.transactions.find(t => t.name === 'Stocks');
+      const cash = result.transactions.find(t => t.name === 'Cash');
+
+      // Cash is only 3 points under target but 30% under in relative terms
+      expect(cash.outsideBand).toBe(true);
+      // Cash's band is 2.5 points wide, so it is bought back up to 7.5%
+      expect(cash.amount).toBe(500);
+      expect(stocks.amount).toBe(-3000);
+    });
+
+    test('An out-of-band buyer can be funded by an in-band seller', () => {
+      const overridden = slightlyDriftedPortfolio.map(asset =>
+        asset.name === 'Cash' ? { ...asset, band: { absolute: 0.5 } } : asset
+      );
+      const tightCash = rebalancePortfolio(0, overridden, { bands: { absolute: 5 } });
+
+      expect(tightCash.transactions.find(t => t.name === 'Cash').outsideBand).toBe(true);
+      expect(tightCash.transactions.find(t => t.name === 'Cash').amount).toBe(1000);
+      expect(tightCash.transactions.find(t => t.name === 'Stocks').amount).toBe(-1000);
+      expect(tightCash.transactions.find(t => t.name === 'Bonds').amount).toBe(0);
+    });
+
+    test('Bands should not stop contributions from going to the most under-weighted asset', () => {
+      const result = rebalancePortfolio(1000, slightlyDriftedPortfolio, { bands: { absolute: 5 } });
+
+      expect(result.transactions.find(t => t.name === 'Cash').amount).toBe(1000);
+    });
+  });
+
+  describe('Band helpers', () => {
+    test('bandWidth should use the tighter of the two thresholds', () => {
+      expect(bandWidth(60, { absolute: 5, relative: 25 })).toBe(5);
+      expect(bandWidth(10, { absolute: 5, relative: 25 })).toBe(2.5);
+      expect(bandWidth(0, { relative: 25 })).toBe(0);
+    });
+
+    test('isOutsideBand should trigger on either threshold', () => {
+      expect(isOutsideBand(66, 60, { absolute: 5 })).toBe(true);
+      expect(isOutsideBand(65, 60, { absolute: 5 })).toBe(false);
+      expect(isOutsideBand(7, 10, { absolute: 5, relative: 25 })).toBe(true);
+      expect(isOutsideBand(8, 10, { absolute: 5, relative: 25 })).toBe(false);
+    });
+
+    test('resolveBand should let an asset override the default thresholds', () => {
+      expect(resolveBand({ band: { absolute: 1 } }, { absolute: 5, relative: 25, rebalanceTo: 'edge' }))
+        .toEqual({ absolute: 1, relative: 25 });
+    });
+  });
+
+  describe('Validation', () => {
+    test('Should throw error for an unknown rebalanceTo value', () => {
+      expect(() => rebalancePortfolio(0, driftedPortfolio, { bands: { absolute: 5, rebalanceTo: 'middle' } }))
+        .toThrow('Unknown rebalanceTo: middle');
+    });
+
+    test('Should throw error for a negative threshold', () => {
+      expect(() => rebalancePortfolio(0, driftedPortfolio, { bands: { relative: -25 } }))
+        .toThrow('Band relative threshold must be a non-negative number');
+    });
+  });
+});
@@ -0,0 +1,155 @@
+import { rebalancePortfolio, calculateBalancingContribution } from '../src/rebalancer.js';
+import { cashTargetValue, applyCashTarget } from '../src/cash.js';
+
+describe('Cash buffer', () => {
+  const portfolio = (cashValue, sell = true) => [
+    { name: 'Stocks', targetPercent: 60, currentValue: 6000, sell },
+    { name: 'Bonds', targetPercent: 35, currentValue: 3500, sell },
+    { name: 'Cash', targetPercent: 5, currentValue: cashValue, sell, cash: true, minBuffer: 1000, maxBuffer: 2000 }
+  ];
+
+  const amounts = result => result.transactions.map(t => t.amount);
+
+  describe('cashTargetValue', () => {
+    test('Should keep the cash target within the buffer', () => {
+      const cash = { targetPercent: 5, minBuffer: 1000, maxBuffer: 2000 };
+      expect(cashTargetValue(cash, 10000)).toBe(1000);
+      expect(cashTargetValue(cash, 30000)).toBe(1500);
+      expect(cashTargetValue(cash, 100000)).toBe(2000);
+    });
+
+    test('Should share what cash leaves over in proportion to the other targets', () => {
+      const adjusted = applyCashTarget(portfolio(0), 10000);
+      expect(adjusted[0].targetPercent).toBeCloseTo(56.84, 2);
+      expect(adjusted[1].targetPercent).toBeCloseTo(33.16, 2);
+      expect(adjusted[2].targetPercent).toBe(10);
+    });
+
+    test('Should leave targets alone without a cash asset', () => {
+      const assets = [{ name: 'Stocks', targetPercent: 100, currentValue: 100, sell: false }];
+      expect(applyCashTarget(assets, 100)).toBe(assets);
+    });
+  });
+
+  describe('Contributions', () => {
+    test('Should top up the buffer before investing', () => {
+      const result = rebalancePortfolio(2000, portfolio(200, false));
+
+      expect(amounts(result)).toEqual([757.89, 442.11, 800]);
+      expect(result.summary.cash).toEqual({
+        name: 'Cash', minBuffer: 1000, maxBuffer: 2000, targetValue: 1000, finalValue: 1000
+      });
+    });
+
+    test('Should put a small contribution entirely into the buffer', () => {
+      const result = rebalancePortfolio(500, portfolio(200, false));
+      expect(amounts(result)).toEqual([0, 0, 500]);
+    });
+
+    test('Should report the targets as given', () => {
+      const result = rebalancePortfolio(2000, portfolio(200, false));
+      expect(result.transactions.map(t => t.targetPercent)).toEqual([60, 35, 5]);
+    });
+  });
+
+  describe('Internal rebalancing', () => {
+    test('Should sell to refill the buffer', () => {
+      const result = rebalancePortfolio(0, portfolio(200));
+      expect(amounts(result)).toEqual([-505.26, -294.74, 800]);
+    });
+
+    test('Should never invest the minimum buffer', () => {
+      const assets = portfolio(1000);
+      assets[0].currentValue = 3000;
+      const result = rebalancePortfolio(0, assets);
+
+      expect(result.transactions[2].finalValue).toBe(1000);
+    });
+
+    test('Should invest cash above the maximum buffer', () => {
+      const result = rebalancePortfolio(0, portfolio(3000));
+      expect(amounts(result)).toEqual([1263.16, 736.84, -2000]);
+    });
+
+    test('Should leave cash above the maximum buffer alone when cash cannot be sold', () => {
+      const result = rebalancePortfolio(0, portfolio(3000, false));
+      expect(amounts(result)).toEqual([0, 0, 0]);
+    });
+  });
+
+  describe('Withdrawals', () => {
+    test('Should take a withdrawal from excess cash before selling', () => {
+      const result = rebalancePortfolio(-1500, portfolio(3000, false));
+      expect(amounts(result)).toEqual([0, 0, -1500]);
+    });
+
+    test('Should take only the withdrawal from cash far above the maximum buffer', () => {
+      const result = rebalancePortfolio(-3000, portfolio(15000, false));
+
+      expect(amounts(result)).toEqual([0, 0, -3000]);
+      expect(result.summary.totalAfter).toBe(21500);
+      expect(result.summary.withdrawal).toEqual({
+        requested: 'auto',
+        strategy: 'excessCash',
+        reason: 'Cash above the minimum buffer covers the withdrawal'
+      });
+    });
+
+    test('Should sell invested assets once excess cash is used up', () => {
+      const result = rebalancePortfolio(-3000, portfolio(3000));
+
+      expect(amounts(result)).toEqual([-631.58, -368.42, -2000]);
+      expect(result.transactions[2].finalValue).toBe(1000);
+    });
+
+    test('Should draw on the minimum buffer only after everything else is sold', () => {
+      const result = rebalancePortfolio(-12000, portfolio(3000));
+      expect(amounts(result)).toEqual([-6000, -3500, -2500]);
+    });
+
+    test('Should respect the buffer with the exact solver', () => {
+      const result = rebalancePortfolio(-3000, portfolio(3000), { solver: 'exact' });
+      expect(amounts(result)).toEqual([-631.58, -368.42, -2000]);
+    });
+  });
+
+  describe('calculateBalancingContribution', () => {
+    test('Should include the buffer in the balancing contribution', () => {
+      const contribution = calculateBalancingContribution(portfolio(200, false));
+      expect(contribution).toBe(800);
+
+      const result = rebalancePortfolio(contribution, portfolio(200, false));
+      result.transactions.forEach(t => expect(t.amount).toBeGreaterThanOrEqual(0));
+      expect(result.transactions[2].finalValue).toBe(1000);
+    });
+
+    test('Should not ask for more cash than the maximum buffer', () => {
+      const assets = [
+        { name: 'Stocks', targetPercent: 50, currentValue: 9000, sell: false },
+        { name: 'Cash', targetPercent: 50, currentValue: 0, sell: false, cash: true, maxBuffer: 1000 }
+      ];
+      expect(calculateBalancingContribution(assets)).toBe(1000);
+    });
+  });
+
+  describe('Validation', () => {
+    test('Should allow only one cash asset', () => {
+      const assets = portfolio(0);
+      assets[1].cash = true;
+      expect(() => rebalancePortfolio(0, assets)).toThrow('Only one asset can be marked as cash');
+    });
+
+    test('Should reject a negative buffer', () => {
+      const assets = portfolio(0);
+      assets[2].minBuffer = -1;
+      expect(() => rebalancePortfolio(0, assets)).toThrow('minBuffer for Cash must be a non-negative number');
+      expect(() => calculateBalancingContribution(assets)).toThrow('minBuffer for Cash must be a non-negative number');
+    });
+
+    test('Should reject a minimum buffer above the maximum', () => {
+      const assets = portfolio(0);
+      assets[2].minBuffer = 3000;
+      expect(() => rebalancePortfolio(0, assets)).toThrow('minBuffer for Cash cannot exceed maxBuffer');
+    });
+  });
+});
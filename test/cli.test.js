@@ -0,0 +1,230 @@
+import { readFileSync } from 'fs';
+import { runCli, parseArgs, parseHoldings } from '../src/cli.js';
+import { parseCsv, formatCsv } from '../src/csv.js';
+
+const fixture = name => new URL(`./fixtures/${name}`, import.meta.url).pathname;
+
+// Runs the CLI and captures what it prints
+const run = (...argv) => {
+  const out = [];
+  const err = [];
+  const code = runCli(argv, {
+    stdout: text => out.push(text),
+    stderr: text => err.push(text),
+    readFile: file => readFileSync(file, 'utf8')
+  });
+  return { code, stdout: out.join('\n'), stderr: err.join('\n') };
+};
+
+describe('Command-line interface', () => {
+  describe('runCli', () => {
+    test('Should print a trade table for a CSV holdings file', () => {
+      const { code, stdout } = run(fixture('holdings.csv'), '--amount', '10000');
+
+      expect(code).toBe(0);
+      expect(stdout).toMatch(/Stocks \(VTI\)\s+BUY 10,000\.00\s+50,000\.00\s+60,000\.00/);
+      expect(stdout).toContain('Total after:   110,000.00');
+    });
+
+    test('Should print the result as JSON with --json', () => {
+      const { code, stdout } = run(fixture('holdings.json'), '--amount=10000', '--json');
+      const result = JSON.parse(stdout);
+
+      expect(code).toBe(0);
+      expect(result.transactions.map(t => t.amount)).toEqual([10000, 0, 0]);
+      expect(result.summary.totalAfter).toBe(110000);
+    });
+
+    test('Should calculate the balancing contribution with --balance', () => {
+      const { code, stdout } = run(fixture('holdings.json'), '--balance', '--json');
+
+      expect(code).toBe(0);
+      expect(JSON.parse(stdout)).toEqual({ contribution: 100000 });
+    });
+
+    test('Should pass options through to rebalancePortfolio', () => {
+      const { stdout } = run(fixture('holdings.json'), '--amount', '20000', '--solver', 'exact', '--json');
+
+      expect(JSON.parse(stdout).summary.objective.name).toBe('minimaxRelative');
+    });
+
+    test('Should exit 1 with the validation message for invalid input', () => {
+      const { code, stdout, stderr } = run(fixture('holdings.json'), '--amount', '-200000');
+
+      expect(code).toBe(1);
+      expect(stdout).toBe('');
+      expect(stderr).toBe('Error: Withdrawal amount exceeds total portfolio value');
+    });
+
+    test('Should print every validation problem on its own line', () => {
+      const err = [];
+      const code = runCli(['h.csv'], {
+        stdout: () => {},
+        stderr: text => err.push(text),
+        readFile: () => 'name,targetPercent,currentValue\nStocks,60,-5\nStocks,30,100\n'
+      });
+
+      expect(code).toBe(1);
+      expect(err).toEqual([
+        'Error: currentValue for Stocks cannot be negative',
+        'Error: Asset name Stocks is used more than once',
+        'Error: Target percentages must sum to 100% (they sum to 90)'
+      ]);
+    });
+
+    test('Should exit 1 when the file cannot be read', () => {
+      const { code, stderr } = run(fixture('missing.csv'));
+
+      expect(code).toBe(1);
+      expect(stderr).toContain('Cannot read');
+    });
+
+    test('Should exit 2 with usage for bad arguments', () => {
+      expect(run().code).toBe(2);
+      expect(run(fixture('holdings.csv'), '--amount', 'lots').stderr).toContain('amount must be a number, got lots');
+
+      const unknown = run(fixture('holdings.csv'), '--fast');
+      expect(unknown.code).toBe(2);
+      expect(unknown.stderr).toContain('Unknown option: --fast');
+      expect(unknown.stderr).toContain('Usage: rebalance');
+    });
+
+    test('Should print the steps with --explain', () => {
+      const { code, stdout } = run(fixture('holdings.csv'), '--amount', '10000', '--explain');
+
+      expect(code).toBe(0);
+      expect(stdout).toContain('Steps:\n1. Contribution: buy 10000.00 of Stocks');
+    });
+
+    test('Should compare backtest policies with --series', () => {
+      const { code, stdout } = run(
+        fixture('holdings.csv'),
+        '--series', `Stocks=${fixture('stocks-prices.csv')}`,
+        '--series', `Bonds=${fixture('bonds-returns.csv')}`,
+        '--series', `Cash=${fixture('bonds-returns.csv')}`,
+        '--amount', '1000'
+      );
+
+      expect(code).toBe(0);
+      expect(stdout).toContain('6 periods from 2023-02-28 to 2023-07-31');
+      expect(stdout).toContain('Contributions: 6,000.00');
+      expect(stdout).toMatch(/Policy\s+Ending value\s+Volatility %\s+Max drawdown %\s+Turnover %\s+Trades\s+Tracking error %/);
+      ['contributionsOnly', 'calendar', 'threshold', 'internal'].forEach(policy => expect(stdout).toContain(policy));
+    });
+
+    test('Should backtest one policy and report a missing series', () => {
+      const series = ['--series', `Stocks=${fixture('stocks-prices.csv')}`, '--series', `Bonds=${fixture('bonds-returns.csv')}`];
+      const missing = run(fixture('holdings.csv'), ...series);
+      expect(missing.code).toBe(1);
+      expect(missing.stderr).toBe('Error: No series for Cash');
+
+      const { code, stdout } = run(fixture('holdings.csv'), ...series, '--series', `Cash=${fixture('bonds-returns.csv')}`,
+        '--policy', 'calendar', '--every', '3', '--json');
+      const results = JSON.parse(stdout);
+      expect(code).toBe(0);
+      expect(results.map(r => r.policy)).toEqual(['calendar']);
+      expect(results[0].periods).toHaveLength(6);
+    });
+
+    test('Should apply and report a turnover budget', () => {
+      const { code, stdout } = run(fixture('holdings.csv'), '--max-sell', '2000', '--json');
+      const result = JSON.parse(stdout);
+
+      expect(code).toBe(0);
+      expect(result.summary.turnover).toMatchObject({ budget: 2000, used: 0 });
+      expect(run(fixture('holdings.csv'), '--max-turnover', '5').stdout).toContain('Turnover:      0.00 of 5,000.00 (0.00% of value)');
+    });
+
+    test('Should rebalance holdings in several currencies', () => {
+      const { code, stdout } = run(
+        fixture('holdings-fx.csv'), '--amount', '10000',
+        '--base-currency', 'USD', '--fx-rate', 'JPY=0.0067', '--fx-rate=KWD=3.25', '--fx-cost', '0.1'
+      );
+
+      expect(code).toBe(0);
+      expect(stdout).toContain('FX:            BUY 1,313,649 JPY for 8,801.45 USD (cost 8.80)');
+      expect(stdout).toContain('FX:            BUY 928.505 KWD for 3,017.64 USD (cost 3.02)');
+      expect(run(fixture('holdings-fx.csv')).stderr).toContain('baseCurrency must be set when assets declare a currency');
+    });
+
+    test('Should print usage with --help', () => {
+      const { code, stdout } = run('--help');
+
+      expect(code).toBe(0);
+      expect(stdout).toContain('Usage: rebalance');
+      expect(stdout).toContain('Optional columns: sell (default false)');
+    });
+  });
+
+  describe('parseArgs', () => {
+    test('Should build band options and accept negative amounts', () => {
+      const args = parseArgs(['holdings.csv', '--amount', '-500', '--band-absolute', '5', '--rebalance-to', 'edge']);
+
+      expect(args.amount).toBe(-500);
+      expect(args.options).toEqual({ bands: { absolute: 5, rebalanceTo: 'edge' } });
+    });
+
+    test('Should split the withdrawal priority list', () => {
+      const args = parseArgs(['holdings.csv', '--withdrawal-strategy', 'priority', '--withdrawal-priority', 'Bonds, Stocks']);
+      expect(args.options).toEqual({ withdrawalStrategy: 'priority', withdrawalPriority: ['Bonds', 'Stocks'] });
+    });
+
+    test('Should read the turnover budget as numbers', () => {
+      const args = parseArgs(['holdings.csv', '--max-turnover', '5', '--max-sell=2500']);
+      expect(args.options).toEqual({ maxTurnoverPercent: 5, maxSellAmount: 2500 });
+    });
+
+    test('Should collect the FX rates', () => {
+      const args = parseArgs(['holdings.csv', '--base-currency', 'USD', '--fx-rate', 'EUR=1.08', '--fx-rate=GBP=1.27', '--fx-cost', '0.2']);
+      expect(args.options).toEqual({ baseCurrency: 'USD', fxRates: { EUR: 1.08, GBP: 1.27 }, fxCostPercent: 0.2 });
+
+      expect(() => parseArgs(['holdings.csv', '--fx-rate', 'EUR'])).toThrow('--fx-rate needs code=rate, got EUR');
+      expect(() => parseArgs(['holdings.csv', '--fx-rate', 'EUR=abc'])).toThrow('--fx-rate needs code=rate, got EUR=abc');
+    });
+
+    test('Should collect backtest series and check the policy', () => {
+      const args = parseArgs(['holdings.csv', '--series', 'Stocks=a.csv', '--series=Bonds=b.csv', '--every', '3']);
+      expect(args.series).toEqual({ Stocks: 'a.csv', Bonds: 'b.csv' });
+      expect(args.every).toBe(3);
+
+      expect(() => parseArgs(['holdings.csv', '--series', 'a.csv'])).toThrow('--series needs name=file, got a.csv');
+      expect(() => parseArgs(['holdings.csv', '--policy', 'weekly'])).toThrow('Unknown backtest policy: weekly');
+    });
+  });
+
+  describe('parseHoldings', () => {
+    test('Should convert CSV columns to numbers and booleans', () => {
+      const assets = parseHoldings(readFileSync(fixture('holdings.csv'), 'utf8'), 'holdings.csv');
+
+      expect(assets[0]).toEqual({ name: 'Stocks', ticker: 'VTI', targetPercent: 60, currentValue: 50000, sell: false });
+      expect(assets[2]).toEqual({ name: 'Cash', targetPercent: 10, currentValue: 20000, sell: false });
+    });
+
+    test('Should read the cash buffer columns', () => {
+      const assets = parseHoldings('name,targetPercent,currentValue,cash,minBuffer,maxBuffer\nCash,100,500,yes,"1,000",2000\n', 'h.csv');
+      expect(assets).toEqual([
+        { name: 'Cash', targetPercent: 100, currentValue: 500, cash: true, minBuffer: 1000, maxBuffer: 2000, sell: false }
+      ]);
+    });
+
+    test('Should report the line of a bad value', () => {
+      expect(() => parseHoldings('name,targetPercent,currentValue\nStocks,abc,100\n', 'h.csv'))
+        .toThrow('Line 2: targetPercent must be a number, got abc');
+    });
+
+    test('Should report a missing required column', () => {
+      expect(() => parseHoldings('name,currentValue\nStocks,100\n', 'h.csv'))
+        .toThrow('h.csv is missing the targetPercent column');
+    });
+  });
+
+  describe('CSV helpers', () => {
+    test('parseCsv should handle quoted fields', () => {
+      expect(parseCsv('a,b\r\n"x, y","say ""hi"""\n\n')).toEqual([{ a: 'x, y', b: 'say "hi"' }]);
+    });
+
+    test('formatCsv should quote fields that need it', () => {
+      expect(formatCsv([['a', 'b'], ['x, y', 1]])).toBe('a,b\n"x, y",1\n');
+    });
+  });
+});
@@ -0,0 +1,195 @@
+import { rebalancePortfolio } from '../src/rebalancer.js';
+import { findUndersizedTrade, buyRoom, sellRoom } from '../src/constraints.js';
+
+describe('Trade constraints', () => {
+  const basePortfolio = [
+    { name: 'Stocks', targetPercent: 50, currentValue: 50000, sell: false },
+    { name: 'Bonds', targetPercent: 50, currentValue: 49000, sell: false }
+  ];
+
+  const withConstraints = (constraints) => basePortfolio.map(asset => ({ ...asset, ...constraints[asset.name] }));
+
+  describe('Minimum trade size', () => {
+    test('Without a minimum the greedy loop leaves a tiny trade', () => {
+      const result = rebalancePortfolio(1003.17, basePortfolio);
+
+      expect(result.transactions.find(t => t.name === 'Stocks').amount).toBe(1.58);
+      expect(result.summary).not.toHaveProperty('bindingConstraints');
+    });
+
+    test('Should drop trades below the minimum and reallocate their money', () => {
+      const result = rebalancePortfolio(1003.17, basePortfolio, { minTradeSize: 100 });
+
+      expect(result.transactions.find(t => t.name === 'Stocks').amount).toBe(0);
+      expect(result.transactions.find(t => t.name === 'Bonds').amount).toBe(1003.17);
+      expect(result.summary.unallocatedCash).toBe(0);
+      expect(result.summary.bindingConstraints).toEqual([
+        { name: 'Stocks', constraint: 'minTradeSize', limit: 100 }
+      ]);
+    });
+
+    test('Should leave the contribution unallocated when no trade can meet the minimum', () => {
+      const result = rebalancePortfolio(500, basePortfolio, { minTradeSize: 1000 });
+
+      result.transactions.forEach(t => expect(t.amount).toBe(0));
+      expect(result.summary.unallocatedCash).toBe(500);
+      expect(result.summary.bindingConstraints.map(c => c.name)).toEqual(['Stocks', 'Bonds']);
+    });
+
+    test('Should not resize withdrawals', () => {
+      const result = rebalancePortfolio(-1000, basePortfolio, { minTradeSize: 5000 });
+
+      const totalTransaction = result.transactions.reduce((sum, t) => sum + t.amount, 0);
+      expect(totalTransaction).toBe(-1000);
+    });
+
+    describe('Withdrawals', () => {
+      const portfolio = gold => [
+        { name: 'Stocks', targetPercent: 50, currentValue: 49520, sell: false },
+        { name: 'Bonds', targetPercent: 30, currentValue: 29800, sell: false },
+        { name: 'Gold', targetPercent: 20, currentValue: 20680, sell: true, ...gold }
+      ];
+      const withdraw = (gold, options) => rebalancePortfolio(-1000, portfolio(gold), options);
+      const amounts = result => result.transactions.map(t => t.amount);
+
+      test('Should fold small withdrawal trades into the largest sale', () => {
+        expect(amounts(withdraw({}))).toEqual([-20, -100, -880]);
+
+        const result = withdraw({}, { minTradeSize: 50 });
+        expect(amounts(result)).toEqual([0, -100, -900]);
+        expect(result.summary.bindingConstraints).toEqual([{ name: 'Stocks', constraint: 'minTradeSize', limit: 50 }]);
+
+        expect(amounts(withdraw({}, { minTradeSize: 150 }))).toEqual([0, 0, -1000]);
+      });
+
+      test('Should only fold a withdrawal trade into a sale with room for it', () => {
+        // Gold is sold down to its minimum holding, so Bonds takes the sale instead
+        expect(amounts(withdraw({ minHolding: 19800 }, { minTradeSize: 50 }))).toEqual([0, -120, -880]);
+
+        // Selling 20 more of Gold would realize 10 more in gains, and the budget has 5 left
+        const lots = [{ acquired: '2015-01-01', quantity: 2068, costBasis: 10340 }];
+        const options = { minTradeSize: 50, asOf: '2024-01-01', maxRealizedGain: 445 };
+        expect(amounts(withdraw({ price: 10, lots }, options))).toEqual([0, -120, -880]);
+      });
+    });
+  });
+
+  describe('Per-asset constraints', () => {
+    test('minBuy should drop a purchase that would be too small', () => {
+      const result = rebalancePortfolio(1000, withConstraints({ Bonds: { minBuy: 2000 } }));
+
+      expect(result.transactions.find(t => t.name === 'Bonds').amount).toBe(0);
+      expect(result.transactions.find(t => t.name === 'Stocks').amount).toBe(1000);
+      expect(result.summary.bindingConstraints).toEqual([
+        { name: 'Bonds', constraint: 'minBuy', limit: 2000 }
+      ]);
+    });
+
+    test('maxBuy should cap a purchase and send the rest elsewhere', () => {
+      const result = rebalancePortfolio(1000, withConstraints({ Bonds: { maxBuy: 500 } }));
+
+      expect(result.transactions.find(t => t.name === 'Bonds').amount).toBe(500);
+      expect(result.transactions.find(t => t.name === 'Stocks').amount).toBe(500);
+      expect(result.summary.bindingConstraints).toEqual([
+        { name: 'Bonds', constraint: 'maxBuy', limit: 500 }
+      ]);
+    });
+
+    test('maxBuy on every asset should leave the excess unallocated', () => {
+      const result = rebalancePortfolio(1000, withConstraints({ Stocks: { maxBuy: 100 }, Bonds: { maxBuy: 200 } }));
+
+      expect(result.transactions.find(t => t.name === 'Stocks').amount).toBe(100);
+      expect(result.transactions.find(t => t.name === 'Bonds').amount).toBe(200);
+      expect(result.summary.unallocatedCash).toBe(700);
+    });
+
+    test('minHolding should limit how much internal rebalancing sells', () => {
+      const result = rebalancePortfolio(0, [
+        { name: 'Stocks', targetPercent: 50, currentValue: 80000, sell: true, minHolding: 75000 },
+        { name: 'Bonds', targetPercent: 50, currentValue: 20000, sell: true }
+      ]);
+
+      expect(result.transactions.find(t => t.name === 'Stocks').amount).toBe(-5000);
+      expect(result.transactions.find(t => t.name === 'Bonds').amount).toBe(5000);
+      expect(result.summary.bindingConstraints).toEqual([
+        { name: 'Stocks', constraint: 'minHolding', limit: 75000 }
+      ]);
+    });
+
+    test('buyOnly should keep a sellable asset from being sold', () => {
+      const result = rebalancePortfolio(0, [
+        { name: 'Stocks', targetPercent: 50, currentValue: 80000, sell: true, mode: 'buyOnly' },
+        { name: 'Bonds', targetPercent: 50, currentValue: 20000, sell: true }
+      ]);
+
+      result.transactions.forEach(t => expect(t.amount).toBe(0));
+      expect(result.summary.bindingConstraints).toEqual([{ name: 'Stocks', constraint: 'buyOnly' }]);
+    });
+
+    test('sellOnly should keep an under-weighted asset from being bought', () => {
+      const result = rebalancePortfolio(1000, [
+        { name: 'Stocks', targetPercent: 50, currentValue: 50000, sell: false },
+        { name: 'Bonds', targetPercent: 50, currentValue: 40000, sell: false, mode: 'sellOnly' }
+      ]);
+
+      expect(result.transactions.find(t => t.name === 'Stocks').amount).toBe(1000);
+      expect(result.transactions.find(t => t.name === 'Bonds').amount).toBe(0);
+      expect(result.summary.bindingConstraints).toEqual([{ name: 'Bonds', constraint: 'sellOnly' }]);
+    });
+
+    test('Constraints should carry through to whole-share rounding', () => {
+      const result = rebalancePortfolio(1000, [
+        { name: 'Stocks', price: 10, fractionalShares: false, targetPercent: 50, currentValue: 50000, sell: false },
+        { name: 'Bonds', price: 10, fractionalShares: false, targetPercent: 50, currentValue: 49000, sell: false, maxBuy: 505 }
+      ]);
+
+      expect(result.transactions.find(t => t.name === 'Bonds').amount).toBe(500);
+      expect(result.transactions.find(t => t.name === 'Stocks').amount).toBe(500);
+    });
+  });
+
+  describe('Constraint helpers', () => {
+    test('findUndersizedTrade should return the smallest offending trade', () => {
+      const assets = [
+        { name: 'A', transaction: 50 },
+        { name: 'B', transaction: -20 },
+        { name: 'C', transaction: 0 },
+        { name: 'D', transaction: 300, minBuy: 500 }
+      ];
+
+      expect(findUndersizedTrade(assets, 100)).toEqual({ asset: assets[1], constraint: 'minTradeSize', limit: 100 });
+      expect(findUndersizedTrade(assets, 0)).toEqual({ asset: assets[3], constraint: 'minBuy', limit: 500 });
+    });
+
+    test('buyRoom and sellRoom should respect limits and modes', () => {
+      expect(buyRoom({ transaction: 200, maxBuy: 500 })).toBe(300);
+      expect(buyRoom({ transaction: 0, mode: 'sellOnly' })).toBe(0);
+      expect(buyRoom({ transaction: 0 })).toBe(Infinity);
+      expect(sellRoom({ sell: true, workingValue: 1000, minHolding: 400 })).toBe(600);
+      expect(sellRoom({ sell: true, workingValue: 1000, mode: 'buyOnly' })).toBe(0);
+      expect(sellRoom({ sell: false, workingValue: 1000 })).toBe(0);
+    });
+  });
+
+  describe('Validation', () => {
+    test('Should throw error for a negative minimum trade size', () => {
+      expect(() => rebalancePortfolio(1000, basePortfolio, { minTradeSize: -1 }))
+        .toThrow('minTradeSize must be a non-negative number');
+    });
+
+    test('Should throw error for a negative per-asset limit', () => {
+      expect(() => rebalancePortfolio(1000, withConstraints({ Bonds: { maxBuy: -5 } })))
+        .toThrow('maxBuy for Bonds must be a non-negative number');
+    });
+
+    test('Should throw error when minBuy exceeds maxBuy', () => {
+      expect(() => rebalancePortfolio(1000, withConstraints({ Bonds: { minBuy: 500, maxBuy: 100 } })))
+        .toThrow('minBuy for Bonds cannot exceed maxBuy');
+    });
+
+    test('Should throw error for an unknown mode', () => {
+      expect(() => rebalancePortfolio(1000, withConstraints({ Bonds: { mode: 'hold' } })))
+        .toThrow('Unknown mode for Bonds: hold');
+    });
+  });
+});
@@ -0,0 +1,116 @@
+import { rebalancePortfolio } from '../src/rebalancer.js';
+import { describeStep, narrate } from '../src/explain.js';
+
+describe('Explain mode', () => {
+  const portfolio = (sell = true) => [
+    { name: 'Stocks', targetPercent: 60, currentValue: 70000, sell },
+    { name: 'Bonds', targetPercent: 30, currentValue: 20000, sell },
+    { name: 'Gold', targetPercent: 10, currentValue: 10000, sell: false }
+  ];
+
+  test('Should leave the explanation out unless asked for', () => {
+    expect(rebalancePortfolio(5000, portfolio()).explanation).toBeUndefined();
+  });
+
+  test('Should record internal transfers and contribution purchases with their deviations', () => {
+    const { explanation } = rebalancePortfolio(5000, portfolio(), { explain: true });
+
+    expect(explanation.steps.map(step => step.phase)).toEqual(['internalRebalancing', 'contribution', 'contribution']);
+    expect(explanation.steps[0]).toEqual({
+      phase: 'internalRebalancing',
+      seller: 'Stocks',
+      buyer: 'Bonds',
+      sellerDeviation: expect.closeTo(0.1111, 4),
+      buyerDeviation: expect.closeTo(-0.3651, 4),
+      amount: 7000
+    });
+    expect(explanation.steps[1]).toEqual({
+      phase: 'contribution',
+      buyer: 'Bonds',
+      deviation: expect.closeTo(-0.1429, 4),
+      amount: 4500
+    });
+  });
+
+  test('Should give a numbered narrative', () => {
+    const { explanation } = rebalancePortfolio(5000, portfolio(), { explain: true });
+
+    expect(explanation.narrative.split('\n')).toEqual([
+      '1. Internal rebalancing: sell 7000.00 of Stocks (deviation +11.11%) to buy Bonds (deviation -36.51%)',
+      '2. Contribution: buy 4500.00 of Bonds, the most under-weighted asset (deviation -14.29%)',
+      '3. Contribution: buy 500.00 of Gold, the most under-weighted asset (deviation -4.76%)'
+    ]);
+  });
+
+  test('Should record the withdrawal path and its trades', () => {
+    const { explanation } = rebalancePortfolio(-5000, portfolio(false), { explain: true });
+
+    expect(explanation.steps).toEqual([{
+      phase: 'withdrawal',
+      requested: 'auto',
+      strategy: 'overweightedOnly',
+      reason: 'No asset is sellable, so only overweighted assets are sold',
+      trades: [{ name: 'Stocks', amount: -5000 }]
+    }]);
+  });
+
+  test('Should record dropped trades and the leftover-remainder fallback', () => {
+    const { explanation } = rebalancePortfolio(1000, portfolio(), { explain: true, minTradeSize: 600 });
+    const phases = explanation.steps.map(step => step.phase);
+
+    expect(phases).toContain('dropTrade');
+    expect(explanation.steps.find(step => step.phase === 'dropTrade')).toEqual({
+      phase: 'dropTrade', asset: 'Gold', constraint: 'minTradeSize', limit: 600
+    });
+    expect(explanation.steps[phases.length - 1]).toMatchObject({ phase: 'remainder', asset: 'Stocks', amount: 100 });
+  });
+
+  test('Should record withdrawal trades folded into a larger sale', () => {
+    const { transactions, explanation } = rebalancePortfolio(-1000, [
+      { name: 'Stocks', targetPercent: 50, currentValue: 49520, sell: false },
+      { name: 'Bonds', targetPercent: 30, currentValue: 29800, sell: false },
+      { name: 'Gold', targetPercent: 20, currentValue: 20680, sell: true }
+    ], { explain: true, minTradeSize: 50 });
+
+    expect(transactions.map(t => t.amount)).toEqual([0, -100, -900]);
+    expect(explanation.steps.find(step => step.phase === 'foldTrade')).toEqual({
+      phase: 'foldTrade', asset: 'Stocks', constraint: 'minTradeSize', limit: 50, into: 'Gold'
+    });
+    expect(narrate(explanation.steps)).toContain('Folded the trade in Stocks (minTradeSize 50) into the sale of Gold');
+  });
+
+  test('Should record the exact solver as one step', () => {
+    const { explanation } = rebalancePortfolio(1000, portfolio(), { explain: true, solver: 'exact' });
+
+    expect(explanation.steps).toEqual([{
+      phase: 'exactSolver',
+      objective: 'minimaxRelative',
+      trades: [
+        { name: 'Stocks', amount: -9400 },
+        { name: 'Bonds', amount: 10300 },
+        { name: 'Gold', amount: 100 }
+      ]
+    }]);
+  });
+
+  test('Should record cash buffer moves', () => {
+    const assets = portfolio(false);
+    assets.push({ name: 'Cash', targetPercent: 0, currentValue: 0, sell: false, cash: true, minBuffer: 500 });
+    const { explanation } = rebalancePortfolio(2000, assets, { explain: true });
+
+    expect(explanation.steps[0]).toEqual({ phase: 'cashBuffer', asset: 'Cash', amount: 500 });
+  });
+
+  test('Should say when nothing was traded', () => {
+    const { explanation } = rebalancePortfolio(0, [{ name: 'A', targetPercent: 100, currentValue: 10, sell: false }], { explain: true });
+
+    expect(explanation).toEqual({ steps: [], narrative: 'No trades were needed.' });
+  });
+
+  test('describeStep should describe leftover sales', () => {
+    expect(describeStep({ phase: 'remainder', asset: 'Stocks', deviation: 0.05, amount: -0.02 }))
+      .toBe('Leftover remainder: sell 0.02 of Stocks, the most over-weighted asset (deviation +5.00%)');
+    expect(narrate([{ phase: 'cashBuffer', asset: 'Cash', amount: -100 }]))
+      .toBe('1. Cash buffer: take 100.00 of excess cash from Cash');
+  });
+});
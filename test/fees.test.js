@@ -0,0 +1,116 @@
+import { rebalancePortfolio } from '../src/rebalancer.js';
+import { calculateFee, tradeFee, findUneconomicTrade } from '../src/fees.js';
+
+describe('Trading fees', () => {
+  const feePortfolio = [
+    { name: 'Stocks', targetPercent: 60, currentValue: 60000, sell: false, fees: { buy: { type: 'flat', amount: 5 } } },
+    { name: 'Bonds', targetPercent: 40, currentValue: 38000, sell: false, fees: { buy: { type: 'percent', rate: 0.5 } } }
+  ];
+
+  describe('Contributions', () => {
+    test('Should take fees out of the contribution', () => {
+      const result = rebalancePortfolio(2000, feePortfolio);
+      const bonds = result.transactions.find(t => t.name === 'Bonds');
+
+      expect(bonds.amount).toBe(1990.05);
+      expect(bonds.fee).toBe(9.95);
+      expect(result.summary.totalFees).toBe(9.95);
+      expect(result.summary.totalAfter).toBe(99990.05);
+    });
+
+    test('Should skip a trade whose fee is as large as the trade', () => {
+      const result = rebalancePortfolio(2, [
+        { name: 'Stocks', targetPercent: 50, currentValue: 50000, sell: false, fees: { buy: { type: 'flat', amount: 5 } } },
+        { name: 'Bonds', targetPercent: 50, currentValue: 50000, sell: false, fees: { buy: { type: 'flat', amount: 5 } } }
+      ]);
+
+      result.transactions.forEach(t => expect(t.amount).toBe(0));
+      expect(result.summary.totalFees).toBe(0);
+      expect(result.summary.unallocatedCash).toBe(2);
+      expect(result.summary.bindingConstraints.map(c => c.constraint)).toEqual(['fee', 'fee']);
+    });
+
+    test('Should not report fees when no asset has a fee model', () => {
+      const result = rebalancePortfolio(2000, feePortfolio.map(({ fees, ...asset }) => asset));
+
+      expect(result.summary).not.toHaveProperty('totalFees');
+      result.transactions.forEach(t => expect(t).not.toHaveProperty('fee'));
+    });
+  });
+
+  describe('Internal rebalancing and withdrawals', () => {
+    const sellablePortfolio = [
+      {
+        name: 'Stocks', targetPercent: 50, currentValue: 60000, sell: true,
+        fees: { sell: { type: 'tiered', tiers: [{ upTo: 5000, rate: 1 }, { rate: 0.5 }] } }
+      },
+      { name: 'Bonds', targetPercent: 50, currentValue: 40000, sell: true, fees: { buy: { type: 'flat', amount: 10 } } }
+    ];
+
+    test('Should pay for internal rebalancing by buying less', () => {
+      const result = rebalancePortfolio(0, sellablePortfolio);
+      const stocks = result.transactions.find(t => t.name === 'Stocks');
+      const bonds = result.transactions.find(t => t.name === 'Bonds');
+
+      expect(stocks.amount).toBe(-10000);
+      expect(stocks.fee).toBe(75);
+      expect(bonds.amount).toBe(9915);
+      expect(result.summary.totalFees).toBe(85);
+      expect(result.summary.totalAfter).toBe(99915);
+    });
+
+    test('Should sell enough to cover the withdrawal and its fees', () => {
+      const result = rebalancePortfolio(-1000, sellablePortfolio);
+
+      const totalTransaction = result.transactions.reduce((sum, t) => sum + t.amount, 0);
+      expect(Math.round(totalTransaction * 100) / 100).toBe(-1000 - result.summary.totalFees);
+      expect(result.summary.totalFees).toBeGreaterThan(0);
+    });
+  });
+
+  describe('Fee helpers', () => {
+    test('calculateFee should support flat, percent and tiered schedules', () => {
+      expect(calculateFee({ type: 'flat', amount: 4.95 }, 1000)).toBe(4.95);
+      expect(calculateFee({ type: 'flat', amount: 4.95 }, 0)).toBe(0);
+      expect(calculateFee({ type: 'percent', rate: 0.25 }, 1000)).toBe(2.5);
+      expect(calculateFee({ type: 'tiered', tiers: [{ upTo: 1000, rate: 1 }, { rate: 0.5 }] }, 3000)).toBe(20);
+    });
+
+    test('tradeFee should combine schedules for the side of the trade', () => {
+      const asset = {
+        fees: {
+          buy: [{ type: 'flat', amount: 1 }, { type: 'percent', rate: 0.1 }],
+          sell: { type: 'percent', rate: 2 }
+        }
+      };
+
+      expect(tradeFee(asset, 1000)).toBe(2);
+      expect(tradeFee(asset, -1000)).toBe(20);
+      expect(tradeFee({}, 1000)).toBe(0);
+    });
+
+    test('findUneconomicTrade should return the smallest trade eaten by its fee', () => {
+      const assets = [
+        { name: 'A', transaction: 3, fees: { buy: { type: 'flat', amount: 5 } } },
+        { name: 'B', transaction: 1, fees: { buy: { type: 'flat', amount: 5 } } },
+        { name: 'C', transaction: 100, fees: { buy: { type: 'flat', amount: 5 } } }
+      ];
+
+      expect(findUneconomicTrade(assets)).toEqual({ asset: assets[1], constraint: 'fee', limit: 5 });
+    });
+  });
+
+  describe('Validation', () => {
+    test('Should throw error for an unknown fee type', () => {
+      expect(() => rebalancePortfolio(1000, [
+        { name: 'Stocks', targetPercent: 100, currentValue: 1000, sell: false, fees: { buy: { type: 'spread' } } }
+      ])).toThrow('Unknown fee type for Stocks: spread');
+    });
+
+    test('Should throw error for a negative percent rate', () => {
+      expect(() => rebalancePortfolio(1000, [
+        { name: 'Stocks', targetPercent: 100, currentValue: 1000, sell: false, fees: { sell: { type: 'percent', rate: -1 } } }
+      ])).toThrow('Percent fee for Stocks must have a non-negative rate');
+    });
+  });
+});
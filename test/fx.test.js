@@ -0,0 +1,130 @@
+import { rebalancePortfolio, calculateBalancingContribution } from '../src/rebalancer.js';
+import { formatResult } from '../src/cli.js';
+
+describe('Multi-currency portfolios', () => {
+  const portfolio = () => [
+    { name: 'US Stocks', targetPercent: 50, currentValue: 50000, sell: true },
+    { name: 'Euro Stocks', currency: 'EUR', targetPercent: 30, currentValue: 20000, sell: true },
+    { name: 'UK Gilts', currency: 'GBP', targetPercent: 20, currentValue: 20000, sell: true }
+  ];
+  const fx = { baseCurrency: 'USD', fxRates: { EUR: 1.1, GBP: 1.25 } };
+
+  test('Should rebalance in the base currency', () => {
+    const result = rebalancePortfolio(10000, portfolio(), fx);
+
+    // 97,000 in dollars: 50,000 + 20,000 EUR at 1.10 + 20,000 GBP at 1.25
+    expect(result.summary).toMatchObject({ totalBefore: 97000, totalAfter: 107000, contribution: 10000 });
+    expect(result.transactions.map(t => [t.currentValue, t.amount])).toEqual([
+      [50000, 3500],
+      [22000, 10100],
+      [25000, -3600]
+    ]);
+    expect(result.transactions.map(t => t.finalPercent)).toEqual([50, 30, 20]);
+  });
+
+  test('Should report each trade in its asset currency', () => {
+    const [usd, eur, gbp] = rebalancePortfolio(10000, portfolio(), fx).transactions;
+
+    expect(usd).toMatchObject({ currency: 'USD', fxRate: 1, localAmount: 3500 });
+    expect(eur).toMatchObject({
+      currency: 'EUR',
+      fxRate: 1.1,
+      localAmount: 9181.82,
+      localCurrentValue: 20000,
+      localFinalValue: 29181.82
+    });
+    expect(gbp).toMatchObject({ currency: 'GBP', localAmount: -2880, localFinalValue: 17120 });
+  });
+
+  test('Should round local amounts to the minor unit of each currency', () => {
+    const result = rebalancePortfolio(10000, [
+      { name: 'US Stocks', targetPercent: 50, currentValue: 50000, sell: true },
+      { name: 'Japan Stocks', currency: 'JPY', targetPercent: 30, currentValue: 3000000, sell: true },
+      { name: 'Kuwait Bonds', currency: 'KWD', targetPercent: 20, currentValue: 5000, sell: true }
+    ], { baseCurrency: 'USD', fxRates: { JPY: 0.0067, KWD: 3.25 } });
+
+    // Yen have no decimals and Kuwaiti dinars three
+    expect(result.transactions.map(t => [t.localAmount, t.localFinalValue])).toEqual([
+      [-1825, 48175],
+      [1314179, 4314179],
+      [929.231, 5929.231]
+    ]);
+    expect(result.fxTrades.map(trade => [trade.currency, trade.localAmount])).toEqual([['JPY', 1314179], ['KWD', 929.231]]);
+  });
+
+  test('Should list one netted FX conversion per foreign currency', () => {
+    const result = rebalancePortfolio(10000, [
+      ...portfolio(),
+      { name: 'Euro Bonds', currency: 'EUR', targetPercent: 0, currentValue: 1000, sell: true }
+    ], fx);
+
+    // Selling 1,100 of euro bonds pays for part of the euro stocks without converting
+    const euro = result.transactions.filter(t => t.currency === 'EUR').reduce((sum, t) => sum + t.amount, 0);
+    expect(result.fxTrades.find(trade => trade.currency === 'EUR').baseAmount).toBeCloseTo(euro, 2);
+    expect(result.fxTrades.map(trade => [trade.currency, trade.side])).toEqual([['EUR', 'BUY'], ['GBP', 'SELL']]);
+  });
+
+  test('Should pay FX costs out of the contribution', () => {
+    const result = rebalancePortfolio(10000, portfolio(), { ...fx, fxCostPercent: 0.2 });
+
+    expect(result.fxTrades).toEqual([
+      { currency: 'EUR', side: 'BUY', rate: 1.1, baseAmount: 10091.78, localAmount: 9174.35, cost: 20.18 },
+      { currency: 'GBP', side: 'SELL', rate: 1.25, baseAmount: 3605.48, localAmount: 2884.38, cost: 7.21 }
+    ]);
+    expect(result.summary).toMatchObject({
+      contribution: 10000,
+      totalAfter: 106972.61,
+      fx: { baseCurrency: 'USD', totalCost: 27.39 }
+    });
+
+    const traded = result.transactions.reduce((sum, t) => sum + Math.round(t.amount * 100), 0);
+    expect(traded + Math.round(result.summary.fx.totalCost * 100)).toBe(1000000);
+  });
+
+  test('Should convert prices, limits and fees from the asset currency', () => {
+    const result = rebalancePortfolio(1000, [
+      { name: 'US Stocks', targetPercent: 50, currentValue: 5000, sell: false },
+      {
+        name: 'Euro Stocks',
+        currency: 'EUR',
+        price: 50,
+        targetPercent: 50,
+        currentValue: 4000,
+        sell: false,
+        maxBuy: 200
+      }
+    ], { baseCurrency: 'USD', fxRates: { EUR: 1.25 } });
+    const euro = result.transactions[1];
+
+    expect(euro).toMatchObject({ amount: 250, price: 62.5, shares: 4, localAmount: 200, localPrice: 50 });
+    expect(result.summary.bindingConstraints).toEqual([{ name: 'Euro Stocks', constraint: 'maxBuy', limit: 250 }]);
+  });
+
+  test('Should treat assets in the base currency like assets without one', () => {
+    const assets = portfolio().map(asset => ({ ...asset, currency: asset.currency || 'USD' }));
+
+    expect(rebalancePortfolio(10000, assets, fx).transactions.map(t => t.amount)).toEqual([3500, 10100, -3600]);
+  });
+
+  test('Should calculate the balancing contribution in the base currency', () => {
+    expect(calculateBalancingContribution(portfolio(), fx)).toBe(28000);
+  });
+
+  test('Should render the FX conversions', () => {
+    const output = formatResult(rebalancePortfolio(10000, portfolio(), { ...fx, fxCostPercent: 0.2 }));
+
+    expect(output).toContain('FX:            BUY 9,174.35 EUR for 10,091.78 USD (cost 20.18)');
+    expect(output).toContain('FX:            SELL 2,884.38 GBP for 3,605.48 USD (cost 7.21)');
+  });
+
+  test('Should reject missing currencies and rates', () => {
+    expect(() => rebalancePortfolio(0, portfolio(), { fxRates: fx.fxRates }))
+      .toThrow('baseCurrency must be set when assets declare a currency');
+    expect(() => rebalancePortfolio(0, portfolio(), { baseCurrency: 'USD', fxRates: { EUR: 1.1 } }))
+      .toThrow('No FX rate for GBP (used by UK Gilts)');
+    expect(() => rebalancePortfolio(0, portfolio(), { ...fx, fxRates: { EUR: 1.1, GBP: -1 } }))
+      .toThrow('No FX rate for GBP');
+    expect(() => rebalancePortfolio(0, portfolio(), { ...fx, fxCostPercent: -1 }))
+      .toThrow('fxCostPercent must be a non-negative number');
+  });
+});
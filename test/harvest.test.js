@@ -0,0 +1,133 @@
+import { scanHarvestOpportunities } from '../src/harvest.js';
+import { formatResult } from '../src/cli.js';
+
+describe('Tax-loss harvesting', () => {
+  // VTI at $200: one lot at a short-term loss, one at a long-term loss, one at a gain
+  const portfolio = () => [
+    {
+      name: 'US Stocks',
+      ticker: 'VTI',
+      price: 200,
+      targetPercent: 60,
+      currentValue: 60000,
+      sell: true,
+      lots: [
+        { acquired: '2022-03-01', quantity: 100, costBasis: 24000 },
+        { acquired: '2024-02-01', quantity: 100, costBasis: 22000 },
+        { acquired: '2021-01-01', quantity: 100, costBasis: 15000 }
+      ]
+    },
+    {
+      name: 'International',
+      ticker: 'VXUS',
+      targetPercent: 30,
+      currentValue: 30000,
+      sell: true,
+      lots: [{ acquired: '2024-01-15', quantity: 500, costBasis: 30500 }]
+    },
+    { name: 'Bonds', ticker: 'BND', targetPercent: 10, currentValue: 10000, sell: true }
+  ];
+
+  const asOf = '2024-06-01';
+  const replacements = { VTI: ['ITOT', 'SCHB'], VXUS: ['IXUS'] };
+
+  test('Should sell the losing lots and buy a replacement of the same size', () => {
+    const result = scanHarvestOpportunities(portfolio(), { asOf, replacements });
+    const [stocks] = result.opportunities;
+
+    expect(stocks).toMatchObject({ name: 'US Stocks', symbol: 'VTI', replacement: 'ITOT', loss: 6000, lossPercent: 13.04 });
+    expect(stocks.transactions.map(t => [t.ticker, t.amount])).toEqual([['VTI', -40000], ['ITOT', 40000]]);
+    expect(stocks.transactions[0].lotsSold.map(lot => lot.acquired)).toEqual(['2024-02-01', '2022-03-01']);
+    expect(stocks.transactions[0].shares).toBe(-200);
+    expect(stocks.summary.realizedGains).toEqual({ shortTerm: -2000, longTerm: -4000, total: -6000 });
+  });
+
+  test('Should keep the asset class on its target', () => {
+    const [stocks] = scanHarvestOpportunities(portfolio(), { asOf, replacements }).opportunities;
+    const [sell, buy] = stocks.transactions;
+
+    expect(sell.targetPercent + buy.targetPercent).toBe(60);
+    expect(sell.finalPercent + buy.finalPercent).toBe(60);
+    expect(sell.finalValue + buy.finalValue).toBe(60000);
+  });
+
+  test('Should estimate tax savings with the short- and long-term rates', () => {
+    const defaults = scanHarvestOpportunities(portfolio(), { asOf, replacements });
+    const custom = scanHarvestOpportunities(portfolio(), { asOf, replacements, taxRate: 0.35, longTermTaxRate: 0.2 });
+
+    // 2,000 short-term at 24% plus 4,000 long-term at 15%
+    expect(defaults.opportunities.map(o => o.estimatedTaxSavings)).toEqual([1080, 120]);
+    expect(defaults.summary).toEqual({ totalLoss: 6500, estimatedTaxSavings: 1200 });
+    expect(custom.opportunities[0].estimatedTaxSavings).toBe(1500);
+  });
+
+  test('Should leave out losses below the thresholds', () => {
+    expect(scanHarvestOpportunities(portfolio(), { asOf, replacements, minLoss: 1000 }).opportunities.map(o => o.symbol))
+      .toEqual(['VTI']);
+    expect(scanHarvestOpportunities(portfolio(), { asOf, replacements, minLossPercent: 20 }).opportunities)
+      .toEqual([]);
+  });
+
+  test('Should skip replacements that would be wash sales', () => {
+    const result = scanHarvestOpportunities(portfolio(), {
+      asOf,
+      replacements,
+      groups: [['VTI', 'ITOT'], ['VXUS', 'IXUS']],
+      history: [{ symbol: 'SCHB', date: '2024-05-20', side: 'SELL', gain: -300 }],
+      windowDays: 61
+    });
+
+    // ITOT is identical to VTI and SCHB was sold at a loss last month
+    expect(result.opportunities).toEqual([]);
+    expect(result.skipped).toEqual([
+      {
+        name: 'US Stocks',
+        symbol: 'VTI',
+        loss: 6000,
+        reason: 'Buying SCHB within 61 days of selling SCHB at a loss on 2024-05-20 would be a wash sale'
+      },
+      {
+        name: 'International',
+        symbol: 'VXUS',
+        loss: 500,
+        reason: 'Buying IXUS while selling VXUS at a loss would be a wash sale'
+      }
+    ]);
+  });
+
+  test('Should respect the wash-sale lookback window for recent buys', () => {
+    const history = [{ symbol: 'VXUS', date: '2024-04-15', side: 'BUY' }];
+
+    expect(scanHarvestOpportunities(portfolio(), { asOf, replacements, history }).opportunities).toHaveLength(2);
+
+    const longer = scanHarvestOpportunities(portfolio(), { asOf, replacements, history, windowDays: 60 });
+    expect(longer.opportunities.map(o => o.symbol)).toEqual(['VTI']);
+    expect(longer.skipped[0].reason)
+      .toBe('Selling VXUS at a loss within 60 days of buying VXUS on 2024-04-15 would be a wash sale');
+  });
+
+  test('Should report assets without a configured replacement', () => {
+    const result = scanHarvestOpportunities(portfolio(), { asOf, replacements: { VTI: ['SCHB'] } });
+
+    expect(result.opportunities.map(o => o.symbol)).toEqual(['VTI']);
+    expect(result.skipped).toEqual([
+      { name: 'International', symbol: 'VXUS', loss: 500, reason: 'No replacement is configured for VXUS' }
+    ]);
+  });
+
+  test('Should render with the rebalance result formatter', () => {
+    const [stocks] = scanHarvestOpportunities(portfolio(), { asOf, replacements }).opportunities;
+    const output = formatResult(stocks);
+
+    expect(output).toContain('US Stocks (VTI)');
+    expect(output).toContain('US Stocks (ITOT)');
+    expect(output).toContain('Realized gain: -6,000.00');
+  });
+
+  test('Should reject invalid thresholds and tax rates', () => {
+    expect(() => scanHarvestOpportunities(portfolio(), { minLoss: -5 })).toThrow('minLoss must be a non-negative number');
+    expect(() => scanHarvestOpportunities(portfolio(), { taxRate: 24 })).toThrow('taxRate must be between 0 and 1');
+    expect(() => scanHarvestOpportunities(portfolio(), { windowDays: -1, replacements }))
+      .toThrow('windowDays must be a non-negative number');
+  });
+});
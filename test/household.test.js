@@ -0,0 +1,236 @@
+import { rebalanceHousehold } from '../src/household.js';
+
+describe('Household Rebalancer', () => {
+  const targets = [
+    { name: 'US Stocks', targetPercent: 60 },
+    { name: 'International Stocks', targetPercent: 20 },
+    { name: 'Bonds', targetPercent: 20 }
+  ];
+
+  const baseAccounts = [
+    {
+      name: 'Taxable',
+      amount: 10000,
+      assetClasses: [
+        { name: 'US Stocks', currentValue: 60000, sell: false },
+        { name: 'International Stocks', currentValue: 20000, sell: false }
+      ]
+    },
+    {
+      name: 'IRA',
+      assetClasses: [
+        { name: 'Bonds', currentValue: 10000, sell: true },
+        { name: 'US Stocks', currentValue: 30000, sell: true }
+      ]
+    },
+    {
+      name: 'Roth',
+      assetClasses: [
+        { name: 'US Stocks', currentValue: 10000, sell: true },
+        { name: 'International Stocks', currentValue: 0, sell: true }
+      ]
+    }
+  ];
+
+  describe('Household allocation', () => {
+    test('Should reach the household target using trades inside each account', () => {
+      const result = rebalanceHousehold(baseAccounts, targets);
+
+      expect(result.summary.totalBefore).toBe(130000);
+      expect(result.summary.totalAfter).toBe(140000);
+      expect(result.summary.contribution).toBe(10000);
+
+      const us = result.allocation.find(a => a.name === 'US Stocks');
+      const intl = result.allocation.find(a => a.name === 'International Stocks');
+      const bonds = result.allocation.find(a => a.name === 'Bonds');
+
+      expect(us.finalValue).toBe(84000);
+      expect(intl.finalValue).toBe(28000);
+      expect(bonds.finalValue).toBe(28000);
+
+      expect(us.finalPercent).toBe(60);
+      expect(intl.finalPercent).toBe(20);
+      expect(bonds.finalPercent).toBe(20);
+    });
+
+    test('Should treat a holding without a sell flag as one that cannot be sold', () => {
+      const withoutSell = baseAccounts.map(account => ({
+        ...account,
+        assetClasses: account.assetClasses.map(({ sell, ...holding }) => (sell ? { ...holding, sell } : holding))
+      }));
+
+      expect(rebalanceHousehold(withoutSell, targets)).toEqual(rebalanceHousehold(baseAccounts, targets));
+    });
+
+    test('Should never move money between accounts', () => {
+      const result = rebalanceHousehold(baseAccounts, targets);
+
+      result.accounts.forEach((account, index) => {
+        const netTransactions = account.transactions.reduce((sum, t) => sum + t.amount, 0);
+        expect(Math.round(netTransactions * 100) / 100).toBe(baseAccounts[index].amount || 0);
+      });
+    });
+
+    test('Should only buy with the contribution in accounts where nothing can be sold', () => {
+      const result = rebalanceHousehold(baseAccounts, targets);
+      const taxable = result.accounts.find(a => a.name === 'Taxable');
+
+      taxable.transactions.forEach(t => {
+        expect(t.amount).toBeGreaterThanOrEqual(0);
+      });
+    });
+
+    test('Should let sellable accounts offset an overweight account that cannot sell', () => {
+      const result = rebalanceHousehold(baseAccounts, targets);
+      const ira = result.accounts.find(a => a.name === 'IRA');
+
+      // Taxable is stuck with too much US Stocks, so the IRA sells US Stocks for Bonds
+      expect(ira.transactions.find(t => t.name === 'US Stocks').amount).toBe(-18000);
+      expect(ira.transactions.find(t => t.name === 'Bonds').amount).toBe(18000);
+    });
+
+    test('Should report current and final values at the household level', () => {
+      const result = rebalanceHousehold(baseAccounts, targets);
+      const us = result.allocation.find(a => a.name === 'US Stocks');
+
+      expect(us.currentValue).toBe(100000);
+      expect(us.currentPercent).toBe(76.92);
+      expect(us.targetPercent).toBe(60);
+      expect(us.deviation).toBe(0);
+    });
+
+    test('Should fund an empty position when that is the only way to reach target', () => {
+      const accounts = [
+        {
+          name: 'Taxable',
+          amount: 20000,
+          assetClasses: [
+            { name: 'US Stocks', currentValue: 80000, sell: false },
+            { name: 'Bonds', currentValue: 0, sell: false }
+          ]
+        }
+      ];
+
+      const result = rebalanceHousehold(accounts, [
+        { name: 'US Stocks', targetPercent: 80 },
+        { name: 'Bonds', targetPercent: 20 }
+      ]);
+
+      const transactions = result.accounts[0].transactions;
+      expect(transactions.find(t => t.name === 'US Stocks').amount).toBe(0);
+      expect(transactions.find(t => t.name === 'Bonds').amount).toBe(20000);
+    });
+
+    test('Should get as close as possible when an account cannot reach its share', () => {
+      const accounts = [
+        {
+          name: 'Taxable',
+          assetClasses: [{ name: 'US Stocks', currentValue: 90000, sell: false }]
+        },
+        {
+          name: 'IRA',
+          amount: 5000,
+          assetClasses: [
+            { name: 'US Stocks', currentValue: 0, sell: true },
+            { name: 'Bonds', currentValue: 5000, sell: true }
+          ]
+        }
+      ];
+
+      const result = rebalanceHousehold(accounts, [
+        { name: 'US Stocks', targetPercent: 50 },
+        { name: 'Bonds', targetPercent: 50 }
+      ]);
+
+      const ira = result.accounts.find(a => a.name === 'IRA');
+      expect(ira.transactions.find(t => t.name === 'Bonds').amount).toBe(5000);
+      expect(ira.transactions.find(t => t.name === 'US Stocks').amount).toBe(0);
+      expect(result.allocation.find(a => a.name === 'Bonds').finalValue).toBe(10000);
+    });
+
+    test('Should handle withdrawals from a single account', () => {
+      const accounts = [
+        {
+          name: 'Taxable',
+          amount: -10000,
+          assetClasses: [
+            { name: 'US Stocks', currentValue: 50000, sell: true },
+            { name: 'Bonds', currentValue: 30000, sell: true }
+          ]
+        },
+        {
+          name: 'IRA',
+          assetClasses: [{ name: 'Bonds', currentValue: 20000, sell: false }]
+        }
+      ];
+
+      const result = rebalanceHousehold(accounts, [
+        { name: 'US Stocks', targetPercent: 50 },
+        { name: 'Bonds', targetPercent: 50 }
+      ]);
+
+      expect(result.summary.totalAfter).toBe(90000);
+      expect(result.summary.contribution).toBe(-10000);
+
+      const taxable = result.accounts.find(a => a.name === 'Taxable');
+      const netTransactions = taxable.transactions.reduce((sum, t) => sum + t.amount, 0);
+      expect(netTransactions).toBe(-10000);
+      expect(result.allocation.find(a => a.name === 'US Stocks').finalValue).toBe(45000);
+      expect(result.allocation.find(a => a.name === 'Bonds').finalValue).toBe(45000);
+    });
+  });
+
+  describe('Validation', () => {
+    test('Should throw error for empty accounts array', () => {
+      expect(() => rebalanceHousehold([], targets)).toThrow('accounts must be a non-empty array');
+    });
+
+    test('Should throw error for empty targets array', () => {
+      expect(() => rebalanceHousehold(baseAccounts, [])).toThrow('targets must be a non-empty array');
+    });
+
+    test('Should throw error if target percentages do not sum to 100', () => {
+      const invalidTargets = [
+        { name: 'US Stocks', targetPercent: 60 },
+        { name: 'Bonds', targetPercent: 30 }
+      ];
+
+      expect(() => rebalanceHousehold(baseAccounts, invalidTargets)).toThrow('Target percentages must sum to 100%');
+    });
+
+    test('Should throw error for holdings without a household target', () => {
+      const accounts = [
+        { name: 'Taxable', assetClasses: [{ name: 'Gold', currentValue: 1000, sell: false }] }
+      ];
+
+      expect(() => rebalanceHousehold(accounts, targets)).toThrow('Asset class Gold in account Taxable has no household target');
+    });
+
+    test('Should throw error for accounts without holdings', () => {
+      expect(() => rebalanceHousehold([{ name: 'Roth', assetClasses: [] }], targets))
+        .toThrow('Account Roth must hold a non-empty assetClasses array');
+    });
+
+    test('Should throw error if an account withdrawal exceeds its value', () => {
+      const accounts = [
+        { name: 'Roth', amount: -2000, assetClasses: [{ name: 'Bonds', currentValue: 1000, sell: true }] }
+      ];
+
+      expect(() => rebalanceHousehold(accounts, targets)).toThrow('Withdrawal amount exceeds total value of account Roth');
+    });
+
+    test('Should report the code and the account at fault', () => {
+      const accounts = [
+        ...baseAccounts,
+        { name: 'Roth', amount: -2000, assetClasses: [{ name: 'Bonds', currentValue: 1000, sell: true }] }
+      ];
+
+      expect(() => rebalanceHousehold(accounts, targets)).toThrow(expect.objectContaining({
+        name: 'ValidationError',
+        code: 'WITHDRAWAL_EXCEEDS_VALUE',
+        index: baseAccounts.length,
+        field: 'amount'
+      }));
+    });
+  });
+});
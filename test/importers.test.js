@@ -0,0 +1,133 @@
+import { readFileSync } from 'fs';
+import { importPositions, parseAmount } from '../src/importers.js';
+import { rebalancePortfolio } from '../src/rebalancer.js';
+
+const fixture = name => readFileSync(new URL(`./fixtures/${name}`, import.meta.url), 'utf8');
+
+describe('Brokerage importers', () => {
+  const mapping = {
+    FXAIX: 'US Stocks',
+    VTI: 'US Stocks',
+    SCHB: 'US Stocks',
+    FTIHX: 'International Stocks',
+    SCHF: 'International Stocks',
+    VXUS: 'International Stocks',
+    FXNAX: 'Bonds',
+    SCHZ: 'Bonds',
+    BND: 'Bonds'
+  };
+
+  const targets = { 'US Stocks': 60, 'International Stocks': 20, Bonds: 15, Cash: 5 };
+
+  const valueOf = (result, name) => result.assetClasses.find(asset => asset.name === name).currentValue;
+
+  describe('Fidelity export', () => {
+    const result = importPositions(fixture('fidelity-positions.csv'), { profile: 'fidelity', mapping, targets });
+
+    test('Should merge several tickers into one asset class', () => {
+      expect(valueOf(result, 'US Stocks')).toBe(73973.81);
+      expect(valueOf(result, 'International Stocks')).toBe(16920);
+      expect(valueOf(result, 'Bonds')).toBe(10500);
+    });
+
+    test('Should fold the money market and pending activity into cash', () => {
+      expect(valueOf(result, 'Cash')).toBe(2412.34);
+      expect(result.positions.filter(position => position.cash).map(position => position.symbol))
+        .toEqual(['SPAXX**', 'Pending Activity']);
+    });
+
+    test('Should report rows it could not map and skip the disclaimers', () => {
+      expect(result.unmapped).toEqual([
+        { row: 7, symbol: 'ARKK', description: 'ARK INNOVATION ETF', value: 250, reason: 'No asset class for this symbol' }
+      ]);
+    });
+
+    test('Should keep quantity and price for each position', () => {
+      const fxaix = result.positions.find(position => position.symbol === 'FXAIX');
+      expect(fxaix.quantity).toBe(300.125);
+      expect(fxaix.price).toBe(190.5);
+    });
+  });
+
+  describe('Schwab export', () => {
+    const result = importPositions(fixture('schwab-positions.csv'), { profile: 'schwab', mapping, targets, sell: true });
+
+    test('Should skip the preamble and the account total', () => {
+      expect(result.assetClasses).toEqual([
+        { name: 'US Stocks', targetPercent: 60, currentValue: 21500, sell: true },
+        { name: 'International Stocks', targetPercent: 20, currentValue: 12000, sell: true },
+        { name: 'Bonds', targetPercent: 15, currentValue: 4600, sell: true },
+        { name: 'Cash', targetPercent: 5, currentValue: 1900, sell: true }
+      ]);
+      expect(result.unmapped).toEqual([]);
+    });
+
+    test('Should produce input rebalancePortfolio accepts', () => {
+      const rebalance = rebalancePortfolio(1000, result.assetClasses);
+      expect(rebalance.summary.totalBefore).toBe(40000);
+    });
+  });
+
+  describe('Vanguard export', () => {
+    test('Should stop at the transaction history section', () => {
+      const result = importPositions(fixture('vanguard-positions.csv'), { profile: 'vanguard', mapping });
+
+      expect(result.positions.map(position => position.symbol)).toEqual(['VMFXX', 'VTI', 'VXUS', 'BND']);
+      expect(result.assetClasses).toEqual([
+        { name: 'Cash', currentValue: 1500, sell: false },
+        { name: 'US Stocks', currentValue: 28000, sell: false },
+        { name: 'International Stocks', currentValue: 9600, sell: false },
+        { name: 'Bonds', currentValue: 8700, sell: false }
+      ]);
+    });
+
+    test('Should let the mapping and options override cash handling', () => {
+      const result = importPositions(fixture('vanguard-positions.csv'), {
+        profile: 'vanguard',
+        mapping: { ...mapping, VMFXX: 'Money Market' },
+        sell: { Bonds: true }
+      });
+
+      expect(valueOf(result, 'Money Market')).toBe(1500);
+      expect(result.assetClasses.find(asset => asset.name === 'Bonds').sell).toBe(true);
+      expect(result.assetClasses.find(asset => asset.name === 'US Stocks').sell).toBe(false);
+    });
+  });
+
+  describe('Custom profiles', () => {
+    test('Should read an export through a custom column mapping', () => {
+      const text = 'Ticker,Name,Value\nAAA,Fund A,"1,000.50"\nSWEEP,Bank sweep,200\nTotal,,1200.50\n';
+      const result = importPositions(text, {
+        profile: { columns: { symbol: 'Ticker', description: 'Name', value: 'Value' }, cashSymbols: [/^SWEEP$/], totalPattern: /^Total$/ },
+        mapping: { AAA: 'Stocks' },
+        cashClass: 'Cash Reserve'
+      });
+
+      expect(result.assetClasses).toEqual([
+        { name: 'Stocks', currentValue: 1000.5, sell: false },
+        { name: 'Cash Reserve', currentValue: 200, sell: false }
+      ]);
+    });
+  });
+
+  describe('parseAmount', () => {
+    test('Should parse brokerage number formats', () => {
+      expect(parseAmount('$1,234.56')).toBe(1234.56);
+      expect(parseAmount('($500.00)')).toBe(-500);
+      expect(parseAmount('-$0.10')).toBe(-0.1);
+      expect(parseAmount('--')).toBe(null);
+      expect(parseAmount('')).toBe(null);
+    });
+  });
+
+  describe('Validation', () => {
+    test('Should throw error for an unknown profile', () => {
+      expect(() => importPositions('a,b\n', { profile: 'etrade' })).toThrow('Unknown import profile: etrade');
+    });
+
+    test('Should throw error when the export has no matching header', () => {
+      expect(() => importPositions('Foo,Bar\n1,2\n', { profile: 'schwab' }))
+        .toThrow('Could not find the Symbol and Market Value columns');
+    });
+  });
+});
@@ -0,0 +1,138 @@
+import { rebalanceLookThrough } from '../src/lookThrough.js';
+
+describe('Look-through rebalancing', () => {
+  const targets = [
+    { name: 'US Stocks', targetPercent: 50 },
+    { name: 'Intl Stocks', targetPercent: 20 },
+    { name: 'Bonds', targetPercent: 30 }
+  ];
+
+  // 54.89% US, 24% international and 21.11% bonds on a look-through basis
+  const holdings = sell => [
+    { name: 'Target 2050', composition: { 'US Stocks': 54, 'Intl Stocks': 36, Bonds: 10 }, currentValue: 60000, sell },
+    { name: 'Balanced', composition: { 'US Stocks': 60, Bonds: 40 }, currentValue: 20000, sell },
+    { name: 'US Stocks', currentValue: 5000, sell },
+    { name: 'Bonds', currentValue: 5000, sell }
+  ];
+
+  const percents = result => result.allocation.map(row => [row.name, row.currentPercent, row.finalPercent]);
+
+  test('Should report the allocation through the funds', () => {
+    const result = rebalanceLookThrough(0, holdings(false), targets);
+
+    expect(result.allocation[0]).toMatchObject({
+      name: 'US Stocks',
+      targetPercent: 50,
+      currentValue: 49400,
+      finalValue: 49400,
+      currentPercent: 54.89,
+      finalPercent: 54.89
+    });
+    expect(result.allocation[0].deviation).toBeCloseTo(0.0978, 6);
+    expect(result.transactions.map(t => t.amount)).toEqual([0, 0, 0, 0]);
+  });
+
+  test('Should put a contribution where the look-through allocation is short', () => {
+    const result = rebalanceLookThrough(10000, holdings(false), targets);
+
+    expect(result.transactions.map(t => [t.name, t.amount])).toEqual([
+      ['Target 2050', 0],
+      ['Balanced', 0],
+      ['US Stocks', 0],
+      ['Bonds', 10000]
+    ]);
+    expect(percents(result)).toEqual([
+      ['US Stocks', 54.89, 49.4],
+      ['Intl Stocks', 24, 21.6],
+      ['Bonds', 21.11, 29]
+    ]);
+  });
+
+  test('Should trade the funds to reach the targets when they can be sold', () => {
+    const result = rebalanceLookThrough(10000, holdings(true), targets);
+
+    expect(result.allocation.map(row => row.finalPercent)).toEqual([50, 20, 30]);
+    expect(result.transactions.reduce((sum, t) => sum + Math.round(t.amount * 100), 0)).toBe(1000000);
+    // Only selling the target-date fund brings international stocks down
+    expect(result.transactions[0].amount).toBe(-4444.44);
+    expect(result.summary).toEqual({ totalBefore: 90000, totalAfter: 100000, contribution: 10000 });
+  });
+
+  test('Should leave funds that already give the target exposure alone', () => {
+    const result = rebalanceLookThrough(0, [
+      { name: 'Balanced', composition: { Stocks: 60, Bonds: 40 }, currentValue: 80000, sell: true },
+      { name: 'Stocks', currentValue: 12000, sell: true },
+      { name: 'Bonds', currentValue: 8000, sell: true }
+    ], [{ name: 'Stocks', targetPercent: 60 }, { name: 'Bonds', targetPercent: 40 }]);
+
+    expect(result.transactions.map(t => t.amount)).toEqual([0, 0, 0]);
+    expect(result.allocation.map(row => row.finalPercent)).toEqual([60, 40]);
+  });
+
+  test('Should only sell to fund a withdrawal when nothing may be sold', () => {
+    const result = rebalanceLookThrough(-20000, holdings(false), targets);
+
+    expect(result.transactions.every(t => t.amount <= 0)).toBe(true);
+    expect(result.transactions.map(t => [t.name, t.amount])).toEqual([
+      ['Target 2050', -15000],
+      ['Balanced', 0],
+      ['US Stocks', -5000],
+      ['Bonds', 0]
+    ]);
+    expect(percents(result)).toEqual([
+      ['US Stocks', 54.89, 51.86],
+      ['Intl Stocks', 24, 23.14],
+      ['Bonds', 21.11, 25]
+    ]);
+  });
+
+  test('Should take a withdrawal too small to leave room above the floors from every holding', () => {
+    // 100,000 less 1e-12 rounds back to 100,000, so the unsellable fund has no room to give
+    const result = rebalanceLookThrough(-1e-12, [
+      { name: 'Balanced', composition: { Stocks: 60, Bonds: 40 }, currentValue: 100000, sell: false },
+      { name: 'Bonds', currentValue: 0, sell: true }
+    ], [{ name: 'Stocks', targetPercent: 60 }, { name: 'Bonds', targetPercent: 40 }]);
+
+    expect(result.transactions.map(t => [t.amount, t.targetPercent])).toEqual([[0, 100], [0, 0]]);
+    expect(result.allocation.map(row => row.finalPercent)).toEqual([60, 40]);
+  });
+
+  test('Should trade the funds with their tickers and prices', () => {
+    const result = rebalanceLookThrough(5000, [
+      { name: 'Balanced', ticker: 'VBIAX', price: 50, composition: { Stocks: 60, Bonds: 40 }, currentValue: 10000, sell: false },
+      { name: 'Bonds', ticker: 'BND', price: 25, currentValue: 0, sell: false }
+    ], [{ name: 'Stocks', targetPercent: 40 }, { name: 'Bonds', targetPercent: 60 }]);
+
+    expect(result.transactions.map(t => [t.ticker, t.amount, t.shares])).toEqual([['VBIAX', 0, 0], ['BND', 5000, 200]]);
+    expect(result.allocation.map(row => row.finalPercent)).toEqual([40, 60]);
+  });
+
+  test('Should measure exposure in the base currency', () => {
+    const result = rebalanceLookThrough(0, [
+      { name: 'Euro Balanced', currency: 'EUR', composition: { Stocks: 50, Bonds: 50 }, currentValue: 10000, sell: true },
+      { name: 'Stocks', currentValue: 11000, sell: true }
+    ], [{ name: 'Stocks', targetPercent: 75 }, { name: 'Bonds', targetPercent: 25 }], {
+      baseCurrency: 'USD',
+      fxRates: { EUR: 1.1 }
+    });
+
+    expect(result.allocation.map(row => [row.currentValue, row.finalPercent])).toEqual([[16500, 75], [5500, 25]]);
+    expect(result.transactions.map(t => t.amount)).toEqual([0, 0]);
+  });
+
+  test('Should reject compositions that do not match the targets', () => {
+    const fund = composition => [{ name: 'Fund', composition, currentValue: 1000, sell: true }];
+
+    expect(() => rebalanceLookThrough(0, fund({ 'US Stocks': 60, Bonds: 30 }), targets))
+      .toThrow('Composition of Fund must sum to 100%');
+    expect(() => rebalanceLookThrough(0, fund({ Gold: 100 }), targets))
+      .toThrow('Asset class Gold in the composition of Fund has no target');
+    expect(() => rebalanceLookThrough(0, fund({ 'US Stocks': 120, Bonds: -20 }), targets))
+      .toThrow('Composition of Fund must give a non-negative percentage for Bonds');
+    expect(() => rebalanceLookThrough(0, [{ name: 'Gold', currentValue: 1000, sell: true }], targets))
+      .toThrow('Holding Gold has no composition and no target of the same name');
+    expect(() => rebalanceLookThrough(0, [], targets)).toThrow('holdings must be a non-empty array');
+    expect(() => rebalanceLookThrough(0, holdings(true), [{ name: 'Bonds', targetPercent: 90 }]))
+      .toThrow('Target percentages must sum to 100%');
+  });
+});
@@ -0,0 +1,178 @@
+import { rebalancePortfolio, calculateBalancingContribution, roundToCents } from '../src/rebalancer.js';
+import { toMinorUnits, fromMinorUnits, roundMoney, sumMoney, apportion } from '../src/money.js';
+
+describe('Money arithmetic', () => {
+  const cents = value => toMinorUnits(value);
+
+  describe('Minor units', () => {
+    test('Should round amounts the way they read', () => {
+      expect(toMinorUnits(1.005)).toBe(101);
+      expect(toMinorUnits(-1.005)).toBe(-100);
+      expect(toMinorUnits(1234.5, 0)).toBe(1235);
+      expect(toMinorUnits(0.0015, 3)).toBe(2);
+      expect(fromMinorUnits(12345, 3)).toBe(12.345);
+      expect(roundMoney(2.675)).toBe(2.68);
+      expect(roundToCents(1.005)).toBe(1.01);
+    });
+
+    test('Should add amounts without float error', () => {
+      expect(sumMoney([0.1, 0.2])).toBe(0.3);
+      expect(sumMoney(Array(10).fill(0.1))).toBe(1);
+      expect(sumMoney([1.234, 2.345], 3)).toBe(3.579);
+    });
+
+    test('Should apportion a total so the parts add up exactly', () => {
+      expect(apportion(100, [100 / 3, 100 / 3, 100 / 3])).toEqual([33.34, 33.33, 33.33]);
+      expect(apportion(10, [2.5, 2.5, 5], 0)).toEqual([3, 2, 5]);
+
+      const parts = apportion(1000, [333.3349, 333.3349, 333.3349]);
+      expect(sumMoney(parts)).toBe(1000);
+
+      expect(() => apportion(100, [NaN, 50])).toThrow('apportion needs a finite total and finite parts');
+      expect(() => apportion(Infinity, [50])).toThrow('apportion needs a finite total and finite parts');
+    });
+  });
+
+  describe('rebalancePortfolio', () => {
+    // A deterministic portfolio with many assets and awkward values
+    const largePortfolio = sellable => Array.from({ length: 40 }, (_, i) => ({
+      name: `Fund ${i + 1}`,
+      targetPercent: 2.5,
+      currentValue: 1000000 + ((i * 7919) % 1000) * 1234.567,
+      sell: sellable(i)
+    }));
+
+    const expectExactTotals = result => {
+      const { summary } = result;
+      const traded = result.transactions.reduce((sum, t) => sum + cents(t.amount), 0);
+      const final = result.transactions.reduce((sum, t) => sum + cents(t.finalValue), 0);
+      const leftOver = cents(summary.unallocatedCash || 0) + cents(summary.totalFees || 0);
+
+      expect(traded + leftOver).toBe(cents(summary.contribution));
+      expect(final + cents(summary.unallocatedCash || 0)).toBe(cents(summary.totalAfter));
+      result.transactions.forEach(t => expect(cents(t.finalValue)).toBe(cents(t.currentValue) + cents(t.amount)));
+    };
+
+    test('Should make transactions add up exactly to the contribution', () => {
+      expectExactTotals(rebalancePortfolio(123456.78, largePortfolio(() => false)));
+      expectExactTotals(rebalancePortfolio(98765.43, largePortfolio(i => i % 3 === 0)));
+    });
+
+    test('Should make final values add up exactly to totalAfter on withdrawals', () => {
+      expectExactTotals(rebalancePortfolio(-279002.79, largePortfolio(i => i % 2 === 0)));
+      expectExactTotals(rebalancePortfolio(-53445.72, largePortfolio(() => true), { withdrawalStrategy: 'proRata' }));
+      expectExactTotals(rebalancePortfolio(-29429.83, largePortfolio(() => true), { withdrawalStrategy: 'largestOverweightFirst' }));
+    });
+
+    test('Should round values with fractions of a cent on the way in', () => {
+      const result = rebalancePortfolio(1000.004, [
+        { name: 'Stocks', targetPercent: 60, currentValue: 5000.004, sell: false },
+        { name: 'Bonds', targetPercent: 40, currentValue: 4000.004, sell: false }
+      ]);
+
+      expect(result.summary).toEqual({ totalBefore: 9000, totalAfter: 10000, contribution: 1000 });
+      expectExactTotals(result);
+    });
+
+    test('Should trade in whole units for a currency without decimals', () => {
+      const result = rebalancePortfolio(100001, [
+        { name: 'Japan Equity', targetPercent: 33.33, currentValue: 1000000, sell: false },
+        { name: 'Global Equity', targetPercent: 33.33, currentValue: 500001, sell: false },
+        { name: 'Bonds', targetPercent: 33.34, currentValue: 499999, sell: false }
+      ], { currencyDecimals: 0, explain: true });
+
+      result.transactions.forEach(t => {
+        expect(Number.isInteger(t.amount)).toBe(true);
+        expect(Number.isInteger(t.finalValue)).toBe(true);
+      });
+      expect(result.summary.currencyDecimals).toBe(0);
+      expect(result.transactions.reduce((sum, t) => sum + t.amount, 0)).toBe(100001);
+      expect(result.explanation.narrative).toContain('buy 100001 of Bonds');
+    });
+
+    test('Should trade in thousandths for a currency with three decimals', () => {
+      const result = rebalancePortfolio(-10.001, [
+        { name: 'Stocks', targetPercent: 50, currentValue: 100.1234, sell: true },
+        { name: 'Bonds', targetPercent: 50, currentValue: 50.4567, sell: true }
+      ], { currencyDecimals: 3 });
+
+      expect(result.transactions.map(t => t.amount)).toEqual([-29.833, 19.832]);
+      expect(result.transactions.map(t => t.finalValue)).toEqual([70.29, 70.289]);
+      expect(result.summary).toMatchObject({ totalBefore: 150.58, totalAfter: 140.579, contribution: -10.001 });
+    });
+
+    test('Should scale money limits and fees with the currency', () => {
+      const result = rebalancePortfolio(50000, [
+        { name: 'Stocks', targetPercent: 50, currentValue: 100000, sell: false, maxBuy: 20000 },
+        { name: 'Bonds', targetPercent: 50, currentValue: 100000, sell: false, fees: { buy: { type: 'flat', amount: 300 } } }
+      ], { currencyDecimals: 0 });
+
+      expect(result.transactions.map(t => t.amount)).toEqual([20000, 29700]);
+      expect(result.summary.totalFees).toBe(300);
+      expect(result.summary.bindingConstraints).toEqual([{ name: 'Stocks', constraint: 'maxBuy', limit: 20000 }]);
+    });
+
+    test('Should keep the totals exact for random portfolios in 0, 2 and 3 decimal currencies', () => {
+      // Small deterministic generator (mulberry32) so every run checks the same cases
+      let seed = 20221;
+      const random = () => {
+        seed = (seed + 0x6d2b79f5) | 0;
+        let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+      };
+      const strategies = [undefined, 'proportional', 'proRata', 'largestOverweightFirst', 'sellableFirst'];
+
+      for (const decimals of [0, 2, 3]) {
+        const units = value => toMinorUnits(value, decimals);
+        const money = value => fromMinorUnits(Math.floor(value * 10 ** decimals), decimals);
+
+        for (let run = 0; run < 40; run++) {
+          const count = 2 + Math.floor(random() * 6);
+          const targets = apportion(100, Array.from({ length: count }, () => random()).map((weight, _, all) =>
+            (weight / all.reduce((sum, w) => sum + w, 0)) * 100));
+          const assets = targets.map((targetPercent, i) => ({
+            name: `Asset ${i + 1}`,
+            targetPercent,
+            currentValue: money(random() * 100000),
+            sell: random() < 0.5
+          }));
+          const total = assets.reduce((sum, asset) => sum + asset.currentValue, 0);
+          const amount = money((random() * 1.5 - 0.75) * total);
+          const options = { currencyDecimals: decimals, withdrawalStrategy: strategies[run % strategies.length] };
+
+          const result = rebalancePortfolio(amount, assets, options);
+          const { summary } = result;
+          const traded = result.transactions.reduce((sum, t) => sum + units(t.amount), 0);
+          const final = result.transactions.reduce((sum, t) => sum + units(t.finalValue), 0);
+
+          expect(traded + units(summary.unallocatedCash || 0)).toBe(units(amount));
+          expect(final + units(summary.unallocatedCash || 0)).toBe(units(summary.totalAfter));
+          expect(units(summary.totalAfter)).toBe(units(summary.totalBefore) + units(amount));
+          result.transactions.forEach(t => {
+            expect(t.amount).toBe(fromMinorUnits(units(t.amount), decimals));
+            expect(units(t.finalValue)).toBe(units(t.currentValue) + units(t.amount));
+          });
+        }
+      }
+    });
+
+    test('Should round the balancing contribution to the currency', () => {
+      const assets = [
+        { name: 'Stocks', targetPercent: 30, currentValue: 1000, sell: false },
+        { name: 'Bonds', targetPercent: 70, currentValue: 1000, sell: false }
+      ];
+
+      expect(calculateBalancingContribution(assets)).toBe(1333.33);
+      expect(calculateBalancingContribution(assets, { currencyDecimals: 0 })).toBe(1333);
+    });
+
+    test('Should reject unsupported decimal places', () => {
+      const assets = [{ name: 'Stocks', targetPercent: 100, currentValue: 1000, sell: false }];
+
+      expect(() => rebalancePortfolio(0, assets, { currencyDecimals: 1.5 }))
+        .toThrow('currencyDecimals must be a whole number from 0 to 4, got 1.5');
+      expect(() => rebalancePortfolio(0, assets, { currencyDecimals: 8 })).toThrow('currencyDecimals');
+    });
+  });
+});
@@ -0,0 +1,95 @@
+import { rebalancePortfolio } from '../src/rebalancer.js';
+import { buildOrders, ordersToCsv, ordersToFix } from '../src/orders.js';
+
+describe('Order export', () => {
+  const result = rebalancePortfolio(0, [
+    { name: 'US Stocks', ticker: 'VTI', price: 250, targetPercent: 50, currentValue: 60000, sell: true },
+    { name: 'Bonds', ticker: 'BND', price: 80, targetPercent: 40, currentValue: 30000, sell: true },
+    { name: 'Cash', targetPercent: 10, currentValue: 10000, sell: true }
+  ]);
+
+  describe('buildOrders', () => {
+    test('Should put sells before buys and leave out zero trades', () => {
+      const orders = buildOrders(result, { account: 'IRA-1' });
+
+      expect(orders).toEqual([
+        { orderId: 'ORD-1', account: 'IRA-1', side: 'SELL', symbol: 'VTI', name: 'US Stocks', quantity: 40, orderType: 'MARKET' },
+        { orderId: 'ORD-2', account: 'IRA-1', side: 'BUY', symbol: 'BND', name: 'Bonds', quantity: 125, orderType: 'MARKET' }
+      ]);
+    });
+
+    test('Should use a notional amount and the asset name without a price or ticker', () => {
+      const orders = buildOrders(rebalancePortfolio(1000, [
+        { name: 'Stocks', targetPercent: 60, currentValue: 5000, sell: false },
+        { name: 'Bonds', targetPercent: 40, currentValue: 4000, sell: false }
+      ]));
+
+      expect(orders).toEqual([
+        { orderId: 'ORD-1', side: 'BUY', symbol: 'Stocks', name: 'Stocks', notional: 1000, orderType: 'MARKET' }
+      ]);
+    });
+
+    test('Should set limit prices for limit orders', () => {
+      const orders = buildOrders(result, { orderType: 'LIMIT', idPrefix: 'REB' });
+
+      expect(orders.map(order => [order.orderId, order.limitPrice])).toEqual([['REB-1', 250], ['REB-2', 80]]);
+    });
+
+    test('Should throw error for a limit order without a price', () => {
+      const noPrice = rebalancePortfolio(1000, [
+        { name: 'Stocks', targetPercent: 100, currentValue: 5000, sell: false }
+      ]);
+
+      expect(() => buildOrders(noPrice, { orderType: 'LIMIT' })).toThrow('Limit order for Stocks needs a price');
+    });
+
+    test('Should throw error for an unknown order type', () => {
+      expect(() => buildOrders(result, { orderType: 'STOP' })).toThrow('Unknown order type: STOP');
+    });
+  });
+
+  describe('ordersToCsv', () => {
+    test('Should write one row per order', () => {
+      const csv = ordersToCsv(buildOrders(result, { account: 'IRA-1' }));
+
+      expect(csv).toBe(
+        'OrderId,Account,Side,Symbol,Quantity,Notional,OrderType,LimitPrice\n' +
+        'ORD-1,IRA-1,SELL,VTI,40,,MARKET,\n' +
+        'ORD-2,IRA-1,BUY,BND,125,,MARKET,\n'
+      );
+    });
+  });
+
+  describe('ordersToFix', () => {
+    const transactTime = '2026-10-16T14:30:00Z';
+
+    test('Should write FIX 4.2 new order messages', () => {
+      const fix = ordersToFix(buildOrders(result, { account: 'IRA-1' }), { delimiter: '|', transactTime });
+      const [sell, buy] = fix.split('\n');
+
+      expect(sell).toMatch(/^8=FIX\.4\.2\|9=\d+\|35=D\|11=ORD-1\|1=IRA-1\|21=1\|55=VTI\|54=2\|60=20261016-14:30:00\|38=40\|40=1\|10=\d{3}\|$/);
+      expect(buy).toContain('|55=BND|54=1|');
+    });
+
+    test('Should use CashOrderQty for notional orders and add the limit price', () => {
+      const orders = [{ orderId: 'A', side: 'BUY', symbol: 'X', notional: 1000, orderType: 'LIMIT', limitPrice: 10 }];
+      const fix = ordersToFix(orders, { delimiter: '|', transactTime });
+
+      expect(fix).toContain('|152=1000.00|40=2|44=10|');
+      expect(fix).not.toContain('|1=');
+    });
+
+    test('Should compute body length and checksum over SOH-delimited fields', () => {
+      const fix = ordersToFix(buildOrders(result), { transactTime });
+      const message = fix.split('\n')[0];
+
+      const bodyStart = message.indexOf('\x01', message.indexOf('9=')) + 1;
+      const checksumStart = message.lastIndexOf('10=');
+      const bodyLength = Number(message.slice(message.indexOf('9=') + 2, bodyStart - 1));
+      expect(bodyLength).toBe(checksumStart - bodyStart);
+
+      const sum = [...message.slice(0, checksumStart)].reduce((total, char) => total + char.charCodeAt(0), 0);
+      expect(message.slice(checksumStart)).toBe(`10=${String(sum % 256).padStart(3, '0')}\x01`);
+    });
+  });
+});
@@ -0,0 +1,109 @@
+import { deriveRiskTargets, describeRiskContributions } from '../src/riskTargets.js';
+import { rebalancePortfolio, calculateBalancingContribution } from '../src/rebalancer.js';
+
+describe('Risk-based targets', () => {
+  const portfolio = () => [
+    { name: 'Stocks', currentValue: 60000, sell: false },
+    { name: 'Bonds', currentValue: 30000, sell: false },
+    { name: 'Gold', currentValue: 10000, sell: false }
+  ];
+  const withCash = () => [...portfolio(), { name: 'Cash', cash: true, targetPercent: 5, currentValue: 0, sell: true }];
+
+  const risk = {
+    volatilities: { Stocks: 0.16, Bonds: 0.05, Gold: 0.15 },
+    correlations: { Stocks: { Bonds: -0.2, Gold: 0.1 }, Bonds: { Gold: 0.3 } }
+  };
+  const targetsOf = result => result.assetClasses.map(asset => asset.targetPercent);
+  const riskAfter = report => report.assets.map(asset => asset.riskContributionAfter);
+
+  test('Should weight assets by inverse volatility', () => {
+    const result = deriveRiskTargets(portfolio(), { volatilities: risk.volatilities }, { method: 'inverseVolatility' });
+
+    // 1/0.16 : 1/0.05 : 1/0.15
+    expect(targetsOf(result)).toEqual([18.99, 60.76, 20.25]);
+    expect(result.assetClasses[0]).toMatchObject({ name: 'Stocks', currentValue: 60000, sell: false });
+  });
+
+  test('Should give every asset the same risk contribution', () => {
+    const result = deriveRiskTargets(portfolio(), risk);
+
+    expect(targetsOf(result)).toEqual([20.85, 61.94, 17.21]);
+    expect(riskAfter(result.report)).toEqual([33.33, 33.33, 33.33]);
+    expect(result.report.volatilityAfter).toBe(0.0546);
+  });
+
+  test('Should report risk contributions at the current values and the targets', () => {
+    const { report } = deriveRiskTargets(portfolio(), risk, { method: 'inverseVolatility' });
+
+    expect(report.assets[0]).toEqual({
+      name: 'Stocks',
+      volatility: 0.16,
+      percentBefore: 60,
+      percentAfter: 18.99,
+      riskContributionBefore: 95.36,
+      riskContributionAfter: 26.48
+    });
+    expect(report.assets.map(asset => asset.riskContributionBefore)).toEqual([95.36, 0.05, 4.59]);
+    expect(report.volatilityBefore).toBe(0.0975);
+  });
+
+  test('Should accept a covariance table', () => {
+    const covariance = {
+      Stocks: { Stocks: 0.0256, Bonds: -0.0016, Gold: 0.0024 },
+      Bonds: { Bonds: 0.0025, Gold: 0.00225 },
+      Gold: { Gold: 0.0225 }
+    };
+
+    expect(targetsOf(deriveRiskTargets(portfolio(), { covariance }))).toEqual(targetsOf(deriveRiskTargets(portfolio(), risk)));
+  });
+
+  test('Should keep the cash target and share the rest by risk', () => {
+    const result = deriveRiskTargets(withCash(), risk);
+
+    expect(targetsOf(result)).toEqual([19.81, 58.84, 16.35, 5]);
+    expect(result.report.assets[3]).toMatchObject({ name: 'Cash', volatility: 0, riskContributionAfter: 0 });
+  });
+
+  test('Should scale the risky assets against cash to reach a target volatility', () => {
+    const result = deriveRiskTargets(withCash(), risk, { method: 'targetVolatility', targetVolatility: 0.05 });
+
+    expect(targetsOf(result)).toEqual([19.11, 56.76, 15.77, 8.36]);
+    expect(result.report.volatilityAfter).toBe(0.05);
+
+    // Too high a target to reach without leverage: fully invested
+    const capped = deriveRiskTargets(withCash(), risk, { method: 'targetVolatility', targetVolatility: 0.2 });
+    expect(targetsOf(capped)).toEqual([20.85, 61.94, 17.21, 0]);
+  });
+
+  test('Should feed straight into rebalancing and the balancing contribution', () => {
+    const { assetClasses } = deriveRiskTargets(withCash(), risk, { method: 'targetVolatility', targetVolatility: 0.05 });
+    const result = rebalancePortfolio(10000, assetClasses);
+
+    expect(result.transactions.map(t => t.amount)).toEqual([0, 804, 0, 9196]);
+    expect(calculateBalancingContribution(assetClasses)).toBe(213971.72);
+
+    const report = describeRiskContributions(result, risk);
+    expect(report.assets.map(asset => [asset.name, asset.percentAfter])).toEqual([
+      ['Stocks', 54.55],
+      ['Bonds', 28],
+      ['Gold', 9.09],
+      ['Cash', 8.36]
+    ]);
+    expect(report.volatilityBefore).toBe(0.0975);
+    expect(report.volatilityAfter).toBe(0.0887);
+  });
+
+  test('Should reject unknown methods and missing risk inputs', () => {
+    expect(() => deriveRiskTargets(portfolio(), risk, { method: 'minVariance' })).toThrow('Unknown risk method: minVariance');
+    expect(() => deriveRiskTargets(portfolio(), { volatilities: { Stocks: 0.16, Bonds: 0.05 } }))
+      .toThrow('Volatility for Gold must be a positive number');
+    expect(() => deriveRiskTargets(portfolio(), { ...risk, correlations: { Stocks: { Bonds: 1.5 } } }))
+      .toThrow('Correlation between Stocks and Bonds must be between -1 and 1');
+    expect(() => deriveRiskTargets(portfolio(), risk, { method: 'targetVolatility', targetVolatility: 0.05 }))
+      .toThrow('The targetVolatility method needs an asset marked as cash');
+    expect(() => deriveRiskTargets(withCash(), risk, { method: 'targetVolatility' }))
+      .toThrow('targetVolatility must be a positive number');
+    expect(() => deriveRiskTargets(portfolio(), { covariance: { Stocks: { Stocks: 0.0256 } } }))
+      .toThrow('Variance for Bonds must be a positive number');
+  });
+});
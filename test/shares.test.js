@@ -0,0 +1,150 @@
+import { rebalancePortfolio } from '../src/rebalancer.js';
+import { roundShares } from '../src/shares.js';
+
+describe('Share-level trades', () => {
+  const pricedPortfolio = [
+    { name: 'Stocks', ticker: 'VTI', price: 250.37, fractionalShares: false, targetPercent: 60, currentValue: 50074, sell: false },
+    { name: 'Bonds', ticker: 'BND', price: 72.11, fractionalShares: false, targetPercent: 40, currentValue: 28844, sell: false }
+  ];
+
+  describe('Whole shares', () => {
+    test('Should buy whole shares and report the cash that could not be invested', () => {
+      const result = rebalancePortfolio(10000, pricedPortfolio);
+
+      const stocks = result.transactions.find(t => t.name === 'Stocks');
+      const bonds = result.transactions.find(t => t.name === 'Bonds');
+
+      expect(stocks.ticker).toBe('VTI');
+      expect(stocks.price).toBe(250.37);
+      expect(stocks.shares).toBe(13);
+      expect(stocks.amount).toBe(3254.81);
+
+      expect(bonds.ticker).toBe('BND');
+      expect(bonds.shares).toBe(93);
+      expect(bonds.amount).toBe(6706.23);
+
+      expect(result.summary.unallocatedCash).toBe(38.96);
+    });
+
+    test('Leftover cash should be smaller than the cheapest share price', () => {
+      const result = rebalancePortfolio(10000, pricedPortfolio);
+
+      expect(result.summary.unallocatedCash).toBeLessThan(72.11);
+
+      const invested = result.transactions.reduce((sum, t) => sum + t.amount, 0);
+      expect(Math.round((invested + result.summary.unallocatedCash) * 100) / 100).toBe(10000);
+    });
+
+    test('Every amount should be an exact multiple of the share price', () => {
+      const result = rebalancePortfolio(12345.67, pricedPortfolio);
+
+      result.transactions.forEach(t => {
+        expect(Number.isInteger(t.shares)).toBe(true);
+        expect(t.amount).toBe(Math.round(t.shares * t.price * 100) / 100);
+      });
+    });
+
+    test('Should round sells up so a withdrawal is fully covered', () => {
+      const result = rebalancePortfolio(-5000, pricedPortfolio);
+
+      const proceeds = -result.transactions.reduce((sum, t) => sum + t.amount, 0);
+      expect(proceeds).toBeGreaterThanOrEqual(5000);
+      expect(result.summary.unallocatedCash).toBeGreaterThanOrEqual(0);
+
+      result.transactions.forEach(t => {
+        expect(t.shares).toBeLessThanOrEqual(0);
+        expect(Number.isInteger(t.shares)).toBe(true);
+      });
+    });
+
+    test('Should not sell more shares than are held', () => {
+      const portfolio = [
+        { name: 'Stocks', price: 100, fractionalShares: false, targetPercent: 50, currentValue: 1000, sell: true },
+        { name: 'Bonds', price: 50, fractionalShares: false, targetPercent: 50, currentValue: 1000, sell: true }
+      ];
+
+      const result = rebalancePortfolio(-2000, portfolio);
+
+      expect(result.transactions.find(t => t.name === 'Stocks').shares).toBe(-10);
+      expect(result.transactions.find(t => t.name === 'Bonds').shares).toBe(-20);
+      expect(result.summary.unallocatedCash).toBe(0);
+    });
+
+    test('Should never sell a fraction of a share and cover the rest from other sales', () => {
+      // 10.5 shares of stocks are held; only 10 can be sold
+      const portfolio = () => [
+        { name: 'Stocks', price: 100, fractionalShares: false, targetPercent: 1, currentValue: 1050, sell: true },
+        { name: 'Bonds', price: 10, fractionalShares: false, targetPercent: 99, currentValue: 1000, sell: true }
+      ];
+
+      const result = rebalancePortfolio(-1040, portfolio());
+      expect(result.transactions.map(t => t.shares)).toEqual([-10, -4]);
+      expect(result.summary.unallocatedCash).toBe(0);
+
+      // Nothing is left to cover the last half share of a full withdrawal
+      const shortfall = rebalancePortfolio(-2050, portfolio());
+      expect(shortfall.transactions.map(t => t.shares)).toEqual([-10, -100]);
+      expect(shortfall.summary.unallocatedCash).toBe(-50);
+    });
+
+    test('Leftover cash should flow into an asset that allows fractional shares', () => {
+      const portfolio = [
+        { name: 'Stocks', price: 300, fractionalShares: false, targetPercent: 50, currentValue: 5000, sell: false },
+        { name: 'Bonds', price: 80, targetPercent: 50, currentValue: 5000, sell: false }
+      ];
+
+      const result = rebalancePortfolio(1000, portfolio);
+
+      const stocks = result.transactions.find(t => t.name === 'Stocks');
+      const bonds = result.transactions.find(t => t.name === 'Bonds');
+
+      expect(stocks.shares).toBe(1);
+      expect(stocks.amount).toBe(300);
+      expect(bonds.amount).toBe(700);
+      expect(bonds.shares).toBe(8.75);
+      expect(result.summary.unallocatedCash).toBe(0);
+    });
+  });
+
+  describe('Fractional shares', () => {
+    test('Should keep dollar amounts and report fractional share quantities', () => {
+      const portfolio = pricedPortfolio.map(asset => ({ ...asset, fractionalShares: true }));
+      const result = rebalancePortfolio(10000, portfolio);
+
+      const stocks = result.transactions.find(t => t.name === 'Stocks');
+      expect(stocks.shares).toBe(roundShares(stocks.amount / 250.37));
+      expect(result.summary.unallocatedCash).toBe(0);
+
+      const invested = result.transactions.reduce((sum, t) => sum + t.amount, 0);
+      expect(Math.round(invested * 100) / 100).toBe(10000);
+    });
+
+    test('roundShares should round to 4 decimal places', () => {
+      expect(roundShares(1.234567)).toBe(1.2346);
+      expect(roundShares(-3.00004)).toBe(-3);
+    });
+  });
+
+  describe('Output without prices', () => {
+    test('Should leave the output unchanged when no asset has a price', () => {
+      const result = rebalancePortfolio(1000, [
+        { name: 'Stocks', targetPercent: 50, currentValue: 1000, sell: false },
+        { name: 'Bonds', targetPercent: 50, currentValue: 1000, sell: false }
+      ]);
+
+      expect(result.summary).not.toHaveProperty('unallocatedCash');
+      result.transactions.forEach(t => {
+        expect(t).not.toHaveProperty('shares');
+        expect(t).not.toHaveProperty('price');
+      });
+    });
+
+    test('Should throw error for a non-positive price', () => {
+      const portfolio = [
+        { name: 'Stocks', price: 0, targetPercent: 100, currentValue: 1000, sell: false }
+      ];
+
+      expect(() => rebalancePortfolio(1000, portfolio)).toThrow('Price for Stocks must be a positive number');
+    });
+  });
+});
@@ -0,0 +1,100 @@
+import { calculateBalancingContribution } from '../src/rebalancer.js';
+import { simulateSchedule } from '../src/simulation.js';
+
+describe('Contribution schedule simulation', () => {
+  const portfolio = () => [
+    { name: 'Stocks', targetPercent: 60, currentValue: 80000, sell: false },
+    { name: 'Bonds', targetPercent: 40, currentValue: 20000, sell: false }
+  ];
+
+  test('Should find the first period within tolerance', () => {
+    const result = simulateSchedule(portfolio(), Array(12).fill(5000));
+
+    // The lump sum needed is 33,333.33, so the seventh 5,000 contribution gets there
+    expect(calculateBalancingContribution(portfolio())).toBe(33333.33);
+    expect(result.balancedAt).toBe(7);
+    expect(result.periods[5].withinTolerance).toBe(false);
+    expect(result.periods[6].withinTolerance).toBe(true);
+  });
+
+  test('Should return the allocation path and drift over time', () => {
+    const result = simulateSchedule(portfolio(), [5000, 5000]);
+
+    expect(result.start.maxDrift).toBe(20);
+    expect(result.periods.map(p => p.maxDrift)).toEqual([16.19, 12.73]);
+    expect(result.periods[0].allocation).toEqual([
+      { name: 'Stocks', value: 80000, percent: 76.19, drift: 16.19, deviation: expect.closeTo(0.2698, 4) },
+      { name: 'Bonds', value: 25000, percent: 23.81, drift: -16.19, deviation: expect.closeTo(-0.4048, 4) }
+    ]);
+    expect(result.periods[1].transactions.map(t => t.amount)).toEqual([0, 5000]);
+    expect(result.finalAssetClasses.map(a => a.currentValue)).toEqual([80000, 30000]);
+  });
+
+  test('Should apply per-period returns after the trades', () => {
+    const result = simulateSchedule(portfolio(), [5000, 5000], { returns: { Stocks: 0.02 } });
+
+    expect(result.periods[0].valueAfterReturns).toBe(106600);
+    expect(result.periods[1].allocation[0].value).toBe(81600);
+    expect(result.finalAssetClasses[0].currentValue).toBe(83232);
+  });
+
+  test('Should let a period override the default returns', () => {
+    const result = simulateSchedule(portfolio(), [
+      { amount: 0, returns: { Bonds: -0.5 } },
+      0
+    ], { returns: { Stocks: 0.1 } });
+
+    expect(result.finalAssetClasses.map(a => a.currentValue)).toEqual([88000, 10000]);
+  });
+
+  test('Should report period 0 when the portfolio starts within tolerance', () => {
+    const assets = portfolio();
+    assets[0].currentValue = 60000;
+    assets[1].currentValue = 40000;
+
+    expect(simulateSchedule(assets, [1000]).balancedAt).toBe(0);
+  });
+
+  test('Should report null when tolerance is never reached', () => {
+    expect(simulateSchedule(portfolio(), [1000, 1000]).balancedAt).toBeNull();
+  });
+
+  test('Should use the given tolerance', () => {
+    const result = simulateSchedule(portfolio(), Array(6).fill(5000), { tolerance: { absolute: 5 } });
+    expect(result.balancedAt).toBe(5);
+  });
+
+  test('Should pass rebalance options through and handle withdrawals', () => {
+    const assets = portfolio().map(asset => ({ ...asset, sell: true }));
+    const result = simulateSchedule(assets, [0, -10000], { rebalanceOptions: { minTradeSize: 100 } });
+
+    expect(result.balancedAt).toBe(1);
+    expect(result.periods[1].transactions.map(t => t.amount)).toEqual([-6000, -4000]);
+    expect(result.periods[1].summary.unallocatedCash).toBe(0);
+  });
+
+  describe('Validation', () => {
+    test('Should reject an empty schedule', () => {
+      expect(() => simulateSchedule(portfolio(), [])).toThrow('schedule must be a non-empty array');
+    });
+
+    test('Should reject an amount that is not a number', () => {
+      expect(() => simulateSchedule(portfolio(), [100, { returns: {} }])).toThrow('Period 2: amount must be a number');
+    });
+
+    test('Should reject returns for unknown assets or below -100%', () => {
+      expect(() => simulateSchedule(portfolio(), [0], { returns: { Gold: 0.01 } }))
+        .toThrow('options: returns name an unknown asset: Gold');
+      expect(() => simulateSchedule(portfolio(), [{ amount: 0, returns: { Bonds: -2 } }]))
+        .toThrow('Period 1: return for Bonds must be a number of at least -1');
+    });
+
+    test('Should say which period failed', () => {
+      expect(() => simulateSchedule(portfolio(), [0, -200000])).toThrow(expect.objectContaining({
+        message: 'Period 2: Withdrawal amount exceeds total portfolio value',
+        code: 'WITHDRAWAL_EXCEEDS_VALUE',
+        period: 2
+      }));
+    });
+  });
+});
@@ -0,0 +1,154 @@
+import { rebalancePortfolio, compareSolvers } from '../src/rebalancer.js';
+import { objectiveValue } from '../src/solver.js';
+
+describe('Exact solver', () => {
+  const sellablePortfolio = [
+    { name: 'Stocks', targetPercent: 40, currentValue: 10000, sell: true },
+    { name: 'Bonds', targetPercent: 30, currentValue: 50000, sell: true },
+    { name: 'Gold', targetPercent: 30, currentValue: 40000, sell: false }
+  ];
+
+  const basicPortfolio = [
+    { name: 'Stocks', targetPercent: 60, currentValue: 50000, sell: false },
+    { name: 'Bonds', targetPercent: 30, currentValue: 30000, sell: false },
+    { name: 'Cash', targetPercent: 10, currentValue: 20000, sell: false }
+  ];
+
+  describe('Contributions', () => {
+    test('Should match the greedy result when a contribution can be placed exactly', () => {
+      const exact = rebalancePortfolio(10000, basicPortfolio, { solver: 'exact' });
+      const greedy = rebalancePortfolio(10000, basicPortfolio);
+
+      expect(exact.transactions.map(t => t.amount)).toEqual(greedy.transactions.map(t => t.amount));
+    });
+
+    test('Should level the relative deviation of every asset it can buy', () => {
+      const result = rebalancePortfolio(20000, basicPortfolio, { solver: 'exact' });
+
+      expect(result.transactions.map(t => t.amount)).toEqual([16666.67, 3333.33, 0]);
+      expect(result.summary.objective.name).toBe('minimaxRelative');
+    });
+
+    test('Should move every free asset by the same amount under sumSquares', () => {
+      const result = rebalancePortfolio(20000, basicPortfolio, { solver: 'exact', objective: 'sumSquares' });
+
+      expect(result.transactions.map(t => t.amount)).toEqual([18000, 2000, 0]);
+    });
+
+    test('Should respect maxBuy and leave money unallocated once every asset is full', () => {
+      const result = rebalancePortfolio(100, [
+        { name: 'Stocks', targetPercent: 50, currentValue: 100, sell: false, maxBuy: 10 },
+        { name: 'Bonds', targetPercent: 50, currentValue: 100, sell: false, maxBuy: 20 }
+      ], { solver: 'exact' });
+
+      expect(result.transactions.map(t => t.amount)).toEqual([10, 20]);
+      expect(result.summary.unallocatedCash).toBe(70);
+    });
+
+    test('Trades should add up to the contribution to the cent', () => {
+      const result = rebalancePortfolio(1000, [
+        { name: 'A', targetPercent: 33.33, currentValue: 100, sell: false },
+        { name: 'B', targetPercent: 33.33, currentValue: 200, sell: false },
+        { name: 'C', targetPercent: 33.34, currentValue: 300, sell: false }
+      ], { solver: 'exact' });
+
+      const total = result.transactions.reduce((sum, t) => sum + Math.round(t.amount * 100), 0);
+      expect(total).toBe(100000);
+    });
+  });
+
+  describe('Internal rebalancing and withdrawals', () => {
+    test('Should beat the greedy loop on sum of squared deviations', () => {
+      const comparison = compareSolvers(0, sellablePortfolio, { objective: 'sumSquares' });
+
+      expect(comparison.objective).toBe('sumSquares');
+      expect(comparison.greedy).toBeCloseTo(200, 6);
+      expect(comparison.exact).toBeCloseTo(150, 6);
+      expect(comparison.results.exact.transactions.map(t => t.amount)).toEqual([25000, -25000, 0]);
+    });
+
+    test('Should never be worse than the greedy loop', () => {
+      for (const amount of [-20000, -5000, 0, 1000, 30000]) {
+        for (const objective of ['minimaxRelative', 'sumSquares']) {
+          const comparison = compareSolvers(amount, sellablePortfolio, { objective });
+          expect(comparison.exact).toBeLessThanOrEqual(comparison.greedy + 1e-6);
+        }
+      }
+    });
+
+    test('Should sell only sellable assets when they cover the withdrawal', () => {
+      const result = rebalancePortfolio(-5000, sellablePortfolio, { solver: 'exact' });
+
+      expect(result.transactions.find(t => t.name === 'Gold').amount).toBe(0);
+      expect(result.transactions.reduce((sum, t) => sum + t.amount, 0)).toBeCloseTo(-5000, 2);
+    });
+
+    test('Should only sell when nothing sellable pays for a withdrawal', () => {
+      // The shortfall is taken from the locked assets, without buying
+      const locked = rebalancePortfolio(-10000, basicPortfolio, { solver: 'exact' });
+      expect(locked.transactions.map(t => t.amount)).toEqual([0, 0, -10000]);
+    });
+
+    test('Should choose which locked assets to sell', () => {
+      const portfolio = sell => [
+        { name: 'A', targetPercent: 40, currentValue: 6000, sell },
+        { name: 'B', targetPercent: 30, currentValue: 3000, sell },
+        { name: 'C', targetPercent: 30, currentValue: 1000, sell }
+      ];
+
+      for (const objective of ['minimaxRelative', 'sumSquares']) {
+        const locked = compareSolvers(-3000, portfolio(false), { objective });
+        expect(locked.exact).toBeLessThanOrEqual(locked.greedy + 1e-6);
+        expect(locked.results.exact.transactions.every(t => t.amount <= 0)).toBe(true);
+        expect(locked.results.exact.transactions[2].amount).toBe(0);
+
+        const sellable = compareSolvers(-3000, portfolio(true), { objective });
+        expect(sellable.exact).toBeCloseTo(0, 6);
+      }
+    });
+
+    test('Should respect minHolding', () => {
+      const result = rebalancePortfolio(0, [
+        { name: 'Stocks', targetPercent: 50, currentValue: 80000, sell: true, minHolding: 75000 },
+        { name: 'Bonds', targetPercent: 50, currentValue: 20000, sell: true }
+      ], { solver: 'exact' });
+
+      expect(result.transactions.map(t => t.amount)).toEqual([-5000, 5000]);
+    });
+  });
+
+  describe('Objective report', () => {
+    test('Should only report the objective when a solver or objective is chosen', () => {
+      expect(rebalancePortfolio(1000, basicPortfolio).summary).not.toHaveProperty('objective');
+      expect(rebalancePortfolio(1000, basicPortfolio, { solver: 'greedy' }).summary.objective.name)
+        .toBe('minimaxRelative');
+    });
+
+    test('objectiveValue should measure both objectives', () => {
+      const assets = [
+        { targetPercent: 50, workingValue: 60 },
+        { targetPercent: 50, workingValue: 40 }
+      ];
+
+      expect(objectiveValue(assets, 100, 'minimaxRelative')).toBeCloseTo(0.2, 10);
+      expect(objectiveValue(assets, 100, 'sumSquares')).toBeCloseTo(200, 10);
+    });
+  });
+
+  describe('Validation', () => {
+    test('Should throw error for an unknown solver', () => {
+      expect(() => rebalancePortfolio(1000, basicPortfolio, { solver: 'simplex' }))
+        .toThrow('Unknown solver: simplex');
+    });
+
+    test('Should throw error for an unknown objective', () => {
+      expect(() => rebalancePortfolio(1000, basicPortfolio, { objective: 'sumAbs' }))
+        .toThrow('Unknown objective: sumAbs');
+    });
+
+    test('Should reject bands in exact mode', () => {
+      expect(() => rebalancePortfolio(1000, basicPortfolio, { solver: 'exact', bands: { absolute: 5 } }))
+        .toThrow('The exact solver does not support bands');
+    });
+  });
+});
@@ -0,0 +1,174 @@
+import { rebalancePortfolio } from '../src/rebalancer.js';
+import { isLongTerm, sortLots, sellFromLots, maxSellWithinGainBudget } from '../src/taxLots.js';
+
+describe('Tax-aware selling', () => {
+  const lots = [
+    { acquired: '2015-01-01', quantity: 200, costBasis: 4000 },   // $20/share, long-term gain
+    { acquired: '2024-06-01', quantity: 200, costBasis: 24000 },  // $120/share, short-term loss
+    { acquired: '2023-01-01', quantity: 200, costBasis: 18000 },  // $90/share, long-term gain
+    { acquired: '2022-01-01', quantity: 50, costBasis: 7500 }     // $150/share, long-term loss
+  ];
+
+  // Stocks are $15,000 over target and have to be sold down to $50,000
+  const portfolio = [
+    { name: 'Stocks', price: 100, targetPercent: 50, currentValue: 65000, sell: true, lots },
+    { name: 'Bonds', targetPercent: 50, currentValue: 35000, sell: true }
+  ];
+
+  const asOf = '2025-01-01';
+
+  describe('Lot selection methods', () => {
+    test('FIFO should sell the oldest lot first', () => {
+      const result = rebalancePortfolio(0, portfolio, { lotMethod: 'FIFO', asOf });
+      const stocks = result.transactions.find(t => t.name === 'Stocks');
+
+      expect(stocks.amount).toBe(-15000);
+      expect(stocks.lotsSold).toEqual([
+        { acquired: '2015-01-01', quantity: 150, costBasis: 3000, proceeds: 15000, gain: 12000, term: 'long' }
+      ]);
+      expect(stocks.realizedGains).toEqual({ shortTerm: 0, longTerm: 12000 });
+    });
+
+    test('FIFO should be the default lot method', () => {
+      const result = rebalancePortfolio(0, portfolio, { asOf });
+      expect(result.summary.realizedGains).toEqual({ shortTerm: 0, longTerm: 12000, total: 12000 });
+    });
+
+    test('HIFO should sell the highest cost lots first', () => {
+      const result = rebalancePortfolio(0, portfolio, { lotMethod: 'HIFO', asOf });
+      const stocks = result.transactions.find(t => t.name === 'Stocks');
+
+      expect(stocks.lotsSold.map(lot => lot.acquired)).toEqual(['2022-01-01', '2024-06-01']);
+      expect(stocks.realizedGains).toEqual({ shortTerm: -2000, longTerm: -2500 });
+      expect(result.summary.realizedGains.total).toBe(-4500);
+    });
+
+    test('LOSS_FIRST should sell short-term losses before long-term losses', () => {
+      const result = rebalancePortfolio(0, portfolio, { lotMethod: 'LOSS_FIRST', asOf });
+      const stocks = result.transactions.find(t => t.name === 'Stocks');
+
+      expect(stocks.lotsSold).toEqual([
+        { acquired: '2024-06-01', quantity: 150, costBasis: 18000, proceeds: 15000, gain: -3000, term: 'short' }
+      ]);
+      expect(result.summary.realizedGains).toEqual({ shortTerm: -3000, longTerm: 0, total: -3000 });
+    });
+
+    test('Assets that are bought should report no realized gains', () => {
+      const result = rebalancePortfolio(0, [
+        { ...portfolio[0], targetPercent: 70 },
+        { ...portfolio[1], targetPercent: 30 }
+      ], { asOf });
+      const stocks = result.transactions.find(t => t.name === 'Stocks');
+
+      expect(stocks.amount).toBe(5000);
+      expect(stocks.lotsSold).toEqual([]);
+      expect(stocks.realizedGains).toEqual({ shortTerm: 0, longTerm: 0 });
+    });
+
+    test('Should derive the price from the lots when no price is given', () => {
+      const { price, ...unpriced } = portfolio[0];
+      const result = rebalancePortfolio(0, [unpriced, portfolio[1]], { asOf });
+
+      expect(price).toBe(100);
+      expect(result.transactions.find(t => t.name === 'Stocks').realizedGains.longTerm).toBe(12000);
+    });
+  });
+
+  describe('Realized gain cap', () => {
+    test('Should stop selling once the cap is reached', () => {
+      const result = rebalancePortfolio(0, portfolio, { asOf, maxRealizedGain: 4000 });
+
+      const stocks = result.transactions.find(t => t.name === 'Stocks');
+      const bonds = result.transactions.find(t => t.name === 'Bonds');
+
+      expect(stocks.amount).toBe(-5000);
+      expect(bonds.amount).toBe(5000);
+      expect(result.summary.realizedGains.total).toBe(4000);
+    });
+
+    test('Should still sell fully when the chosen lots realize losses', () => {
+      const result = rebalancePortfolio(0, portfolio, { asOf, lotMethod: 'HIFO', maxRealizedGain: 0 });
+
+      expect(result.transactions.find(t => t.name === 'Stocks').amount).toBe(-15000);
+      expect(result.summary.realizedGains.total).toBe(-4500);
+    });
+
+    test('Losses from one sale should make room for gains on another', () => {
+      const result = rebalancePortfolio(0, [
+        { name: 'Stocks', price: 100, targetPercent: 40, currentValue: 50000, sell: true, lots: [{ acquired: '2010-01-01', quantity: 500, costBasis: 1000 }] },
+        { name: 'Gold', price: 10, targetPercent: 10, currentValue: 20000, sell: true, lots: [{ acquired: '2020-01-01', quantity: 2000, costBasis: 30000 }] },
+        { name: 'Bonds', targetPercent: 50, currentValue: 30000, sell: true }
+      ], { asOf, maxRealizedGain: 0 });
+
+      // Gold is sold first at a $5,000 loss, which allows $5,000 of gains on Stocks
+      expect(result.transactions.find(t => t.name === 'Gold').amount).toBe(-10000);
+      expect(result.transactions.find(t => t.name === 'Stocks').amount).toBe(-5102.04);
+      expect(result.transactions.find(t => t.name === 'Bonds').amount).toBe(15102.04);
+      expect(result.summary.realizedGains.total).toBe(0);
+    });
+
+    test('Should hold withdrawals to the cap', () => {
+      const locked = portfolio.map(asset => ({ ...asset, sell: false }));
+      const uncapped = rebalancePortfolio(-5000, locked, { asOf });
+      expect(uncapped.summary.realizedGains.total).toBe(4000);
+
+      // The oldest lot is all gain, so the withdrawal comes out of Bonds instead
+      const result = rebalancePortfolio(-5000, locked, { asOf, maxRealizedGain: 0 });
+      expect(result.transactions.map(t => t.amount)).toEqual([0, -5000]);
+      expect(result.summary.realizedGains.total).toBe(0);
+      expect(result.summary.withdrawal.reason).toContain('cut back to stay within maxRealizedGain');
+    });
+
+    test('Should throw when the cap cannot fund the withdrawal', () => {
+      expect(() => rebalancePortfolio(-40000, portfolio, { asOf, maxRealizedGain: 0 }))
+        .toThrow('maxRealizedGain of 0 leaves 5000 of the withdrawal unfunded');
+    });
+  });
+
+  describe('Lot helpers', () => {
+    test('isLongTerm should require more than one year of holding', () => {
+      expect(isLongTerm('2024-01-01', '2025-01-01')).toBe(false);
+      expect(isLongTerm('2024-01-01', '2025-01-02')).toBe(true);
+    });
+
+    test('sortLots should order lots for each method', () => {
+      expect(sortLots(lots, 'FIFO', 100, asOf).map(lot => lot.acquired))
+        .toEqual(['2015-01-01', '2022-01-01', '2023-01-01', '2024-06-01']);
+      expect(sortLots(lots, 'HIFO', 100, asOf).map(lot => lot.acquired))
+        .toEqual(['2022-01-01', '2024-06-01', '2023-01-01', '2015-01-01']);
+      expect(sortLots(lots, 'LOSS_FIRST', 100, asOf).map(lot => lot.acquired))
+        .toEqual(['2024-06-01', '2022-01-01', '2023-01-01', '2015-01-01']);
+    });
+
+    test('sellFromLots should split a partially sold lot', () => {
+      const sale = sellFromLots(portfolio[0], 25000, 'FIFO', asOf);
+
+      expect(sale.lots).toHaveLength(2);
+      expect(sale.lots[1]).toEqual({ acquired: '2022-01-01', quantity: 50, costBasis: 7500, proceeds: 5000, gain: -2500, term: 'long' });
+      expect(sale.longTerm).toBe(13500);
+    });
+
+    test('maxSellWithinGainBudget should account for lots already sold', () => {
+      expect(maxSellWithinGainBudget(portfolio[0], 0, 'FIFO', asOf, 8000)).toBe(10000);
+      expect(maxSellWithinGainBudget(portfolio[0], 10000, 'FIFO', asOf, 0)).toBe(0);
+      // Losses in later lots make room for the gains after them
+      expect(maxSellWithinGainBudget(portfolio[0], 20000, 'FIFO', asOf, 0)).toBe(45000);
+    });
+  });
+
+  describe('Validation', () => {
+    test('Should throw error for an unknown lot method', () => {
+      expect(() => rebalancePortfolio(0, portfolio, { lotMethod: 'LIFO' })).toThrow('Unknown lot method: LIFO');
+    });
+
+    test('Should throw error for lots with an invalid date', () => {
+      const invalid = [{ ...portfolio[0], lots: [{ acquired: 'yesterday', quantity: 1, costBasis: 1 }] }, portfolio[1]];
+      expect(() => rebalancePortfolio(0, invalid)).toThrow('Lot for Stocks has an invalid acquired date');
+    });
+
+    test('Should throw error for lots with a non-positive quantity', () => {
+      const invalid = [{ ...portfolio[0], lots: [{ acquired: '2020-01-01', quantity: 0, costBasis: 1 }] }, portfolio[1]];
+      expect(() => rebalancePortfolio(0, invalid)).toThrow('Lot for Stocks must have a positive quantity and a non-negative costBasis');
+    });
+  });
+});
@@ -0,0 +1,130 @@
+import { rebalancePortfolio } from '../src/rebalancer.js';
+import { levelAmounts, turnoverBudget } from '../src/turnover.js';
+
+describe('Turnover budget', () => {
+  const portfolio = () => [
+    { name: 'A', targetPercent: 40, currentValue: 50000, sell: true },
+    { name: 'B', targetPercent: 30, currentValue: 35000, sell: true },
+    { name: 'C', targetPercent: 20, currentValue: 10000, sell: true },
+    { name: 'D', targetPercent: 10, currentValue: 5000, sell: true }
+  ];
+
+  const amounts = result => result.transactions.map(t => t.amount);
+  const finalPercents = result => result.transactions.map(t => t.finalPercent);
+
+  test('Should sell no more than the turnover percentage', () => {
+    const result = rebalancePortfolio(0, portfolio(), { maxTurnoverPercent: 5 });
+
+    expect(amounts(result)).toEqual([-4285.71, -714.29, 3333.33, 1666.67]);
+    expect(result.summary.turnover).toEqual({
+      budget: 5000,
+      used: 5000,
+      unused: 0,
+      turnoverPercent: 5,
+      remainingDeviation: expect.closeTo(1 / 3, 4)
+    });
+  });
+
+  test('Should level the assets furthest from target within the budget', () => {
+    const result = rebalancePortfolio(0, portfolio(), { maxTurnoverPercent: 5 });
+    const [a, b, c, d] = finalPercents(result);
+
+    // A and B end equally far above target, C and D equally far below
+    expect(a / 40).toBeCloseTo(b / 30, 3);
+    expect(c / 20).toBeCloseTo(d / 10, 2);
+  });
+
+  test('Should only sell the most overweighted asset when the budget is small', () => {
+    const result = rebalancePortfolio(0, portfolio(), { maxSellAmount: 2000 });
+
+    expect(amounts(result)).toEqual([-2000, 0, 1333.33, 666.67]);
+    expect(result.summary.turnover.turnoverPercent).toBe(2);
+  });
+
+  test('Should apply the tighter of the two limits', () => {
+    expect(turnoverBudget({ maxTurnoverPercent: 5, maxSellAmount: 3000 }, 100000)).toBe(3000);
+    expect(turnoverBudget({ maxTurnoverPercent: 2, maxSellAmount: 3000 }, 100000)).toBe(2000);
+    expect(turnoverBudget({}, 100000)).toBeUndefined();
+  });
+
+  test('Should rebalance fully and report the unused budget when the budget is large', () => {
+    const result = rebalancePortfolio(0, portfolio(), { maxTurnoverPercent: 50 });
+
+    expect(amounts(result)).toEqual([-10000, -5000, 10000, 5000]);
+    expect(result.summary.turnover).toMatchObject({ budget: 50000, used: 15000, unused: 35000, remainingDeviation: 0 });
+  });
+
+  test('Should not sell anything with a zero budget', () => {
+    const result = rebalancePortfolio(0, portfolio(), { maxSellAmount: 0 });
+
+    expect(amounts(result)).toEqual([0, 0, 0, 0]);
+    expect(result.summary.turnover.remainingDeviation).toBeCloseTo(0.5, 10);
+  });
+
+  test('Should not count contributed money as turnover', () => {
+    const result = rebalancePortfolio(5000, portfolio(), { maxSellAmount: 3000 });
+
+    expect(amounts(result)).toEqual([-3000, 0, 7000, 1000]);
+    expect(result.summary.turnover.used).toBe(3000);
+  });
+
+  test('Should take a withdrawal by selling alone when buying would go over the budget', () => {
+    const result = rebalancePortfolio(-10000, portfolio(), { maxSellAmount: 0 });
+
+    expect(amounts(result)).toEqual([-7142.86, -2857.14, 0, 0]);
+    expect(result.summary.withdrawal).toEqual({
+      requested: 'auto',
+      strategy: 'sellOnly',
+      reason: 'The turnover budget leaves no room for buying during the withdrawal'
+    });
+    expect(result.summary.turnover.used).toBe(0);
+
+    // A and B are sold down to the same relative distance above target
+    const [a, b] = finalPercents(result);
+    expect(a / 40).toBeCloseTo(b / 30, 3);
+  });
+
+  test('Should sell holdings with a 0% target first when selling alone', () => {
+    const withOldFund = [...portfolio(), { name: 'Old Fund', targetPercent: 0, currentValue: 4000, sell: true }];
+
+    expect(amounts(rebalancePortfolio(-3000, withOldFund, { maxSellAmount: 0 }))).toEqual([0, 0, 0, 0, -3000]);
+    expect(amounts(rebalancePortfolio(-10000, withOldFund, { maxSellAmount: 0 })))
+      .toEqual([-4857.14, -1142.86, 0, 0, -4000]);
+  });
+
+  test('Should spend the budget before taking a withdrawal', () => {
+    const result = rebalancePortfolio(-10000, portfolio(), { maxSellAmount: 3000 });
+
+    expect(amounts(result)).toEqual([-8857.14, -4142.86, 2000, 1000]);
+    expect(result.summary.turnover.used).toBe(3000);
+  });
+
+  test('Should keep the withdrawal strategy when it fits in the budget', () => {
+    const result = rebalancePortfolio(-10000, portfolio(), { maxSellAmount: 20000 });
+
+    expect(amounts(result)).toEqual([-14000, -8000, 8000, 4000]);
+    expect(result.summary.withdrawal.strategy).toBe('perfectBalance');
+    expect(result.summary.turnover.used).toBe(12000);
+  });
+
+  test('levelAmounts should hand out cents so the amounts add up', () => {
+    const items = [
+      { gap: 100, targetValue: 300, room: Infinity },
+      { gap: 100, targetValue: 300, room: Infinity },
+      { gap: 100, targetValue: 300, room: Infinity }
+    ];
+    const result = levelAmounts(items, 100);
+
+    expect(result.reduce((sum, amount) => sum + amount, 0)).toBeCloseTo(100, 10);
+    result.forEach(amount => expect(amount).toBeCloseTo(33.33, 1));
+  });
+
+  test('Should reject invalid budgets and the exact solver', () => {
+    expect(() => rebalancePortfolio(0, portfolio(), { maxTurnoverPercent: -1 }))
+      .toThrow('maxTurnoverPercent must be a non-negative number');
+    expect(() => rebalancePortfolio(0, portfolio(), { maxSellAmount: '500' }))
+      .toThrow('maxSellAmount must be a non-negative number');
+    expect(() => rebalancePortfolio(0, portfolio(), { solver: 'exact', maxSellAmount: 500 }))
+      .toThrow('The exact solver does not support maxSellAmount');
+  });
+});
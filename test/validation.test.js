@@ -0,0 +1,187 @@
+import { rebalancePortfolio, calculateBalancingContribution } from '../src/rebalancer.js';
+import { validatePortfolio, ValidationError, PortfolioValidationError } from '../src/validation.js';
+
+describe('Validation', () => {
+  const portfolio = () => [
+    { name: 'Stocks', targetPercent: 60, currentValue: 6000, sell: false },
+    { name: 'Bonds', targetPercent: 40, currentValue: 4000, sell: false }
+  ];
+
+  // Reduces errors to the parts tests compare
+  const summarize = errors => errors.map(({ code, index, field }) => ({ code, index, field }));
+
+  describe('validatePortfolio', () => {
+    test('Should accept a valid portfolio', () => {
+      const assets = portfolio();
+      expect(validatePortfolio(assets)).toEqual({ valid: true, errors: [], assetClasses: assets, normalized: false });
+    });
+
+    test('Should report every problem at once with codes, indexes and fields', () => {
+      const { valid, errors } = validatePortfolio([
+        { name: 'Stocks', targetPercent: '60', currentValue: -1, sell: false },
+        { name: 'Stocks', targetPercent: 40, currentValue: NaN },
+        { targetPercent: 0, currentValue: 0, sell: 'yes' },
+        null
+      ]);
+
+      expect(valid).toBe(false);
+      expect(summarize(errors)).toEqual([
+        { code: 'INVALID_NUMBER', index: 0, field: 'targetPercent' },
+        { code: 'OUT_OF_RANGE', index: 0, field: 'currentValue' },
+        { code: 'DUPLICATE_NAME', index: 1, field: 'name' },
+        { code: 'INVALID_NUMBER', index: 1, field: 'currentValue' },
+        { code: 'MISSING_FIELD', index: 1, field: 'sell' },
+        { code: 'MISSING_NAME', index: 2, field: 'name' },
+        { code: 'INVALID_BOOLEAN', index: 2, field: 'sell' },
+        { code: 'INVALID_ASSET', index: 3, field: undefined }
+      ]);
+      expect(errors[0].message).toBe('targetPercent for Stocks must be a number, got 60');
+      expect(errors[5].message).toBe('Asset at index 2 must have a name');
+      errors.forEach(error => expect(error).toBeInstanceOf(ValidationError));
+    });
+
+    test('Should check the target sum', () => {
+      const assets = portfolio();
+      assets[1].targetPercent = 30;
+      const { errors } = validatePortfolio(assets);
+
+      expect(summarize(errors)).toEqual([{ code: 'TARGET_SUM', index: undefined, field: 'targetPercent' }]);
+      expect(errors[0].message).toBe('Target percentages must sum to 100% (they sum to 90)');
+    });
+
+    test('Should reject targets outside 0-100', () => {
+      const assets = portfolio();
+      assets[0].targetPercent = 120;
+      assets[1].targetPercent = -20;
+      expect(summarize(validatePortfolio(assets).errors).map(e => e.code)).toEqual(['OUT_OF_RANGE', 'OUT_OF_RANGE']);
+    });
+
+    test('Should report an empty portfolio', () => {
+      expect(summarize(validatePortfolio([]).errors)).toEqual([{ code: 'EMPTY_PORTFOLIO', index: undefined, field: undefined }]);
+    });
+  });
+
+  describe('normalizeTargets', () => {
+    const rounded = () => [
+      { name: 'A', targetPercent: 33.34, currentValue: 1000, sell: false },
+      { name: 'B', targetPercent: 33.34, currentValue: 1000, sell: false },
+      { name: 'C', targetPercent: 33.34, currentValue: 1000, sell: false }
+    ];
+
+    test('Should rescale targets that are slightly off 100%', () => {
+      const validation = validatePortfolio(rounded(), { normalizeTargets: true });
+
+      expect(validation.valid).toBe(true);
+      expect(validation.normalized).toBe(true);
+      validation.assetClasses.forEach(asset => expect(asset.targetPercent).toBeCloseTo(33.3333, 4));
+    });
+
+    test('Should still reject sums outside the tolerance', () => {
+      const assets = rounded();
+      assets[0].targetPercent = 33.5;
+
+      expect(validatePortfolio(assets, { normalizeTargets: true }).valid).toBe(false);
+      expect(validatePortfolio(assets, { normalizeTargets: 0.2 }).valid).toBe(true);
+    });
+
+    test('Should reject 100.02 without the option', () => {
+      expect(() => rebalancePortfolio(0, rounded())).toThrow('Target percentages must sum to 100% (they sum to 100.02)');
+    });
+
+    test('Should rebalance with normalized targets and say so', () => {
+      const result = rebalancePortfolio(0, rounded(), { normalizeTargets: true });
+
+      expect(result.summary.targetsNormalized).toBe(true);
+      expect(result.transactions.map(t => t.targetPercent)).toEqual([33.33, 33.33, 33.33]);
+      expect(calculateBalancingContribution(rounded(), { normalizeTargets: true })).toBe(0);
+    });
+
+    test('Should not mention normalization when targets were left alone', () => {
+      expect(rebalancePortfolio(0, portfolio(), { normalizeTargets: true }).summary.targetsNormalized).toBeUndefined();
+    });
+  });
+
+  describe('rebalancePortfolio and calculateBalancingContribution', () => {
+    test('Should throw a PortfolioValidationError listing every problem', () => {
+      const assets = portfolio();
+      assets[0].currentValue = -5;
+      assets[1].sell = undefined;
+
+      let thrown;
+      try {
+        rebalancePortfolio(0, assets);
+      } catch (error) {
+        thrown = error;
+      }
+
+      expect(thrown).toBeInstanceOf(PortfolioValidationError);
+      expect(thrown.code).toBe('INVALID_PORTFOLIO');
+      expect(thrown.message).toBe('currentValue for Stocks cannot be negative; sell for Bonds must be true or false');
+      expect(summarize(thrown.errors)).toEqual([
+        { code: 'OUT_OF_RANGE', index: 0, field: 'currentValue' },
+        { code: 'MISSING_FIELD', index: 1, field: 'sell' }
+      ]);
+      expect(() => calculateBalancingContribution(assets)).toThrow(PortfolioValidationError);
+    });
+
+    test('Should give the withdrawal check a code', () => {
+      expect(() => rebalancePortfolio(-20000, portfolio())).toThrow(expect.objectContaining({
+        code: 'WITHDRAWAL_EXCEEDS_VALUE',
+        field: 'amount'
+      }));
+    });
+
+    test('Should reject an amount that is not a number', () => {
+      expect(() => rebalancePortfolio('100', portfolio())).toThrow('amount must be a number, got 100');
+      expect(() => rebalancePortfolio(NaN, portfolio())).toThrow(ValidationError);
+    });
+
+    test('Should report a bad amount together with the portfolio problems', () => {
+      const assets = portfolio();
+      assets[1].sell = undefined;
+
+      let thrown;
+      try {
+        rebalancePortfolio(NaN, assets);
+      } catch (error) {
+        thrown = error;
+      }
+
+      expect(thrown).toBeInstanceOf(PortfolioValidationError);
+      expect(summarize(thrown.errors)).toEqual([
+        { code: 'MISSING_FIELD', index: 1, field: 'sell' },
+        { code: 'INVALID_NUMBER', index: undefined, field: 'amount' }
+      ]);
+    });
+
+    test('Should throw ValidationErrors with codes from the option and asset checks', () => {
+      const failure = (assets, options = {}) => {
+        try {
+          rebalancePortfolio(0, assets, options);
+        } catch (error) {
+          expect(error).toBeInstanceOf(ValidationError);
+          return summarize([error])[0];
+        }
+        throw new Error('Expected a ValidationError');
+      };
+      const withAsset = (index, fields) => portfolio().map((asset, i) => (i === index ? { ...asset, ...fields } : asset));
+
+      expect(failure(withAsset(1, { price: -1 }))).toEqual({ code: 'OUT_OF_RANGE', index: 1, field: 'price' });
+      expect(failure(withAsset(1, { lots: 'none' }))).toEqual({ code: 'INVALID_VALUE', index: 1, field: 'lots' });
+      expect(failure(withAsset(0, { band: { absolute: -1 } }), { bands: { absolute: 5 } }))
+        .toEqual({ code: 'OUT_OF_RANGE', index: 0, field: 'band' });
+      expect(failure(withAsset(1, { minBuy: 'ten' }))).toEqual({ code: 'INVALID_NUMBER', index: 1, field: 'minBuy' });
+      expect(failure(withAsset(1, { minBuy: 50, maxBuy: 10 }))).toEqual({ code: 'CONFLICTING_VALUES', index: 1, field: 'minBuy' });
+      expect(failure(withAsset(0, { fees: { buy: { type: 'spread' } } }))).toEqual({ code: 'UNKNOWN_VALUE', index: 0, field: 'fees' });
+      expect(failure(withAsset(1, { cash: true, minBuffer: -5 }))).toEqual({ code: 'OUT_OF_RANGE', index: 1, field: 'minBuffer' });
+      expect(failure(portfolio(), { solver: 'exact', maxSellAmount: 100 }))
+        .toEqual({ code: 'UNSUPPORTED_OPTION', index: undefined, field: 'maxSellAmount' });
+      expect(failure(portfolio(), { withdrawalStrategy: 'random' }))
+        .toEqual({ code: 'UNKNOWN_VALUE', index: undefined, field: 'withdrawalStrategy' });
+      expect(failure(portfolio(), { maxTurnoverPercent: -1 }))
+        .toEqual({ code: 'OUT_OF_RANGE', index: undefined, field: 'maxTurnoverPercent' });
+      expect(failure(withAsset(1, { currency: 'EUR' }), { baseCurrency: 'USD' }))
+        .toEqual({ code: 'MISSING_FIELD', index: 1, field: 'fxRates' });
+    });
+  });
+});
@@ -0,0 +1,134 @@
+import { rebalancePortfolio } from '../src/rebalancer.js';
+import { checkWashSales, avoidWashSales } from '../src/washSale.js';
+
+describe('Wash sales', () => {
+  // VTI is held at a loss: 300 shares bought for $250, now worth $200
+  const portfolio = () => [
+    {
+      name: 'Total Market',
+      ticker: 'VTI',
+      targetPercent: 40,
+      currentValue: 60000,
+      sell: true,
+      lots: [{ acquired: '2023-01-10', quantity: 300, costBasis: 75000 }]
+    },
+    { name: 'S&P 500', ticker: 'VOO', targetPercent: 40, currentValue: 20000, sell: true },
+    { name: 'Bonds', ticker: 'BND', targetPercent: 20, currentValue: 20000, sell: true }
+  ];
+
+  const asOf = '2024-06-01';
+  const groups = [['VTI', 'VOO', 'ITOT']];
+  const amounts = result => result.transactions.map(t => t.amount);
+
+  describe('checkWashSales', () => {
+    test('Should flag a buy of an identical security while selling at a loss', () => {
+      const result = rebalancePortfolio(0, portfolio(), { asOf });
+      const conflicts = checkWashSales(result, { asOf, groups, replacements: { VOO: ['ITOT', 'SCHX'] } });
+
+      expect(conflicts).toEqual([{
+        name: 'S&P 500',
+        symbol: 'VOO',
+        side: 'BUY',
+        amount: 20000,
+        type: 'lossSaleInRebalance',
+        message: 'Buying VOO while selling VTI at a loss would be a wash sale',
+        conflictsWith: { symbol: 'VTI', loss: 5000 },
+        replacements: ['SCHX']
+      }]);
+    });
+
+    test('Should not flag securities that are not in the same group', () => {
+      const result = rebalancePortfolio(0, portfolio(), { asOf });
+      expect(checkWashSales(result, { asOf })).toEqual([]);
+    });
+
+    test('Should flag a buy within 30 days of a loss sale in the history', () => {
+      const result = rebalancePortfolio(5000, [
+        { name: 'S&P 500', ticker: 'VOO', targetPercent: 60, currentValue: 50000, sell: false },
+        { name: 'Bonds', ticker: 'BND', targetPercent: 40, currentValue: 45000, sell: false }
+      ]);
+      const history = [
+        { symbol: 'ITOT', date: '2024-05-10', side: 'SELL', gain: -800 },
+        { symbol: 'VOO', date: '2024-04-01', side: 'SELL', gain: -300 },
+        { symbol: 'BND', date: '2024-05-20', side: 'SELL', gain: 150 }
+      ];
+      const conflicts = checkWashSales(result, { asOf, groups, history });
+
+      expect(conflicts).toHaveLength(1);
+      expect(conflicts[0]).toMatchObject({
+        symbol: 'VOO',
+        type: 'recentLossSale',
+        conflictsWith: { symbol: 'ITOT', date: '2024-05-10', loss: 800 }
+      });
+      expect(conflicts[0].message)
+        .toBe('Buying VOO within 30 days of selling ITOT at a loss on 2024-05-10 would be a wash sale');
+    });
+
+    test('Should flag a loss sale within 30 days of buying an identical security', () => {
+      const result = rebalancePortfolio(0, portfolio(), { asOf });
+      const conflicts = checkWashSales(result, {
+        asOf,
+        history: [{ symbol: 'VTI', date: '2024-05-15', side: 'BUY' }]
+      });
+
+      expect(conflicts).toEqual([expect.objectContaining({
+        symbol: 'VTI',
+        side: 'SELL',
+        amount: -20000,
+        type: 'recentBuy',
+        conflictsWith: { symbol: 'VTI', date: '2024-05-15' }
+      })]);
+    });
+
+    test('Should reject malformed history, groups and replacements', () => {
+      const result = rebalancePortfolio(0, portfolio(), { asOf });
+
+      expect(() => checkWashSales(result, { history: [{ date: '2024-05-01', side: 'BUY' }] }))
+        .toThrow('Trade history entry 1 needs a symbol');
+      expect(() => checkWashSales(result, { history: [{ symbol: 'VTI', date: 'soon', side: 'BUY' }] }))
+        .toThrow('Trade history entry 1 has an invalid date');
+      expect(() => checkWashSales(result, { history: [{ symbol: 'VTI', date: '2024-05-01', side: 'HOLD' }] }))
+        .toThrow('Trade history entry 1 has an unknown side: HOLD');
+      expect(() => checkWashSales(result, { groups: [['VTI'], ['VTI', 'VOO']] }))
+        .toThrow('VTI is in more than one group of substantially identical securities');
+      expect(() => checkWashSales(result, { replacements: { VOO: 'SCHX' } }))
+        .toThrow('replacements must map symbols to arrays of symbols');
+      expect(() => checkWashSales({})).toThrow('result must have a transactions array');
+    });
+  });
+
+  describe('avoidWashSales', () => {
+    test('Should block the conflicting buy and rebalance without it', () => {
+      const result = avoidWashSales(0, portfolio(), { asOf, washSales: { groups } });
+
+      expect(amounts(result)).toEqual([0, 0, 0]);
+      expect(result.summary.washSales.action).toBe('block');
+      expect(result.summary.washSales.blocked.map(c => [c.symbol, c.type])).toEqual([['VOO', 'lossSaleInRebalance']]);
+      expect(result.summary.washSales.conflicts).toEqual([]);
+    });
+
+    test('Should block a loss sale after a recent buy and still invest the contribution', () => {
+      const result = avoidWashSales(5000, portfolio(), {
+        asOf,
+        washSales: { groups, history: [{ symbol: 'VOO', date: '2024-05-25', side: 'BUY' }] }
+      });
+
+      expect(amounts(result)).toEqual([0, 0, 5000]);
+      expect(result.summary.washSales.blocked.map(c => [c.symbol, c.side])).toEqual([['VOO', 'BUY'], ['VTI', 'SELL']]);
+      expect(result.summary.washSales.conflicts).toEqual([]);
+    });
+
+    test('Should keep the trades and report the conflicts when flagging', () => {
+      const result = avoidWashSales(0, portfolio(), { asOf, washSales: { groups }, washSaleAction: 'flag' });
+
+      expect(amounts(result)).toEqual([-20000, 20000, 0]);
+      expect(result.summary.washSales.blocked).toEqual([]);
+      expect(result.summary.washSales.conflicts.map(c => c.symbol)).toEqual(['VOO']);
+    });
+
+    test('Should reject an unknown action', () => {
+      expect(() => avoidWashSales(0, portfolio(), { washSaleAction: 'ignore' }))
+        .toThrow('Unknown wash sale action: ignore');
+    });
+  });
+});
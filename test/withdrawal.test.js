@@ -0,0 +1,164 @@
+import { rebalancePortfolio } from '../src/rebalancer.js';
+
+describe('Withdrawal strategies', () => {
+  const portfolio = () => [
+    { name: 'Stocks', targetPercent: 60, currentValue: 70000, sell: false },
+    { name: 'Bonds', targetPercent: 30, currentValue: 20000, sell: true },
+    { name: 'Gold', targetPercent: 10, currentValue: 10000, sell: false, taxable: true }
+  ];
+
+  const amounts = result => result.transactions.map(t => t.amount);
+
+  describe('auto', () => {
+    test('Should report the strategy it picked and why', () => {
+      const result = rebalancePortfolio(-15000, portfolio());
+
+      expect(amounts(result)).toEqual([0, -15000, 0]);
+      expect(result.summary.withdrawal).toEqual({
+        requested: 'auto',
+        strategy: 'sellableFirst',
+        reason: 'The sellable assets cover the withdrawal'
+      });
+    });
+
+    test('Should pick perfect balance when selling alone reaches every target', () => {
+      const result = rebalancePortfolio(-10000, [
+        { name: 'Stocks', targetPercent: 50, currentValue: 55000, sell: false },
+        { name: 'Bonds', targetPercent: 50, currentValue: 45000, sell: false }
+      ]);
+
+      expect(amounts(result)).toEqual([-10000, 0]);
+      expect(result.summary.withdrawal.strategy).toBe('perfectBalance');
+    });
+
+    test('Should sell only overweighted assets when nothing is sellable', () => {
+      const assets = portfolio();
+      assets[1].sell = false;
+      const result = rebalancePortfolio(-15000, assets);
+
+      expect(amounts(result)).toEqual([-15000, 0, 0]);
+      expect(result.summary.withdrawal).toEqual({
+        requested: 'auto',
+        strategy: 'overweightedOnly',
+        reason: 'No asset is sellable, so only overweighted assets are sold'
+      });
+    });
+
+    test('Should not report a strategy for contributions', () => {
+      expect(rebalancePortfolio(100, portfolio()).summary.withdrawal).toBeUndefined();
+    });
+  });
+
+  describe('Original strategies', () => {
+    test('Should run a requested strategy', () => {
+      const result = rebalancePortfolio(-15000, portfolio(), { withdrawalStrategy: 'overweightedOnly' });
+
+      expect(amounts(result)).toEqual([-15000, 0, 0]);
+      expect(result.summary.withdrawal).toEqual({
+        requested: 'overweightedOnly',
+        strategy: 'overweightedOnly',
+        reason: 'Chosen with the withdrawalStrategy option'
+      });
+    });
+
+    test('Should bring every asset to target with proportional', () => {
+      const result = rebalancePortfolio(-15000, portfolio(), { withdrawalStrategy: 'proportional' });
+      expect(amounts(result)).toEqual([-19000, 5500, -1500]);
+    });
+
+    test('Should fall back when perfect balance is out of reach', () => {
+      const result = rebalancePortfolio(-15000, portfolio(), { withdrawalStrategy: 'perfectBalance' });
+
+      expect(result.summary.withdrawal).toEqual({
+        requested: 'perfectBalance',
+        strategy: 'proportional',
+        reason: 'Perfect balance would require buying some assets'
+      });
+    });
+
+    test('Should fall back when the sellable assets cannot cover the withdrawal', () => {
+      const result = rebalancePortfolio(-25000, portfolio(), { withdrawalStrategy: 'sellableFirst' });
+
+      expect(result.summary.withdrawal.strategy).toBe('proportional');
+      expect(result.summary.withdrawal.reason).toBe('The sellable assets cannot cover the withdrawal');
+    });
+  });
+
+  describe('New strategies', () => {
+    test('proRata should sell in proportion to current value', () => {
+      const result = rebalancePortfolio(-15000, portfolio(), { withdrawalStrategy: 'proRata' });
+      expect(amounts(result)).toEqual([-10500, -3000, -1500]);
+    });
+
+    test('largestOverweightFirst should sell the most overweighted asset down to target first', () => {
+      const result = rebalancePortfolio(-50000, portfolio(), { withdrawalStrategy: 'largestOverweightFirst' });
+
+      // Targets after the withdrawal are 30,000 / 15,000 / 5,000
+      expect(amounts(result)).toEqual([-40000, -5000, -5000]);
+    });
+
+    test('taxEfficient should sell taxable assets last', () => {
+      const result = rebalancePortfolio(-50000, portfolio(), { withdrawalStrategy: 'taxEfficient' });
+
+      expect(amounts(result)).toEqual([-43333.33, -6666.67, 0]);
+    });
+
+    test('taxEfficient should treat assets with lots as taxable', () => {
+      const assets = portfolio();
+      delete assets[2].taxable;
+      assets[0].lots = [{ acquired: '2020-01-01', quantity: 700, costBasis: 50000 }];
+      const result = rebalancePortfolio(-15000, assets, { withdrawalStrategy: 'taxEfficient', asOf: '2025-01-01' });
+
+      // Gold is trimmed to its 8,500 target, then Bonds and Gold share the rest by value
+      expect(amounts(result)).toEqual([0, -9473.68, -5526.32]);
+    });
+
+    test('priority should sell assets in the given order', () => {
+      const result = rebalancePortfolio(-15000, portfolio(), {
+        withdrawalStrategy: 'priority',
+        withdrawalPriority: ['Gold', 'Bonds']
+      });
+
+      expect(amounts(result)).toEqual([0, -5000, -10000]);
+    });
+
+    test('Should sell a holding with a 0% target that cannot be sold by choice', () => {
+      const assets = [
+        { name: 'A0', targetPercent: 0, currentValue: 5055.56, sell: false },
+        { name: 'A1', targetPercent: 100, currentValue: 5757.02, sell: false }
+      ];
+
+      for (const withdrawalStrategy of [undefined, 'overweightedOnly']) {
+        const result = rebalancePortfolio(-2576.29, assets, { withdrawalStrategy });
+        expect(result.transactions.map(t => t.amount)).toEqual([-2576.29, 0]);
+        expect(result.summary.totalAfter).toBe(8236.29);
+      }
+    });
+
+    test('Should sell everything when the whole portfolio is withdrawn', () => {
+      const result = rebalancePortfolio(-100000, portfolio(), { withdrawalStrategy: 'taxEfficient' });
+
+      expect(amounts(result)).toEqual([-70000, -20000, -10000]);
+      expect(result.summary.withdrawal.reason).toBe('The whole portfolio is withdrawn');
+    });
+  });
+
+  describe('Validation', () => {
+    test('Should reject an unknown strategy', () => {
+      expect(() => rebalancePortfolio(-100, portfolio(), { withdrawalStrategy: 'random' }))
+        .toThrow('Unknown withdrawal strategy: random');
+    });
+
+    test('Should require a priority list for the priority strategy', () => {
+      expect(() => rebalancePortfolio(-100, portfolio(), { withdrawalStrategy: 'priority' }))
+        .toThrow('The priority withdrawal strategy needs a withdrawalPriority array of asset names');
+      expect(() => rebalancePortfolio(-100, portfolio(), { withdrawalStrategy: 'priority', withdrawalPriority: ['Cash'] }))
+        .toThrow('withdrawalPriority names an unknown asset: Cash');
+    });
+
+    test('Should reject a strategy with the exact solver', () => {
+      expect(() => rebalancePortfolio(-100, portfolio(), { withdrawalStrategy: 'proRata', solver: 'exact' }))
+        .toThrow('The exact solver does not support withdrawalStrategy');
+    });
+  });
+});